@@ -6,7 +6,12 @@ import express from 'express';
 import { createAuthRoutes } from '@/new-modules/auth/index.js';
 import { createUserRoutes } from '@/new-modules/user/index.js';
 import { createTeamRoutes } from '@/new-modules/team/index.js';
-import { createMatchRoutes } from '@/new-modules/match/index.js';
+import {
+  createMatchRoutes,
+  createMatchSeriesRoutes,
+  createMatchLedgerRoutes,
+  createMatchVotingRoutes,
+} from '@/new-modules/match/index.js';
 import { createTournamentRoutes } from '@/new-modules/tournament/index.js';
 import { createChatRoutes } from '@/new-modules/chat/index.js';
 import { createVenueRoutes, createVenueManagementRoutes } from '@/new-modules/venue/index.js';
@@ -42,6 +47,18 @@ export function createV1Router(container) {
   const matchController = container.resolve('matchController');
   router.use('/matches', createMatchRoutes(matchController));
 
+  // Match payment ledger routes
+  const matchLedgerController = container.resolve('matchLedgerController');
+  router.use('/matches/:id/ledger', createMatchLedgerRoutes(matchLedgerController));
+
+  // Post-match MVP voting routes
+  const matchVotingController = container.resolve('matchVotingController');
+  router.use('/matches/:id/votes', createMatchVotingRoutes(matchVotingController));
+
+  // Recurring match series routes
+  const matchSeriesController = container.resolve('matchSeriesController');
+  router.use('/match-series', createMatchSeriesRoutes(matchSeriesController));
+
   // Tournament routes
   const tournamentController = container.resolve('tournamentController');
   router.use('/tournaments', createTournamentRoutes(tournamentController));
@@ -9,6 +9,7 @@ import { getContainer } from '@/core/container/index.js';
 import { MongoDBConnection, DatabaseHealthCheck } from '@/core/database/index.js';
 import { EventBusFactory } from '@/core/events/index.js';
 import MetricsCollector from '@/core/libs/metrics.js';
+import { QueueManager, registerScheduledJobs } from '@/core/jobs/index.js';
 import { EVENTS } from '@/common/constants/index.js';
 
 // Import module initializers
@@ -93,20 +94,29 @@ async function bootstrap() {
 
   logger.info('All modules initialized');
 
-  // 9. Publish system startup event
+  // 9. Initialize background jobs
+  let queueManager = null;
+  if (config.get('features.enableBackgroundJobs')) {
+    queueManager = new QueueManager(config.get('redis'), logger);
+    container.registerInstance('queueManager', queueManager);
+    await registerScheduledJobs(queueManager, container, logger);
+    logger.info('Background jobs initialized');
+  }
+
+  // 10. Publish system startup event
   await eventBus.publish(EVENTS.SYSTEM.STARTUP, {
     timestamp: new Date().toISOString(),
     environment: config.env,
   });
 
-  return { config, logger, container, dbConnection, eventBus, metricsCollector };
+  return { config, logger, container, dbConnection, eventBus, metricsCollector, queueManager };
 }
 
 /**
  * Graceful shutdown
  */
 async function shutdown(components) {
-  const { logger, dbConnection, eventBus } = components;
+  const { logger, dbConnection, eventBus, queueManager } = components;
 
   logger.info('Shutting down application...');
 
@@ -119,6 +129,15 @@ async function shutdown(components) {
     logger.error('Error publishing shutdown event', { error: error.message });
   }
 
+  // Stop background job workers before their dependencies go away
+  if (queueManager) {
+    try {
+      await queueManager.close();
+    } catch (error) {
+      logger.error('Error closing job queues', { error: error.message });
+    }
+  }
+
   // Close event bus
   try {
     await eventBus.close();
@@ -2,7 +2,7 @@
  * Team Validation Schemas
  * Validation rules for team endpoints
  */
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
 
 /**
  * Validation for creating a team
@@ -62,6 +62,18 @@ export const updateTeamValidation = [
  */
 export const teamIdValidation = [param('id').isMongoId().withMessage('Invalid team ID')];
 
+/**
+ * Validation for a team's rating history
+ */
+export const teamRatingHistoryValidation = [
+  param('id').isMongoId().withMessage('Invalid team ID'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+    .toInt(),
+];
+
 /**
  * Validation for joining a team
  */
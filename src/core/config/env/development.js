@@ -112,5 +112,6 @@ export default {
   features: {
     enableMetrics: process.env.ENABLE_METRICS === 'true',
     enableHealthCheck: process.env.ENABLE_HEALTH_CHECK !== 'false',
+    enableBackgroundJobs: process.env.ENABLE_BACKGROUND_JOBS !== 'false',
   },
 };
@@ -5,3 +5,4 @@
 import QueueManager from './QueueManager.js';
 
 export { QueueManager };
+export { registerScheduledJobs, JOB_QUEUES } from './scheduledJobs.js';
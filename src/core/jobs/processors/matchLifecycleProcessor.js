@@ -0,0 +1,22 @@
+/**
+ * Match Lifecycle Job Processor
+ * Starts, finishes and cancels matches automatically as their times pass
+ */
+
+/**
+ * Create the processor for the match lifecycle sweep job
+ * @param {Object} matchService - Match service
+ * @param {Object} logger - Logger instance
+ * @returns {Function} BullMQ processor
+ */
+export function createMatchLifecycleProcessor(matchService, logger) {
+  return async function processMatchLifecycle(job) {
+    await job.updateProgress(10);
+
+    const result = await matchService.runLifecycleSweep();
+    logger.debug('Match lifecycle sweep processed', { jobId: job.id, ...result });
+
+    await job.updateProgress(100);
+    return result;
+  };
+}
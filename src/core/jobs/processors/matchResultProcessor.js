@@ -0,0 +1,22 @@
+/**
+ * Match Result Job Processor
+ * Auto-confirms submitted match results whose confirmation window has closed
+ */
+
+/**
+ * Create the processor for the match result auto-confirmation job
+ * @param {Object} matchService - Match service
+ * @param {Object} logger - Logger instance
+ * @returns {Function} BullMQ processor
+ */
+export function createMatchResultProcessor(matchService, logger) {
+  return async function processMatchResultConfirmation(job) {
+    await job.updateProgress(10);
+
+    const result = await matchService.autoConfirmResults();
+    logger.info('Match results auto-confirmed', { jobId: job.id, ...result });
+
+    await job.updateProgress(100);
+    return result;
+  };
+}
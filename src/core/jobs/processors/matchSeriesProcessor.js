@@ -0,0 +1,22 @@
+/**
+ * Match Series Job Processor
+ * Generates upcoming matches for all active recurring match series
+ */
+
+/**
+ * Create the processor for the match series generation job
+ * @param {Object} matchSeriesService - Match series service
+ * @param {Object} logger - Logger instance
+ * @returns {Function} BullMQ processor
+ */
+export function createMatchSeriesProcessor(matchSeriesService, logger) {
+  return async function processMatchSeriesGeneration(job) {
+    await job.updateProgress(10);
+
+    const result = await matchSeriesService.generateAllUpcoming();
+    logger.info('Match series occurrences generated', { jobId: job.id, ...result });
+
+    await job.updateProgress(100);
+    return result;
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * Match Voting Job Processor
+ * Closes post-match voting windows that have run out and tallies the votes
+ */
+
+/**
+ * Create the processor for the match voting job
+ * @param {Object} matchVotingService - Match voting service
+ * @param {Object} logger - Logger instance
+ * @returns {Function} BullMQ processor
+ */
+export function createMatchVotingProcessor(matchVotingService, logger) {
+  return async function processMatchVoting(job) {
+    await job.updateProgress(10);
+
+    const result = await matchVotingService.closeExpiredVoting();
+    logger.debug('Match voting processed', { jobId: job.id, ...result });
+
+    await job.updateProgress(100);
+    return result;
+  };
+}
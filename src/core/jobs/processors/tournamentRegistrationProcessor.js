@@ -0,0 +1,22 @@
+/**
+ * Tournament Registration Job Processor
+ * Closes tournament registrations once their registration window has ended
+ */
+
+/**
+ * Create the processor for the tournament registration job
+ * @param {Object} tournamentService - Tournament service
+ * @param {Object} logger - Logger instance
+ * @returns {Function} BullMQ processor
+ */
+export function createTournamentRegistrationProcessor(tournamentService, logger) {
+  return async function processTournamentRegistration(job) {
+    await job.updateProgress(10);
+
+    const result = await tournamentService.closeExpiredRegistrations();
+    logger.debug('Tournament registrations processed', { jobId: job.id, ...result });
+
+    await job.updateProgress(100);
+    return result;
+  };
+}
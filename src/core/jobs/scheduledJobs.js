@@ -0,0 +1,93 @@
+/**
+ * Scheduled Jobs
+ * Registers the workers and recurring schedules for application background jobs
+ */
+import { createMatchSeriesProcessor } from './processors/matchSeriesProcessor.js';
+import { createMatchResultProcessor } from './processors/matchResultProcessor.js';
+import { createMatchLifecycleProcessor } from './processors/matchLifecycleProcessor.js';
+import { createMatchVotingProcessor } from './processors/matchVotingProcessor.js';
+import { createTournamentRegistrationProcessor } from './processors/tournamentRegistrationProcessor.js';
+
+export const JOB_QUEUES = {
+  MATCH_SERIES: 'match-series',
+  MATCH_RESULTS: 'match-results',
+  MATCH_LIFECYCLE: 'match-lifecycle',
+  MATCH_VOTING: 'match-voting',
+  TOURNAMENT_REGISTRATION: 'tournament-registration',
+};
+
+/**
+ * Register background job workers and their recurring schedules
+ * @param {QueueManager} queueManager - Queue manager instance
+ * @param {Object} container - DI container
+ * @param {Object} logger - Logger instance
+ */
+export async function registerScheduledJobs(queueManager, container, logger) {
+  const jobLogger = logger.child({ context: 'ScheduledJobs' });
+
+  // Keep recurring match series generated ahead of time
+  const matchSeriesService = container.resolve('matchSeriesService');
+  queueManager.createWorker(
+    JOB_QUEUES.MATCH_SERIES,
+    createMatchSeriesProcessor(matchSeriesService, jobLogger)
+  );
+  await queueManager.scheduleRecurringJob(
+    JOB_QUEUES.MATCH_SERIES,
+    'generate-occurrences',
+    {},
+    '0 * * * *'
+  );
+
+  // Auto-confirm undisputed match results once their confirmation window closes
+  const matchService = container.resolve('matchService');
+  queueManager.createWorker(
+    JOB_QUEUES.MATCH_RESULTS,
+    createMatchResultProcessor(matchService, jobLogger)
+  );
+  await queueManager.scheduleRecurringJob(
+    JOB_QUEUES.MATCH_RESULTS,
+    'auto-confirm-results',
+    {},
+    '*/15 * * * *'
+  );
+
+  // Start, finish and cancel matches as their scheduled times pass
+  queueManager.createWorker(
+    JOB_QUEUES.MATCH_LIFECYCLE,
+    createMatchLifecycleProcessor(matchService, jobLogger)
+  );
+  await queueManager.scheduleRecurringJob(
+    JOB_QUEUES.MATCH_LIFECYCLE,
+    'lifecycle-sweep',
+    {},
+    '* * * * *'
+  );
+
+  // Tally post-match votes once their voting window closes
+  const matchVotingService = container.resolve('matchVotingService');
+  queueManager.createWorker(
+    JOB_QUEUES.MATCH_VOTING,
+    createMatchVotingProcessor(matchVotingService, jobLogger)
+  );
+  await queueManager.scheduleRecurringJob(
+    JOB_QUEUES.MATCH_VOTING,
+    'close-expired-voting',
+    {},
+    '*/15 * * * *'
+  );
+
+  // Close tournament registrations as their registration window ends
+  const tournamentService = container.resolve('tournamentService');
+  queueManager.createWorker(
+    JOB_QUEUES.TOURNAMENT_REGISTRATION,
+    createTournamentRegistrationProcessor(tournamentService, jobLogger)
+  );
+  await queueManager.scheduleRecurringJob(
+    JOB_QUEUES.TOURNAMENT_REGISTRATION,
+    'close-registrations',
+    {},
+    '*/5 * * * *'
+  );
+
+  jobLogger.info('Scheduled jobs registered', { queues: Object.values(JOB_QUEUES) });
+}
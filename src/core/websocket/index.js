@@ -1,8 +1,9 @@
 /**
  * WebSocket/Socket.IO Setup
- * Provides real-time communication for chat and notifications
+ * Provides real-time communication for chat, notifications and live matches
  */
 import { Server } from 'socket.io';
+import { relayMatchEvents, registerMatchRoomHandlers } from './matchRooms.js';
 
 export function setupWebSocket(httpServer, config, logger, container) {
   const io = new Server(httpServer, {
@@ -23,6 +24,9 @@ export function setupWebSocket(httpServer, config, logger, container) {
     next();
   });
 
+  const matchService = container.resolve('matchService');
+  relayMatchEvents(io, container.resolve('eventBus'), logger);
+
   // Connection handler
   io.on('connection', (socket) => {
     logger.info('WebSocket client connected', { socketId: socket.id, userId: socket.userId });
@@ -51,6 +55,9 @@ export function setupWebSocket(httpServer, config, logger, container) {
       socket.to(`room:${roomId}`).emit('chat:user_stop_typing', { userId: socket.userId });
     });
 
+    // Live match rooms
+    registerMatchRoomHandlers(socket, matchService, logger);
+
     // Disconnect handler
     socket.on('disconnect', () => {
       logger.info('WebSocket client disconnected', { socketId: socket.id, userId: socket.userId });
@@ -0,0 +1,108 @@
+/**
+ * Live Match Rooms
+ * Spectators subscribe to `match:<id>` rooms and receive score updates, status
+ * changes and match events as they are published on the event bus.
+ *
+ * Every instance subscribes to the event bus and emits to its own sockets, so
+ * with the Redis event bus clients receive updates whichever instance they are
+ * connected to.
+ */
+
+/**
+ * Event bus events relayed to match rooms, under the same name
+ */
+export const MATCH_ROOM_EVENTS = [
+  'match.score_updated',
+  'match.status_updated',
+  'match.started',
+  'match.finished',
+  'match.cancelled',
+  'match.event_recorded',
+  'match.event_removed',
+  'match.result_submitted',
+  'match.result_confirmed',
+  'match.result_disputed',
+];
+
+export const matchRoom = (matchId) => `match:${matchId}`;
+
+/**
+ * Current state of a match, sent to clients when they subscribe
+ */
+export function buildMatchSnapshot(match) {
+  return {
+    matchId: match._id.toString(),
+    status: match.status,
+    scores: match.scores || {},
+    events: [...(match.events || [])].sort((a, b) => (a.minute ?? 0) - (b.minute ?? 0)),
+    playerStats: match.playerStats || {},
+    result: match.result
+      ? {
+          status: match.result.status,
+          scores: match.result.scores,
+          confirmBy: match.result.confirmBy,
+        }
+      : null,
+    startAt: match.startAt,
+    endAt: match.endAt,
+  };
+}
+
+/**
+ * Relay match events from the event bus to the match rooms
+ */
+export function relayMatchEvents(io, eventBus, logger) {
+  for (const event of MATCH_ROOM_EVENTS) {
+    const relay = (data) => {
+      if (data?.matchId) {
+        io.to(matchRoom(data.matchId)).emit(event, data);
+      }
+    };
+
+    // The Redis event bus subscribes asynchronously
+    Promise.resolve(eventBus.subscribe(event, relay)).catch((error) => {
+      logger.error('Failed to relay match event to WebSocket rooms', {
+        event,
+        error: error.message,
+      });
+    });
+  }
+}
+
+/**
+ * Room handlers for a connected socket.
+ * Private matches need an invite token unless the user plays in them.
+ */
+export function registerMatchRoomHandlers(socket, matchService, logger) {
+  socket.on('match:subscribe', async (payload, ack) => {
+    const { matchId, inviteToken } =
+      typeof payload === 'string' ? { matchId: payload } : payload || {};
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const match = await matchService.getMatchById(matchId, socket.userId, inviteToken);
+      if (!match) {
+        reply({ status: 'error', message: 'Match not found' });
+        return;
+      }
+
+      socket.join(matchRoom(matchId));
+      const snapshot = buildMatchSnapshot(match);
+      socket.emit('match:snapshot', snapshot);
+      reply({ status: 'success', data: snapshot });
+      logger.debug('User subscribed to match', { userId: socket.userId, matchId });
+    } catch (error) {
+      // Invalid IDs fail to cast and are reported the same as missing matches
+      reply({
+        status: 'error',
+        message: error.statusCode ? error.message : 'Match not found',
+      });
+    }
+  });
+
+  socket.on('match:unsubscribe', (payload) => {
+    const matchId = typeof payload === 'string' ? payload : payload?.matchId;
+    socket.leave(matchRoom(matchId));
+    logger.debug('User unsubscribed from match', { userId: socket.userId, matchId });
+  });
+}
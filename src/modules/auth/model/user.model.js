@@ -25,6 +25,9 @@ const userSchema = new mongoose.Schema(
     phone: String,
     avatar: String,
     bio: String,
+    // Used for tournament division eligibility
+    dateOfBirth: Date,
+    gender: { type: String, enum: ['male', 'female', 'other'] },
     roles: {
       type: [String],
       default: ['user'],
@@ -73,6 +76,12 @@ const userSchema = new mongoose.Schema(
       of: String,
       select: false, // Don't return by default
     },
+    // Attendance history, maintained from match check-ins and no-shows
+    reliability: {
+      score: { type: Number, default: null }, // % of matches attended, null until there is history
+      attended: { type: Number, default: 0 },
+      noShows: { type: Number, default: 0 },
+    },
     achievements: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Achievement' }],
     friends: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     // Last login tracking
@@ -5,6 +5,9 @@ import InvitationModel from './model/invitation.model.js';
 import { InvitationRepository } from './repository/invitation.repository.js';
 import { InvitationService } from './service/invitation.service.js';
 import { InvitationController } from './controller/invitation.controller.js';
+import InviteLinkModel from './model/inviteLink.model.js';
+import { InviteLinkRepository } from './repository/inviteLink.repository.js';
+import { InviteLinkService } from './service/inviteLink.service.js';
 export { createInvitationRoutes } from './routes/invitation.routes.js';
 
 export function initializeInvitationModule(container) {
@@ -21,7 +24,22 @@ export function initializeInvitationModule(container) {
     return new InvitationController(service, logger);
   });
 
+  // Invite links for private matches and tournaments
+  container.registerSingleton('inviteLinkRepository', () => new InviteLinkRepository(logger));
+  container.registerSingleton('inviteLinkService', () => {
+    const repo = container.resolve('inviteLinkRepository');
+    return new InviteLinkService(repo, eventBus, logger);
+  });
+
   logger.info('Invitation module initialized');
 }
 
-export { InvitationModel, InvitationRepository, InvitationService, InvitationController };
+export {
+  InvitationModel,
+  InvitationRepository,
+  InvitationService,
+  InvitationController,
+  InviteLinkModel,
+  InviteLinkRepository,
+  InviteLinkService,
+};
@@ -0,0 +1,27 @@
+/**
+ * Invite Link Model
+ * Shareable links granting access to a private match or tournament
+ */
+import mongoose from 'mongoose';
+
+export const INVITE_LINK_TYPES = ['match', 'tournament'];
+
+const inviteLinkSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: INVITE_LINK_TYPES, required: true },
+    token: { type: String, required: true, unique: true }, // random secret shared in the link
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    expiresAt: Date,
+    maxUses: { type: Number, min: 1 }, // unlimited when not set
+    uses: { type: Number, default: 0 }, // joins made through the link
+    revokedAt: Date,
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+inviteLinkSchema.index({ type: 1, entityId: 1 });
+
+export const InviteLinkModel = mongoose.model('InviteLink', inviteLinkSchema);
+export default InviteLinkModel;
@@ -0,0 +1,58 @@
+/**
+ * Invite Link Repository
+ */
+import { InviteLinkModel } from '../model/inviteLink.model.js';
+
+class InviteLinkRepository {
+  constructor(logger) {
+    this.logger = logger.child({ context: 'InviteLinkRepository' });
+  }
+
+  async create(data) {
+    const link = new InviteLinkModel(data);
+    await link.save();
+    return link.toObject();
+  }
+
+  async findById(id) {
+    return InviteLinkModel.findById(id).lean();
+  }
+
+  async findByToken(token) {
+    return InviteLinkModel.findOne({ token }).lean();
+  }
+
+  async findByEntity(type, entityId) {
+    return InviteLinkModel.find({ type, entityId }).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Revoke a link of the given entity. Returns null when it was not found or already revoked.
+   */
+  async revoke(id, type, entityId, userId) {
+    return InviteLinkModel.findOneAndUpdate(
+      { _id: id, type, entityId, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: userId },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Count a use of the link while it is still usable.
+   * Returns null when the link was revoked or ran out of uses in the meantime.
+   */
+  async redeem(id) {
+    return InviteLinkModel.findOneAndUpdate(
+      {
+        _id: id,
+        revokedAt: null,
+        $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }],
+      },
+      { $inc: { uses: 1 } },
+      { new: true }
+    ).lean();
+  }
+}
+
+export { InviteLinkRepository };
+export default InviteLinkRepository;
@@ -0,0 +1,137 @@
+/**
+ * Invite Link Service
+ * Revocable invite links for private matches and tournaments. Each link has its own
+ * random token, stored with the link so it can be shown again and looked up on use.
+ */
+import crypto from 'crypto';
+
+const TOKEN_BYTES = 32;
+
+class InviteLinkService {
+  constructor(inviteLinkRepository, eventBus, logger) {
+    this.inviteLinkRepository = inviteLinkRepository;
+    this.eventBus = eventBus;
+    this.logger = logger.child({ context: 'InviteLinkService' });
+  }
+
+  /**
+   * Create an invite link for a match or tournament.
+   * Authorization (organizer only) is checked by the owning service.
+   */
+  async createLink(type, entityId, createdBy, { expiresAt, maxUses } = {}) {
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      const error = new Error('Invite link expiry must be in the future');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const link = await this.inviteLinkRepository.create({
+      type,
+      token: crypto.randomBytes(TOKEN_BYTES).toString('base64url'),
+      entityId,
+      createdBy,
+      expiresAt,
+      maxUses,
+    });
+
+    await this.eventBus.publish('invite_link.created', {
+      linkId: link._id,
+      type,
+      entityId,
+      createdBy,
+    });
+    this.logger.info('Invite link created', { linkId: link._id, type, entityId });
+
+    return this._present(link);
+  }
+
+  async listLinks(type, entityId) {
+    const links = await this.inviteLinkRepository.findByEntity(type, entityId);
+    return links.map((link) => this._present(link));
+  }
+
+  async revokeLink(type, entityId, linkId, userId) {
+    const link = await this.inviteLinkRepository.revoke(linkId, type, entityId, userId);
+    if (!link) {
+      const error = new Error('Invite link not found or already revoked');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await this.eventBus.publish('invite_link.revoked', {
+      linkId,
+      type,
+      entityId,
+      revokedBy: userId,
+    });
+    return this._present(link);
+  }
+
+  /**
+   * Check that a token is a valid, unexpired, unrevoked link for this entity
+   * @returns {Promise<Object>} The invite link
+   */
+  async verifyToken(type, entityId, token) {
+    const link =
+      typeof token === 'string' && token
+        ? await this.inviteLinkRepository.findByToken(token)
+        : null;
+    if (!link || (link.expiresAt && new Date(link.expiresAt) <= new Date())) {
+      const error = new Error('Invalid or expired invite link');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (link.type !== type || link.entityId.toString() !== entityId.toString()) {
+      const error = new Error(`This invite link is for a different ${type}`);
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (link.revokedAt) {
+      const error = new Error('This invite link has been revoked');
+      error.statusCode = 403;
+      throw error;
+    }
+    if (link.maxUses && link.uses >= link.maxUses) {
+      const error = new Error('This invite link has reached its maximum number of uses');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    return link;
+  }
+
+  /**
+   * Count a join made through the link
+   */
+  async redeem(link) {
+    const redeemed = await this.inviteLinkRepository.redeem(link._id);
+    if (!redeemed) {
+      const error = new Error('This invite link is no longer valid');
+      error.statusCode = 403;
+      throw error;
+    }
+    return redeemed;
+  }
+
+  _present(link) {
+    const expired = link.expiresAt && new Date(link.expiresAt) <= new Date();
+    const exhausted = link.maxUses && link.uses >= link.maxUses;
+    return {
+      _id: link._id,
+      type: link.type,
+      entityId: link.entityId,
+      token: link.token,
+      expiresAt: link.expiresAt,
+      maxUses: link.maxUses,
+      uses: link.uses,
+      revokedAt: link.revokedAt,
+      active: !link.revokedAt && !expired && !exhausted,
+      createdAt: link.createdAt,
+    };
+  }
+}
+
+export { InviteLinkService };
+export default InviteLinkService;
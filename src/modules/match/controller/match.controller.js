@@ -17,6 +17,24 @@ class MatchController {
     });
   }
 
+  createWithBooking() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const match = await this.matchService.createMatchWithBooking(req.body, userId);
+      res.status(HTTP_STATUS.CREATED).json({
+        status: 'success',
+        message: 'Match created and venue booked successfully',
+        data: match,
+      });
+    });
+  }
+
   list() {
     return asyncHandler(async (req, res) => {
       const { sport, city, startAt } = req.query;
@@ -24,14 +42,37 @@ class MatchController {
       if (sport) filters.sport = sport;
       if (city) filters['location.city'] = city;
       if (startAt) filters.startAt = { $gte: new Date(startAt) };
-      const matches = await this.matchService.listMatches(filters);
+      const userId = req.user?.id || req.session?.userId;
+      const matches = await this.matchService.listMatches(filters, userId);
       res.status(HTTP_STATUS.OK).json(matches);
     });
   }
 
+  discover() {
+    return asyncHandler(async (req, res) => {
+      const { latitude, longitude, maxDistance, minOpenSpots, minFee, maxFee, limit } = req.query;
+      const { matches, nextCursor, hasMore } = await this.matchService.discoverMatches({
+        ...req.query,
+        latitude: latitude !== undefined ? parseFloat(latitude) : undefined,
+        longitude: longitude !== undefined ? parseFloat(longitude) : undefined,
+        maxDistance: maxDistance ? parseInt(maxDistance, 10) : undefined,
+        minOpenSpots: minOpenSpots ? parseInt(minOpenSpots, 10) : undefined,
+        minFee: minFee !== undefined ? parseFloat(minFee) : undefined,
+        maxFee: maxFee !== undefined ? parseFloat(maxFee) : undefined,
+        limit: limit ? parseInt(limit, 10) : undefined,
+      });
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        data: matches,
+        pagination: { nextCursor, hasMore },
+      });
+    });
+  }
+
   getById() {
     return asyncHandler(async (req, res) => {
-      const match = await this.matchService.getMatchById(req.params.id);
+      const userId = req.user?.id || req.session?.userId;
+      const match = await this.matchService.getMatchById(req.params.id, userId, req.query.invite);
       res.status(HTTP_STATUS.OK).json(match);
     });
   }
@@ -61,7 +102,18 @@ class MatchController {
           message: 'Authentication required',
         });
       }
-      await this.matchService.joinMatch(req.params.id, userId);
+      const result = await this.matchService.joinMatch(
+        req.params.id,
+        userId,
+        req.body?.inviteToken
+      );
+      if (result?.waitlisted) {
+        return res.status(HTTP_STATUS.OK).json({
+          status: 'success',
+          message: 'Match is full. You have been added to the waitlist',
+          data: { waitlisted: true, position: result.position },
+        });
+      }
       res.status(HTTP_STATUS.OK).json({
         status: 'success',
         message: 'Successfully joined match',
@@ -86,6 +138,176 @@ class MatchController {
     });
   }
 
+  getWaitlist() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const waitlist = await this.matchService.getWaitlist(req.params.id, userId);
+      res.status(HTTP_STATUS.OK).json(waitlist);
+    });
+  }
+
+  reorderWaitlist() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const waitlist = await this.matchService.reorderWaitlist(
+        req.params.id,
+        req.body.userIds,
+        userId
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Waitlist reordered successfully',
+        data: waitlist,
+      });
+    });
+  }
+
+  checkIn() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const { latitude, longitude } = req.body;
+      const attendance = await this.matchService.checkIn(req.params.id, userId, {
+        latitude,
+        longitude,
+      });
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Checked in successfully',
+        data: attendance,
+      });
+    });
+  }
+
+  markNoShows() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const attendance = await this.matchService.markNoShows(
+        req.params.id,
+        req.body.userIds,
+        userId
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'No-shows marked successfully',
+        data: attendance,
+      });
+    });
+  }
+
+  createInviteLink() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const link = await this.matchService.createInviteLink(req.params.id, userId, req.body);
+      res.status(HTTP_STATUS.CREATED).json({
+        status: 'success',
+        message: 'Invite link created successfully',
+        data: link,
+      });
+    });
+  }
+
+  listInviteLinks() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const links = await this.matchService.listInviteLinks(req.params.id, userId);
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        data: links,
+      });
+    });
+  }
+
+  revokeInviteLink() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const link = await this.matchService.revokeInviteLink(
+        req.params.id,
+        req.params.linkId,
+        userId
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Invite link revoked successfully',
+        data: link,
+      });
+    });
+  }
+
+  getAttendance() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const attendance = await this.matchService.getAttendance(
+        req.params.id,
+        userId,
+        req.query.invite
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        data: attendance,
+      });
+    });
+  }
+
+  balanceTeams() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const result = await this.matchService.balanceTeams(req.params.id, req.body, userId);
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Teams balanced successfully',
+        data: result,
+      });
+    });
+  }
+
   updateScore() {
     return asyncHandler(async (req, res) => {
       const userId = req.user?.id || req.session?.userId;
@@ -122,6 +344,129 @@ class MatchController {
     });
   }
 
+  submitResult() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const result = await this.matchService.submitResult(req.params.id, req.body.scores, userId);
+      res.status(HTTP_STATUS.CREATED).json({
+        status: 'success',
+        message: 'Result submitted and awaiting confirmation',
+        data: result,
+      });
+    });
+  }
+
+  confirmResult() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const result = await this.matchService.confirmResult(req.params.id, userId);
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Result confirmed',
+        data: result,
+      });
+    });
+  }
+
+  disputeResult() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const result = await this.matchService.disputeResult(req.params.id, userId, req.body);
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Result disputed and sent for moderation',
+        data: result,
+      });
+    });
+  }
+
+  listDisputes() {
+    return asyncHandler(async (req, res) => {
+      const matches = await this.matchService.listDisputedResults();
+      res.status(HTTP_STATUS.OK).json(matches);
+    });
+  }
+
+  resolveDispute() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const result = await this.matchService.resolveDispute(req.params.id, userId, req.body);
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Dispute resolved and result confirmed',
+        data: result,
+      });
+    });
+  }
+
+  getEvents() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const events = await this.matchService.getMatchEvents(
+        req.params.id,
+        userId,
+        req.query.invite
+      );
+      res.status(HTTP_STATUS.OK).json(events);
+    });
+  }
+
+  recordEvent() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const event = await this.matchService.recordMatchEvent(req.params.id, req.body, userId);
+      res.status(HTTP_STATUS.CREATED).json({
+        status: 'success',
+        message: 'Match event recorded successfully',
+        data: event,
+      });
+    });
+  }
+
+  deleteEvent() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      await this.matchService.deleteMatchEvent(req.params.id, req.params.eventId, userId);
+      res.status(HTTP_STATUS.NO_CONTENT).send();
+    });
+  }
+
   start() {
     return asyncHandler(async (req, res) => {
       const userId = req.session?.userId;
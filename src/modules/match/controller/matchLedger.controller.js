@@ -0,0 +1,90 @@
+/**
+ * Match Ledger Controller
+ */
+import { asyncHandler, HTTP_STATUS } from '@/core/http/index.js';
+
+class MatchLedgerController {
+  constructor(matchLedgerService, logger) {
+    this.matchLedgerService = matchLedgerService;
+    this.logger = logger.child({ context: 'MatchLedgerController' });
+  }
+
+  get() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const ledger = await this.matchLedgerService.getLedger(req.params.id, userId);
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        data: ledger,
+      });
+    });
+  }
+
+  split() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const ledger = await this.matchLedgerService.splitCosts(req.params.id, userId, req.body);
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Match costs split successfully',
+        data: ledger,
+      });
+    });
+  }
+
+  recordPayment() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const entry = await this.matchLedgerService.recordPayment(
+        req.params.id,
+        req.params.userId,
+        userId,
+        req.body
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Payment recorded successfully',
+        data: entry,
+      });
+    });
+  }
+
+  sendReminders() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const result = await this.matchLedgerService.sendReminders(req.params.id, userId);
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: `Sent ${result.reminded} payment reminder(s)`,
+        data: result,
+      });
+    });
+  }
+}
+
+export { MatchLedgerController };
+export default MatchLedgerController;
@@ -0,0 +1,119 @@
+/**
+ * Match Series Controller
+ */
+import { asyncHandler, HTTP_STATUS } from '@/core/http/index.js';
+
+class MatchSeriesController {
+  constructor(matchSeriesService, logger) {
+    this.matchSeriesService = matchSeriesService;
+    this.logger = logger.child({ context: 'MatchSeriesController' });
+  }
+
+  create() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const series = await this.matchSeriesService.createSeries(req.body, userId);
+      res.status(HTTP_STATUS.CREATED).json({
+        status: 'success',
+        message: 'Match series created successfully',
+        data: series,
+      });
+    });
+  }
+
+  list() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const { sport, organizerId, status } = req.query;
+      const filters = { status: status || 'active' };
+      if (sport) filters.sport = sport;
+      if (organizerId) filters.organizerId = organizerId;
+      const series = await this.matchSeriesService.listSeries(filters, userId);
+      res.status(HTTP_STATUS.OK).json(series);
+    });
+  }
+
+  getById() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const series = await this.matchSeriesService.getSeries(req.params.id, userId);
+      res.status(HTTP_STATUS.OK).json(series);
+    });
+  }
+
+  getMatches() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const matches = await this.matchSeriesService.getSeriesMatches(
+        req.params.id,
+        { includePast: req.query.includePast === 'true' },
+        userId
+      );
+      res.status(HTTP_STATUS.OK).json(matches);
+    });
+  }
+
+  update() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const series = await this.matchSeriesService.updateSeries(req.params.id, req.body, userId);
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Match series updated successfully',
+        data: series,
+      });
+    });
+  }
+
+  end() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      await this.matchSeriesService.endSeries(req.params.id, userId);
+      res.status(HTTP_STATUS.NO_CONTENT).send();
+    });
+  }
+
+  cancelOccurrence() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const result = await this.matchSeriesService.cancelOccurrence(
+        req.params.id,
+        req.params.date,
+        userId,
+        req.body?.reason
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Series occurrence cancelled',
+        data: result,
+      });
+    });
+  }
+}
+
+export { MatchSeriesController };
+export default MatchSeriesController;
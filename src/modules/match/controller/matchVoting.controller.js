@@ -0,0 +1,49 @@
+/**
+ * Match Voting Controller
+ */
+import { asyncHandler, HTTP_STATUS } from '@/core/http/index.js';
+
+class MatchVotingController {
+  constructor(matchVotingService, logger) {
+    this.matchVotingService = matchVotingService;
+    this.logger = logger.child({ context: 'MatchVotingController' });
+  }
+
+  get() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const voting = await this.matchVotingService.getVoting(req.params.id, userId);
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        data: voting,
+      });
+    });
+  }
+
+  vote() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const voting = await this.matchVotingService.castVote(req.params.id, userId, req.body);
+      res.status(HTTP_STATUS.CREATED).json({
+        status: 'success',
+        message: 'Vote recorded successfully',
+        data: voting,
+      });
+    });
+  }
+}
+
+export { MatchVotingController };
+export default MatchVotingController;
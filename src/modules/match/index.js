@@ -5,7 +5,22 @@ import MatchModel from './model/match.model.js';
 import { MatchRepository } from './repository/match.repository.js';
 import { MatchService } from './service/match.service.js';
 import { MatchController } from './controller/match.controller.js';
+import MatchSeriesModel from './model/matchSeries.model.js';
+import { MatchSeriesRepository } from './repository/matchSeries.repository.js';
+import { MatchSeriesService } from './service/matchSeries.service.js';
+import { MatchSeriesController } from './controller/matchSeries.controller.js';
+import MatchPaymentModel from './model/matchPayment.model.js';
+import { MatchPaymentRepository } from './repository/matchPayment.repository.js';
+import { MatchLedgerService } from './service/matchLedger.service.js';
+import { MatchLedgerController } from './controller/matchLedger.controller.js';
+import MatchVoteModel from './model/matchVote.model.js';
+import { MatchVoteRepository } from './repository/matchVote.repository.js';
+import { MatchVotingService } from './service/matchVoting.service.js';
+import { MatchVotingController } from './controller/matchVoting.controller.js';
 export { createMatchRoutes } from './routes/match.routes.js';
+export { createMatchSeriesRoutes } from './routes/matchSeries.routes.js';
+export { createMatchLedgerRoutes } from './routes/matchLedger.routes.js';
+export { createMatchVotingRoutes } from './routes/matchVoting.routes.js';
 
 export function initializeMatchModule(container) {
   const logger = container.resolve('logger');
@@ -14,14 +29,101 @@ export function initializeMatchModule(container) {
   container.registerSingleton('matchRepository', () => new MatchRepository(logger));
   container.registerSingleton('matchService', () => {
     const repo = container.resolve('matchRepository');
-    return new MatchService(repo, eventBus, logger);
+    const userRepository = container.resolve('userRepository');
+    const venueRepository = container.resolve('venueRepository');
+    const venueService = container.resolve('venueService');
+    const inviteLinkService = container.resolve('inviteLinkService');
+    return new MatchService(
+      repo,
+      userRepository,
+      venueRepository,
+      venueService,
+      inviteLinkService,
+      eventBus,
+      logger
+    );
   });
   container.registerSingleton('matchController', () => {
     const service = container.resolve('matchService');
     return new MatchController(service, logger);
   });
 
+  // Recurring match series
+  container.registerSingleton('matchSeriesRepository', () => new MatchSeriesRepository(logger));
+  container.registerSingleton('matchSeriesService', () => {
+    const seriesRepo = container.resolve('matchSeriesRepository');
+    const matchRepo = container.resolve('matchRepository');
+    const matchService = container.resolve('matchService');
+    return new MatchSeriesService(seriesRepo, matchRepo, matchService, eventBus, logger);
+  });
+  container.registerSingleton('matchSeriesController', () => {
+    const service = container.resolve('matchSeriesService');
+    return new MatchSeriesController(service, logger);
+  });
+
+  // Per-participant payment ledger
+  container.registerSingleton('matchPaymentRepository', () => new MatchPaymentRepository(logger));
+  container.registerSingleton('matchLedgerService', () => {
+    const paymentRepo = container.resolve('matchPaymentRepository');
+    const matchRepo = container.resolve('matchRepository');
+    const venueRepository = container.resolve('venueRepository');
+    return new MatchLedgerService(paymentRepo, matchRepo, venueRepository, eventBus, logger);
+  });
+  container.registerSingleton('matchLedgerController', () => {
+    const service = container.resolve('matchLedgerService');
+    return new MatchLedgerController(service, logger);
+  });
+
+  // Post-match MVP voting and peer ratings
+  container.registerSingleton('matchVoteRepository', () => new MatchVoteRepository(logger));
+  container.registerSingleton('matchVotingService', () => {
+    const voteRepo = container.resolve('matchVoteRepository');
+    const matchRepo = container.resolve('matchRepository');
+    return new MatchVotingService(voteRepo, matchRepo, eventBus, logger);
+  });
+  container.registerSingleton('matchVotingController', () => {
+    const service = container.resolve('matchVotingService');
+    return new MatchVotingController(service, logger);
+  });
+
+  eventBus.subscribe('match.finished', async (data) => {
+    await container.resolve('matchVotingService').openVoting(data.matchId);
+  });
+
+  // Booked matches follow their venue booking. The match service is resolved at
+  // runtime because the venue module registers after this one.
+  eventBus.subscribe('booking.rejected', async (data) => {
+    const reason = data.reason
+      ? `Venue booking rejected: ${data.reason}`
+      : 'Venue booking rejected';
+    await container.resolve('matchService').handleBookingReleased(data.bookingId, reason);
+  });
+
+  eventBus.subscribe('booking.cancelled', async (data) => {
+    const reason = data.reason
+      ? `Venue booking cancelled: ${data.reason}`
+      : 'Venue booking cancelled';
+    await container.resolve('matchService').handleBookingReleased(data.bookingId, reason);
+  });
+
   logger.info('Match module initialized');
 }
 
-export { MatchModel, MatchRepository, MatchService, MatchController };
+export {
+  MatchModel,
+  MatchRepository,
+  MatchService,
+  MatchController,
+  MatchSeriesModel,
+  MatchSeriesRepository,
+  MatchSeriesService,
+  MatchSeriesController,
+  MatchPaymentModel,
+  MatchPaymentRepository,
+  MatchLedgerService,
+  MatchLedgerController,
+  MatchVoteModel,
+  MatchVoteRepository,
+  MatchVotingService,
+  MatchVotingController,
+};
@@ -3,7 +3,16 @@
  */
 import mongoose from 'mongoose';
 
-const locationSchema = new mongoose.Schema({
+export const MATCH_EVENT_TYPES = [
+  'goal',
+  'assist',
+  'foul',
+  'yellow_card',
+  'red_card',
+  'substitution',
+];
+
+export const locationSchema = new mongoose.Schema({
   venue: String,
   address: String,
   lat: Number,
@@ -14,6 +23,108 @@ const locationSchema = new mongoose.Schema({
   },
 });
 
+const matchEventSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: MATCH_EVENT_TYPES, required: true },
+    minute: { type: Number, min: 0 },
+    playerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    relatedPlayerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // e.g. player subbed on
+    team: String, // scores key (team ID) for team-based matches
+    note: String,
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    joinedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const teamAssignmentSchema = new mongoose.Schema(
+  {
+    side: { type: String, required: true }, // side label, used as scores key when there is no team
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+    players: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    rating: Number, // average elo of the side when assigned
+  },
+  { _id: false }
+);
+
+export const ATTENDANCE_STATUSES = ['checked_in', 'no_show'];
+
+const attendanceEntrySchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: { type: String, enum: ATTENDANCE_STATUSES, required: true },
+    checkedInAt: Date,
+    distance: Number, // meters from the venue, when checked in with a location
+    verified: { type: Boolean, default: false }, // location was within range of the venue
+    markedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // organizer marking a no-show
+  },
+  { _id: false }
+);
+
+export const RESULT_STATUSES = ['pending', 'confirmed', 'disputed'];
+
+const resultDisputeSchema = new mongoose.Schema(
+  {
+    raisedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    proposedScores: { type: Map, of: mongoose.Schema.Types.Mixed },
+    raisedAt: Date,
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolvedAt: Date,
+    resolution: String,
+  },
+  { _id: false }
+);
+
+const matchResultSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: RESULT_STATUSES, required: true },
+    scores: { type: Map, of: mongoose.Schema.Types.Mixed },
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    submittedSide: String, // side of the submitter; the confirmation must come from another side
+    submittedAt: Date,
+    confirmBy: Date, // undisputed results are auto-confirmed after this
+    confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    confirmedAt: Date,
+    autoConfirmed: { type: Boolean, default: false },
+    dispute: resultDisputeSchema,
+  },
+  { _id: false }
+);
+
+export const VOTING_STATUSES = ['open', 'closed'];
+
+const votingResultSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    mvpVotes: { type: Number, default: 0 },
+    skill: Number, // average peer skill rating (1-5)
+    sportsmanship: Number, // average peer sportsmanship rating (1-5)
+    ratingCount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const votingSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: VOTING_STATUSES, required: true },
+    opensAt: Date,
+    closesAt: Date, // votes are tallied once this passes or every participant has voted
+    closedAt: Date,
+    voteCount: { type: Number, default: 0 },
+    mvpIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // ties share the award
+    results: [votingResultSchema],
+  },
+  { _id: false }
+);
+
 const matchSchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
@@ -24,8 +135,12 @@ const matchSchema = new mongoose.Schema(
     startAt: { type: Date, required: true },
     endAt: Date,
     location: locationSchema,
+    venueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Venue' },
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' }, // court reserved for the match
     maxPlayers: Number,
+    minPlayers: { type: Number, min: 2 }, // auto-cancelled shortly before kickoff when not reached
     skillLevel: { type: String, enum: ['beginner', 'intermediate', 'advanced'] },
+    minReliability: { type: Number, min: 0, max: 100 }, // minimum reliability score to join
     entryFee: Number,
     prize: String,
     teamBased: { type: Boolean, default: false },
@@ -36,10 +151,22 @@ const matchSchema = new mongoose.Schema(
       default: 'scheduled',
     },
     participants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    waitlist: [waitlistEntrySchema], // ordered queue, first entry is promoted next
     teams: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Team' }],
+    teamAssignments: [teamAssignmentSchema], // which participants play on which side
     scores: Map,
+    events: [matchEventSchema],
+    playerStats: { type: Map, of: mongoose.Schema.Types.Mixed }, // aggregated from events
+    result: matchResultSchema, // submitted final score awaiting confirmation
+    attendance: [attendanceEntrySchema], // check-ins and no-shows, one entry per player
+    voting: votingSchema, // post-match MVP and peer rating window
     chatRoomId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChatRoom' },
     cancelReason: String,
+    overdueAt: Date, // flagged as still live well after it should have ended
+    seriesId: { type: mongoose.Schema.Types.ObjectId, ref: 'MatchSeries' },
+    seriesOccurrence: Date, // UTC day of the series occurrence this match was generated for
+    tournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament' },
+    tournamentMatchNumber: Number, // bracket fixture this match was created for
   },
   { timestamps: true }
 );
@@ -47,7 +174,19 @@ const matchSchema = new mongoose.Schema(
 matchSchema.index({ sport: 1, startAt: 1 });
 matchSchema.index({ organizerId: 1 });
 matchSchema.index({ status: 1 });
+matchSchema.index({ status: 1, startAt: 1 });
+matchSchema.index({ bookingId: 1 }, { sparse: true });
+matchSchema.index({ 'result.status': 1, 'result.confirmBy': 1 });
+matchSchema.index({ 'voting.status': 1, 'voting.closesAt': 1 });
 matchSchema.index({ 'location.geo': '2dsphere' });
+matchSchema.index(
+  { seriesId: 1, seriesOccurrence: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $exists: true } } }
+);
+matchSchema.index(
+  { tournamentId: 1, tournamentMatchNumber: 1 },
+  { unique: true, partialFilterExpression: { tournamentId: { $exists: true } } }
+);
 
 const MatchModel = mongoose.model('Match', matchSchema);
 
@@ -0,0 +1,31 @@
+/**
+ * Match Payment Model
+ * One ledger line per match participant: what they owe and whether it was paid
+ */
+import mongoose from 'mongoose';
+
+export const PAYMENT_STATUSES = ['unpaid', 'paid', 'waived'];
+export const PAYMENT_METHODS = ['cash', 'in_app', 'bank_transfer', 'other'];
+
+const matchPaymentSchema = new mongoose.Schema(
+  {
+    matchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    amount: { type: Number, required: true, min: 0 },
+    status: { type: String, enum: PAYMENT_STATUSES, default: 'unpaid' },
+    method: { type: String, enum: PAYMENT_METHODS },
+    paidAt: Date,
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // organizer who updated the line
+    note: String,
+    remindedAt: Date,
+    reminderCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+matchPaymentSchema.index({ matchId: 1, userId: 1 }, { unique: true });
+matchPaymentSchema.index({ userId: 1, status: 1 });
+
+const MatchPaymentModel = mongoose.model('MatchPayment', matchPaymentSchema);
+
+export default MatchPaymentModel;
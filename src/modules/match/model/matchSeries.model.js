@@ -0,0 +1,53 @@
+/**
+ * Match Series Model
+ * A recurring match template (e.g. a weekly pickup game) that generates
+ * concrete Match documents ahead of time
+ */
+import mongoose from 'mongoose';
+import { locationSchema } from './match.model.js';
+
+export const SERIES_FREQUENCIES = ['weekly', 'biweekly'];
+
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: { type: String, enum: SERIES_FREQUENCIES, required: true },
+    daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday, in the series time zone
+    startTime: { type: String, required: true }, // HH:MM wall-clock time in the series time zone
+    timezone: { type: String, default: 'UTC' }, // IANA time zone, e.g. Europe/London
+    startDate: { type: Date, required: true },
+    endDate: Date,
+    exceptions: [Date], // local days that are skipped
+  },
+  { _id: false }
+);
+
+const matchSeriesSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true },
+    sport: { type: String, required: true },
+    sportCategory: String,
+    type: { type: String, enum: ['friendly', 'competitive'], default: 'friendly' },
+    organizerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    location: locationSchema,
+    maxPlayers: Number,
+    skillLevel: { type: String, enum: ['beginner', 'intermediate', 'advanced'] },
+    entryFee: Number,
+    prize: String,
+    teamBased: { type: Boolean, default: false },
+    visibility: { type: String, enum: ['public', 'private'], default: 'public' },
+    durationMinutes: { type: Number, default: 60, min: 1 },
+    recurrence: { type: recurrenceSchema, required: true },
+    coreParticipants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // auto-join every occurrence
+    generateAheadDays: { type: Number, default: 28, min: 1, max: 90 },
+    status: { type: String, enum: ['active', 'ended'], default: 'active' },
+    generatedUntil: Date,
+  },
+  { timestamps: true }
+);
+
+matchSeriesSchema.index({ organizerId: 1 });
+matchSeriesSchema.index({ status: 1 });
+
+const MatchSeriesModel = mongoose.model('MatchSeries', matchSeriesSchema);
+
+export default MatchSeriesModel;
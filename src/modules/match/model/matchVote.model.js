@@ -0,0 +1,31 @@
+/**
+ * Match Vote Model
+ * One ballot per participant after a match: an MVP pick and peer ratings
+ */
+import mongoose from 'mongoose';
+
+const peerRatingSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    skill: { type: Number, min: 1, max: 5, required: true },
+    sportsmanship: { type: Number, min: 1, max: 5, required: true },
+  },
+  { _id: false }
+);
+
+const matchVoteSchema = new mongoose.Schema(
+  {
+    matchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', required: true },
+    // Only kept to enforce one ballot per player; never selected so votes stay anonymous
+    voterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, select: false },
+    mvpId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    ratings: [peerRatingSchema],
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+matchVoteSchema.index({ matchId: 1, voterId: 1 }, { unique: true });
+
+const MatchVoteModel = mongoose.model('MatchVote', matchVoteSchema);
+
+export default MatchVoteModel;
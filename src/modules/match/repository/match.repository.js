@@ -1,27 +1,152 @@
 /**
  * Match Repository
  */
+import mongoose from 'mongoose';
 import MatchModel from '../model/match.model.js';
 
+// Matches without a player limit always have room
+const HAS_OPEN_SPOT = {
+  $expr: {
+    $or: [{ $not: ['$maxPlayers'] }, { $lt: [{ $size: '$participants' }, '$maxPlayers'] }],
+  },
+};
+
 class MatchRepository {
   constructor(logger) {
     this.logger = logger.child({ context: 'MatchRepository' });
   }
 
-  async create(matchData) {
+  async create(matchData, session = null) {
     const match = new MatchModel(matchData);
-    await match.save();
+    await match.save({ session });
     return match.toObject();
   }
 
+  /**
+   * Run work inside a MongoDB transaction. The work receives the session and is
+   * retried on transient transaction errors, so it must only write through it.
+   */
+  async withTransaction(work) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
   async findById(id) {
     return MatchModel.findById(id).lean();
   }
 
+  /**
+   * Update a match only while it is still in the given status.
+   * Returns null when the status has moved on.
+   */
+  async updateIfStatus(matchId, status, data) {
+    return MatchModel.findOneAndUpdate({ _id: matchId, status }, data, { new: true }).lean();
+  }
+
+  async findDueToStart(now) {
+    return MatchModel.find({ status: 'scheduled', startAt: { $lte: now } }).lean();
+  }
+
+  /**
+   * Scheduled matches starting before the cutoff that still have fewer
+   * participants than their minimum
+   */
+  async findUnderfilled(cutoff) {
+    return MatchModel.find({
+      status: 'scheduled',
+      startAt: { $lte: cutoff },
+      minPlayers: { $gt: 0 },
+      $expr: { $lt: [{ $size: '$participants' }, '$minPlayers'] },
+    }).lean();
+  }
+
+  async findLiveStartedBefore(before) {
+    return MatchModel.find({ status: 'live', startAt: { $lte: before } }).lean();
+  }
+
+  async findByBookingId(bookingId) {
+    return MatchModel.findOne({ bookingId }).lean();
+  }
+
   async find(query = {}) {
     return MatchModel.find(query).sort({ startAt: 1 }).lean();
   }
 
+  /**
+   * Discovery feed query with keyset pagination.
+   * Uses the location.geo 2dsphere index when a point is given.
+   * @param {Object} options
+   * @param {Object} options.filter - Match filter (status, sport, startAt, ...)
+   * @param {Object} [options.near] - { lng, lat, maxDistance } in meters
+   * @param {number} [options.minOpenSpots] - Minimum remaining spots (matches without a cap always qualify)
+   * @param {string} options.sortBy - 'distance' or 'startAt'
+   * @param {Object} [options.after] - Cursor { value, id } of the last item of the previous page
+   * @param {number} options.limit
+   */
+  async discover({ filter, near, minOpenSpots, sortBy, after, limit }) {
+    const pipeline = [];
+
+    if (near) {
+      pipeline.push({
+        $geoNear: {
+          near: { type: 'Point', coordinates: [near.lng, near.lat] },
+          key: 'location.geo',
+          distanceField: 'distance',
+          maxDistance: near.maxDistance,
+          spherical: true,
+          query: filter,
+        },
+      });
+    } else {
+      pipeline.push({ $match: filter });
+    }
+
+    pipeline.push({
+      $addFields: {
+        openSpots: {
+          $cond: [
+            { $gt: ['$maxPlayers', 0] },
+            { $subtract: ['$maxPlayers', { $size: { $ifNull: ['$participants', []] } }] },
+            null,
+          ],
+        },
+      },
+    });
+
+    if (minOpenSpots) {
+      pipeline.push({
+        $match: { $or: [{ openSpots: null }, { openSpots: { $gte: minOpenSpots } }] },
+      });
+    }
+
+    if (after) {
+      pipeline.push({
+        $match: {
+          $or: [
+            { [sortBy]: { $gt: after.value } },
+            { [sortBy]: after.value, _id: { $gt: new mongoose.Types.ObjectId(after.id) } },
+          ],
+        },
+      });
+    }
+
+    pipeline.push(
+      { $sort: { [sortBy]: 1, _id: 1 } },
+      { $limit: limit },
+      { $project: { events: 0, waitlist: 0, playerStats: 0, attendance: 0, voting: 0 } }
+    );
+
+    return MatchModel.aggregate(pipeline);
+  }
+
   async update(id, data) {
     return MatchModel.findByIdAndUpdate(id, data, { new: true }).lean();
   }
@@ -30,12 +155,139 @@ class MatchRepository {
     return MatchModel.findByIdAndDelete(id);
   }
 
+  /**
+   * Add a participant while the match has an open spot.
+   * Returns null when the match is full.
+   */
   async addParticipant(matchId, userId) {
-    return MatchModel.findByIdAndUpdate(matchId, { $addToSet: { participants: userId } }, { new: true }).lean();
+    return MatchModel.findOneAndUpdate(
+      { _id: matchId, ...HAS_OPEN_SPOT },
+      { $addToSet: { participants: userId } },
+      { new: true }
+    ).lean();
   }
 
   async removeParticipant(matchId, userId) {
-    return MatchModel.findByIdAndUpdate(matchId, { $pull: { participants: userId } }, { new: true }).lean();
+    return MatchModel.findByIdAndUpdate(
+      matchId,
+      { $pull: { participants: userId, 'teamAssignments.$[].players': userId } },
+      { new: true }
+    ).lean();
+  }
+
+  async addToWaitlist(matchId, userId) {
+    return MatchModel.findOneAndUpdate(
+      { _id: matchId, 'waitlist.userId': { $ne: userId } },
+      { $push: { waitlist: { userId, joinedAt: new Date() } } },
+      { new: true }
+    ).lean();
+  }
+
+  async removeFromWaitlist(matchId, userId) {
+    return MatchModel.findByIdAndUpdate(
+      matchId,
+      { $pull: { waitlist: { userId } } },
+      { new: true }
+    ).lean();
+  }
+
+  async setWaitlist(matchId, waitlist) {
+    return MatchModel.findByIdAndUpdate(matchId, { waitlist }, { new: true }).lean();
+  }
+
+  /**
+   * Move a user from the waitlist into the participants in a single update.
+   * Returns null when the user is no longer waiting or the match is full.
+   */
+  async promoteFromWaitlist(matchId, userId) {
+    return MatchModel.findOneAndUpdate(
+      { _id: matchId, 'waitlist.userId': userId, ...HAS_OPEN_SPOT },
+      { $pull: { waitlist: { userId } }, $addToSet: { participants: userId } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Update a match only while its result is in one of the given states.
+   * Pass null to match a match without a result. Returns null when the state has moved on.
+   */
+  async updateResultIfStatus(matchId, statuses, data) {
+    return MatchModel.findOneAndUpdate(
+      { _id: matchId, 'result.status': { $in: statuses } },
+      data,
+      { new: true }
+    ).lean();
+  }
+
+  async findResultsAwaitingConfirmation(before) {
+    return MatchModel.find({
+      'result.status': 'pending',
+      'result.confirmBy': { $lte: before },
+    }).lean();
+  }
+
+  async findDisputedResults() {
+    return MatchModel.find({ 'result.status': 'disputed' })
+      .sort({ 'result.dispute.raisedAt': 1 })
+      .lean();
+  }
+
+  async findBySeries(seriesId, query = {}) {
+    return MatchModel.find({ ...query, seriesId }).sort({ startAt: 1 }).lean();
+  }
+
+  async findSeriesOccurrence(seriesId, occurrenceDay) {
+    return MatchModel.findOne({ seriesId, seriesOccurrence: occurrenceDay }).lean();
+  }
+
+  async findTournamentFixture(tournamentId, matchNumber) {
+    return MatchModel.findOne({ tournamentId, tournamentMatchNumber: matchNumber }).lean();
+  }
+
+  /**
+   * Record a player's attendance unless they already have an entry.
+   * Returns null when the player's attendance was already recorded.
+   */
+  async recordAttendance(matchId, entry) {
+    return MatchModel.findOneAndUpdate(
+      { _id: matchId, 'attendance.userId': { $ne: entry.userId } },
+      { $push: { attendance: entry } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Update a match only while its voting window is in the given state.
+   * Pass null to match a match whose voting never opened. Returns null when the state has moved on.
+   */
+  async updateVotingIfStatus(matchId, status, data) {
+    return MatchModel.findOneAndUpdate({ _id: matchId, 'voting.status': status }, data, {
+      new: true,
+    }).lean();
+  }
+
+  async incrementVoteCount(matchId) {
+    return MatchModel.findOneAndUpdate(
+      { _id: matchId, 'voting.status': 'open' },
+      { $inc: { 'voting.voteCount': 1 } },
+      { new: true }
+    ).lean();
+  }
+
+  async findVotingDueToClose(now) {
+    return MatchModel.find({ 'voting.status': 'open', 'voting.closesAt': { $lte: now } }).lean();
+  }
+
+  async addEvent(matchId, event) {
+    return MatchModel.findByIdAndUpdate(matchId, { $push: { events: event } }, { new: true }).lean();
+  }
+
+  async removeEvent(matchId, eventId) {
+    return MatchModel.findByIdAndUpdate(
+      matchId,
+      { $pull: { events: { _id: eventId } } },
+      { new: true }
+    ).lean();
   }
 }
 
@@ -0,0 +1,65 @@
+/**
+ * Match Payment Repository
+ */
+import MatchPaymentModel from '../model/matchPayment.model.js';
+
+class MatchPaymentRepository {
+  constructor(logger) {
+    this.logger = logger.child({ context: 'MatchPaymentRepository' });
+  }
+
+  async findByMatch(matchId) {
+    return MatchPaymentModel.find({ matchId }).sort({ createdAt: 1 }).lean();
+  }
+
+  async findOne(matchId, userId) {
+    return MatchPaymentModel.findOne({ matchId, userId }).lean();
+  }
+
+  /**
+   * Set the amount owed by each user, creating unpaid lines for new users
+   */
+  async setAmounts(matchId, shares) {
+    if (shares.length === 0) {
+      return;
+    }
+
+    await MatchPaymentModel.bulkWrite(
+      shares.map(({ userId, amount }) => ({
+        updateOne: {
+          filter: { matchId, userId },
+          update: { $set: { amount }, $setOnInsert: { status: 'unpaid' } },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  /**
+   * Drop unpaid lines of users who are no longer part of the split
+   */
+  async removeUnpaidExcept(matchId, userIds) {
+    return MatchPaymentModel.deleteMany({
+      matchId,
+      userId: { $nin: userIds },
+      status: 'unpaid',
+    });
+  }
+
+  async update(matchId, userId, data) {
+    return MatchPaymentModel.findOneAndUpdate({ matchId, userId }, data, {
+      new: true,
+      runValidators: true,
+    }).lean();
+  }
+
+  async markReminded(ids, remindedAt) {
+    return MatchPaymentModel.updateMany(
+      { _id: { $in: ids } },
+      { $set: { remindedAt }, $inc: { reminderCount: 1 } }
+    );
+  }
+}
+
+export { MatchPaymentRepository };
+export default MatchPaymentRepository;
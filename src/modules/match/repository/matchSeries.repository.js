@@ -0,0 +1,43 @@
+/**
+ * Match Series Repository
+ */
+import MatchSeriesModel from '../model/matchSeries.model.js';
+
+class MatchSeriesRepository {
+  constructor(logger) {
+    this.logger = logger.child({ context: 'MatchSeriesRepository' });
+  }
+
+  async create(seriesData) {
+    const series = new MatchSeriesModel(seriesData);
+    await series.save();
+    return series.toObject();
+  }
+
+  async findById(id) {
+    return MatchSeriesModel.findById(id).lean();
+  }
+
+  async find(query = {}) {
+    return MatchSeriesModel.find(query).sort({ createdAt: -1 }).lean();
+  }
+
+  async findActive() {
+    return MatchSeriesModel.find({ status: 'active' }).lean();
+  }
+
+  async update(id, data) {
+    return MatchSeriesModel.findByIdAndUpdate(id, data, { new: true, runValidators: true }).lean();
+  }
+
+  async addException(id, day) {
+    return MatchSeriesModel.findByIdAndUpdate(
+      id,
+      { $addToSet: { 'recurrence.exceptions': day } },
+      { new: true }
+    ).lean();
+  }
+}
+
+export { MatchSeriesRepository };
+export default MatchSeriesRepository;
@@ -0,0 +1,32 @@
+/**
+ * Match Vote Repository
+ */
+import MatchVoteModel from '../model/matchVote.model.js';
+
+class MatchVoteRepository {
+  constructor(logger) {
+    this.logger = logger.child({ context: 'MatchVoteRepository' });
+  }
+
+  /**
+   * Store a ballot. Throws a duplicate key error (code 11000) when the voter already voted.
+   */
+  async create(voteData) {
+    await MatchVoteModel.create(voteData);
+  }
+
+  /**
+   * Ballots of a match, without who cast them
+   */
+  async findByMatch(matchId) {
+    return MatchVoteModel.find({ matchId }).lean();
+  }
+
+  async hasVoted(matchId, voterId) {
+    const vote = await MatchVoteModel.exists({ matchId, voterId });
+    return vote !== null;
+  }
+}
+
+export { MatchVoteRepository };
+export default MatchVoteRepository;
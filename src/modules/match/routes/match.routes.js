@@ -2,8 +2,24 @@
  * Match Routes
  */
 import express from 'express';
-import { requireAuth, validate } from '@/core/http/index.js';
+import { requireAuth, requireMinRole, validate } from '@/core/http/index.js';
 import {
+  balanceTeamsValidation,
+  checkInValidation,
+  confirmResultValidation,
+  createInviteLinkValidation,
+  createMatchWithBookingValidation,
+  discoverMatchesValidation,
+  disputeResultValidation,
+  inviteLinkIdValidation,
+  joinMatchValidation,
+  listInviteLinksValidation,
+  markNoShowsValidation,
+  matchEventIdValidation,
+  recordMatchEventValidation,
+  reorderWaitlistValidation,
+  resolveDisputeValidation,
+  submitResultValidation,
   updateScoreValidation,
   updateStatusValidation,
 } from '../validation/match.validation.js';
@@ -11,21 +27,84 @@ import {
 export function createMatchRoutes(matchController) {
   const router = express.Router();
 
-  // Public endpoints
+  // Moderator queue of disputed results (declared before /:id)
+  router.get('/disputes', requireMinRole('moderator'), matchController.listDisputes());
+
+  // Public endpoints (private matches only for their players or with ?invite=<token>)
   router.get('/', matchController.list());
+  router.get('/discover', validate(discoverMatchesValidation), matchController.discover());
   router.get('/:id', matchController.getById());
 
   // Protected endpoints - require authentication
   router.post('/', requireAuth(), matchController.create());
+  router.post(
+    '/with-booking',
+    requireAuth(),
+    validate(createMatchWithBookingValidation),
+    matchController.createWithBooking()
+  );
   router.patch('/:id', requireAuth(), matchController.update());
 
   // Delete endpoint - only organizer can delete their match (checked in service)
   router.delete('/:id', requireAuth(), matchController.cancel());
 
   // Match participation endpoints
-  router.post('/:id/join', requireAuth(), matchController.join());
+  router.post('/:id/join', requireAuth(), validate(joinMatchValidation), matchController.join());
   router.post('/:id/leave', requireAuth(), matchController.leave());
 
+  // Invite links (organizer only, checked in service)
+  router.get(
+    '/:id/invite-links',
+    requireAuth(),
+    validate(listInviteLinksValidation),
+    matchController.listInviteLinks()
+  );
+  router.post(
+    '/:id/invite-links',
+    requireAuth(),
+    validate(createInviteLinkValidation),
+    matchController.createInviteLink()
+  );
+  router.delete(
+    '/:id/invite-links/:linkId',
+    requireAuth(),
+    validate(inviteLinkIdValidation),
+    matchController.revokeInviteLink()
+  );
+
+  // Waitlist management (organizer only, checked in service)
+  router.get('/:id/waitlist', requireAuth(), matchController.getWaitlist());
+  router.put(
+    '/:id/waitlist',
+    requireAuth(),
+    validate(reorderWaitlistValidation),
+    matchController.reorderWaitlist()
+  );
+
+  // Attendance: participants check in around kick-off, organizer marks no-shows.
+  // Attendance and events of private matches need the same access as the match.
+  router.get('/:id/attendance', matchController.getAttendance());
+  router.post(
+    '/:id/check-in',
+    requireAuth(),
+    validate(checkInValidation),
+    matchController.checkIn()
+  );
+  router.post(
+    '/:id/attendance/no-shows',
+    requireAuth(),
+    validate(markNoShowsValidation),
+    matchController.markNoShows()
+  );
+
+  // Split participants into rating-balanced sides (organizer only, checked in service)
+  router.post(
+    '/:id/teams/balance',
+    requireAuth(),
+    validate(balanceTeamsValidation),
+    matchController.balanceTeams()
+  );
+
   // Match management endpoints
   router.put(
     '/:id/score',
@@ -40,6 +119,47 @@ export function createMatchRoutes(matchController) {
     matchController.updateStatus()
   );
 
+  // Result submission and confirmation by the opposing side
+  router.post(
+    '/:id/result',
+    requireAuth(),
+    validate(submitResultValidation),
+    matchController.submitResult()
+  );
+  router.post(
+    '/:id/result/confirm',
+    requireAuth(),
+    validate(confirmResultValidation),
+    matchController.confirmResult()
+  );
+  router.post(
+    '/:id/result/dispute',
+    requireAuth(),
+    validate(disputeResultValidation),
+    matchController.disputeResult()
+  );
+  router.post(
+    '/:id/result/resolve',
+    requireMinRole('moderator'),
+    validate(resolveDisputeValidation),
+    matchController.resolveDispute()
+  );
+
+  // Match event timeline (goals, assists, cards, substitutions)
+  router.get('/:id/events', matchController.getEvents());
+  router.post(
+    '/:id/events',
+    requireAuth(),
+    validate(recordMatchEventValidation),
+    matchController.recordEvent()
+  );
+  router.delete(
+    '/:id/events/:eventId',
+    requireAuth(),
+    validate(matchEventIdValidation),
+    matchController.deleteEvent()
+  );
+
   // Legacy endpoints (kept for backward compatibility)
   router.post('/:id/start', requireAuth(), matchController.start());
   router.post('/:id/finish', requireAuth(), matchController.finish());
@@ -0,0 +1,40 @@
+/**
+ * Match Ledger Routes
+ * Mounted under /matches/:id/ledger
+ */
+import express from 'express';
+import { requireAuth, validate } from '@/core/http/index.js';
+import {
+  matchLedgerValidation,
+  recordPaymentValidation,
+  splitCostsValidation,
+} from '../validation/matchLedger.validation.js';
+
+export function createMatchLedgerRoutes(matchLedgerController) {
+  const router = express.Router({ mergeParams: true });
+
+  // Organizer sees the full ledger, participants their own line (checked in service)
+  router.get('/', requireAuth(), validate(matchLedgerValidation), matchLedgerController.get());
+
+  // Ledger management (organizer only, checked in service)
+  router.post(
+    '/split',
+    requireAuth(),
+    validate(splitCostsValidation),
+    matchLedgerController.split()
+  );
+  router.post(
+    '/reminders',
+    requireAuth(),
+    validate(matchLedgerValidation),
+    matchLedgerController.sendReminders()
+  );
+  router.patch(
+    '/:userId',
+    requireAuth(),
+    validate(recordPaymentValidation),
+    matchLedgerController.recordPayment()
+  );
+
+  return router;
+}
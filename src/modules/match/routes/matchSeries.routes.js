@@ -0,0 +1,50 @@
+/**
+ * Match Series Routes
+ */
+import express from 'express';
+import { requireAuth, validate } from '@/core/http/index.js';
+import {
+  cancelOccurrenceValidation,
+  createMatchSeriesValidation,
+  matchSeriesIdValidation,
+  updateMatchSeriesValidation,
+} from '../validation/matchSeries.validation.js';
+
+export function createMatchSeriesRoutes(matchSeriesController) {
+  const router = express.Router();
+
+  // Public endpoints (private series only for their organizer and core participants)
+  router.get('/', matchSeriesController.list());
+  router.get('/:id', validate(matchSeriesIdValidation), matchSeriesController.getById());
+  router.get('/:id/matches', validate(matchSeriesIdValidation), matchSeriesController.getMatches());
+
+  // Series management (organizer only, checked in service)
+  router.post(
+    '/',
+    requireAuth(),
+    validate(createMatchSeriesValidation),
+    matchSeriesController.create()
+  );
+  router.patch(
+    '/:id',
+    requireAuth(),
+    validate(updateMatchSeriesValidation),
+    matchSeriesController.update()
+  );
+  router.delete(
+    '/:id',
+    requireAuth(),
+    validate(matchSeriesIdValidation),
+    matchSeriesController.end()
+  );
+
+  // Skip a single occurrence without affecting the rest of the series
+  router.post(
+    '/:id/occurrences/:date/cancel',
+    requireAuth(),
+    validate(cancelOccurrenceValidation),
+    matchSeriesController.cancelOccurrence()
+  );
+
+  return router;
+}
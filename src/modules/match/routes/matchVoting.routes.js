@@ -0,0 +1,19 @@
+/**
+ * Match Voting Routes
+ * Mounted under /matches/:id/votes
+ */
+import express from 'express';
+import { requireAuth, validate } from '@/core/http/index.js';
+import { castVoteValidation, matchVotingValidation } from '../validation/matchVoting.validation.js';
+
+export function createMatchVotingRoutes(matchVotingController) {
+  const router = express.Router({ mergeParams: true });
+
+  // Voting state; results are revealed once voting closes
+  router.get('/', requireAuth(), validate(matchVotingValidation), matchVotingController.get());
+
+  // One anonymous ballot per participant (checked in service)
+  router.post('/', requireAuth(), validate(castVoteValidation), matchVotingController.vote());
+
+  return router;
+}
@@ -0,0 +1,73 @@
+/**
+ * Cricket Scoring Format
+ * Each side has an innings total of { runs, wickets, overs }, with overs written
+ * as overs.balls (19.4 is 19 overs and 4 balls). An optional players scorecard
+ * maps user IDs to their own { runs, wickets } for player stats.
+ */
+import { assertCount, topKeys } from './format.utils.js';
+
+const MAX_WICKETS = 10;
+const BALLS_PER_OVER = 6;
+
+const assertOvers = (overs, label) => {
+  const tenths = Math.round(overs * 10);
+  const valid =
+    typeof overs === 'number' &&
+    overs >= 0 &&
+    Math.abs(overs * 10 - tenths) < 1e-9 &&
+    tenths % 10 < BALLS_PER_OVER;
+  if (!valid) {
+    throw new Error(`${label} must be written as overs.balls with at most 5 balls`);
+  }
+};
+
+export const cricketFormat = {
+  name: 'cricket',
+  statFields: ['runsScored', 'wicketsTaken'],
+  scoredFromEvents: false,
+
+  validate(scores) {
+    for (const [key, innings] of Object.entries(scores)) {
+      if (!innings || typeof innings !== 'object') {
+        throw new Error(`Score for ${key} must be an object with runs, wickets and overs`);
+      }
+      assertCount(innings.runs, `Runs for ${key}`);
+      assertCount(innings.wickets, `Wickets for ${key}`, MAX_WICKETS);
+      assertOvers(innings.overs, `Overs for ${key}`);
+
+      for (const [playerId, line] of Object.entries(innings.players || {})) {
+        if (!line || typeof line !== 'object') {
+          throw new Error(`Scorecard entry for ${playerId} must be an object`);
+        }
+        assertCount(line.runs ?? 0, `Runs for player ${playerId}`);
+        assertCount(line.wickets ?? 0, `Wickets for player ${playerId}`, MAX_WICKETS);
+      }
+    }
+  },
+
+  /**
+   * The side with more runs wins; level runs is a tie
+   */
+  winners(scores) {
+    return topKeys(scores, (innings) => innings?.runs || 0);
+  },
+
+  totals(scores) {
+    return Object.fromEntries(
+      Object.entries(scores).map(([key, innings]) => [key, innings?.runs || 0])
+    );
+  },
+
+  playerStats({ scores, participantId, side }) {
+    const innings = scores[side] || {};
+    const line = innings.players?.[participantId];
+    if (line) {
+      return { runsScored: line.runs || 0, wicketsTaken: line.wickets || 0 };
+    }
+
+    // In individual matches the innings is the player's own
+    return { runsScored: side === participantId ? innings.runs || 0 : 0, wicketsTaken: 0 };
+  },
+};
+
+export default cricketFormat;
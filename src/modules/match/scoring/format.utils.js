@@ -0,0 +1,25 @@
+/**
+ * Helpers shared by the scoring formats
+ */
+
+/**
+ * Throw unless the value is a non-negative integer
+ */
+export const assertCount = (value, label, max = Infinity) => {
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    throw new Error(
+      max === Infinity
+        ? `${label} must be a non-negative integer`
+        : `${label} must be an integer between 0 and ${max}`
+    );
+  }
+};
+
+/**
+ * Keys sharing the highest value. Every key ties when nobody has scored.
+ */
+export const topKeys = (scores, valueOf) => {
+  const values = Object.entries(scores).map(([key, score]) => [key, valueOf(score)]);
+  const highest = Math.max(...values.map(([, value]) => value));
+  return values.filter(([, value]) => value === highest).map(([key]) => key);
+};
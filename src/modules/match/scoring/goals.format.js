@@ -0,0 +1,66 @@
+/**
+ * Goals Scoring Format
+ * A single running total per side: goals in football, points in basketball.
+ * Individual scores may also be a detailed { goals, assists, fouls } line.
+ */
+import { assertCount, topKeys } from './format.utils.js';
+
+const DETAIL_FIELDS = ['goals', 'assists', 'fouls'];
+
+const points = (score) => Number(score && typeof score === 'object' ? score.goals : score) || 0;
+
+export const goalsFormat = {
+  name: 'goals',
+  statFields: ['goalsScored', 'assists', 'fouls'],
+  scoredFromEvents: true,
+
+  validate(scores) {
+    for (const [key, score] of Object.entries(scores)) {
+      if (typeof score === 'number') {
+        assertCount(score, `Score for ${key}`);
+        continue;
+      }
+      if (!score || typeof score !== 'object' || score.goals === undefined) {
+        throw new Error(`Score for ${key} must be a number or an object with goals`);
+      }
+      DETAIL_FIELDS.filter((field) => score[field] !== undefined).forEach((field) =>
+        assertCount(score[field], `${field} for ${key}`)
+      );
+    }
+  },
+
+  winners(scores) {
+    return topKeys(scores, points);
+  },
+
+  totals(scores) {
+    return Object.fromEntries(Object.entries(scores).map(([key, score]) => [key, points(score)]));
+  },
+
+  /**
+   * Prefers per-player stats aggregated from the match event timeline
+   */
+  playerStats({ scores, participantId, match }) {
+    const stats = { goalsScored: 0, assists: 0, fouls: 0 };
+
+    const fromEvents = match.playerStats?.[participantId];
+    if (fromEvents) {
+      stats.goalsScored = fromEvents.goals || 0;
+      stats.assists = fromEvents.assists || 0;
+      stats.fouls = fromEvents.fouls || 0;
+      return stats;
+    }
+
+    const score = scores[participantId];
+    if (typeof score === 'number') {
+      stats.goalsScored = score;
+    } else if (score && typeof score === 'object') {
+      stats.goalsScored = score.goals || 0;
+      stats.assists = score.assists || 0;
+      stats.fouls = score.fouls || 0;
+    }
+    return stats;
+  },
+};
+
+export default goalsFormat;
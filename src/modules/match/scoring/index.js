@@ -0,0 +1,59 @@
+/**
+ * Scoring Formats
+ * Sport-specific score payloads. Each format validates a match's scores, decides
+ * the winner and lists the per-player stat fields it contributes to UserStat.
+ *
+ * A format implements:
+ * - name: format name
+ * - statFields: UserStat fields filled in by playerStats
+ * - scoredFromEvents: whether goal events from the match timeline make up the score
+ * - validate(scores): throws an Error describing the first invalid entry
+ * - winners(scores): keys sharing the best result; more than one is a draw
+ * - totals(scores): a single figure per key (goals, runs or sets won) for tables
+ * - playerStats({ scores, participantId, side, match }): stat increments for a player
+ */
+import { goalsFormat } from './goals.format.js';
+import { cricketFormat } from './cricket.format.js';
+import { createSetsFormat } from './sets.format.js';
+
+const SPORT_FORMATS = {
+  football: goalsFormat,
+  basketball: goalsFormat,
+  cricket: cricketFormat,
+  tennis: createSetsFormat({ name: 'tennis', bestOf: 5 }),
+  badminton: createSetsFormat({ name: 'badminton', bestOf: 3 }),
+  volleyball: createSetsFormat({ name: 'volleyball', bestOf: 5 }),
+};
+
+export const SCORING_FORMATS = [...new Set([goalsFormat, ...Object.values(SPORT_FORMATS)])];
+
+/**
+ * Scoring format of a sport. Sports without their own format keep a running total.
+ */
+export const getScoringFormat = (sport) => SPORT_FORMATS[sport] || goalsFormat;
+
+/**
+ * Validate scores against a sport's format
+ * @returns {string|null} The validation error, or null when the scores are valid
+ */
+export const validateScores = (sport, scores) => {
+  try {
+    getScoringFormat(sport).validate(scores);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Whether scores fit at least one scoring format. Used where the match's sport is not known yet.
+ */
+export const fitsAnyScoringFormat = (scores) =>
+  SCORING_FORMATS.some((format) => {
+    try {
+      format.validate(scores);
+      return true;
+    } catch {
+      return false;
+    }
+  });
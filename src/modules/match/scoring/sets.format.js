@@ -0,0 +1,95 @@
+/**
+ * Sets Scoring Format
+ * Tennis, badminton and volleyball: two sides, each with the games or points
+ * won in every set played, e.g. { sets: [6, 4, 7] }. The side winning more
+ * sets wins the match; only the last set may be level while it is in play.
+ */
+import { assertCount } from './format.utils.js';
+
+const setsWon = (scores) => {
+  const sides = Object.entries(scores);
+  if (sides.length !== 2) {
+    return {};
+  }
+
+  const [[keyA, a], [keyB, b]] = sides;
+  const setsA = a?.sets || [];
+  const setsB = b?.sets || [];
+  const won = { [keyA]: 0, [keyB]: 0 };
+  setsA.forEach((games, i) => {
+    if (games > (setsB[i] ?? 0)) won[keyA] += 1;
+    if (games < (setsB[i] ?? 0)) won[keyB] += 1;
+  });
+  return won;
+};
+
+/**
+ * @param {Object} options
+ * @param {string} options.name - Format name
+ * @param {number} options.bestOf - Maximum number of sets in a match
+ */
+export const createSetsFormat = ({ name, bestOf }) => {
+  const setsToWin = Math.ceil(bestOf / 2);
+
+  return {
+    name,
+    bestOf,
+    statFields: ['setsWon', 'setsLost'],
+    scoredFromEvents: false,
+
+    validate(scores) {
+      const sides = Object.entries(scores);
+      if (sides.length !== 2) {
+        throw new Error('Scores must have exactly two sides');
+      }
+
+      for (const [key, score] of sides) {
+        if (!score || !Array.isArray(score.sets) || score.sets.length === 0) {
+          throw new Error(`Score for ${key} must be an object with a non-empty sets array`);
+        }
+        if (score.sets.length > bestOf) {
+          throw new Error(`A ${name} match has at most ${bestOf} sets`);
+        }
+        score.sets.forEach((games, i) => assertCount(games, `Set ${i + 1} for ${key}`));
+      }
+
+      const [[, a], [, b]] = sides;
+      if (a.sets.length !== b.sets.length) {
+        throw new Error('Both sides must have a score for every set');
+      }
+
+      const won = [0, 0];
+      a.sets.forEach((games, i) => {
+        if (Math.max(...won) >= setsToWin) {
+          throw new Error(`The match was decided after ${i} sets`);
+        }
+        if (games === b.sets[i] && i < a.sets.length - 1) {
+          throw new Error(`Set ${i + 1} cannot end level`);
+        }
+        if (games > b.sets[i]) won[0] += 1;
+        if (games < b.sets[i]) won[1] += 1;
+      });
+    },
+
+    winners(scores) {
+      const won = setsWon(scores);
+      const highest = Math.max(...Object.values(won));
+      return Object.keys(won).filter((key) => won[key] === highest);
+    },
+
+    totals(scores) {
+      return setsWon(scores);
+    },
+
+    playerStats({ scores, side }) {
+      const won = setsWon(scores);
+      if (won[side] === undefined) {
+        return { setsWon: 0, setsLost: 0 };
+      }
+      const opponent = Object.keys(won).find((key) => key !== side);
+      return { setsWon: won[side], setsLost: won[opponent] };
+    },
+  };
+};
+
+export default createSetsFormat;
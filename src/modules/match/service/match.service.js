@@ -1,9 +1,83 @@
 /**
  * Match Service
  */
+import { MatchEventAggregator } from './matchEventAggregator.service.js';
+import { MatchRecurrence } from './matchRecurrence.service.js';
+import { TeamBalancer } from './teamBalancer.service.js';
+import { getScoringFormat, validateScores } from '../scoring/index.js';
+
+const DEFAULT_ELO = 1000;
+const RESULT_CONFIRMATION_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DISCOVERY_PAGE_SIZE = 20;
+const DISCOVERY_MAX_PAGE_SIZE = 50;
+const DISCOVERY_DEFAULT_DISTANCE = 10000; // meters
+const CHECK_IN_OPENS_BEFORE_MS = 30 * 60 * 1000;
+const CHECK_IN_CLOSES_AFTER_MS = 30 * 60 * 1000;
+const CHECK_IN_MAX_DISTANCE = 500; // meters
+const EARTH_RADIUS = 6371000; // meters
+const UNDERFILLED_CANCEL_BEFORE_MS = 60 * 60 * 1000;
+const DEFAULT_MATCH_DURATION_MS = 2 * 60 * 60 * 1000; // for matches without an end time
+const OVERDUE_GRACE_MS = 30 * 60 * 1000;
+const OVERDUE_CLOSE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+const STATUS_TRANSITIONS = {
+  scheduled: ['live', 'cancelled'],
+  live: ['finished', 'cancelled'],
+  finished: [], // Cannot change from finished
+  cancelled: [], // Cannot change from cancelled
+};
+
+/**
+ * Great-circle distance between two points in meters
+ */
+function distanceBetween(lat1, lng1, lat2, lng2) {
+  const toRadians = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Opaque discovery cursor: the sort key and ID of the last match on a page
+ */
+function encodeCursor(sortBy, match) {
+  const payload = { s: sortBy, v: match[sortBy], id: match._id.toString() };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sortBy) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    payload = null;
+  }
+  if (!payload || payload.s !== sortBy || payload.v === undefined || !payload.id) {
+    const error = new Error('Invalid cursor');
+    error.statusCode = 400;
+    throw error;
+  }
+  return { value: sortBy === 'startAt' ? new Date(payload.v) : payload.v, id: payload.id };
+}
+
 class MatchService {
-  constructor(matchRepository, eventBus, logger) {
+  constructor(
+    matchRepository,
+    userRepository,
+    venueRepository,
+    venueService,
+    inviteLinkService,
+    eventBus,
+    logger
+  ) {
     this.matchRepository = matchRepository;
+    this.userRepository = userRepository;
+    this.venueRepository = venueRepository;
+    this.venueService = venueService;
+    this.inviteLinkService = inviteLinkService;
     this.eventBus = eventBus;
     this.logger = logger.child({ context: 'MatchService' });
   }
@@ -18,12 +92,214 @@ class MatchService {
     return match;
   }
 
-  async getMatchById(matchId) {
-    return this.matchRepository.findById(matchId);
+  /**
+   * Create a match and reserve its venue slot in one transaction, so neither
+   * exists without the other
+   */
+  async createMatchWithBooking(matchData, organizerId) {
+    const { venueId } = matchData;
+    const venue = await this.venueRepository.findById(venueId);
+    if (!venue) {
+      const error = new Error('Venue not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (venue.status !== 'active') {
+      const error = new Error('Venue is not available for booking');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const startAt = new Date(matchData.startAt);
+    const endAt = matchData.endAt ? new Date(matchData.endAt) : null;
+    if (!endAt || endAt <= startAt) {
+      const error = new Error('A booked match needs an end time after its start time');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (startAt < new Date()) {
+      const error = new Error('Cannot book a match in the past');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Venue bookings are made per local day in HH:MM wall-clock slots of the venue
+    const timeZone = venue.timezone || 'UTC';
+    const start = MatchRecurrence.localTime(startAt, timeZone);
+    const end = MatchRecurrence.localTime(endAt, timeZone);
+    if (end.day.getTime() !== start.day.getTime()) {
+      const error = new Error('A booked match must start and end on the same day');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    try {
+      this.venueService._validateBookingTime(start.time, end.time);
+    } catch (error) {
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const date = start.day;
+    const slot = {
+      venueId,
+      userId: organizerId,
+      date,
+      startTime: start.time,
+      endTime: end.time,
+      sport: matchData.sport,
+      teamSize: matchData.maxPlayers,
+      notes: `Match: ${matchData.title}`,
+    };
+
+    // A slot conflict aborts the transaction and surfaces as a 409 BookingConflictError
+    const match = await this.matchRepository.withTransaction(async (session) => {
+      const booking = await this.venueRepository.createBookingAtomic(slot, session);
+      return this.matchRepository.create(
+        { ...matchData, bookingId: booking._id, organizerId, participants: [organizerId] },
+        session
+      );
+    });
+
+    await this.eventBus.publish('venue.booked', {
+      venueId,
+      bookingId: match.bookingId,
+      userId: organizerId,
+      date,
+      timeSlot: `${slot.startTime}-${slot.endTime}`,
+    });
+    await this.eventBus.publish('match.created', {
+      matchId: match._id,
+      organizerId,
+      bookingId: match.bookingId,
+    });
+    return match;
+  }
+
+  /**
+   * Cancel the scheduled match of a booking that was rejected or cancelled at the venue
+   */
+  async handleBookingReleased(bookingId, reason) {
+    const match = await this.matchRepository.findByBookingId(bookingId);
+    if (!match || match.status !== 'scheduled') {
+      return null;
+    }
+
+    await this.matchRepository.update(match._id, { status: 'cancelled', cancelReason: reason });
+    await this.eventBus.publish('match.cancelled', { matchId: match._id, reason });
+    this.logger.info('Cancelled match after its venue booking was released', {
+      matchId: match._id,
+      bookingId,
+    });
+    return match._id;
   }
 
-  async listMatches(filters = {}) {
-    return this.matchRepository.find(filters);
+  /**
+   * Release the venue booking of a cancelled match
+   */
+  async _releaseBooking(match, userId, reason) {
+    if (!match.bookingId) {
+      return;
+    }
+
+    const releaseReason = reason || 'Match cancelled';
+    const booking = await this.venueRepository.cancelBooking(match.bookingId, releaseReason);
+    if (booking) {
+      await this.eventBus.publish('booking.cancelled', {
+        bookingId: match.bookingId,
+        userId,
+        reason: releaseReason,
+      });
+    }
+  }
+
+  /**
+   * Private matches are only visible to their players or through an invite link.
+   * To everyone else they do not exist.
+   */
+  async getMatchById(matchId, userId = null, inviteToken = null) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match || match.visibility !== 'private' || this._isMember(match, userId)) {
+      return match;
+    }
+
+    if (!inviteToken) {
+      const error = new Error('Match not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    await this.inviteLinkService.verifyToken('match', match._id, inviteToken);
+    return match;
+  }
+
+  async listMatches(filters = {}, userId = null) {
+    const visible = [{ visibility: { $ne: 'private' } }];
+    if (userId) {
+      visible.push({ organizerId: userId }, { participants: userId });
+    }
+    return this.matchRepository.find({ ...filters, $or: visible });
+  }
+
+  /**
+   * Discovery feed of upcoming matches ("Games near me")
+   * @param {Object} params - Geo, sport, skill, date, open spots and fee filters
+   * @returns {Object} { matches, nextCursor, hasMore }
+   */
+  async discoverMatches(params = {}) {
+    const hasPoint = params.latitude !== undefined && params.longitude !== undefined;
+    const sortBy = params.sort || (hasPoint ? 'distance' : 'startAt');
+    if (sortBy === 'distance' && !hasPoint) {
+      const error = new Error('latitude and longitude are required to sort by distance');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const filter = {
+      status: 'scheduled',
+      visibility: 'public',
+      startAt: { $gte: params.from ? new Date(params.from) : new Date() },
+    };
+    if (params.to) filter.startAt.$lte = new Date(params.to);
+    if (params.sport) filter.sport = params.sport;
+    if (params.skillLevel) filter.skillLevel = params.skillLevel;
+
+    // Matches without an entry fee are free
+    if (params.minFee > 0 || params.maxFee !== undefined) {
+      const feeRange = {};
+      if (params.minFee > 0) feeRange.$gte = params.minFee;
+      if (params.maxFee !== undefined) feeRange.$lte = params.maxFee;
+      if (params.minFee > 0) {
+        filter.entryFee = feeRange;
+      } else {
+        filter.$or = [{ entryFee: feeRange }, { entryFee: null }];
+      }
+    }
+
+    const limit = Math.min(params.limit || DISCOVERY_PAGE_SIZE, DISCOVERY_MAX_PAGE_SIZE);
+    const results = await this.matchRepository.discover({
+      filter,
+      near: hasPoint
+        ? {
+            lng: params.longitude,
+            lat: params.latitude,
+            maxDistance: params.maxDistance || DISCOVERY_DEFAULT_DISTANCE,
+          }
+        : null,
+      minOpenSpots: params.minOpenSpots,
+      sortBy,
+      after: params.cursor ? decodeCursor(params.cursor, sortBy) : null,
+      limit: limit + 1,
+    });
+
+    const hasMore = results.length > limit;
+    const matches = results.slice(0, limit);
+    return {
+      matches,
+      nextCursor: hasMore ? encodeCursor(sortBy, matches[matches.length - 1]) : null,
+      hasMore,
+    };
   }
 
   async updateMatch(matchId, data, userId) {
@@ -31,8 +307,23 @@ class MatchService {
     if (!match || match.organizerId.toString() !== userId) {
       throw new Error('Not authorized');
     }
+
+    // The booked slot would no longer match the match time
+    if (match.bookingId && ['startAt', 'endAt', 'venueId'].some((key) => key in data)) {
+      const error = new Error(
+        'Cannot change the time or venue of a booked match. Cancel it and create a new one.'
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
     const updated = await this.matchRepository.update(matchId, data);
     await this.eventBus.publish('match.updated', { matchId, data });
+
+    // Raising maxPlayers may open spots for waitlisted users
+    if (data.maxPlayers) {
+      return this._fillFromWaitlist(updated);
+    }
     return updated;
   }
 
@@ -43,9 +334,10 @@ class MatchService {
     }
     await this.matchRepository.update(matchId, { status: 'cancelled', cancelReason: reason });
     await this.eventBus.publish('match.cancelled', { matchId, reason });
+    await this._releaseBooking(match, userId, reason);
   }
 
-  async joinMatch(matchId, userId) {
+  async joinMatch(matchId, userId, inviteToken = null) {
     const match = await this.matchRepository.findById(matchId);
     if (!match) {
       const error = new Error('Match not found');
@@ -53,6 +345,17 @@ class MatchService {
       throw error;
     }
 
+    // Private matches can only be joined through an invite link
+    let inviteLink = null;
+    if (match.visibility === 'private' && !this._isMember(match, userId)) {
+      if (!inviteToken) {
+        const error = new Error('This match is private. An invite link is required to join');
+        error.statusCode = 403;
+        throw error;
+      }
+      inviteLink = await this.inviteLinkService.verifyToken('match', match._id, inviteToken);
+    }
+
     if (match.status !== 'scheduled') {
       const error = new Error('Cannot join a match that is not scheduled');
       error.statusCode = 400;
@@ -65,14 +368,108 @@ class MatchService {
       throw error;
     }
 
+    if (match.minReliability) {
+      await this._assertReliability(match, userId);
+    }
+
+    if (inviteLink) {
+      await this.inviteLinkService.redeem(inviteLink);
+    }
+
     if (match.maxPlayers && match.participants.length >= match.maxPlayers) {
-      const error = new Error('Match is full');
+      return this._joinWaitlist(match, userId);
+    }
+
+    // The last spot can go to someone else between the read above and this update
+    const joined = await this.matchRepository.addParticipant(matchId, userId);
+    if (!joined) {
+      return this._joinWaitlist(match, userId);
+    }
+
+    await this.eventBus.publish('match.participant_joined', { matchId, userId });
+    return { waitlisted: false };
+  }
+
+  /**
+   * Organizer creates a shareable invite link, typically for a private match
+   */
+  async createInviteLink(matchId, userId, options = {}) {
+    const match = await this._getOrganizerMatch(matchId, userId, 'create invite links');
+    if (match.status === 'finished' || match.status === 'cancelled') {
+      const error = new Error(`Cannot create invite links for a ${match.status} match`);
       error.statusCode = 400;
       throw error;
     }
+    return this.inviteLinkService.createLink('match', match._id, userId, options);
+  }
 
-    await this.matchRepository.addParticipant(matchId, userId);
-    await this.eventBus.publish('match.participant_joined', { matchId, userId });
+  async listInviteLinks(matchId, userId) {
+    const match = await this._getOrganizerMatch(matchId, userId, 'view invite links');
+    return this.inviteLinkService.listLinks('match', match._id);
+  }
+
+  async revokeInviteLink(matchId, linkId, userId) {
+    const match = await this._getOrganizerMatch(matchId, userId, 'revoke invite links');
+    return this.inviteLinkService.revokeLink('match', match._id, linkId, userId);
+  }
+
+  _isMember(match, userId) {
+    if (!userId) {
+      return false;
+    }
+    return (
+      match.organizerId.toString() === userId ||
+      match.participants.some((p) => p.toString() === userId) ||
+      (match.waitlist || []).some((w) => w.userId.toString() === userId)
+    );
+  }
+
+  async _getOrganizerMatch(matchId, userId, action) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match) {
+      const error = new Error('Match not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    if (match.organizerId.toString() !== userId) {
+      const error = new Error(`Only the match organizer can ${action}`);
+      error.statusCode = 403;
+      throw error;
+    }
+    return match;
+  }
+
+  /**
+   * Players without any attendance history are given the benefit of the doubt
+   */
+  async _assertReliability(match, userId) {
+    const user = await this.userRepository.findById(userId);
+    const score = user?.reliability?.score;
+    if (score !== null && score !== undefined && score < match.minReliability) {
+      const error = new Error(
+        `This match requires a reliability score of at least ${match.minReliability}%`
+      );
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  async _joinWaitlist(match, userId) {
+    if ((match.waitlist || []).some((w) => w.userId.toString() === userId)) {
+      const error = new Error('Already on the waitlist for this match');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const updated = await this.matchRepository.addToWaitlist(match._id, userId);
+    if (!updated) {
+      const error = new Error('Already on the waitlist for this match');
+      error.statusCode = 400;
+      throw error;
+    }
+    const position = updated.waitlist.findIndex((w) => w.userId.toString() === userId) + 1;
+    await this.eventBus.publish('match.waitlist_joined', { matchId: match._id, userId, position });
+    return { waitlisted: true, position };
   }
 
   async leaveMatch(matchId, userId) {
@@ -84,6 +481,13 @@ class MatchService {
     }
 
     if (!match.participants.some((p) => p.toString() === userId)) {
+      // Leaving the waitlist is allowed at any time
+      if ((match.waitlist || []).some((w) => w.userId.toString() === userId)) {
+        await this.matchRepository.removeFromWaitlist(matchId, userId);
+        await this.eventBus.publish('match.waitlist_left', { matchId, userId });
+        return;
+      }
+
       const error = new Error('Not a participant in this match');
       error.statusCode = 400;
       throw error;
@@ -101,8 +505,327 @@ class MatchService {
       throw error;
     }
 
-    await this.matchRepository.removeParticipant(matchId, userId);
+    const updated = await this.matchRepository.removeParticipant(matchId, userId);
     await this.eventBus.publish('match.participant_left', { matchId, userId });
+    await this._fillFromWaitlist(updated);
+  }
+
+  async getWaitlist(matchId, userId) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match) {
+      const error = new Error('Match not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (match.organizerId.toString() !== userId) {
+      const error = new Error('Only the match organizer can view the waitlist');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    return (match.waitlist || []).map((entry, index) => ({ ...entry, position: index + 1 }));
+  }
+
+  async reorderWaitlist(matchId, userIds, userId) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match) {
+      const error = new Error('Match not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (match.organizerId.toString() !== userId) {
+      const error = new Error('Only the match organizer can reorder the waitlist');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    // The new order must contain exactly the users currently waiting
+    const waitlist = match.waitlist || [];
+    const entriesByUser = new Map(waitlist.map((w) => [w.userId.toString(), w]));
+    const isPermutation =
+      userIds.length === waitlist.length &&
+      new Set(userIds).size === userIds.length &&
+      userIds.every((id) => entriesByUser.has(id));
+
+    if (!isPermutation) {
+      const error = new Error(
+        'Reordered waitlist must contain exactly the current waitlisted users'
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const updated = await this.matchRepository.setWaitlist(
+      matchId,
+      userIds.map((id) => entriesByUser.get(id))
+    );
+    await this.eventBus.publish('match.waitlist_reordered', { matchId, userIds });
+    return updated.waitlist.map((entry, index) => ({ ...entry, position: index + 1 }));
+  }
+
+  /**
+   * Promote waitlisted users while the match has open spots
+   */
+  async _fillFromWaitlist(match) {
+    let current = match;
+
+    while (
+      current &&
+      current.status === 'scheduled' &&
+      current.waitlist?.length > 0 &&
+      (!current.maxPlayers || current.participants.length < current.maxPlayers)
+    ) {
+      const nextUserId = current.waitlist[0].userId.toString();
+      const promoted = await this.matchRepository.promoteFromWaitlist(current._id, nextUserId);
+      if (!promoted) {
+        break;
+      }
+
+      await this.eventBus.publish('match.waitlist_promoted', {
+        matchId: current._id,
+        userId: nextUserId,
+        title: current.title,
+        startAt: current.startAt,
+      });
+      this.logger.info('Promoted user from waitlist', { matchId: current._id, userId: nextUserId });
+      current = promoted;
+    }
+
+    return current;
+  }
+
+  /**
+   * Check a participant in around kick-off. When a location is given it must be
+   * within range of the venue and the check-in is marked as verified.
+   */
+  async checkIn(matchId, userId, { latitude, longitude } = {}, now = new Date()) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match) {
+      const error = new Error('Match not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!match.participants.some((p) => p.toString() === userId)) {
+      const error = new Error('Only participants can check in to this match');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (match.status !== 'scheduled' && match.status !== 'live') {
+      const error = new Error(`Cannot check in to a ${match.status} match`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const startAt = new Date(match.startAt).getTime();
+    if (now.getTime() < startAt - CHECK_IN_OPENS_BEFORE_MS) {
+      const error = new Error(
+        `Check-in opens ${CHECK_IN_OPENS_BEFORE_MS / 60000} minutes before the match starts`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+    if (now.getTime() > startAt + CHECK_IN_CLOSES_AFTER_MS) {
+      const error = new Error('Check-in has closed for this match');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const entry = { userId, status: 'checked_in', checkedInAt: now, verified: false };
+    const venue = match.location?.geo?.coordinates;
+    if (latitude !== undefined && longitude !== undefined && venue?.length === 2) {
+      entry.distance = Math.round(distanceBetween(latitude, longitude, venue[1], venue[0]));
+      if (entry.distance > CHECK_IN_MAX_DISTANCE) {
+        const error = new Error(
+          `You must be within ${CHECK_IN_MAX_DISTANCE}m of the venue to check in`
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+      entry.verified = true;
+    }
+
+    const updated = await this.matchRepository.recordAttendance(matchId, entry);
+    if (!updated) {
+      const error = new Error('Attendance has already been recorded for this match');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await this.eventBus.publish('match.player_checked_in', {
+      matchId,
+      userId,
+      verified: entry.verified,
+    });
+    return entry;
+  }
+
+  /**
+   * Mark participants who never checked in as no-shows once check-in has closed
+   */
+  async markNoShows(matchId, userIds, organizerId, now = new Date()) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match) {
+      const error = new Error('Match not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (match.organizerId.toString() !== organizerId) {
+      const error = new Error('Only the match organizer can mark no-shows');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (match.status === 'cancelled') {
+      const error = new Error('Cannot mark no-shows for a cancelled match');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (now.getTime() <= new Date(match.startAt).getTime() + CHECK_IN_CLOSES_AFTER_MS) {
+      const error = new Error('No-shows can only be marked once check-in has closed');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const notParticipating = userIds.filter(
+      (id) => !match.participants.some((p) => p.toString() === id)
+    );
+    if (notParticipating.length > 0) {
+      const error = new Error(`Not participants in this match: ${notParticipating.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const recorded = new Set((match.attendance || []).map((a) => a.userId.toString()));
+    const alreadyRecorded = userIds.filter((id) => recorded.has(id));
+    if (alreadyRecorded.length > 0) {
+      const error = new Error(
+        `Attendance has already been recorded for: ${alreadyRecorded.join(', ')}`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let current = match;
+    for (const userId of new Set(userIds)) {
+      const updated = await this.matchRepository.recordAttendance(matchId, {
+        userId,
+        status: 'no_show',
+        markedBy: organizerId,
+      });
+      // Skip players whose check-in landed in the meantime
+      if (!updated) {
+        continue;
+      }
+      current = updated;
+      await this.eventBus.publish('match.no_show_marked', { matchId, userId });
+    }
+
+    return current.attendance || [];
+  }
+
+  async getAttendance(matchId, userId = null, inviteToken = null) {
+    const match = await this.getMatchById(matchId, userId, inviteToken);
+    if (!match) {
+      const error = new Error('Match not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return match.attendance || [];
+  }
+
+  /**
+   * Split the current participants into rating-balanced sides and persist them
+   * as the match's team assignments
+   */
+  async balanceTeams(matchId, options, userId) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match) {
+      const error = new Error('Match not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (match.organizerId.toString() !== userId) {
+      const error = new Error('Only the match organizer can balance teams');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (!match.teamBased) {
+      const error = new Error('Teams can only be balanced for team-based matches');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (match.status !== 'scheduled') {
+      const error = new Error('Teams can only be balanced before the match starts');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const teams = (match.teams || []).map((t) => t.toString());
+    const sides = options.sides || teams.length || 2;
+    if (teams.length > 0 && sides !== teams.length) {
+      const error = new Error(
+        `This match has ${teams.length} teams, so it needs ${teams.length} sides`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const participantIds = match.participants.map((p) => p.toString());
+    if (participantIds.length < sides) {
+      const error = new Error(`At least ${sides} players are needed to form ${sides} sides`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const keepTogether = options.keepTogether || [];
+    const keepApart = options.keepApart || [];
+    const constrained = [...keepTogether, ...keepApart].flat().map((id) => id.toString());
+    if (constrained.some((id) => !participantIds.includes(id))) {
+      const error = new Error('Constraints may only reference match participants');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const stats = await this.userRepository.getStatsForUsers(participantIds, match.sport);
+    const eloByUser = new Map(stats.map((s) => [s.userId.toString(), s.elo]));
+    const players = participantIds.map((userId) => ({
+      userId,
+      elo: eloByUser.get(userId) ?? DEFAULT_ELO,
+    }));
+
+    let balanced;
+    try {
+      balanced = TeamBalancer.balance(players, { sides, keepTogether, keepApart });
+    } catch (err) {
+      const error = new Error(err.message);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const teamAssignments = balanced.sides.map((side, index) => ({
+      side: TeamBalancer.sideLabel(index),
+      teamId: teams[index],
+      players: side.players,
+      rating: side.rating,
+    }));
+
+    await this.matchRepository.update(matchId, { teamAssignments });
+    await this.eventBus.publish('match.teams_balanced', {
+      matchId,
+      teamAssignments,
+      spread: balanced.spread,
+    });
+
+    return { sides: teamAssignments, spread: balanced.spread };
   }
 
   async updateScore(matchId, scores, userId) {
@@ -113,6 +836,8 @@ class MatchService {
       throw error;
     }
 
+    this._assertScoresEditable(match);
+
     // Only organizer or participants can update scores
     const isOrganizer = match.organizerId.toString() === userId;
     const isParticipant = match.participants.some((p) => p.toString() === userId);
@@ -129,11 +854,434 @@ class MatchService {
       throw error;
     }
 
+    // Goals recorded as events are the source of the score from then on
+    if (match.events?.length > 0 && getScoringFormat(match.sport).scoredFromEvents) {
+      const error = new Error(
+        'This match keeps its score from the recorded events; record goals instead'
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    this._assertScoresFitSport(match, scores);
+
     const updated = await this.matchRepository.update(matchId, { scores });
     await this.eventBus.publish('match.score_updated', { matchId, scores, updatedBy: userId });
     return updated;
   }
 
+  async getMatchEvents(matchId, userId = null, inviteToken = null) {
+    const match = await this.getMatchById(matchId, userId, inviteToken);
+    if (!match) {
+      const error = new Error('Match not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return [...(match.events || [])].sort((a, b) => (a.minute ?? 0) - (b.minute ?? 0));
+  }
+
+  async recordMatchEvent(matchId, eventData, userId) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match) {
+      const error = new Error('Match not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    this._assertScoresEditable(match);
+
+    // Same permission rules as score updates
+    const isOrganizer = match.organizerId.toString() === userId;
+    const isParticipant = match.participants.some((p) => p.toString() === userId);
+
+    if (!isOrganizer && !isParticipant) {
+      const error = new Error('Only organizer or participants can record match events');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (match.status !== 'live' && match.status !== 'finished') {
+      const error = new Error('Can only record events for live or finished matches');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!match.participants.some((p) => p.toString() === eventData.playerId)) {
+      const error = new Error('Player is not a participant in this match');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Goals default to the scorer's assigned side
+    const assignment = (match.teamAssignments || []).find((a) =>
+      a.players.some((p) => p.toString() === eventData.playerId)
+    );
+    const team = eventData.team || (assignment && TeamBalancer.sideKey(assignment));
+
+    if (match.teamBased && eventData.type === 'goal' && !team) {
+      const error = new Error('Team is required for goals in team-based matches');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (match.teamBased && team) {
+      const sideKeys = MatchEventAggregator.sideKeys(match);
+      if (!sideKeys.includes(team.toString())) {
+        const error = new Error(
+          sideKeys.length > 0
+            ? `Team must be one of the match sides: ${sideKeys.join(', ')}`
+            : 'Assign teams or sides to the match before recording team events'
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    const withEvent = await this.matchRepository.addEvent(matchId, {
+      type: eventData.type,
+      minute: eventData.minute,
+      playerId: eventData.playerId,
+      relatedPlayerId: eventData.relatedPlayerId,
+      team,
+      note: eventData.note,
+      recordedBy: userId,
+    });
+    const event = withEvent.events[withEvent.events.length - 1];
+
+    const updated = await this._applyEventAggregate(withEvent);
+    await this.eventBus.publish('match.event_recorded', { matchId, event, recordedBy: userId });
+    await this.eventBus.publish('match.score_updated', {
+      matchId,
+      scores: updated.scores,
+      updatedBy: userId,
+    });
+
+    return event;
+  }
+
+  async deleteMatchEvent(matchId, eventId, userId) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match) {
+      const error = new Error('Match not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    this._assertScoresEditable(match);
+
+    if (match.organizerId.toString() !== userId) {
+      const error = new Error('Only the match organizer can remove match events');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (!(match.events || []).some((e) => e._id.toString() === eventId)) {
+      const error = new Error('Match event not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const withoutEvent = await this.matchRepository.removeEvent(matchId, eventId);
+    const updated = await this._applyEventAggregate(withoutEvent);
+    await this.eventBus.publish('match.event_removed', { matchId, eventId, removedBy: userId });
+    await this.eventBus.publish('match.score_updated', {
+      matchId,
+      scores: updated.scores,
+      updatedBy: userId,
+    });
+  }
+
+  /**
+   * Recompute score and per-player stats from the event timeline
+   */
+  async _applyEventAggregate(match) {
+    const { scores, playerStats } = MatchEventAggregator.aggregate(match.events, match);
+    // Sports scored in runs or sets keep their own score; events only feed player stats
+    if (!getScoringFormat(match.sport).scoredFromEvents) {
+      return this.matchRepository.update(match._id, { playerStats });
+    }
+    return this.matchRepository.update(match._id, { scores, playerStats });
+  }
+
+  /**
+   * Submit the final score. The other side must confirm or dispute it before
+   * the result counts; undisputed results are auto-confirmed once the window closes.
+   */
+  async submitResult(matchId, scores, userId) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match) {
+      const error = new Error('Match not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const isOrganizer = match.organizerId.toString() === userId;
+    const isParticipant = match.participants.some((p) => p.toString() === userId);
+    if (!isOrganizer && !isParticipant) {
+      const error = new Error('Only organizer or participants can submit the match result');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (match.status !== 'live' && match.status !== 'finished') {
+      const error = new Error('Can only submit results for live or finished matches');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return this._submitResult(match, scores, userId);
+  }
+
+  async confirmResult(matchId, userId) {
+    const match = await this._getMatchWithResult(matchId, ['pending']);
+    this._assertOpposingSide(match, userId, 'confirm');
+
+    const updated = await this._finalizeResult(match, match.result.scores, ['pending'], {
+      'result.confirmedBy': userId,
+    });
+    return updated.result;
+  }
+
+  async disputeResult(matchId, userId, { reason, scores } = {}) {
+    const match = await this._getMatchWithResult(matchId, ['pending']);
+    this._assertOpposingSide(match, userId, 'dispute');
+    if (scores) {
+      this._assertScoresFitSport(match, scores);
+    }
+
+    if (new Date(match.result.confirmBy) < new Date()) {
+      const error = new Error('The confirmation window for this result has closed');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const updated = await this.matchRepository.updateResultIfStatus(matchId, ['pending'], {
+      'result.status': 'disputed',
+      'result.dispute': {
+        raisedBy: userId,
+        reason,
+        proposedScores: scores,
+        raisedAt: new Date(),
+      },
+    });
+    if (!updated) {
+      const error = new Error('This result is no longer awaiting confirmation');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await this.eventBus.publish('match.result_disputed', {
+      matchId,
+      raisedBy: userId,
+      reason,
+      submittedBy: match.result.submittedBy,
+    });
+    return updated.result;
+  }
+
+  /**
+   * Moderator queue of disputed results, oldest dispute first
+   */
+  async listDisputedResults() {
+    return this.matchRepository.findDisputedResults();
+  }
+
+  /**
+   * Settle a disputed result. Without scores the originally submitted result stands.
+   */
+  async resolveDispute(matchId, moderatorId, { scores, resolution } = {}) {
+    const match = await this._getMatchWithResult(matchId, ['disputed']);
+    if (scores) {
+      this._assertScoresFitSport(match, scores);
+    }
+
+    const updated = await this._finalizeResult(match, scores || match.result.scores, ['disputed'], {
+      'result.confirmedBy': moderatorId,
+      'result.dispute.resolvedBy': moderatorId,
+      'result.dispute.resolvedAt': new Date(),
+      'result.dispute.resolution': resolution,
+    });
+    return updated.result;
+  }
+
+  /**
+   * Confirm pending results whose confirmation window has closed.
+   * Run periodically by the match results background job.
+   */
+  async autoConfirmResults(now = new Date()) {
+    const matches = await this.matchRepository.findResultsAwaitingConfirmation(now);
+    let confirmed = 0;
+
+    for (const match of matches) {
+      try {
+        await this._finalizeResult(match, match.result.scores, ['pending'], {
+          'result.autoConfirmed': true,
+        });
+        confirmed += 1;
+      } catch (error) {
+        // Confirmed or disputed in the meantime
+        if (error.statusCode !== 409) {
+          this.logger.error('Failed to auto-confirm match result', {
+            matchId: match._id,
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    return { pending: matches.length, confirmed };
+  }
+
+  async _submitResult(match, scores, userId) {
+    if (!this._hasResultSides(match)) {
+      const error = new Error(
+        'Players must be assigned to sides before a team match result can be submitted'
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+    if (scores) {
+      this._assertScoresFitSport(match, scores);
+    }
+
+    const submittedAt = new Date();
+    const confirmBy = new Date(submittedAt.getTime() + RESULT_CONFIRMATION_WINDOW_MS);
+
+    const updated = await this.matchRepository.updateResultIfStatus(match._id, [null], {
+      status: 'finished',
+      result: {
+        status: 'pending',
+        scores,
+        submittedBy: userId,
+        submittedSide: this._getResultSide(match, userId),
+        submittedAt,
+        confirmBy,
+      },
+    });
+    if (!updated) {
+      const error = new Error('A result has already been submitted for this match');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (match.status !== 'finished') {
+      await this.eventBus.publish('match.status_updated', {
+        matchId: match._id,
+        status: 'finished',
+        previousStatus: match.status,
+      });
+    }
+    await this.eventBus.publish('match.result_submitted', {
+      matchId: match._id,
+      submittedBy: userId,
+      scores,
+      confirmBy,
+    });
+    return updated.result;
+  }
+
+  /**
+   * Confirm a result, make its scores the match score and trigger stats updates
+   */
+  async _finalizeResult(match, scores, fromStatuses, fields = {}) {
+    const updated = await this.matchRepository.updateResultIfStatus(match._id, fromStatuses, {
+      scores,
+      'result.status': 'confirmed',
+      'result.scores': scores,
+      'result.confirmedAt': new Date(),
+      ...fields,
+    });
+    if (!updated) {
+      const error = new Error('This result is no longer awaiting confirmation');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await this.eventBus.publish('match.result_confirmed', {
+      matchId: match._id,
+      scores,
+      confirmedBy: updated.result.confirmedBy,
+      autoConfirmed: updated.result.autoConfirmed,
+    });
+    await this.eventBus.publish('match.finished', { matchId: match._id, scores });
+    return updated;
+  }
+
+  async _getMatchWithResult(matchId, statuses) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match) {
+      const error = new Error('Match not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!match.result || !statuses.includes(match.result.status)) {
+      const error = new Error(
+        match.result
+          ? `Match result is ${match.result.status}`
+          : 'No result has been submitted for this match'
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+    return match;
+  }
+
+  /**
+   * Side a user plays on for result confirmation: their assigned side in team-based
+   * matches, otherwise every participant is their own side. Team-based matches without
+   * assignments have no known sides.
+   */
+  _getResultSide(match, userId) {
+    if (match.teamBased) {
+      const assignment = (match.teamAssignments || []).find((a) =>
+        a.players.some((p) => p.toString() === userId)
+      );
+      return assignment ? TeamBalancer.sideKey(assignment) : null;
+    }
+    return userId;
+  }
+
+  _hasResultSides(match) {
+    return !match.teamBased || match.teamAssignments?.length > 0;
+  }
+
+  _assertOpposingSide(match, userId, action) {
+    if (!match.participants.some((p) => p.toString() === userId)) {
+      const error = new Error(`Only participants can ${action} the match result`);
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const side = this._getResultSide(match, userId);
+    if (!side || side === match.result.submittedSide) {
+      const error = new Error(`Only the opposing side can ${action} the match result`);
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  /**
+   * Scores must follow the scoring format of the match's sport
+   */
+  _assertScoresFitSport(match, scores) {
+    const message = validateScores(match.sport, scores);
+    if (message) {
+      const error = new Error(`Invalid ${match.sport || 'match'} scores: ${message}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  _assertScoresEditable(match) {
+    if (match.result) {
+      const error = new Error('Scores cannot be changed once a result has been submitted');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
   async updateStatus(matchId, status, userId) {
     const match = await this.matchRepository.findById(matchId);
     if (!match) {
@@ -149,21 +1297,40 @@ class MatchService {
       throw error;
     }
 
-    // Validate status transitions
-    const validTransitions = {
-      scheduled: ['live', 'cancelled'],
-      live: ['finished', 'cancelled'],
-      finished: [], // Cannot change from finished
-      cancelled: [], // Cannot change from cancelled
-    };
-
-    if (!validTransitions[match.status]?.includes(status)) {
+    if (!STATUS_TRANSITIONS[match.status]?.includes(status)) {
       const error = new Error(`Cannot transition from ${match.status} to ${status}`);
       error.statusCode = 400;
       throw error;
     }
 
-    const updated = await this.matchRepository.update(matchId, { status });
+    const updated = await this._transitionStatus(match, status, { userId });
+    if (!updated) {
+      const error = new Error('Match status changed in the meantime, please retry');
+      error.statusCode = 409;
+      throw error;
+    }
+    return updated;
+  }
+
+  /**
+   * Move a match to a new status and publish the matching events. Shared by
+   * organizer status updates and the lifecycle sweep. Returns null when the
+   * match left its current status in the meantime.
+   */
+  async _transitionStatus(match, status, { userId, reason } = {}) {
+    const matchId = match._id;
+    // Automatic transitions act on behalf of the organizer
+    const actorId = userId || match.organizerId.toString();
+    const update = { status };
+    if (status === 'cancelled' && reason) {
+      update.cancelReason = reason;
+    }
+
+    const updated = await this.matchRepository.updateIfStatus(matchId, match.status, update);
+    if (!updated) {
+      return null;
+    }
+
     await this.eventBus.publish('match.status_updated', {
       matchId,
       status,
@@ -173,13 +1340,97 @@ class MatchService {
     // Trigger additional events for specific statuses
     if (status === 'live') {
       await this.eventBus.publish('match.started', { matchId });
-    } else if (status === 'finished') {
-      await this.eventBus.publish('match.finished', { matchId, scores: match.scores });
+    } else if (status === 'cancelled') {
+      await this.eventBus.publish('match.cancelled', { matchId, reason });
+      await this._releaseBooking(match, actorId, reason);
+    } else if (
+      status === 'finished' &&
+      match.scores &&
+      !match.result &&
+      this._hasResultSides(match)
+    ) {
+      // The live score becomes the submitted result for the other side to confirm.
+      // match.finished follows once that result is confirmed.
+      await this._submitResult(updated, match.scores, actorId);
+      return this.matchRepository.findById(matchId);
     }
 
     return updated;
   }
 
+  /**
+   * Background sweep that keeps match status in step with the clock:
+   * - cancels matches still short of minPlayers shortly before kickoff
+   * - starts scheduled matches once startAt has passed
+   * - finishes overdue live matches that have a score, flags the rest and
+   *   closes them without a result once they are a day overdue
+   */
+  async runLifecycleSweep(now = new Date()) {
+    const summary = { cancelled: 0, started: 0, finished: 0, flagged: 0 };
+
+    const cutoff = new Date(now.getTime() + UNDERFILLED_CANCEL_BEFORE_MS);
+    for (const match of await this.matchRepository.findUnderfilled(cutoff)) {
+      const reason = `Not enough players (${match.participants.length}/${match.minPlayers})`;
+      if (await this._sweepTransition(match, 'cancelled', { reason })) {
+        summary.cancelled += 1;
+      }
+    }
+
+    for (const match of await this.matchRepository.findDueToStart(now)) {
+      if (await this._sweepTransition(match, 'live')) {
+        summary.started += 1;
+      }
+    }
+
+    const overdueBefore = new Date(now.getTime() - OVERDUE_GRACE_MS);
+    for (const match of await this.matchRepository.findLiveStartedBefore(overdueBefore)) {
+      const endAt = match.endAt
+        ? new Date(match.endAt)
+        : new Date(new Date(match.startAt).getTime() + DEFAULT_MATCH_DURATION_MS);
+      const overdueFor = now.getTime() - endAt.getTime();
+      if (overdueFor < OVERDUE_GRACE_MS) {
+        continue;
+      }
+
+      if (match.scores || overdueFor >= OVERDUE_CLOSE_AFTER_MS) {
+        if (await this._sweepTransition(match, 'finished')) {
+          summary.finished += 1;
+        }
+      } else if (!match.overdueAt) {
+        const flagged = await this.matchRepository.updateIfStatus(match._id, 'live', {
+          overdueAt: now,
+        });
+        if (flagged) {
+          await this.eventBus.publish('match.overdue', {
+            matchId: match._id,
+            organizerId: match.organizerId,
+            title: match.title,
+            endAt,
+          });
+          summary.flagged += 1;
+        }
+      }
+    }
+
+    if (Object.values(summary).some((count) => count > 0)) {
+      this.logger.info('Match lifecycle sweep completed', summary);
+    }
+    return summary;
+  }
+
+  async _sweepTransition(match, status, options = {}) {
+    try {
+      return await this._transitionStatus(match, status, options);
+    } catch (error) {
+      this.logger.error('Automatic match status transition failed', {
+        matchId: match._id,
+        status,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
   async startMatch(matchId, userId) {
     const match = await this.matchRepository.findById(matchId);
     if (!match || match.organizerId.toString() !== userId) {
@@ -194,9 +1445,15 @@ class MatchService {
     if (!match || match.organizerId.toString() !== userId) {
       throw new Error('Not authorized');
     }
-    await this.matchRepository.update(matchId, { status: 'finished', scores: result.scores });
-    await this.eventBus.publish('match.finished', { matchId, result });
-    return { success: true, message: 'Match finished, stats updated' };
+    this._assertScoresEditable(match);
+
+    // Stats are updated once the other side confirms the submitted result
+    const submitted = await this._submitResult(match, result.scores || match.scores, userId);
+    return {
+      success: true,
+      message: 'Match finished, result awaiting confirmation',
+      confirmBy: submitted.confirmBy,
+    };
   }
 }
 
@@ -0,0 +1,95 @@
+/**
+ * Match Event Aggregator
+ * Derives the match score and per-player stats from the match event timeline
+ */
+import { TeamBalancer } from './teamBalancer.service.js';
+
+export class MatchEventAggregator {
+  /**
+   * Aggregate a match's event timeline
+   * @param {Array} events - Match events (goal, assist, foul, cards, substitution)
+   * @param {Object} match - Match with participants, teams, team assignments and teamBased flag
+   * @returns {Object} { scores, playerStats } keyed by side (team-based) or player ID
+   */
+  static aggregate(events = [], match = {}) {
+    const scores = {};
+    const playerStats = {};
+
+    // Every side starts at zero so outcome calculation sees all competitors
+    this.sideKeys(match).forEach((key) => {
+      scores[key] = 0;
+    });
+
+    for (const event of events) {
+      const playerId = event.playerId.toString();
+      const stats = playerStats[playerId] || this.emptyPlayerStats();
+      playerStats[playerId] = stats;
+
+      switch (event.type) {
+        case 'goal': {
+          stats.goals += 1;
+          const key = match.teamBased ? event.team : playerId;
+          if (key) {
+            scores[key] = (scores[key] || 0) + 1;
+          }
+          break;
+        }
+        case 'assist':
+          stats.assists += 1;
+          break;
+        case 'foul':
+          stats.fouls += 1;
+          break;
+        // A card is always issued for a foul, so it also counts towards fouls
+        case 'yellow_card':
+          stats.yellowCards += 1;
+          stats.fouls += 1;
+          break;
+        case 'red_card':
+          stats.redCards += 1;
+          stats.fouls += 1;
+          break;
+        case 'substitution':
+          stats.substitutions += 1;
+          break;
+        default:
+          break;
+      }
+    }
+
+    return { scores, playerStats };
+  }
+
+  /**
+   * Scores keys of a match: its assigned sides or teams when team-based, otherwise
+   * its participants
+   * @param {Object} match
+   * @returns {Array<string>}
+   */
+  static sideKeys(match = {}) {
+    if (!match.teamBased) {
+      return (match.participants || []).map((p) => p.toString());
+    }
+    if (match.teamAssignments?.length > 0) {
+      return match.teamAssignments.map((a) => TeamBalancer.sideKey(a));
+    }
+    return (match.teams || []).map((t) => t.toString());
+  }
+
+  /**
+   * Zeroed per-player stat line
+   * @returns {Object}
+   */
+  static emptyPlayerStats() {
+    return {
+      goals: 0,
+      assists: 0,
+      fouls: 0,
+      yellowCards: 0,
+      redCards: 0,
+      substitutions: 0,
+    };
+  }
+}
+
+export default MatchEventAggregator;
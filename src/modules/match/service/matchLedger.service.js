@@ -0,0 +1,271 @@
+/**
+ * Match Ledger Service
+ * Tracks what each participant owes for a match, how it was paid and who still owes
+ */
+import { PAYMENT_METHODS } from '../model/matchPayment.model.js';
+
+const SPLIT_MODES = ['entry_fee', 'even', 'custom'];
+const REMINDER_COOLDOWN_MS = 6 * 60 * 60 * 1000;
+
+// Ledger amounts are kept in whole cents to avoid floating point drift
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (cents) => cents / 100;
+
+class MatchLedgerService {
+  constructor(matchPaymentRepository, matchRepository, venueRepository, eventBus, logger) {
+    this.matchPaymentRepository = matchPaymentRepository;
+    this.matchRepository = matchRepository;
+    this.venueRepository = venueRepository;
+    this.eventBus = eventBus;
+    this.logger = logger.child({ context: 'MatchLedgerService' });
+  }
+
+  /**
+   * Ledger for a match. The organizer sees every line and a summary,
+   * participants only see their own line.
+   */
+  async getLedger(matchId, userId) {
+    const match = await this._getMatch(matchId);
+    const entries = await this.matchPaymentRepository.findByMatch(matchId);
+
+    if (match.organizerId.toString() === userId) {
+      return { entries, summary: MatchLedgerService.summarize(entries) };
+    }
+
+    if (!match.participants.some((p) => p.toString() === userId)) {
+      const error = new Error('Only the organizer and participants can view the match ledger');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    return { entries: entries.filter((e) => e.userId.toString() === userId) };
+  }
+
+  /**
+   * Work out what each participant owes:
+   * - entry_fee: everyone owes the match entry fee
+   * - even: a total (default: the venue booking price) split evenly
+   * - custom: explicit amounts for every participant
+   */
+  async splitCosts(matchId, organizerId, { mode = 'entry_fee', total, shares } = {}) {
+    const match = await this._getOrganizerMatch(matchId, organizerId, 'split match costs');
+
+    if (!SPLIT_MODES.includes(mode)) {
+      const error = new Error(`Split mode must be one of: ${SPLIT_MODES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const existing = await this.matchPaymentRepository.findByMatch(matchId);
+    if (existing.some((e) => e.status === 'paid')) {
+      const error = new Error('Costs cannot be split again once payments have been recorded');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const participantIds = match.participants.map((p) => p.toString());
+    let amounts;
+    let splitTotal;
+
+    if (mode === 'entry_fee') {
+      if (!match.entryFee) {
+        const error = new Error('This match has no entry fee to collect');
+        error.statusCode = 400;
+        throw error;
+      }
+      amounts = participantIds.map(() => toCents(match.entryFee));
+      splitTotal = fromCents(amounts.reduce((sum, cents) => sum + cents, 0));
+    } else if (mode === 'even') {
+      splitTotal = total ?? (await this._getBookingPrice(match));
+      if (splitTotal === null || splitTotal === undefined) {
+        const error = new Error('A total is required when the match has no priced venue booking');
+        error.statusCode = 400;
+        throw error;
+      }
+      amounts = MatchLedgerService.splitEvenly(toCents(splitTotal), participantIds.length);
+    } else {
+      amounts = this._customAmounts(participantIds, shares, total);
+      splitTotal = fromCents(amounts.reduce((sum, cents) => sum + cents, 0));
+    }
+
+    const lines = participantIds.map((userId, i) => ({ userId, amount: fromCents(amounts[i]) }));
+    await this.matchPaymentRepository.setAmounts(matchId, lines);
+    await this.matchPaymentRepository.removeUnpaidExcept(matchId, participantIds);
+
+    await this.eventBus.publish('match.costs_split', { matchId, mode, total: splitTotal });
+    this.logger.info('Match costs split', { matchId, mode, total: splitTotal });
+
+    return this.getLedger(matchId, organizerId);
+  }
+
+  /**
+   * Organizer records a participant's payment, waives it or reverts it to unpaid
+   */
+  async recordPayment(matchId, participantId, organizerId, { status, method, note } = {}) {
+    await this._getOrganizerMatch(matchId, organizerId, 'record payments');
+
+    const entry = await this.matchPaymentRepository.findOne(matchId, participantId);
+    if (!entry) {
+      const error = new Error('No ledger entry for this participant');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    let update;
+    if (status === 'paid') {
+      if (!PAYMENT_METHODS.includes(method)) {
+        const error = new Error(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+      }
+      update = { status, method, paidAt: new Date(), recordedBy: organizerId };
+    } else {
+      update = { status, recordedBy: organizerId, $unset: { method: 1, paidAt: 1 } };
+    }
+    if (note !== undefined) {
+      update.note = note;
+    }
+
+    const updated = await this.matchPaymentRepository.update(matchId, participantId, update);
+    await this.eventBus.publish('match.payment_recorded', {
+      matchId,
+      userId: participantId,
+      status,
+      method: updated.method,
+      amount: updated.amount,
+    });
+    return updated;
+  }
+
+  /**
+   * Remind participants who still owe money. Players reminded recently are skipped.
+   */
+  async sendReminders(matchId, organizerId, now = new Date()) {
+    const match = await this._getOrganizerMatch(matchId, organizerId, 'send payment reminders');
+    const entries = await this.matchPaymentRepository.findByMatch(matchId);
+
+    const due = entries.filter(
+      (e) =>
+        e.status === 'unpaid' &&
+        e.amount > 0 &&
+        (!e.remindedAt || now.getTime() - new Date(e.remindedAt).getTime() >= REMINDER_COOLDOWN_MS)
+    );
+
+    for (const entry of due) {
+      await this.eventBus.publish('match.payment_reminder', {
+        matchId,
+        userId: entry.userId,
+        amount: entry.amount,
+        title: match.title,
+        startAt: match.startAt,
+      });
+    }
+
+    if (due.length > 0) {
+      await this.matchPaymentRepository.markReminded(
+        due.map((e) => e._id),
+        now
+      );
+    }
+
+    return { reminded: due.length, skipped: entries.length - due.length };
+  }
+
+  /**
+   * Totals for the organizer's reconciliation view
+   */
+  static summarize(entries) {
+    const counts = { paid: 0, unpaid: 0, waived: 0 };
+    const byMethod = {};
+    let due = 0;
+    let paid = 0;
+    let waived = 0;
+
+    for (const entry of entries) {
+      const cents = toCents(entry.amount);
+      counts[entry.status] += 1;
+      if (entry.status === 'waived') {
+        waived += cents;
+        continue;
+      }
+      due += cents;
+      if (entry.status === 'paid') {
+        paid += cents;
+        byMethod[entry.method] = (byMethod[entry.method] || 0) + cents;
+      }
+    }
+
+    return {
+      totalDue: fromCents(due),
+      totalPaid: fromCents(paid),
+      totalWaived: fromCents(waived),
+      outstanding: fromCents(due - paid),
+      counts,
+      byMethod: Object.fromEntries(
+        Object.entries(byMethod).map(([method, cents]) => [method, fromCents(cents)])
+      ),
+    };
+  }
+
+  /**
+   * Split a total in cents into count shares that differ by at most one cent
+   */
+  static splitEvenly(totalCents, count) {
+    const base = Math.floor(totalCents / count);
+    const remainder = totalCents - base * count;
+    return Array.from({ length: count }, (_, i) => base + (i < remainder ? 1 : 0));
+  }
+
+  _customAmounts(participantIds, shares = [], total) {
+    const byUser = new Map(shares.map((s) => [s.userId, s.amount]));
+    const covered =
+      byUser.size === shares.length &&
+      byUser.size === participantIds.length &&
+      participantIds.every((id) => byUser.has(id));
+
+    if (!covered) {
+      const error = new Error('Custom shares must list every participant exactly once');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const amounts = participantIds.map((id) => toCents(byUser.get(id)));
+    if (total !== undefined && amounts.reduce((sum, c) => sum + c, 0) !== toCents(total)) {
+      const error = new Error('Custom shares must add up to the total');
+      error.statusCode = 400;
+      throw error;
+    }
+    return amounts;
+  }
+
+  async _getBookingPrice(match) {
+    if (!match.bookingId) {
+      return null;
+    }
+    const booking = await this.venueRepository.findBookingById(match.bookingId);
+    return booking?.totalPrice ?? null;
+  }
+
+  async _getMatch(matchId) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match) {
+      const error = new Error('Match not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return match;
+  }
+
+  async _getOrganizerMatch(matchId, userId, action) {
+    const match = await this._getMatch(matchId);
+    if (match.organizerId.toString() !== userId) {
+      const error = new Error(`Only the match organizer can ${action}`);
+      error.statusCode = 403;
+      throw error;
+    }
+    return match;
+  }
+}
+
+export { MatchLedgerService };
+export default MatchLedgerService;
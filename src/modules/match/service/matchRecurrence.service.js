@@ -0,0 +1,215 @@
+/**
+ * Match Recurrence
+ * Expands a match series recurrence rule into concrete occurrence dates.
+ *
+ * Days are calendar days of the series time zone (UTC by default), represented as
+ * their midnight in UTC. The start time is wall-clock time in that zone, so a weekly
+ * 19:00 game stays at 19:00 local time across daylight saving changes.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const formatters = new Map();
+
+const WEEK_INTERVALS = {
+  weekly: 1,
+  biweekly: 2,
+};
+
+export class MatchRecurrence {
+  /**
+   * List the occurrences of a recurrence rule within a time window
+   * @param {Object} recurrence - { frequency, daysOfWeek, startTime, timezone, startDate,
+   *   endDate, exceptions }
+   * @param {Date} from - Window start (inclusive)
+   * @param {Date} to - Window end (inclusive)
+   * @returns {Array} [{ day, startAt }] sorted by startAt, where day is the occurrence's local day
+   */
+  static getOccurrences(recurrence, from, to) {
+    const interval = WEEK_INTERVALS[recurrence.frequency];
+    if (!interval) {
+      throw new Error(`Unsupported recurrence frequency: ${recurrence.frequency}`);
+    }
+
+    const timeZone = recurrence.timezone || DEFAULT_TIME_ZONE;
+    if (!this.isValidTimeZone(timeZone)) {
+      throw new Error(`Invalid time zone: ${timeZone}. Expected an IANA name like Europe/London`);
+    }
+
+    const { hours, minutes } = this.parseTime(recurrence.startTime);
+    const seriesStart = this.startOfDay(recurrence.startDate);
+    const seriesEnd = recurrence.endDate ? this.startOfDay(recurrence.endDate) : null;
+    const anchorWeek = this.startOfWeek(seriesStart);
+    const daysOfWeek =
+      recurrence.daysOfWeek && recurrence.daysOfWeek.length > 0
+        ? recurrence.daysOfWeek
+        : [seriesStart.getUTCDay()];
+    const exceptions = new Set((recurrence.exceptions || []).map((d) => this.toDayKey(d)));
+
+    const occurrences = [];
+    const fromTime = new Date(from).getTime();
+    const toTime = new Date(to).getTime();
+    // Local days can start up to a day either side of the UTC one
+    let day = new Date(Math.max(seriesStart.getTime(), this.startOfDay(from).getTime() - DAY_MS));
+
+    while (day.getTime() <= toTime + DAY_MS && (!seriesEnd || day <= seriesEnd)) {
+      const weekIndex = Math.round((this.startOfWeek(day) - anchorWeek) / WEEK_MS);
+      if (
+        weekIndex % interval === 0 &&
+        daysOfWeek.includes(day.getUTCDay()) &&
+        !exceptions.has(this.toDayKey(day))
+      ) {
+        const startAt = this.zonedTime(day, hours, minutes, timeZone);
+        if (startAt.getTime() >= fromTime && startAt.getTime() <= toTime) {
+          occurrences.push({ day: new Date(day), startAt });
+        }
+      }
+      day = new Date(day.getTime() + DAY_MS);
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * The occurrence on a local day, ignoring exceptions
+   * @param {Object} recurrence
+   * @param {Date|string} date - Local day of the series time zone
+   * @returns {Object|null} { day, startAt }
+   */
+  static getOccurrenceOn(recurrence, date) {
+    const day = this.startOfDay(date);
+    const occurrences = this.getOccurrences(
+      { ...recurrence, exceptions: [] },
+      new Date(day.getTime() - DAY_MS),
+      new Date(day.getTime() + 2 * DAY_MS)
+    );
+    return occurrences.find((o) => o.day.getTime() === day.getTime()) || null;
+  }
+
+  /**
+   * Whether the name is an IANA time zone known to the runtime
+   * @param {string} timeZone
+   * @returns {boolean}
+   */
+  static isValidTimeZone(timeZone) {
+    try {
+      this.formatter(timeZone);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * The instant a local day reaches the given wall-clock time in a time zone
+   * @param {Date} day - Local day as its UTC midnight
+   * @param {number} hours
+   * @param {number} minutes
+   * @param {string} timeZone
+   * @returns {Date}
+   */
+  static zonedTime(day, hours, minutes, timeZone) {
+    const wallClock = day.getTime() + (hours * 60 + minutes) * 60 * 1000;
+    const guess = wallClock - this.timeZoneOffset(wallClock, timeZone);
+    // The offset at the guessed instant is the right one unless a DST change lies between
+    return new Date(wallClock - this.timeZoneOffset(guess, timeZone));
+  }
+
+  /**
+   * The local day and HH:MM wall-clock time of an instant in a time zone
+   * @param {Date|string} time
+   * @param {string} timeZone
+   * @returns {Object} { day, time } where day is the local day as its UTC midnight
+   */
+  static localTime(time, timeZone) {
+    const local = new Date(new Date(time).getTime() + this.timeZoneOffset(time, timeZone));
+    return { day: this.startOfDay(local), time: local.toISOString().slice(11, 16) };
+  }
+
+  /**
+   * Offset of a time zone from UTC at an instant, in milliseconds
+   * @param {number} time
+   * @param {string} timeZone
+   * @returns {number}
+   */
+  static timeZoneOffset(time, timeZone) {
+    const parts = {};
+    for (const { type, value } of this.formatter(timeZone).formatToParts(new Date(time))) {
+      parts[type] = Number(value);
+    }
+    const local = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    );
+    return local - Math.floor(time / 1000) * 1000;
+  }
+
+  static formatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+      formatters.set(
+        timeZone,
+        new Intl.DateTimeFormat('en-US', {
+          timeZone,
+          hourCycle: 'h23',
+          year: 'numeric',
+          month: 'numeric',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: 'numeric',
+          second: 'numeric',
+        })
+      );
+    }
+    return formatters.get(timeZone);
+  }
+
+  /**
+   * Parse an HH:MM time of day
+   * @param {string} time
+   * @returns {Object} { hours, minutes }
+   */
+  static parseTime(time) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || '');
+    if (!match) {
+      throw new Error(`Invalid start time: ${time}. Expected HH:MM`);
+    }
+    return { hours: Number(match[1]), minutes: Number(match[2]) };
+  }
+
+  /**
+   * Midnight UTC of the given date
+   * @param {Date|string} date
+   * @returns {Date}
+   */
+  static startOfDay(date) {
+    const d = new Date(date);
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  }
+
+  /**
+   * Midnight UTC of the Sunday starting the given date's week
+   * @param {Date|string} date
+   * @returns {Date}
+   */
+  static startOfWeek(date) {
+    const day = this.startOfDay(date);
+    return new Date(day.getTime() - day.getUTCDay() * DAY_MS);
+  }
+
+  /**
+   * YYYY-MM-DD key of a day
+   * @param {Date|string} date
+   * @returns {string}
+   */
+  static toDayKey(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+}
+
+export default MatchRecurrence;
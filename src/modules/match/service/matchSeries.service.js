@@ -0,0 +1,390 @@
+/**
+ * Match Series Service
+ * Manages recurring match series and generates their concrete matches ahead of time
+ */
+import { MatchRecurrence } from './matchRecurrence.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields copied from the series onto every generated match
+const TEMPLATE_FIELDS = [
+  'title',
+  'sport',
+  'sportCategory',
+  'type',
+  'location',
+  'maxPlayers',
+  'skillLevel',
+  'entryFee',
+  'prize',
+  'teamBased',
+  'visibility',
+];
+
+const UPDATABLE_FIELDS = [
+  ...TEMPLATE_FIELDS,
+  'durationMinutes',
+  'recurrence',
+  'coreParticipants',
+  'generateAheadDays',
+];
+
+function pickFields(data, fields) {
+  return fields.reduce((picked, field) => {
+    if (data[field] !== undefined) {
+      picked[field] = data[field];
+    }
+    return picked;
+  }, {});
+}
+
+class MatchSeriesService {
+  constructor(matchSeriesRepository, matchRepository, matchService, eventBus, logger) {
+    this.matchSeriesRepository = matchSeriesRepository;
+    this.matchRepository = matchRepository;
+    this.matchService = matchService;
+    this.eventBus = eventBus;
+    this.logger = logger.child({ context: 'MatchSeriesService' });
+  }
+
+  async createSeries(data, organizerId) {
+    const seriesData = pickFields(data, UPDATABLE_FIELDS);
+    this._validateRecurrence(seriesData.recurrence);
+    seriesData.coreParticipants = this._normalizeCoreParticipants(
+      seriesData.coreParticipants,
+      organizerId,
+      seriesData.maxPlayers
+    );
+
+    const series = await this.matchSeriesRepository.create({
+      ...seriesData,
+      recurrence: { ...seriesData.recurrence, exceptions: [] },
+      organizerId,
+    });
+    await this.eventBus.publish('match_series.created', { seriesId: series._id, organizerId });
+
+    await this.generateOccurrences(series);
+    return series;
+  }
+
+  /**
+   * Private series are only visible to their organizer and core participants
+   */
+  async getSeries(seriesId, userId = null) {
+    const series = await this.matchSeriesRepository.findById(seriesId);
+    if (!series || (series.visibility === 'private' && !this._isMember(series, userId))) {
+      const error = new Error('Match series not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return series;
+  }
+
+  async listSeries(filters = {}, userId = null) {
+    const visible = [{ visibility: { $ne: 'private' } }];
+    if (userId) {
+      visible.push({ organizerId: userId }, { coreParticipants: userId });
+    }
+    return this.matchSeriesRepository.find({ ...filters, $or: visible });
+  }
+
+  async getSeriesMatches(seriesId, { includePast = false } = {}, userId = null) {
+    await this.getSeries(seriesId, userId);
+    const query = includePast ? {} : { startAt: { $gte: new Date() } };
+    return this.matchRepository.findBySeries(seriesId, query);
+  }
+
+  /**
+   * Update a series and propagate the change to its future scheduled matches
+   */
+  async updateSeries(seriesId, data, userId) {
+    const series = await this._getOwnedSeries(seriesId, userId);
+    if (series.status !== 'active') {
+      const error = new Error('Cannot update a series that has ended');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const updates = pickFields(data, UPDATABLE_FIELDS);
+    if (updates.recurrence) {
+      // Exceptions are managed through occurrence cancellation only
+      updates.recurrence = {
+        ...series.recurrence,
+        ...updates.recurrence,
+        exceptions: series.recurrence.exceptions || [],
+      };
+      this._validateRecurrence(updates.recurrence);
+    }
+    if (updates.coreParticipants || updates.maxPlayers) {
+      updates.coreParticipants = this._normalizeCoreParticipants(
+        updates.coreParticipants || series.coreParticipants,
+        series.organizerId.toString(),
+        updates.maxPlayers ?? series.maxPlayers
+      );
+    }
+
+    const updated = await this.matchSeriesRepository.update(seriesId, updates);
+    await this._syncFutureOccurrences(updated);
+    await this.eventBus.publish('match_series.updated', { seriesId, data: updates });
+    return updated;
+  }
+
+  /**
+   * Skip a single occurrence, cancelling its match if it was already generated
+   */
+  async cancelOccurrence(seriesId, date, userId, reason) {
+    const series = await this._getOwnedSeries(seriesId, userId);
+    const day = MatchRecurrence.startOfDay(date);
+
+    if (!MatchRecurrence.getOccurrenceOn(series.recurrence, day)) {
+      const error = new Error('This series has no occurrence on the given date');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await this.matchSeriesRepository.addException(seriesId, day);
+
+    const match = await this.matchRepository.findSeriesOccurrence(seriesId, day);
+    if (match && match.status === 'scheduled') {
+      await this.matchService.cancelMatch(
+        match._id.toString(),
+        userId,
+        reason || 'Series occurrence cancelled'
+      );
+    }
+
+    await this.eventBus.publish('match_series.occurrence_cancelled', {
+      seriesId,
+      date: day,
+      matchId: match?._id,
+    });
+    return { date: day, matchId: match?._id || null };
+  }
+
+  /**
+   * End a series and cancel all of its upcoming matches
+   */
+  async endSeries(seriesId, userId) {
+    await this._getOwnedSeries(seriesId, userId);
+    await this.matchSeriesRepository.update(seriesId, { status: 'ended' });
+
+    const upcoming = await this.matchRepository.findBySeries(seriesId, {
+      status: 'scheduled',
+      startAt: { $gt: new Date() },
+    });
+    for (const match of upcoming) {
+      await this.matchService.cancelMatch(match._id.toString(), userId, 'Match series ended');
+    }
+
+    await this.eventBus.publish('match_series.ended', { seriesId });
+  }
+
+  /**
+   * Create the matches for every occurrence inside the series' generation window.
+   * Occurrences that already have a match (including cancelled ones) are skipped.
+   * @returns {Array} Newly created matches
+   */
+  async generateOccurrences(series, now = new Date()) {
+    if (series.status !== 'active') {
+      return [];
+    }
+
+    const until = new Date(now.getTime() + series.generateAheadDays * DAY_MS);
+    const occurrences = MatchRecurrence.getOccurrences(series.recurrence, now, until);
+    const organizerId = series.organizerId.toString();
+    const participants = [organizerId, ...(series.coreParticipants || []).map((p) => p.toString())];
+
+    const created = [];
+    for (const occurrence of occurrences) {
+      const existing = await this.matchRepository.findSeriesOccurrence(series._id, occurrence.day);
+      if (existing) {
+        continue;
+      }
+
+      let match;
+      try {
+        match = await this.matchRepository.create({
+          ...this._buildMatchFields(series, occurrence),
+          organizerId,
+          participants,
+          seriesId: series._id,
+          seriesOccurrence: occurrence.day,
+        });
+      } catch (error) {
+        // Another worker generated this occurrence concurrently
+        if (error.code === 11000) {
+          continue;
+        }
+        throw error;
+      }
+
+      await this.eventBus.publish('match.created', {
+        matchId: match._id,
+        organizerId,
+        seriesId: series._id,
+      });
+      created.push(match);
+    }
+
+    await this.matchSeriesRepository.update(series._id, { generatedUntil: until });
+    if (created.length > 0) {
+      this.logger.info('Generated series occurrences', {
+        seriesId: series._id,
+        count: created.length,
+      });
+    }
+    return created;
+  }
+
+  /**
+   * Generate upcoming matches for all active series and end series past their end date.
+   * Run periodically by the match series background job.
+   */
+  async generateAllUpcoming(now = new Date()) {
+    const seriesList = await this.matchSeriesRepository.findActive();
+    let matchesCreated = 0;
+    let seriesEnded = 0;
+
+    for (const series of seriesList) {
+      try {
+        const { endDate, timezone = 'UTC' } = series.recurrence;
+        const dayAfterEnd =
+          endDate && new Date(MatchRecurrence.startOfDay(endDate).getTime() + DAY_MS);
+        if (dayAfterEnd && MatchRecurrence.zonedTime(dayAfterEnd, 0, 0, timezone) <= now) {
+          await this.matchSeriesRepository.update(series._id, { status: 'ended' });
+          await this.eventBus.publish('match_series.ended', { seriesId: series._id });
+          seriesEnded += 1;
+          continue;
+        }
+
+        const created = await this.generateOccurrences(series, now);
+        matchesCreated += created.length;
+      } catch (error) {
+        this.logger.error('Failed to generate series occurrences', {
+          seriesId: series._id,
+          error: error.message,
+        });
+      }
+    }
+
+    return { seriesProcessed: seriesList.length, seriesEnded, matchesCreated };
+  }
+
+  /**
+   * Apply the series' current template, time and core participants to its future matches.
+   * Matches whose occurrence is no longer part of the schedule are cancelled.
+   */
+  async _syncFutureOccurrences(series, now = new Date()) {
+    const organizerId = series.organizerId.toString();
+    const upcoming = await this.matchRepository.findBySeries(series._id, {
+      status: 'scheduled',
+      startAt: { $gt: now },
+    });
+    const until = new Date(now.getTime() + series.generateAheadDays * DAY_MS);
+    const occurrences = new Map(
+      MatchRecurrence.getOccurrences(series.recurrence, now, until).map((o) => [
+        MatchRecurrence.toDayKey(o.day),
+        o,
+      ])
+    );
+
+    for (const match of upcoming) {
+      const matchId = match._id.toString();
+      const occurrence = occurrences.get(MatchRecurrence.toDayKey(match.seriesOccurrence));
+      if (!occurrence) {
+        await this.matchService.cancelMatch(
+          matchId,
+          organizerId,
+          'Removed from the series schedule'
+        );
+        continue;
+      }
+
+      // Core participants get their spot ahead of the waitlist while the match has room
+      const joined = new Set(match.participants.map((p) => p.toString()));
+      let openSpots = series.maxPlayers ? series.maxPlayers - joined.size : Infinity;
+      for (const userId of (series.coreParticipants || []).map((p) => p.toString())) {
+        if (joined.has(userId) || openSpots <= 0) {
+          continue;
+        }
+        if (!(await this.matchRepository.addParticipant(matchId, userId))) {
+          break;
+        }
+        await this.matchRepository.removeFromWaitlist(matchId, userId);
+        await this.eventBus.publish('match.participant_joined', { matchId, userId });
+        openSpots -= 1;
+      }
+
+      await this.matchService.updateMatch(
+        matchId,
+        this._buildMatchFields(series, occurrence),
+        organizerId
+      );
+    }
+
+    await this.generateOccurrences(series, now);
+  }
+
+  _buildMatchFields(series, occurrence) {
+    return {
+      ...pickFields(series, TEMPLATE_FIELDS),
+      startAt: occurrence.startAt,
+      endAt: new Date(occurrence.startAt.getTime() + series.durationMinutes * 60 * 1000),
+    };
+  }
+
+  _validateRecurrence(recurrence) {
+    if (!recurrence?.startDate) {
+      const error = new Error('Recurrence start date is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    try {
+      MatchRecurrence.getOccurrences(recurrence, recurrence.startDate, recurrence.startDate);
+    } catch (err) {
+      const error = new Error(err.message);
+      error.statusCode = 400;
+      throw error;
+    }
+    if (recurrence.endDate && new Date(recurrence.endDate) < new Date(recurrence.startDate)) {
+      const error = new Error('Series end date must be after its start date');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  _normalizeCoreParticipants(coreParticipants = [], organizerId, maxPlayers) {
+    const unique = [...new Set(coreParticipants.map((p) => p.toString()))].filter(
+      (p) => p !== organizerId.toString()
+    );
+    if (maxPlayers && unique.length + 1 > maxPlayers) {
+      const error = new Error('Core participants exceed the maximum number of players');
+      error.statusCode = 400;
+      throw error;
+    }
+    return unique;
+  }
+
+  _isMember(series, userId) {
+    if (!userId) {
+      return false;
+    }
+    return (
+      series.organizerId.toString() === userId ||
+      (series.coreParticipants || []).some((p) => p.toString() === userId)
+    );
+  }
+
+  async _getOwnedSeries(seriesId, userId) {
+    const series = await this.getSeries(seriesId, userId);
+    if (series.organizerId.toString() !== userId) {
+      const error = new Error('Only the series organizer can manage this series');
+      error.statusCode = 403;
+      throw error;
+    }
+    return series;
+  }
+}
+
+export { MatchSeriesService };
+export default MatchSeriesService;
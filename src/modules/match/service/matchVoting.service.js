@@ -0,0 +1,259 @@
+/**
+ * Match Voting Service
+ * Post-match MVP votes and anonymous peer ratings of skill and sportsmanship
+ */
+const VOTING_WINDOW_MS = 48 * 60 * 60 * 1000;
+
+const average = (total, count) => (count > 0 ? Math.round((total / count) * 100) / 100 : null);
+
+class MatchVotingService {
+  constructor(matchVoteRepository, matchRepository, eventBus, logger) {
+    this.matchVoteRepository = matchVoteRepository;
+    this.matchRepository = matchRepository;
+    this.eventBus = eventBus;
+    this.logger = logger.child({ context: 'MatchVotingService' });
+  }
+
+  /**
+   * Open the voting window once a match result is final. Does nothing when voting
+   * already opened or there are too few players to vote on each other.
+   */
+  async openVoting(matchId, now = new Date()) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match || match.participants.length < 2) {
+      return null;
+    }
+
+    const closesAt = new Date(now.getTime() + VOTING_WINDOW_MS);
+    const updated = await this.matchRepository.updateVotingIfStatus(matchId, null, {
+      voting: { status: 'open', opensAt: now, closesAt, voteCount: 0 },
+    });
+    if (!updated) {
+      return null;
+    }
+
+    await this.eventBus.publish('match.voting_opened', {
+      matchId: match._id,
+      title: match.title,
+      participants: match.participants,
+      closesAt,
+    });
+    this.logger.info('Match voting opened', { matchId, closesAt });
+    return updated.voting;
+  }
+
+  /**
+   * Cast the voter's single ballot: an MVP pick plus optional ratings of other players.
+   * Voting closes early once every participant has voted.
+   */
+  async castVote(matchId, voterId, { mvpId, ratings = [] } = {}, now = new Date()) {
+    const match = await this._getMatch(matchId);
+
+    if (match.voting?.status !== 'open' || new Date(match.voting.closesAt) <= now) {
+      const error = new Error('Voting is not open for this match');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const participantIds = new Set(match.participants.map((p) => p.toString()));
+    if (!participantIds.has(voterId)) {
+      const error = new Error('Only participants can vote on this match');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    this._assertBallot(participantIds, voterId, mvpId, ratings);
+
+    try {
+      await this.matchVoteRepository.create({ matchId, voterId, mvpId, ratings });
+    } catch (err) {
+      if (err.code === 11000) {
+        const error = new Error('You have already voted in this match');
+        error.statusCode = 409;
+        throw error;
+      }
+      throw err;
+    }
+
+    const updated = await this.matchRepository.incrementVoteCount(matchId);
+    if (updated && updated.voting.voteCount >= participantIds.size) {
+      await this.closeVoting(matchId, now);
+    }
+
+    return this.getVoting(matchId, voterId);
+  }
+
+  /**
+   * Voting state of a match. Results are only revealed once voting has closed.
+   */
+  async getVoting(matchId, userId) {
+    const match = await this._getMatch(matchId);
+    if (!match.voting) {
+      const error = new Error('Voting has not opened for this match');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const { status, closesAt, voteCount } = match.voting;
+    const voting = { status, closesAt, voteCount };
+
+    if (match.participants.some((p) => p.toString() === userId)) {
+      voting.hasVoted = await this.matchVoteRepository.hasVoted(matchId, userId);
+    }
+
+    if (status === 'closed') {
+      voting.closedAt = match.voting.closedAt;
+      voting.mvpIds = match.voting.mvpIds;
+      voting.results = match.voting.results;
+    }
+
+    return voting;
+  }
+
+  /**
+   * Tally the ballots, store the results and hand the ratings over to player stats
+   */
+  async closeVoting(matchId, now = new Date()) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match || match.voting?.status !== 'open') {
+      return null;
+    }
+
+    const votes = await this.matchVoteRepository.findByMatch(matchId);
+    const tally = MatchVotingService.tally(votes);
+    const topVotes = Math.max(0, ...tally.map((t) => t.mvpVotes));
+    const mvpIds =
+      topVotes > 0 ? tally.filter((t) => t.mvpVotes === topVotes).map((t) => t.userId) : [];
+
+    const updated = await this.matchRepository.updateVotingIfStatus(matchId, 'open', {
+      'voting.status': 'closed',
+      'voting.closedAt': now,
+      'voting.mvpIds': mvpIds,
+      'voting.results': tally.map((t) => ({
+        userId: t.userId,
+        mvpVotes: t.mvpVotes,
+        skill: average(t.skillTotal, t.ratingCount),
+        sportsmanship: average(t.sportsmanshipTotal, t.ratingCount),
+        ratingCount: t.ratingCount,
+      })),
+    });
+    if (!updated) {
+      return null;
+    }
+
+    await this.eventBus.publish('match.voting_closed', {
+      matchId: match._id,
+      sport: match.sport,
+      mvpIds,
+      players: tally.map(({ userId, skillTotal, sportsmanshipTotal, ratingCount }) => ({
+        userId,
+        skillTotal,
+        sportsmanshipTotal,
+        ratingCount,
+      })),
+    });
+    this.logger.info('Match voting closed', { matchId, votes: votes.length, mvpIds });
+    return updated.voting;
+  }
+
+  /**
+   * Close every voting window that has run out. Used by the scheduled voting job.
+   */
+  async closeExpiredVoting(now = new Date()) {
+    const matches = await this.matchRepository.findVotingDueToClose(now);
+    let closed = 0;
+
+    for (const match of matches) {
+      try {
+        if (await this.closeVoting(match._id, now)) {
+          closed += 1;
+        }
+      } catch (error) {
+        this.logger.error('Failed to close match voting', {
+          matchId: match._id,
+          error: error.message,
+        });
+      }
+    }
+
+    return { closed };
+  }
+
+  /**
+   * Per-player MVP votes and rating totals across a match's ballots
+   */
+  static tally(votes) {
+    const players = new Map();
+    const entry = (userId) => {
+      const key = userId.toString();
+      if (!players.has(key)) {
+        players.set(key, {
+          userId: key,
+          mvpVotes: 0,
+          skillTotal: 0,
+          sportsmanshipTotal: 0,
+          ratingCount: 0,
+        });
+      }
+      return players.get(key);
+    };
+
+    for (const vote of votes) {
+      entry(vote.mvpId).mvpVotes += 1;
+      for (const rating of vote.ratings || []) {
+        const player = entry(rating.userId);
+        player.skillTotal += rating.skill;
+        player.sportsmanshipTotal += rating.sportsmanship;
+        player.ratingCount += 1;
+      }
+    }
+
+    return [...players.values()];
+  }
+
+  _assertBallot(participantIds, voterId, mvpId, ratings) {
+    if (mvpId === voterId) {
+      const error = new Error('You cannot vote for yourself as MVP');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (!participantIds.has(mvpId)) {
+      const error = new Error('The MVP must be a participant of the match');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const rated = new Set();
+    for (const rating of ratings) {
+      if (rating.userId === voterId) {
+        const error = new Error('You cannot rate yourself');
+        error.statusCode = 400;
+        throw error;
+      }
+      if (!participantIds.has(rating.userId)) {
+        const error = new Error('Only participants of the match can be rated');
+        error.statusCode = 400;
+        throw error;
+      }
+      if (rated.has(rating.userId)) {
+        const error = new Error('Each player can only be rated once per vote');
+        error.statusCode = 400;
+        throw error;
+      }
+      rated.add(rating.userId);
+    }
+  }
+
+  async _getMatch(matchId) {
+    const match = await this.matchRepository.findById(matchId);
+    if (!match) {
+      const error = new Error('Match not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return match;
+  }
+}
+
+export { MatchVotingService };
+export default MatchVotingService;
@@ -0,0 +1,214 @@
+/**
+ * Team Balancer
+ * Splits players into rating-balanced sides while honouring
+ * "keep together" and "keep apart" constraints
+ */
+
+const MAX_SWAP_PASSES = 50;
+
+export class TeamBalancer {
+  /**
+   * Split players into balanced sides
+   * @param {Array} players - [{ userId, elo }]
+   * @param {Object} options
+   * @param {number} options.sides - Number of sides (default 2)
+   * @param {Array} options.keepTogether - Groups of user IDs that must share a side
+   * @param {Array} options.keepApart - Groups of user IDs that must all be on different sides
+   * @returns {Object} { sides: [{ players, totalRating, rating }], spread }
+   */
+  static balance(players, { sides = 2, keepTogether = [], keepApart = [] } = {}) {
+    if (sides < 2) {
+      throw new Error('At least two sides are required');
+    }
+    if (players.length < sides) {
+      throw new Error(`Not enough players to form ${sides} sides`);
+    }
+
+    const ratings = new Map(players.map((p) => [p.userId.toString(), p.elo]));
+    const groups = this.buildGroups([...ratings.keys()], keepTogether);
+    const conflicts = this.buildConflicts(keepApart);
+
+    // Groups are never split, so every side needs a group of its own
+    if (groups.length < sides) {
+      throw new Error(`Keep together groups leave too few players to form ${sides} sides`);
+    }
+
+    for (const group of groups) {
+      if (group.members.some((a) => group.members.some((b) => conflicts.get(a)?.has(b)))) {
+        throw new Error('Keep together and keep apart constraints conflict');
+      }
+      group.rating = group.members.reduce((sum, id) => sum + ratings.get(id), 0);
+    }
+
+    const capacity = Math.ceil(players.length / sides);
+    const result = Array.from({ length: sides }, () => ({ groups: [], size: 0, total: 0 }));
+
+    // Place the strongest (and largest) groups first, each on the weakest side that can take it
+    const ordered = [...groups].sort(
+      (a, b) => b.members.length - a.members.length || b.rating - a.rating
+    );
+    for (const group of ordered) {
+      const candidates = result
+        .filter((side) => this.canJoin(side, group, conflicts))
+        .sort((a, b) => {
+          const aFits = a.size + group.members.length <= capacity ? 0 : 1;
+          const bFits = b.size + group.members.length <= capacity ? 0 : 1;
+          return aFits - bFits || a.size - b.size || a.total - b.total;
+        });
+      if (candidates.length === 0) {
+        throw new Error('Unable to satisfy keep apart constraints with this number of sides');
+      }
+      this.addGroup(candidates[0], group);
+    }
+
+    this.improveBySwapping(result, conflicts);
+
+    const formatted = result.map((side) => ({
+      players: side.groups.flatMap((g) => g.members),
+      totalRating: side.total,
+      rating: Math.round(side.total / side.size),
+    }));
+
+    return { sides: formatted, spread: Math.round(this.spread(result)) };
+  }
+
+  /**
+   * Label of the side at the given index (A, B, C, ...)
+   * @param {number} index
+   * @returns {string}
+   */
+  static sideLabel(index) {
+    return String.fromCharCode(65 + index);
+  }
+
+  /**
+   * Scores key of a team assignment: its team ID, or the side label for pickup sides
+   * @param {Object} assignment - { side, teamId }
+   * @returns {string}
+   */
+  static sideKey(assignment) {
+    return assignment.teamId ? assignment.teamId.toString() : assignment.side;
+  }
+
+  /**
+   * Merge keep-together groups that share players into disjoint groups.
+   * Players without constraints become single-member groups.
+   */
+  static buildGroups(playerIds, keepTogether) {
+    const parent = new Map(playerIds.map((id) => [id, id]));
+    const find = (id) => {
+      while (parent.get(id) !== id) {
+        id = parent.get(id);
+      }
+      return id;
+    };
+
+    for (const group of keepTogether) {
+      const ids = group.map((id) => id.toString()).filter((id) => parent.has(id));
+      for (let i = 1; i < ids.length; i++) {
+        parent.set(find(ids[i]), find(ids[0]));
+      }
+    }
+
+    const groups = new Map();
+    for (const id of playerIds) {
+      const root = find(id);
+      if (!groups.has(root)) {
+        groups.set(root, { members: [] });
+      }
+      groups.get(root).members.push(id);
+    }
+    return [...groups.values()];
+  }
+
+  /**
+   * Map each player to the set of players they must not share a side with
+   */
+  static buildConflicts(keepApart) {
+    const conflicts = new Map();
+    for (const group of keepApart) {
+      const ids = group.map((id) => id.toString());
+      for (const a of ids) {
+        for (const b of ids) {
+          if (a === b) continue;
+          if (!conflicts.has(a)) conflicts.set(a, new Set());
+          conflicts.get(a).add(b);
+        }
+      }
+    }
+    return conflicts;
+  }
+
+  static canJoin(side, group, conflicts, ignore = null) {
+    return side.groups.every(
+      (existing) =>
+        existing === ignore ||
+        !existing.members.some((a) => group.members.some((b) => conflicts.get(a)?.has(b)))
+    );
+  }
+
+  static addGroup(side, group) {
+    side.groups.push(group);
+    side.size += group.members.length;
+    side.total += group.rating;
+  }
+
+  static removeGroup(side, group) {
+    side.groups = side.groups.filter((g) => g !== group);
+    side.size -= group.members.length;
+    side.total -= group.rating;
+  }
+
+  /**
+   * Difference between the highest and lowest average side rating
+   */
+  static spread(sides) {
+    const averages = sides.map((side) => (side.size > 0 ? side.total / side.size : 0));
+    return Math.max(...averages) - Math.min(...averages);
+  }
+
+  /**
+   * Swap equally sized groups between sides while it narrows the rating spread
+   */
+  static improveBySwapping(sides, conflicts) {
+    for (let pass = 0; pass < MAX_SWAP_PASSES; pass++) {
+      let improved = false;
+
+      for (let i = 0; i < sides.length && !improved; i++) {
+        for (let j = i + 1; j < sides.length && !improved; j++) {
+          const current = this.spread(sides);
+          for (const a of sides[i].groups) {
+            for (const b of sides[j].groups) {
+              if (a.members.length !== b.members.length || a.rating === b.rating) continue;
+              if (!this.canJoin(sides[j], a, conflicts, b)) continue;
+              if (!this.canJoin(sides[i], b, conflicts, a)) continue;
+
+              this.removeGroup(sides[i], a);
+              this.removeGroup(sides[j], b);
+              this.addGroup(sides[i], b);
+              this.addGroup(sides[j], a);
+
+              if (this.spread(sides) < current) {
+                improved = true;
+                break;
+              }
+
+              // Revert the swap
+              this.removeGroup(sides[i], b);
+              this.removeGroup(sides[j], a);
+              this.addGroup(sides[i], a);
+              this.addGroup(sides[j], b);
+            }
+            if (improved) break;
+          }
+        }
+      }
+
+      if (!improved) {
+        return;
+      }
+    }
+  }
+}
+
+export default TeamBalancer;
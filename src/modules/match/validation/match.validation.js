@@ -3,6 +3,18 @@
  * Validation rules for match endpoints
  */
 import { body, param, query } from 'express-validator';
+import { MATCH_EVENT_TYPES } from '../model/match.model.js';
+import { fitsAnyScoringFormat } from '../scoring/index.js';
+
+/**
+ * Scores must fit a scoring format. The format of the match's sport is checked by the service.
+ */
+const scoresFitFormat = (scores) => {
+  if (!fitsAnyScoringFormat(scores)) {
+    throw new Error('Scores do not match any supported scoring format');
+  }
+  return true;
+};
 
 /**
  * Validation for creating a match
@@ -57,6 +69,27 @@ export const createMatchValidation = [
     .trim(),
 ];
 
+/**
+ * Validation for creating a match together with its venue booking
+ */
+export const createMatchWithBookingValidation = [
+  body('title')
+    .notEmpty()
+    .withMessage('Match title is required')
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters')
+    .trim(),
+  body('sport').notEmpty().withMessage('Sport is required'),
+  body('venueId').isMongoId().withMessage('Invalid venue ID'),
+  body('startAt').isISO8601().withMessage('Start time must be a valid ISO 8601 date'),
+  body('endAt').isISO8601().withMessage('End time must be a valid ISO 8601 date'),
+  body('maxPlayers')
+    .optional()
+    .isInt({ min: 2, max: 100 })
+    .withMessage('Max players must be between 2 and 100')
+    .toInt(),
+];
+
 /**
  * Validation for updating match
  */
@@ -109,7 +142,9 @@ export const updateScoreValidation = [
         throw new Error('Scores object cannot be empty');
       }
       return true;
-    }),
+    })
+    .bail()
+    .custom(scoresFitFormat),
 ];
 
 /**
@@ -124,6 +159,52 @@ export const updateStatusValidation = [
     .withMessage('Invalid status. Must be one of: scheduled, live, finished, cancelled'),
 ];
 
+/**
+ * Validation for reordering a match waitlist
+ */
+export const reorderWaitlistValidation = [
+  param('id').isMongoId().withMessage('Invalid match ID'),
+  body('userIds').isArray().withMessage('userIds must be an array'),
+  body('userIds.*').isMongoId().withMessage('Invalid user ID in userIds'),
+];
+
+/**
+ * Validation for recording a match event
+ */
+export const recordMatchEventValidation = [
+  param('id').isMongoId().withMessage('Invalid match ID'),
+  body('type')
+    .notEmpty()
+    .withMessage('Event type is required')
+    .isIn(MATCH_EVENT_TYPES)
+    .withMessage(`Invalid event type. Must be one of: ${MATCH_EVENT_TYPES.join(', ')}`),
+  body('playerId')
+    .notEmpty()
+    .withMessage('Player ID is required')
+    .isMongoId()
+    .withMessage('Invalid player ID'),
+  body('minute')
+    .optional()
+    .isInt({ min: 0, max: 300 })
+    .withMessage('Minute must be between 0 and 300')
+    .toInt(),
+  body('relatedPlayerId').optional().isMongoId().withMessage('Invalid related player ID'),
+  body('team').optional().isString().withMessage('Team must be a string').trim(),
+  body('note')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Note must not exceed 200 characters')
+    .trim(),
+];
+
+/**
+ * Validation for removing a match event
+ */
+export const matchEventIdValidation = [
+  param('id').isMongoId().withMessage('Invalid match ID'),
+  param('eventId').isMongoId().withMessage('Invalid event ID'),
+];
+
 /**
  * Validation for searching nearby matches
  */
@@ -146,3 +227,218 @@ export const nearbyMatchesValidation = [
     .withMessage('Max distance must be between 100 and 100000 meters')
     .toInt(),
 ];
+
+/**
+ * Validation for the match discovery feed
+ */
+export const discoverMatchesValidation = [
+  query('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  query('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+  query('latitude')
+    .if(query('longitude').exists())
+    .notEmpty()
+    .withMessage('Latitude and longitude must be provided together'),
+  query('longitude')
+    .if(query('latitude').exists())
+    .notEmpty()
+    .withMessage('Latitude and longitude must be provided together'),
+  query('maxDistance')
+    .optional()
+    .isInt({ min: 100, max: 100000 })
+    .withMessage('Max distance must be between 100 and 100000 meters')
+    .toInt(),
+  query('sport').optional().isString().trim(),
+  query('skillLevel')
+    .optional()
+    .isIn(['beginner', 'intermediate', 'advanced'])
+    .withMessage('Invalid skill level'),
+  query('from').optional().isISO8601().withMessage('From must be a valid ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid ISO 8601 date'),
+  query('minOpenSpots')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Min open spots must be between 1 and 100')
+    .toInt(),
+  query('minFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Min fee must be a positive number')
+    .toFloat(),
+  query('maxFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Max fee must be a positive number')
+    .toFloat(),
+  query('sort')
+    .optional()
+    .isIn(['distance', 'startAt'])
+    .withMessage('Sort must be either distance or startAt'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+  query('cursor').optional().isString().withMessage('Invalid cursor'),
+];
+
+/**
+ * Validation for balancing a team-based match into sides
+ */
+export const balanceTeamsValidation = [
+  param('id').isMongoId().withMessage('Invalid match ID'),
+  body('sides')
+    .optional()
+    .isInt({ min: 2, max: 8 })
+    .withMessage('Sides must be between 2 and 8')
+    .toInt(),
+  body('keepTogether')
+    .optional()
+    .isArray()
+    .withMessage('keepTogether must be an array of user ID groups'),
+  body('keepTogether.*')
+    .isArray({ min: 2 })
+    .withMessage('Each keepTogether group must contain at least two user IDs'),
+  body('keepTogether.*.*').isMongoId().withMessage('Invalid user ID in keepTogether'),
+  body('keepApart')
+    .optional()
+    .isArray()
+    .withMessage('keepApart must be an array of user ID groups'),
+  body('keepApart.*')
+    .isArray({ min: 2 })
+    .withMessage('Each keepApart group must contain at least two user IDs'),
+  body('keepApart.*.*').isMongoId().withMessage('Invalid user ID in keepApart'),
+];
+
+/**
+ * Validation for checking in to a match
+ */
+export const checkInValidation = [
+  param('id').isMongoId().withMessage('Invalid match ID'),
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+  body().custom((value) => {
+    if ((value?.latitude === undefined) !== (value?.longitude === undefined)) {
+      throw new Error('Latitude and longitude must be provided together');
+    }
+    return true;
+  }),
+];
+
+/**
+ * Validation for marking match no-shows
+ */
+export const markNoShowsValidation = [
+  param('id').isMongoId().withMessage('Invalid match ID'),
+  body('userIds').isArray({ min: 1 }).withMessage('userIds must be a non-empty array of user IDs'),
+  body('userIds.*').isMongoId().withMessage('Invalid user ID'),
+];
+
+/**
+ * Validation for submitting a match result
+ */
+export const submitResultValidation = [
+  param('id').isMongoId().withMessage('Invalid match ID'),
+  body('scores')
+    .notEmpty()
+    .withMessage('Scores are required')
+    .isObject()
+    .withMessage('Scores must be an object')
+    .bail()
+    .custom(scoresFitFormat),
+];
+
+/**
+ * Validation for disputing a submitted match result
+ */
+export const disputeResultValidation = [
+  param('id').isMongoId().withMessage('Invalid match ID'),
+  body('reason')
+    .notEmpty()
+    .withMessage('A reason is required to dispute a result')
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+    .trim(),
+  body('scores')
+    .optional()
+    .isObject()
+    .withMessage('Scores must be an object')
+    .bail()
+    .custom(scoresFitFormat),
+];
+
+/**
+ * Validation for resolving a disputed match result
+ */
+export const resolveDisputeValidation = [
+  param('id').isMongoId().withMessage('Invalid match ID'),
+  body('scores')
+    .optional()
+    .isObject()
+    .withMessage('Scores must be an object')
+    .bail()
+    .custom(scoresFitFormat),
+  body('resolution')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Resolution must not exceed 500 characters')
+    .trim(),
+];
+
+/**
+ * Validation for confirming a submitted match result
+ */
+export const confirmResultValidation = [param('id').isMongoId().withMessage('Invalid match ID')];
+
+/**
+ * Validation for joining a match, optionally through an invite link
+ */
+export const joinMatchValidation = [
+  param('id').isMongoId().withMessage('Invalid match ID'),
+  body('inviteToken').optional().isString().withMessage('Invalid invite token'),
+];
+
+/**
+ * Validation for listing a match's invite links
+ */
+export const listInviteLinksValidation = [param('id').isMongoId().withMessage('Invalid match ID')];
+
+/**
+ * Validation for creating a match invite link
+ */
+export const createInviteLinkValidation = [
+  param('id').isMongoId().withMessage('Invalid match ID'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO 8601 date')
+    .toDate(),
+  body('maxUses')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Max uses must be between 1 and 1000')
+    .toInt(),
+];
+
+/**
+ * Validation for revoking a match invite link
+ */
+export const inviteLinkIdValidation = [
+  param('id').isMongoId().withMessage('Invalid match ID'),
+  param('linkId').isMongoId().withMessage('Invalid invite link ID'),
+];
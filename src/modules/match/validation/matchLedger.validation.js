@@ -0,0 +1,56 @@
+/**
+ * Match Ledger Validation Schemas
+ * Validation rules for match payment ledger endpoints
+ */
+import { body, param } from 'express-validator';
+import { PAYMENT_METHODS, PAYMENT_STATUSES } from '../model/matchPayment.model.js';
+
+/**
+ * Validation for endpoints that only take a match ID
+ */
+export const matchLedgerValidation = [param('id').isMongoId().withMessage('Invalid match ID')];
+
+/**
+ * Validation for splitting match costs across participants
+ */
+export const splitCostsValidation = [
+  param('id').isMongoId().withMessage('Invalid match ID'),
+  body('mode')
+    .optional()
+    .isIn(['entry_fee', 'even', 'custom'])
+    .withMessage('Mode must be one of: entry_fee, even, custom'),
+  body('total')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Total must be a positive amount')
+    .toFloat(),
+  body('shares')
+    .if(body('mode').equals('custom'))
+    .isArray({ min: 1 })
+    .withMessage('Custom splits need a share for every participant'),
+  body('shares.*.userId').isMongoId().withMessage('Invalid user ID in shares'),
+  body('shares.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Share amounts must be positive')
+    .toFloat(),
+];
+
+/**
+ * Validation for recording a participant's payment
+ */
+export const recordPaymentValidation = [
+  param('id').isMongoId().withMessage('Invalid match ID'),
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('status')
+    .isIn(PAYMENT_STATUSES)
+    .withMessage(`Status must be one of: ${PAYMENT_STATUSES.join(', ')}`),
+  body('method')
+    .if(body('status').equals('paid'))
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters')
+    .trim(),
+];
@@ -0,0 +1,117 @@
+/**
+ * Match Series Validation Schemas
+ * Validation rules for match series endpoints
+ */
+import { body, param } from 'express-validator';
+import { SERIES_FREQUENCIES } from '../model/matchSeries.model.js';
+import { MatchRecurrence } from '../service/matchRecurrence.service.js';
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Rules shared by series creation and update
+ */
+const seriesFieldRules = [
+  body('title')
+    .optional()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters')
+    .trim(),
+  body('type')
+    .optional()
+    .isIn(['friendly', 'competitive'])
+    .withMessage('Type must be either friendly or competitive'),
+  body('maxPlayers')
+    .optional()
+    .isInt({ min: 2, max: 100 })
+    .withMessage('Max players must be between 2 and 100')
+    .toInt(),
+  body('skillLevel')
+    .optional()
+    .isIn(['beginner', 'intermediate', 'advanced'])
+    .withMessage('Invalid skill level'),
+  body('visibility')
+    .optional()
+    .isIn(['public', 'private'])
+    .withMessage('Visibility must be either public or private'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 15, max: 600 })
+    .withMessage('Duration must be between 15 and 600 minutes')
+    .toInt(),
+  body('generateAheadDays')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Generate-ahead window must be between 1 and 90 days')
+    .toInt(),
+  body('coreParticipants').optional().isArray().withMessage('Core participants must be an array'),
+  body('coreParticipants.*').isMongoId().withMessage('Invalid user ID in core participants'),
+  body('recurrence.frequency')
+    .optional()
+    .isIn(SERIES_FREQUENCIES)
+    .withMessage(`Frequency must be one of: ${SERIES_FREQUENCIES.join(', ')}`),
+  body('recurrence.daysOfWeek')
+    .optional()
+    .isArray({ min: 1, max: 7 })
+    .withMessage('Days of week must be a non-empty array'),
+  body('recurrence.daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+  body('recurrence.startTime')
+    .optional()
+    .matches(TIME_OF_DAY)
+    .withMessage('Start time must be in HH:MM format'),
+  body('recurrence.timezone')
+    .optional()
+    .custom((value) => MatchRecurrence.isValidTimeZone(value))
+    .withMessage('Time zone must be an IANA time zone such as Europe/London'),
+  body('recurrence.startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+  body('recurrence.endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date'),
+];
+
+/**
+ * Validation for creating a match series
+ */
+export const createMatchSeriesValidation = [
+  body('title').notEmpty().withMessage('Series title is required'),
+  body('sport').notEmpty().withMessage('Sport is required'),
+  body('recurrence').isObject().withMessage('Recurrence rule is required'),
+  body('recurrence.frequency').notEmpty().withMessage('Recurrence frequency is required'),
+  body('recurrence.startTime').notEmpty().withMessage('Recurrence start time is required'),
+  body('recurrence.startDate').notEmpty().withMessage('Recurrence start date is required'),
+  ...seriesFieldRules,
+];
+
+/**
+ * Validation for updating a match series
+ */
+export const updateMatchSeriesValidation = [
+  param('id').isMongoId().withMessage('Invalid series ID'),
+  body('recurrence').optional().isObject().withMessage('Recurrence must be an object'),
+  ...seriesFieldRules,
+];
+
+/**
+ * Validation for endpoints that only take a series ID
+ */
+export const matchSeriesIdValidation = [param('id').isMongoId().withMessage('Invalid series ID')];
+
+/**
+ * Validation for cancelling a single series occurrence
+ */
+export const cancelOccurrenceValidation = [
+  param('id').isMongoId().withMessage('Invalid series ID'),
+  param('date').isISO8601().withMessage('Occurrence date must be a valid ISO 8601 date'),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+    .trim(),
+];
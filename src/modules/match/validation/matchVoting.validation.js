@@ -0,0 +1,28 @@
+/**
+ * Match Voting Validation Schemas
+ * Validation rules for post-match MVP votes and peer ratings
+ */
+import { body, param } from 'express-validator';
+
+/**
+ * Validation for endpoints that only take a match ID
+ */
+export const matchVotingValidation = [param('id').isMongoId().withMessage('Invalid match ID')];
+
+/**
+ * Validation for casting a vote
+ */
+export const castVoteValidation = [
+  param('id').isMongoId().withMessage('Invalid match ID'),
+  body('mvpId').isMongoId().withMessage('A valid MVP user ID is required'),
+  body('ratings').optional().isArray().withMessage('Ratings must be an array'),
+  body('ratings.*.userId').isMongoId().withMessage('Invalid user ID in ratings'),
+  body('ratings.*.skill')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Skill ratings must be between 1 and 5')
+    .toInt(),
+  body('ratings.*.sportsmanship')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Sportsmanship ratings must be between 1 and 5')
+    .toInt(),
+];
@@ -21,6 +21,98 @@ export function initializeNotificationModule(container) {
     return new NotificationController(service, logger);
   });
 
+  // Notify users promoted from a match waitlist
+  eventBus.subscribe('match.waitlist_promoted', async (data) => {
+    try {
+      const notificationService = container.resolve('notificationService');
+      await notificationService.createNotification({
+        userId: data.userId,
+        type: 'match',
+        category: 'match',
+        title: 'A spot opened up!',
+        message: `You've been moved off the waitlist and into ${data.title || 'the match'}`,
+        priority: 'high',
+        relatedEntityId: data.matchId,
+        payload: { matchId: data.matchId, startAt: data.startAt },
+      });
+    } catch (error) {
+      logger.error('Error sending waitlist promotion notification', {
+        matchId: data.matchId,
+        userId: data.userId,
+        error: error.message,
+      });
+    }
+  });
+
+  // Ask organizers to close matches still live long after their end time
+  eventBus.subscribe('match.overdue', async (data) => {
+    try {
+      const notificationService = container.resolve('notificationService');
+      await notificationService.createNotification({
+        userId: data.organizerId,
+        type: 'match',
+        category: 'match',
+        title: 'Your match is still live',
+        message: `${data.title || 'Your match'} should have ended. Finish it and submit the score.`,
+        priority: 'medium',
+        relatedEntityId: data.matchId,
+        payload: { matchId: data.matchId, endAt: data.endAt },
+      });
+    } catch (error) {
+      logger.error('Error sending overdue match notification', {
+        matchId: data.matchId,
+        error: error.message,
+      });
+    }
+  });
+
+  // Remind participants who still owe their share of a match
+  eventBus.subscribe('match.payment_reminder', async (data) => {
+    try {
+      const notificationService = container.resolve('notificationService');
+      await notificationService.createNotification({
+        userId: data.userId,
+        type: 'match',
+        category: 'match',
+        title: 'Payment reminder',
+        message: `You still owe ${data.amount} for ${data.title || 'your match'}`,
+        priority: 'medium',
+        relatedEntityId: data.matchId,
+        payload: { matchId: data.matchId, amount: data.amount, startAt: data.startAt },
+      });
+    } catch (error) {
+      logger.error('Error sending payment reminder notification', {
+        matchId: data.matchId,
+        userId: data.userId,
+        error: error.message,
+      });
+    }
+  });
+
+  // Invite participants to vote for the MVP and rate each other
+  eventBus.subscribe('match.voting_opened', async (data) => {
+    try {
+      const notificationService = container.resolve('notificationService');
+      for (const userId of data.participants) {
+        await notificationService.createNotification({
+          userId,
+          type: 'match',
+          category: 'match',
+          title: 'Vote for the MVP',
+          message: `Voting is open for ${data.title || 'your match'}. Pick the MVP and rate the other players.`,
+          priority: 'low',
+          relatedEntityId: data.matchId,
+          payload: { matchId: data.matchId, closesAt: data.closesAt },
+        });
+      }
+    } catch (error) {
+      logger.error('Error sending match voting notifications', {
+        matchId: data.matchId,
+        error: error.message,
+      });
+    }
+  });
+
   logger.info('Notification module initialized');
 }
 
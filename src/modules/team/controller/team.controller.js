@@ -58,6 +58,16 @@ class TeamController {
     });
   }
 
+  ratingHistory() {
+    return asyncHandler(async (req, res) => {
+      const ratings = await this.teamService.getRatingHistory(req.params.id, req.query.limit);
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        data: ratings,
+      });
+    });
+  }
+
   update() {
     return asyncHandler(async (req, res) => {
       const userId = req.user?.id || req.session?.userId;
@@ -135,4 +145,5 @@ class TeamController {
   }
 }
 
+export { TeamController };
 export default TeamController;
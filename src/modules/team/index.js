@@ -2,8 +2,11 @@
  * Team Module
  */
 import TeamModel from './model/team.model.js';
+import TeamRatingModel from './model/teamRating.model.js';
 import { TeamRepository } from './repository/team.repository.js';
+import { TeamRatingRepository } from './repository/teamRating.repository.js';
 import { TeamService } from './service/team.service.js';
+import { TeamStatsHandler } from './service/teamStatsHandler.service.js';
 import { TeamController } from './controller/team.controller.js';
 export { createTeamRoutes } from './routes/team.routes.js';
 
@@ -12,16 +15,51 @@ export function initializeTeamModule(container) {
   const eventBus = container.resolve('eventBus');
 
   container.registerSingleton('teamRepository', () => new TeamRepository(logger));
+  container.registerSingleton('teamRatingRepository', () => new TeamRatingRepository(logger));
   container.registerSingleton('teamService', () => {
     const repo = container.resolve('teamRepository');
-    return new TeamService(repo, eventBus, logger);
+    const ratingRepo = container.resolve('teamRatingRepository');
+    return new TeamService(repo, ratingRepo, eventBus, logger);
   });
   container.registerSingleton('teamController', () => {
     const service = container.resolve('teamService');
     return new TeamController(service, logger);
   });
 
+  // Team records and ELO ratings. The handler is resolved at runtime because the match
+  // and tournament modules register after this one.
+  container.registerSingleton('teamStatsHandler', () => {
+    return new TeamStatsHandler(
+      container.resolve('teamRepository'),
+      container.resolve('teamRatingRepository'),
+      container.resolve('matchRepository'),
+      container.resolve('tournamentRepository'),
+      eventBus,
+      logger
+    );
+  });
+
+  eventBus.subscribe('match.result_confirmed', async (data) => {
+    await container.resolve('teamStatsHandler').handleMatchFinished(data);
+  });
+
+  eventBus.subscribe('tournament.match_updated', async (data) => {
+    await container.resolve('teamStatsHandler').handleTournamentResult(data);
+  });
+
+  eventBus.subscribe('tournament.result_corrected', async (data) => {
+    await container.resolve('teamStatsHandler').handleResultCorrected(data);
+  });
+
   logger.info('Team module initialized');
 }
 
-export { TeamModel, TeamRepository, TeamService, TeamController };
+export {
+  TeamModel,
+  TeamRatingModel,
+  TeamRepository,
+  TeamRatingRepository,
+  TeamService,
+  TeamStatsHandler,
+  TeamController,
+};
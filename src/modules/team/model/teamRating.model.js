@@ -0,0 +1,40 @@
+/**
+ * Team Rating Model
+ * One line of a team's ELO history per rated result. Lines of tournament results that
+ * were later corrected are kept, marked as reverted.
+ */
+import mongoose from 'mongoose';
+
+export const RATING_OUTCOMES = ['win', 'loss', 'draw'];
+
+const teamRatingSchema = new mongoose.Schema(
+  {
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
+    opponentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
+    outcome: { type: String, enum: RATING_OUTCOMES, required: true },
+    kFactor: { type: Number, required: true },
+    previousElo: { type: Number, required: true },
+    change: { type: Number, required: true },
+    elo: { type: Number, required: true }, // rating after the result
+    // The rated result: a finished match, or a tournament fixture
+    matchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match' },
+    tournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament' },
+    tournamentMatchNumber: Number,
+    revertedAt: Date, // the tournament result was corrected or undone
+    resultKey: String, // identifies the rated result while the line is active
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+teamRatingSchema.index({ teamId: 1, createdAt: -1 });
+teamRatingSchema.index({ matchId: 1 }, { sparse: true });
+teamRatingSchema.index({ tournamentId: 1, tournamentMatchNumber: 1 }, { sparse: true });
+// A result is rated once per team until its lines are reverted
+teamRatingSchema.index(
+  { teamId: 1, resultKey: 1 },
+  { unique: true, partialFilterExpression: { resultKey: { $exists: true } } }
+);
+
+const TeamRatingModel = mongoose.model('TeamRating', teamRatingSchema);
+
+export default TeamRatingModel;
@@ -38,9 +38,20 @@ class TeamRepository {
     ).lean();
   }
 
+  /**
+   * Add to a team's record and ELO rating, e.g. { wins: 1, elo: 12 }
+   */
+  async incrementStats(teamId, increment) {
+    const $inc = Object.fromEntries(
+      Object.entries(increment).map(([field, value]) => [`stats.${field}`, value])
+    );
+    return TeamModel.findByIdAndUpdate(teamId, { $inc }, { new: true }).lean();
+  }
+
   async removeMember(teamId, userId) {
     return TeamModel.findByIdAndUpdate(teamId, { $pull: { members: { userId } } }, { new: true }).lean();
   }
 }
 
+export { TeamRepository };
 export default TeamRepository;
@@ -0,0 +1,56 @@
+/**
+ * Team Rating Repository
+ */
+import TeamRatingModel from '../model/teamRating.model.js';
+
+const resultKey = ({ matchId, tournamentId, tournamentMatchNumber }) =>
+  matchId ? `match:${matchId}` : `tournament:${tournamentId}:${tournamentMatchNumber}`;
+
+class TeamRatingRepository {
+  constructor(logger) {
+    this.logger = logger.child({ context: 'TeamRatingRepository' });
+  }
+
+  /**
+   * Record the rating lines of a result, claiming it for rating.
+   * Returns false when the result already has active lines, so it must not be rated again.
+   */
+  async createForResult(entries) {
+    try {
+      await TeamRatingModel.insertMany(
+        entries.map((entry) => ({ ...entry, resultKey: resultKey(entry) }))
+      );
+      return true;
+    } catch (error) {
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * A team's rating history, newest first
+   */
+  async findByTeam(teamId, limit = 50) {
+    return TeamRatingModel.find({ teamId }).sort({ createdAt: -1 }).limit(limit).lean();
+  }
+
+  /**
+   * Rating lines of a result that have not been reverted, e.g. { matchId } or
+   * { tournamentId, tournamentMatchNumber }
+   */
+  async findActive(source) {
+    return TeamRatingModel.find({ ...source, revertedAt: { $exists: false } }).lean();
+  }
+
+  async markReverted(ids, revertedAt = new Date()) {
+    return TeamRatingModel.updateMany(
+      { _id: { $in: ids } },
+      { $set: { revertedAt }, $unset: { resultKey: '' } }
+    );
+  }
+}
+
+export { TeamRatingRepository };
+export default TeamRatingRepository;
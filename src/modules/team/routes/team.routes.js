@@ -9,6 +9,7 @@ import {
   teamIdValidation,
   joinTeamValidation,
   leaveTeamValidation,
+  teamRatingHistoryValidation,
 } from '@/common/validation/index.js';
 
 export function createTeamRoutes(teamController) {
@@ -17,6 +18,11 @@ export function createTeamRoutes(teamController) {
   // Public endpoints
   router.get('/', teamController.list());
   router.get('/:id', validate(teamIdValidation), teamController.getById());
+  router.get(
+    '/:id/rating-history',
+    validate(teamRatingHistoryValidation),
+    teamController.ratingHistory()
+  );
 
   // Protected endpoints - require authentication
   router.post('/', requireAuth(), validate(createTeamValidation), teamController.create());
@@ -2,8 +2,9 @@
  * Team Service
  */
 class TeamService {
-  constructor(teamRepository, eventBus, logger) {
+  constructor(teamRepository, teamRatingRepository, eventBus, logger) {
     this.teamRepository = teamRepository;
+    this.teamRatingRepository = teamRatingRepository;
     this.eventBus = eventBus;
     this.logger = logger.child({ context: 'TeamService' });
   }
@@ -26,6 +27,21 @@ class TeamService {
     return this.teamRepository.find(filters);
   }
 
+  /**
+   * The team's current ELO rating and its rating changes, newest first
+   */
+  async getRatingHistory(teamId, limit = 50) {
+    const team = await this.teamRepository.findById(teamId);
+    if (!team) {
+      const error = new Error('Team not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const history = await this.teamRatingRepository.findByTeam(teamId, limit);
+    return { teamId: team._id, elo: team.stats?.elo ?? 1000, history };
+  }
+
   async updateTeam(teamId, data, userId, userRoles = []) {
     const team = await this.teamRepository.findById(teamId);
     if (!team) {
@@ -151,4 +167,5 @@ class TeamService {
   }
 }
 
+export { TeamService };
 export default TeamService;
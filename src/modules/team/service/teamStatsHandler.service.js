@@ -0,0 +1,248 @@
+/**
+ * Team Stats Handler
+ * Keeps team records and ELO ratings up to date from the results of team-based matches
+ * and tournament fixtures, and adds every rating change to the team's rating history
+ */
+import { getScoringFormat } from '@/modules/match/scoring/index.js';
+
+/**
+ * ELO K-factors by kind of game
+ */
+export const TEAM_K_FACTORS = { friendly: 16, competitive: 32, tournament: 40 };
+
+const DEFAULT_ELO = 1000;
+
+class TeamStatsHandler {
+  constructor(
+    teamRepository,
+    teamRatingRepository,
+    matchRepository,
+    tournamentRepository,
+    eventBus,
+    logger,
+    kFactors = TEAM_K_FACTORS
+  ) {
+    this.teamRepository = teamRepository;
+    this.teamRatingRepository = teamRatingRepository;
+    this.matchRepository = matchRepository;
+    this.tournamentRepository = tournamentRepository;
+    this.eventBus = eventBus;
+    this.kFactors = kFactors;
+    this.logger = logger.child({ context: 'TeamStatsHandler' });
+  }
+
+  /**
+   * Handle match.result_confirmed for matches played between two teams.
+   * Tournament matches are rated from the bracket result instead, see handleTournamentResult.
+   */
+  async handleMatchFinished({ matchId }) {
+    try {
+      const match = await this.matchRepository.findById(matchId);
+      if (!match?.teamBased || match.status !== 'finished' || match.tournamentId) {
+        return;
+      }
+
+      // Sides picked for a single game have no team to rate
+      const teamIds = this.getMatchTeams(match);
+      if (teamIds.length !== 2) {
+        return;
+      }
+
+      const scores = match.scores || {};
+      if (teamIds.some((teamId) => scores[teamId] === undefined)) {
+        this.logger.warn('Team match finished without a score for both teams', { matchId });
+        return;
+      }
+
+      const winners = getScoringFormat(match.sport).winners(scores);
+      await this.rateResult(
+        teamIds,
+        winners.length === 1 ? winners[0] : null,
+        this.kFactors[match.type] ?? this.kFactors.friendly,
+        { matchId: match._id }
+      );
+    } catch (error) {
+      this.logger.error('Failed to update team stats for match', {
+        matchId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Handle tournament.match_updated, whether the result was recorded by the organizer or
+   * came from a finished tournament match
+   */
+  async handleTournamentResult({ tournamentId, matchNumber, team1, team2, result }) {
+    try {
+      if (!team1 || !team2) {
+        return;
+      }
+
+      await this.rateResult(
+        [team1.toString(), team2.toString()],
+        this.getFixtureWinner(team1, team2, result),
+        this.kFactors.tournament,
+        { tournamentId, tournamentMatchNumber: Number(matchNumber) }
+      );
+    } catch (error) {
+      this.logger.error('Failed to update team stats for tournament result', {
+        tournamentId,
+        matchNumber,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Handle tournament.result_corrected. The rating changes of every changed fixture are
+   * reverted, then the fixtures that still have a result are rated again. Ratings of
+   * results in between are not recomputed.
+   */
+  async handleResultCorrected({ tournamentId, changedFixtures = [] }) {
+    try {
+      const tournament = await this.tournamentRepository.findById(tournamentId);
+      if (!tournament?.bracket) {
+        return;
+      }
+
+      for (const matchNumber of changedFixtures) {
+        await this.revertRatings({ tournamentId, tournamentMatchNumber: matchNumber });
+      }
+
+      const changed = new Set(changedFixtures);
+      for (const entry of tournament.bracket.results || []) {
+        if (!changed.has(entry.matchNumber)) continue;
+        await this.handleTournamentResult({ tournamentId, ...entry });
+      }
+    } catch (error) {
+      this.logger.error('Failed to update team stats for corrected tournament result', {
+        tournamentId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Update both teams' records and ELO ratings for a result, once per result
+   * @param {Array} teamIds - The two teams
+   * @param {string|null} winner - Winning team ID, null for a draw
+   * @param {number} kFactor - ELO K-factor
+   * @param {Object} source - { matchId } or { tournamentId, tournamentMatchNumber }
+   */
+  async rateResult(teamIds, winner, kFactor, source) {
+    const rated = await this.teamRatingRepository.findActive(source);
+    if (rated.length > 0) {
+      return;
+    }
+
+    const found = await this.teamRepository.find({ _id: { $in: teamIds } });
+    const teams = teamIds.map((teamId) => found.find((t) => t._id.toString() === teamId));
+    if (teams.some((team) => !team)) {
+      this.logger.warn('Cannot rate a result of a team that no longer exists', { source });
+      return;
+    }
+
+    const ratings = teams.map((team) => team.stats?.elo ?? DEFAULT_ELO);
+    const entries = teams.map((team, index) => {
+      const outcome = !winner ? 'draw' : winner.toString() === team._id.toString() ? 'win' : 'loss';
+      const change = this.calculateEloChange(ratings[index], ratings[1 - index], outcome, kFactor);
+      return {
+        teamId: team._id,
+        opponentId: teams[1 - index]._id,
+        outcome,
+        kFactor,
+        previousElo: ratings[index],
+        change,
+        elo: ratings[index] + change,
+        ...source,
+      };
+    });
+
+    // Recording the lines claims the result, so a concurrent delivery cannot rate it twice
+    if (!(await this.teamRatingRepository.createForResult(entries))) {
+      this.logger.debug('Result already rated', { source });
+      return;
+    }
+
+    for (const entry of entries) {
+      await this.teamRepository.incrementStats(entry.teamId, {
+        ...this.recordIncrement(entry.outcome, 1),
+        elo: entry.change,
+      });
+    }
+    for (const entry of entries) {
+      await this.eventBus.publish('team.stats_updated', {
+        teamId: entry.teamId,
+        outcome: entry.outcome,
+        elo: entry.elo,
+        change: entry.change,
+      });
+    }
+  }
+
+  /**
+   * Take back the record and rating changes of a result, keeping its history lines
+   * marked as reverted
+   */
+  async revertRatings(source) {
+    const entries = await this.teamRatingRepository.findActive(source);
+    for (const entry of entries) {
+      await this.teamRepository.incrementStats(entry.teamId, {
+        ...this.recordIncrement(entry.outcome, -1),
+        elo: -entry.change,
+      });
+    }
+    if (entries.length > 0) {
+      await this.teamRatingRepository.markReverted(entries.map((entry) => entry._id));
+    }
+  }
+
+  /**
+   * Teams of a match: the teams of its side assignments, or its listed teams
+   */
+  getMatchTeams(match) {
+    const assigned = (match.teamAssignments || [])
+      .filter((assignment) => assignment.teamId)
+      .map((assignment) => assignment.teamId.toString());
+    const teamIds = assigned.length > 0 ? assigned : (match.teams || []).map((t) => t.toString());
+    return [...new Set(teamIds)];
+  }
+
+  /**
+   * Winner of a tournament fixture from its result, or from the score when the result
+   * names none. Null for a draw.
+   */
+  getFixtureWinner(team1, team2, result = {}) {
+    if (result.winner) {
+      return result.winner.toString();
+    }
+    const { team1: score1, team2: score2 } = result.score || {};
+    if (score1 === score2 || score1 === undefined || score2 === undefined) {
+      return null;
+    }
+    return (score1 > score2 ? team1 : team2).toString();
+  }
+
+  recordIncrement(outcome, count) {
+    return {
+      matchesPlayed: count,
+      wins: outcome === 'win' ? count : 0,
+      losses: outcome === 'loss' ? count : 0,
+      draws: outcome === 'draw' ? count : 0,
+    };
+  }
+
+  /**
+   * ELO rating change: the K-factor times the difference between the actual score
+   * (1 for a win, 0.5 for a draw, 0 for a loss) and the expected score
+   */
+  calculateEloChange(rating, opponentRating, outcome, kFactor) {
+    const expected = 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+    const score = { win: 1, draw: 0.5, loss: 0 }[outcome];
+    return Math.round(kFactor * (score - expected));
+  }
+}
+
+export { TeamStatsHandler };
+export default TeamStatsHandler;
@@ -7,8 +7,20 @@ import {
   createTournamentValidation,
   updateTournamentValidation,
   joinTournamentValidation,
+  leaveTournamentValidation,
+  listRegistrationsValidation,
+  reviewRegistrationValidation,
+  updateRosterValidation,
+  createDivisionValidation,
+  registerTeamValidation,
   tournamentIdValidation,
   startTournamentValidation,
+  createInviteLinkValidation,
+  inviteLinkIdValidation,
+  scheduleTournamentValidation,
+  rescheduleFixtureValidation,
+  correctMatchResultValidation,
+  undoMatchResultValidation,
 } from '../validation/tournament.validation.js';
 
 export class TournamentController {
@@ -25,20 +37,53 @@ export class TournamentController {
     });
   }
 
+  createDivision() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const division = await this.tournamentService.createDivision(req.params.id, req.body, userId);
+      res.status(HTTP_STATUS.CREATED).json({
+        status: 'success',
+        message: 'Division created successfully',
+        data: division,
+      });
+    });
+  }
+
+  listDivisions() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const divisions = await this.tournamentService.listDivisions(
+        req.params.id,
+        userId,
+        req.query.invite
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        data: divisions,
+      });
+    });
+  }
+
   list() {
     return asyncHandler(async (req, res) => {
       const { sport, type } = req.query;
       const filters = {};
       if (sport) filters.sport = sport;
       if (type) filters.type = type;
-      const tournaments = await this.tournamentService.listTournaments(filters);
+      const userId = req.user?.id || req.session?.userId;
+      const tournaments = await this.tournamentService.listTournaments(filters, userId);
       res.status(HTTP_STATUS.OK).json(tournaments);
     });
   }
 
   getById() {
     return asyncHandler(async (req, res) => {
-      const tournament = await this.tournamentService.getTournamentById(req.params.id);
+      const userId = req.user?.id || req.session?.userId;
+      const tournament = await this.tournamentService.getTournamentById(
+        req.params.id,
+        userId,
+        req.query.invite
+      );
       res.status(HTTP_STATUS.OK).json(tournament);
     });
   }
@@ -91,11 +136,21 @@ export class TournamentController {
           message: 'Authentication required',
         });
       }
-      const { teamId } = req.body;
-      await this.tournamentService.joinTournament(req.params.id, teamId, userId);
-      res.status(HTTP_STATUS.OK).json({
+      const { teamId, roster, inviteToken } = req.body;
+      const registration = await this.tournamentService.joinTournament(
+        req.params.id,
+        teamId,
+        roster,
+        userId,
+        inviteToken
+      );
+      res.status(HTTP_STATUS.CREATED).json({
         status: 'success',
-        message: 'Successfully joined tournament',
+        message:
+          registration.status === 'waitlisted'
+            ? 'Tournament is full, team added to the waitlist'
+            : 'Registration submitted for approval',
+        data: registration,
       });
     });
   }
@@ -120,9 +175,80 @@ export class TournamentController {
 
   register() {
     return asyncHandler(async (req, res) => {
-      const { teamId } = req.body;
-      await this.tournamentService.registerTeam(req.params.id, teamId);
-      res.status(HTTP_STATUS.OK).json({ message: 'Team registered' });
+      const userId = req.user?.id || req.session?.userId;
+      const { teamId, roster } = req.body;
+      const registration = await this.tournamentService.registerTeam(
+        req.params.id,
+        teamId,
+        roster,
+        userId
+      );
+      res.status(HTTP_STATUS.OK).json({ message: 'Team registered', data: registration });
+    });
+  }
+
+  listRegistrations() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const registrations = await this.tournamentService.listRegistrations(
+        req.params.id,
+        userId,
+        req.query.status
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        data: registrations,
+      });
+    });
+  }
+
+  updateRoster() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const registration = await this.tournamentService.updateRoster(
+        req.params.id,
+        req.params.teamId,
+        req.body.roster,
+        userId
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Roster updated successfully',
+        data: registration,
+      });
+    });
+  }
+
+  approveRegistration() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const registration = await this.tournamentService.approveRegistration(
+        req.params.id,
+        req.params.teamId,
+        userId
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Registration approved successfully',
+        data: registration,
+      });
+    });
+  }
+
+  rejectRegistration() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const registration = await this.tournamentService.rejectRegistration(
+        req.params.id,
+        req.params.teamId,
+        userId,
+        req.body?.reason
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Registration rejected successfully',
+        data: registration,
+      });
     });
   }
 
@@ -143,13 +269,153 @@ export class TournamentController {
     });
   }
 
+  createInviteLink() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const link = await this.tournamentService.createInviteLink(req.params.id, userId, req.body);
+      res.status(HTTP_STATUS.CREATED).json({
+        status: 'success',
+        message: 'Invite link created successfully',
+        data: link,
+      });
+    });
+  }
+
+  listInviteLinks() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const links = await this.tournamentService.listInviteLinks(req.params.id, userId);
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        data: links,
+      });
+    });
+  }
+
+  revokeInviteLink() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      if (!userId) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          status: 'error',
+          message: 'Authentication required',
+        });
+      }
+      const link = await this.tournamentService.revokeInviteLink(
+        req.params.id,
+        req.params.linkId,
+        userId
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Invite link revoked successfully',
+        data: link,
+      });
+    });
+  }
+
   getBracket() {
     return asyncHandler(async (req, res) => {
-      const bracket = await this.tournamentService.getBracket(req.params.id);
+      const userId = req.user?.id || req.session?.userId;
+      const bracket = await this.tournamentService.getBracket(
+        req.params.id,
+        userId,
+        req.query.invite
+      );
       res.status(HTTP_STATUS.OK).json(bracket);
     });
   }
 
+  getStandings() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const standings = await this.tournamentService.getStandings(
+        req.params.id,
+        userId,
+        req.query.invite
+      );
+      res.status(HTTP_STATUS.OK).json(standings);
+    });
+  }
+
+  schedule() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const result = await this.tournamentService.scheduleTournament(
+        req.params.id,
+        req.body,
+        userId
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        ...result,
+      });
+    });
+  }
+
+  rescheduleFixture() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const result = await this.tournamentService.rescheduleFixture(
+        req.params.id,
+        req.params.matchNumber,
+        req.body,
+        userId
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        ...result,
+      });
+    });
+  }
+
+  correctMatchResult() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const result = await this.tournamentService.correctMatchResult(
+        req.params.id,
+        req.params.matchNumber,
+        req.body.result,
+        userId,
+        req.body.reason
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Match result corrected successfully',
+        ...result,
+      });
+    });
+  }
+
+  undoMatchResult() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.user?.id || req.session?.userId;
+      const result = await this.tournamentService.undoMatchResult(
+        req.params.id,
+        req.params.matchNumber,
+        userId,
+        req.body?.reason
+      );
+      res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        message: 'Match result undone successfully',
+        ...result,
+      });
+    });
+  }
+
   updateMatchResult() {
     return asyncHandler(async (req, res) => {
       const userId = req.session?.userId;
@@ -172,6 +438,8 @@ export function createTournamentRoutes(controller) {
   router.get('/', controller.list());
   router.get('/:id', controller.getById());
   router.get('/:id/bracket', controller.getBracket());
+  router.get('/:id/standings', controller.getStandings());
+  router.get('/:id/divisions', controller.listDivisions());
 
   // Protected endpoints - require authentication
   router.post('/', requireAuth(), validate(createTournamentValidation), controller.create());
@@ -184,13 +452,102 @@ export function createTournamentRoutes(controller) {
   // Tournament participation endpoints
   router.post('/:id/join', requireAuth(), validate(joinTournamentValidation), controller.join());
 
-  router.post('/:id/leave', requireAuth(), validate(joinTournamentValidation), controller.leave());
+  router.post('/:id/leave', requireAuth(), validate(leaveTournamentValidation), controller.leave());
+
+  // Divisions (organizer only, checked in service)
+  router.post(
+    '/:id/divisions',
+    requireAuth(),
+    validate(createDivisionValidation),
+    controller.createDivision()
+  );
+
+  // Roster changes (team captain only, checked in service)
+  router.put(
+    '/:id/registrations/:teamId/roster',
+    requireAuth(),
+    validate(updateRosterValidation),
+    controller.updateRoster()
+  );
+
+  // Registration review (organizer only, checked in service)
+  router.get(
+    '/:id/registrations',
+    requireAuth(),
+    validate(listRegistrationsValidation),
+    controller.listRegistrations()
+  );
+  router.put(
+    '/:id/registrations/:teamId/approve',
+    requireAuth(),
+    validate(reviewRegistrationValidation),
+    controller.approveRegistration()
+  );
+  router.put(
+    '/:id/registrations/:teamId/reject',
+    requireAuth(),
+    validate(reviewRegistrationValidation),
+    controller.rejectRegistration()
+  );
+
+  // Invite links (organizer only, checked in service)
+  router.get(
+    '/:id/invite-links',
+    requireAuth(),
+    validate(tournamentIdValidation),
+    controller.listInviteLinks()
+  );
+  router.post(
+    '/:id/invite-links',
+    requireAuth(),
+    validate(createInviteLinkValidation),
+    controller.createInviteLink()
+  );
+  router.delete(
+    '/:id/invite-links/:linkId',
+    requireAuth(),
+    validate(inviteLinkIdValidation),
+    controller.revokeInviteLink()
+  );
 
   // Tournament management endpoints
   router.put('/:id/start', requireAuth(), validate(startTournamentValidation), controller.start());
 
+  // Fixture scheduling (organizer only, checked in service)
+  router.post(
+    '/:id/schedule',
+    requireAuth(),
+    validate(scheduleTournamentValidation),
+    controller.schedule()
+  );
+  router.put(
+    '/:id/schedule/:matchNumber',
+    requireAuth(),
+    validate(rescheduleFixtureValidation),
+    controller.rescheduleFixture()
+  );
+
+  // Result corrections (organizer only, checked in service)
+  router.put(
+    '/:id/results/:matchNumber',
+    requireAuth(),
+    validate(correctMatchResultValidation),
+    controller.correctMatchResult()
+  );
+  router.delete(
+    '/:id/results/:matchNumber',
+    requireAuth(),
+    validate(undoMatchResultValidation),
+    controller.undoMatchResult()
+  );
+
   // Legacy/additional endpoints
-  router.post('/:id/register', requireAuth(), controller.register());
+  router.post(
+    '/:id/register',
+    requireAuth(),
+    validate(registerTeamValidation),
+    controller.register()
+  );
   router.post('/:id/match-result', requireAuth(), controller.updateMatchResult());
 
   return router;
@@ -6,6 +6,8 @@ import { TournamentRepository } from './repository/tournament.repository.js';
 import { TournamentService } from './service/tournament.service.js';
 import { TournamentController, createTournamentRoutes } from './controller/tournament.controller.js';
 import { BracketGenerator } from './service/bracketGenerator.service.js';
+import { TournamentScheduler } from './service/tournamentScheduler.service.js';
+import { TournamentEligibility } from './service/tournamentEligibility.service.js';
 
 export function initializeTournamentModule(container) {
   const logger = container.resolve('logger');
@@ -14,13 +16,32 @@ export function initializeTournamentModule(container) {
   container.registerSingleton('tournamentRepository', () => new TournamentRepository(logger));
   container.registerSingleton('tournamentService', () => {
     const repo = container.resolve('tournamentRepository');
-    return new TournamentService(repo, eventBus, logger);
+    const teamRepository = container.resolve('teamRepository');
+    const userRepository = container.resolve('userRepository');
+    const matchRepository = container.resolve('matchRepository');
+    const venueRepository = container.resolve('venueRepository');
+    const inviteLinkService = container.resolve('inviteLinkService');
+    return new TournamentService(
+      repo,
+      teamRepository,
+      userRepository,
+      matchRepository,
+      venueRepository,
+      inviteLinkService,
+      eventBus,
+      logger
+    );
   });
   container.registerSingleton('tournamentController', () => {
     const service = container.resolve('tournamentService');
     return new TournamentController(service, logger);
   });
 
+  // Bracket fixtures are played as matches, whose confirmed results advance the bracket
+  eventBus.subscribe('match.result_confirmed', async (data) => {
+    await container.resolve('tournamentService').handleMatchFinished(data);
+  });
+
   logger.info('Tournament module initialized');
 }
 
@@ -30,5 +51,7 @@ export {
   TournamentService, 
   TournamentController, 
   createTournamentRoutes,
-  BracketGenerator 
+  BracketGenerator,
+  TournamentScheduler,
+  TournamentEligibility,
 };
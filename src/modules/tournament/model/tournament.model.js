@@ -2,23 +2,83 @@
  * Tournament Model
  */
 import mongoose from 'mongoose';
+import { LEAGUE_TIEBREAKERS } from '../service/bracketGenerator.service.js';
+import { DIVISION_GENDERS } from '../service/tournamentEligibility.service.js';
+
+// Pending, approved and waitlisted entries hold a place; a team has at most one of them
+export const REGISTRATION_STATUSES = ['pending', 'approved', 'rejected', 'waitlisted', 'withdrawn'];
+export const ACTIVE_REGISTRATION_STATUSES = ['pending', 'approved', 'waitlisted'];
 
 const tournamentSchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
     sport: { type: String, required: true },
     sportCategory: String,
-    type: { type: String, enum: ['knockout', 'league'], required: true },
+    type: {
+      type: String,
+      enum: ['knockout', 'league', 'double_elimination', 'swiss', 'groups_knockout'],
+      required: true,
+    },
+    // Double elimination: replay the grand final when the losers bracket champion wins it
+    bracketReset: { type: Boolean, default: true },
+    swissRounds: Number, // Swiss: rounds to play, defaults to log2 of the team count
+    // Groups + knockout: teams advancing per group defaults to 2, and each seeding pot
+    // is a list of team IDs drawn one per group
+    groupCount: Number,
+    advancePerGroup: Number,
+    seedingPots: [[{ type: mongoose.Schema.Types.ObjectId, ref: 'Team' }]],
+    // Knockout and double elimination: random, by team ELO, or by the organizer's seed list
+    seeding: { type: String, enum: ['random', 'elo', 'manual'], default: 'random' },
+    seeds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Team' }], // Manual seeding, top seed first
+    // League and group tables: points per result and tiebreakers in order, defaulting to
+    // 3-1-0 then goal difference and goals scored. A double round-robin plays home and away.
+    pointsPerWin: Number,
+    pointsPerDraw: Number,
+    pointsPerLoss: Number,
+    tiebreakers: [{ type: String, enum: LEAGUE_TIEBREAKERS }],
+    doubleRoundRobin: { type: Boolean, default: false },
     organizerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Divisions are tournaments of their own, with their own bracket and registrations,
+    // created under the tournament they belong to
+    parentTournamentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament' },
+    division: String, // Division name, e.g. U16, Open or Women's
+    // Rules every player of a roster must meet. Ages are taken on registrationWindow.end
+    // and the average ELO is that of the roster players in the tournament sport.
+    eligibility: {
+      minAge: Number,
+      maxAge: Number,
+      gender: { type: String, enum: DIVISION_GENDERS },
+      maxAverageElo: Number,
+    },
     rules: String,
     registrationWindow: {
       start: { type: Date, required: true },
       end: { type: Date, required: true },
     },
+    // Closed by the registration job once the window ends
+    registrationClosedAt: Date,
     entryFee: Number,
     prizePool: String,
     minTeams: Number,
     maxTeams: Number,
+    // Players a team must enter on its roster
+    minRosterSize: Number,
+    maxRosterSize: Number,
+    // Captains submit their team with a roster and the organizer approves or rejects it.
+    // Approved teams are added to `teams`; entries beyond maxTeams wait for a free place.
+    registrations: [
+      {
+        teamId: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
+        roster: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        status: { type: String, enum: REGISTRATION_STATUSES, default: 'pending' },
+        submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        submittedAt: { type: Date, default: Date.now },
+        rosterUpdatedAt: Date,
+        reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reviewedAt: Date,
+        rejectionReason: String,
+      },
+    ],
     visibility: { type: String, enum: ['public', 'private'], default: 'public' },
     status: {
       type: String,
@@ -30,10 +90,29 @@ const tournamentSchema = new mongoose.Schema(
     rounds: Number,
     currentRound: { type: Number, default: 0 },
     bracket: mongoose.Schema.Types.Mixed,
+    // The bracket as generated, which the recorded results are replayed on to correct one
+    initialBracket: { type: mongoose.Schema.Types.Mixed, select: false },
+    // Organizer corrections and undos of recorded results, oldest first
+    resultEdits: [
+      {
+        matchNumber: Number,
+        action: { type: String, enum: ['correct', 'undo'] },
+        previousResult: mongoose.Schema.Types.Mixed,
+        result: mongoose.Schema.Types.Mixed, // null when undone
+        reason: String,
+        changedFixtures: [Number],
+        invalidatedFixtures: [Number], // later results dropped because their teams changed
+        editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        editedAt: Date,
+      },
+    ],
     chatRoomId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChatRoom' },
   },
   { timestamps: true }
 );
 
+tournamentSchema.index({ status: 1, 'registrationWindow.end': 1 });
+tournamentSchema.index({ parentTournamentId: 1 });
+
 const TournamentModel = mongoose.model('Tournament', tournamentSchema);
 export default TournamentModel;
@@ -46,11 +46,52 @@ export class TournamentRepository {
     ).lean();
   }
 
+  async addRegistration(tournamentId, registration, update = {}) {
+    return TournamentModel.findByIdAndUpdate(
+      tournamentId,
+      { ...update, $push: { registrations: registration } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Update the team's registration while it still has one of the given statuses.
+   * Returns null when it no longer does, e.g. another request reviewed it first.
+   */
+  async updateRegistration(tournamentId, teamId, statuses, changes, update = {}) {
+    const set = Object.fromEntries(
+      Object.entries(changes).map(([field, value]) => [`registrations.$.${field}`, value])
+    );
+    return TournamentModel.findOneAndUpdate(
+      {
+        _id: tournamentId,
+        registrations: { $elemMatch: { teamId, status: { $in: statuses } } },
+      },
+      { ...update, $set: { ...update.$set, ...set } },
+      { new: true }
+    ).lean();
+  }
+
+  async findRegistrationDueToClose(now) {
+    return TournamentModel.find({
+      status: 'registration',
+      'registrationWindow.end': { $lte: now },
+      registrationClosedAt: { $exists: false },
+    }).lean();
+  }
+
   async getBracket(tournamentId) {
     const tournament = await TournamentModel.findById(tournamentId).select('bracket').lean();
     return tournament?.bracket || null;
   }
 
+  async getInitialBracket(tournamentId) {
+    const tournament = await TournamentModel.findById(tournamentId)
+      .select('+initialBracket')
+      .lean();
+    return tournament?.initialBracket || null;
+  }
+
   async updateBracket(tournamentId, bracket) {
     return TournamentModel.findByIdAndUpdate(tournamentId, { bracket }, { new: true }).lean();
   }
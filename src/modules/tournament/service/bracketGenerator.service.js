@@ -3,6 +3,18 @@
  * Handles bracket generation for different tournament formats
  */
 
+/**
+ * Tiebreakers an organizer can order for league and group tables.
+ * Fair play counts penalty points from cards, so fewer is better.
+ */
+export const LEAGUE_TIEBREAKERS = [
+  'head_to_head',
+  'goal_difference',
+  'goals_scored',
+  'fair_play',
+  'lot',
+];
+
 export class BracketGenerator {
   /**
    * Generate a tournament bracket based on the tournament type
@@ -21,6 +33,12 @@ export class BracketGenerator {
         return this.generateKnockoutBracket(teams, tournament);
       case 'league':
         return this.generateLeagueBracket(teams, tournament);
+      case 'double_elimination':
+        return this.generateDoubleEliminationBracket(teams, tournament);
+      case 'swiss':
+        return this.generateSwissBracket(teams, tournament);
+      case 'groups_knockout':
+        return this.generateGroupsKnockoutBracket(teams, tournament);
       default:
         throw new Error(`Unsupported tournament type: ${type}`);
     }
@@ -44,23 +62,29 @@ export class BracketGenerator {
     const nextPowerOfTwo = this.getNextPowerOfTwo(teamCount);
     const totalRounds = Math.log2(nextPowerOfTwo);
     
-    // Shuffle teams for randomization (optional)
-    const shuffledTeams = this.shuffleArray([...teams]);
+    // Order teams by seed (random, ELO or manual)
+    const seededTeams = this.seedTeams(teams, tournament);
     
     // Generate first round matches
-    const firstRoundMatches = this.generateFirstRound(shuffledTeams, nextPowerOfTwo);
+    const firstRoundMatches = this.generateFirstRound(seededTeams, nextPowerOfTwo);
+    const rounds = this.buildKnockoutRounds(firstRoundMatches, totalRounds);
+
+    // Teams with a bye go straight into the second round
+    firstRoundMatches
+      .filter((match) => match.status === 'bye' && match.nextMatch)
+      .forEach((match) => {
+        const nextMatch = rounds[1].matches.find((m) => m.matchNumber === match.nextMatch);
+        nextMatch[match.nextMatchPosition] = match.winner;
+      });
     
     // Build complete bracket structure
     const bracket = {
       type: 'knockout',
       totalRounds: totalRounds,
       currentRound: 1,
-      rounds: this.buildKnockoutRounds(firstRoundMatches, totalRounds),
-      teams: shuffledTeams.map((teamId, index) => ({
-        teamId,
-        seed: index + 1,
-        eliminated: false,
-      })),
+      seeding: tournament.seeding || 'random',
+      rounds,
+      teams: this.buildSeededTeams(seededTeams, tournament),
       winners: {
         champion: null,
         runnerUp: null,
@@ -73,8 +97,12 @@ export class BracketGenerator {
 
   /**
    * Generate a round-robin league bracket
+   * With doubleRoundRobin every pair meets twice, the second leg with home and away
+   * swapped (team1 is the home team). Each team draws a lot up front, used when the
+   * organizer's tiebreakers end in a lot draw.
    * @param {Array} teams - Array of team IDs
-   * @param {Object} tournament - Tournament details
+   * @param {Object} tournament - Tournament details, with optional pointsPerWin,
+   *   pointsPerDraw, pointsPerLoss, tiebreakers and doubleRoundRobin
    * @returns {Object} League bracket structure
    */
   static generateLeagueBracket(teams, tournament) {
@@ -84,16 +112,22 @@ export class BracketGenerator {
       throw new Error(`Not enough teams. Minimum required: ${tournament.minTeams}, registered: ${teamCount}`);
     }
 
+    const standingsRules = this.getStandingsRules(tournament);
+    const doubleRoundRobin = Boolean(tournament.doubleRoundRobin);
+
     // Generate round-robin fixtures
     const fixtures = this.generateRoundRobinFixtures(teams);
-    
-    // Calculate total rounds (each team plays every other team once)
-    const totalRounds = teamCount % 2 === 0 ? teamCount - 1 : teamCount;
+    if (doubleRoundRobin) {
+      this.addReturnLeg(fixtures);
+    }
+    const lots = new Map(this.shuffleArray(teams).map((teamId, index) => [teamId, index + 1]));
 
     const bracket = {
       type: 'league',
-      totalRounds: totalRounds,
+      totalRounds: fixtures.length,
       currentRound: 1,
+      doubleRoundRobin,
+      standingsRules,
       rounds: fixtures,
       standings: teams.map((teamId, index) => ({
         teamId,
@@ -105,7 +139,10 @@ export class BracketGenerator {
         goalsFor: 0,
         goalsAgainst: 0,
         goalDifference: 0,
+        fairPlay: 0,
         points: 0,
+        lot: lots.get(teamId),
+        tiebreaker: null,
       })),
     };
 
@@ -113,19 +150,678 @@ export class BracketGenerator {
   }
 
   /**
-   * Generate first round matches for knockout tournament
+   * Points and ordered tiebreakers of a league table, with the defaults for anything the
+   * organizer left out: 3 points for a win, 1 for a draw, then goal difference and goals scored
+   * @param {Object} tournament - Tournament details
+   * @returns {Object} { points: { win, draw, loss }, tiebreakers }
+   */
+  static getStandingsRules(tournament) {
+    const points = {
+      win: tournament.pointsPerWin ?? 3,
+      draw: tournament.pointsPerDraw ?? 1,
+      loss: tournament.pointsPerLoss ?? 0,
+    };
+    if (points.win < points.draw || points.draw < points.loss) {
+      throw new Error('A win must be worth at least a draw, and a draw at least a loss');
+    }
+
+    const tiebreakers =
+      tournament.tiebreakers && tournament.tiebreakers.length > 0
+        ? [...new Set(tournament.tiebreakers)]
+        : ['goal_difference', 'goals_scored'];
+    const unknown = tiebreakers.find((rule) => !LEAGUE_TIEBREAKERS.includes(rule));
+    if (unknown) {
+      throw new Error(`Unknown tiebreaker: ${unknown}`);
+    }
+
+    return { points, tiebreakers };
+  }
+
+  /**
+   * Append the second leg of a round-robin: the same rounds again, home and away swapped
+   * @param {Array} rounds - First leg rounds, updated in place
+   */
+  static addReturnLeg(rounds) {
+    const firstLeg = rounds.length;
+    let matchNumber = Math.max(
+      ...rounds.flatMap((round) => round.matches.map((m) => m.matchNumber))
+    );
+
+    for (let i = 0; i < firstLeg; i++) {
+      const roundNumber = firstLeg + i + 1;
+      rounds[i].matches.forEach((match) => {
+        match.leg = 1;
+      });
+      rounds.push({
+        ...rounds[i],
+        roundNumber,
+        name: `Round ${roundNumber}`,
+        matches: rounds[i].matches.map((match) => ({
+          ...match,
+          matchNumber: ++matchNumber,
+          round: roundNumber,
+          team1: match.team2,
+          team2: match.team1,
+          score: { team1: null, team2: null },
+          leg: 2,
+        })),
+      });
+    }
+  }
+
+  /**
+   * Generate a double elimination bracket
+   * Teams drop into the losers bracket on their first loss and are eliminated on their
+   * second. The winners and losers bracket champions meet in the grand final, followed
+   * by a bracket reset when the losers bracket champion wins it and the reset is enabled.
+   * Rounds are listed in play order, so each round only depends on earlier rounds.
+   * @param {Array} teams - Array of team IDs
+   * @param {Object} tournament - Tournament details, with an optional bracketReset flag
+   * @returns {Object} Double elimination bracket structure
+   */
+  static generateDoubleEliminationBracket(teams, tournament) {
+    const teamCount = teams.length;
+
+    if (tournament.minTeams && teamCount < tournament.minTeams) {
+      throw new Error(
+        `Not enough teams. Minimum required: ${tournament.minTeams}, registered: ${teamCount}`
+      );
+    }
+    if (teamCount < 2) {
+      throw new Error('Not enough teams. Double elimination needs at least 2 teams');
+    }
+
+    const slots = this.getNextPowerOfTwo(teamCount);
+    const winnersRounds = Math.log2(slots);
+    const losersRounds = 2 * (winnersRounds - 1);
+    const bracketReset = tournament.bracketReset !== false;
+    const seededTeams = this.seedTeams(teams, tournament);
+
+    const rounds = [];
+    let matchNumber = 0;
+    const addRound = (bracket, name, matchCount) => {
+      const round = {
+        roundNumber: rounds.length + 1,
+        name,
+        bracket,
+        matches: Array.from({ length: matchCount }, () => ({
+          matchNumber: ++matchNumber,
+          round: rounds.length + 1,
+          bracket,
+          team1: null,
+          team2: null,
+          winner: null,
+          loser: null,
+          score: { team1: null, team2: null },
+          status: 'pending',
+          startTime: null,
+          winnerTo: null, // { matchNumber, position } the winner advances to
+          loserTo: null, // { matchNumber, position } the loser drops to
+          feedsPending: 0, // earlier matches still to send a team here
+        })),
+        completed: false,
+      };
+      rounds.push(round);
+      return round.matches;
+    };
+
+    // Play order: W1, then each further winners round followed by the two losers rounds it feeds
+    const winners = [];
+    const losers = [];
+    const winnersRoundName = (round) => `Winners ${this.getRoundName(round, winnersRounds)}`;
+    const losersRoundName = (round) =>
+      round === losersRounds ? 'Losers Final' : `Losers Round ${round}`;
+    const losersMatchCount = (round) => slots / 2 ** (Math.floor((round + 1) / 2) + 1);
+
+    winners[1] = addRound('winners', winnersRoundName(1), slots / 2);
+    for (let round = 2; round <= winnersRounds; round++) {
+      winners[round] = addRound('winners', winnersRoundName(round), slots / 2 ** round);
+      for (const losersRound of [2 * round - 3, 2 * round - 2]) {
+        losers[losersRound] = addRound(
+          'losers',
+          losersRoundName(losersRound),
+          losersMatchCount(losersRound)
+        );
+      }
+    }
+    const [grandFinal] = addRound('grand_final', 'Grand Final', 1);
+    const [reset] = bracketReset ? addRound('grand_final', 'Grand Final Reset', 1) : [];
+
+    const route = (from, key, to, position) => {
+      from[key] = { matchNumber: to.matchNumber, position };
+      to.feedsPending += 1;
+    };
+    const slot = (index) => (index % 2 === 0 ? 'team1' : 'team2');
+
+    // Winners bracket: winners move up, losers drop into the losers bracket
+    for (let round = 1; round <= winnersRounds; round++) {
+      winners[round].forEach((match, i) => {
+        if (round < winnersRounds) {
+          route(match, 'winnerTo', winners[round + 1][Math.floor(i / 2)], slot(i));
+        } else {
+          route(match, 'winnerTo', grandFinal, 'team1');
+        }
+
+        if (winnersRounds === 1) {
+          route(match, 'loserTo', grandFinal, 'team2');
+        } else if (round === 1) {
+          route(match, 'loserTo', losers[1][Math.floor(i / 2)], slot(i));
+        } else {
+          // Alternate the drop order so teams do not meet the same opponents again early
+          const dropRound = losers[2 * round - 2];
+          const index = round % 2 === 0 ? dropRound.length - 1 - i : i;
+          route(match, 'loserTo', dropRound[index], 'team2');
+        }
+      });
+    }
+
+    // Losers bracket: odd rounds pair up survivors, even rounds face the teams dropping in
+    for (let round = 1; round <= losersRounds; round++) {
+      losers[round].forEach((match, i) => {
+        if (round === losersRounds) {
+          route(match, 'winnerTo', grandFinal, 'team2');
+        } else if (round % 2 === 1) {
+          route(match, 'winnerTo', losers[round + 1][i], 'team1');
+        } else {
+          route(match, 'winnerTo', losers[round + 1][Math.floor(i / 2)], slot(i));
+        }
+      });
+    }
+
+    // Seed the first winners round the same way as a knockout first round
+    this.generateFirstRound(seededTeams, slots).forEach((seeded, i) => {
+      winners[1][i].team1 = seeded.team1;
+      winners[1][i].team2 = seeded.team2;
+    });
+
+    const bracket = {
+      type: 'double_elimination',
+      totalRounds: rounds.length,
+      currentRound: 1,
+      bracketReset,
+      seeding: tournament.seeding || 'random',
+      rounds,
+      teams: this.buildSeededTeams(seededTeams, tournament).map((team) => ({
+        ...team,
+        losses: 0,
+      })),
+      winners: {
+        champion: null,
+        runnerUp: null,
+        thirdPlace: null,
+      },
+    };
+
+    winners[1].forEach((match) => this.settleDoubleEliminationBye(bracket, match));
+    if (reset) {
+      reset.feedsPending = 1; // filled only when the losers bracket champion wins the grand final
+    }
+    this.updateDoubleEliminationRounds(bracket);
+
+    return bracket;
+  }
+
+  /**
+   * Generate a Swiss-system bracket
+   * Only the first round is paired up front. Later rounds depend on the standings and are
+   * paired with generateSwissRound once the previous round is complete.
+   * Teams score 1 point for a win or bye, half a point for a draw.
+   * @param {Array} teams - Array of team IDs
+   * @param {Object} tournament - Tournament details, with the organizer's swissRounds
+   * @returns {Object} Swiss bracket structure
+   */
+  static generateSwissBracket(teams, tournament) {
+    const teamCount = teams.length;
+
+    if (tournament.minTeams && teamCount < tournament.minTeams) {
+      throw new Error(
+        `Not enough teams. Minimum required: ${tournament.minTeams}, registered: ${teamCount}`
+      );
+    }
+    if (teamCount < 2) {
+      throw new Error('Not enough teams. A Swiss tournament needs at least 2 teams');
+    }
+
+    // Beyond this, some teams would have to meet again
+    const maxRounds = teamCount % 2 === 0 ? teamCount - 1 : teamCount;
+    const totalRounds = tournament.swissRounds || Math.ceil(Math.log2(teamCount));
+    if (totalRounds > maxRounds) {
+      throw new Error(`Too many rounds. ${teamCount} teams can play at most ${maxRounds} rounds`);
+    }
+
+    const bracket = {
+      type: 'swiss',
+      totalRounds,
+      currentRound: 0,
+      rounds: [],
+      standings: this.shuffleArray([...teams]).map((teamId, index) => ({
+        teamId,
+        seed: index + 1,
+        position: index + 1,
+        played: 0,
+        won: 0,
+        drawn: 0,
+        lost: 0,
+        byes: 0,
+        goalsFor: 0,
+        goalsAgainst: 0,
+        goalDifference: 0,
+        points: 0,
+        buchholz: 0,
+        sonnebornBerger: 0,
+        results: [], // { opponent, points } per game played, byes excluded
+      })),
+    };
+
+    return this.generateSwissRound(bracket);
+  }
+
+  /**
+   * Pair the next Swiss round by current standings
+   * Teams are paired with the closest ranked team they have not played yet. With an odd
+   * number of teams, the lowest ranked team without a bye sits out and scores a win.
+   * @param {Object} bracket - Swiss bracket with the previous round complete
+   * @returns {Object} Updated bracket
+   */
+  static generateSwissRound(bracket) {
+    const { standings } = bracket;
+    const roundNumber = bracket.rounds.length + 1;
+
+    if (roundNumber > bracket.totalRounds) {
+      throw new Error('All Swiss rounds have already been paired');
+    }
+    if (bracket.rounds.some((r) => !r.completed)) {
+      throw new Error('The current Swiss round is not complete yet');
+    }
+
+    const key = (teamId) => teamId.toString();
+    const played = new Map(
+      standings.map((s) => [key(s.teamId), new Set(s.results.map((r) => key(r.opponent)))])
+    );
+    const notPlayed = (a, b) => !played.get(key(a.teamId)).has(key(b.teamId));
+
+    // Standings are kept sorted, so this is the ranking
+    let bye = null;
+    let pairs = null;
+    if (standings.length % 2 === 1) {
+      const byeCandidates = [...standings].reverse().filter((s) => s.byes === 0);
+      for (const candidate of byeCandidates.length > 0 ? byeCandidates : [standings.at(-1)]) {
+        pairs = this.pairSwissTeams(
+          standings.filter((s) => s !== candidate),
+          notPlayed
+        );
+        if (pairs) {
+          bye = candidate;
+          break;
+        }
+      }
+    } else {
+      pairs = this.pairSwissTeams(standings, notPlayed);
+    }
+
+    // Only reachable when rematches cannot be avoided: pair by ranking regardless
+    if (!pairs) {
+      bye = standings.length % 2 === 1 ? standings.at(-1) : null;
+      pairs = this.pairSwissTeams(
+        standings.filter((s) => s !== bye),
+        () => true
+      );
+    }
+
+    const firstMatchNumber = bracket.rounds.reduce((count, r) => count + r.matches.length, 0);
+    const matches = pairs.map(([team1, team2], i) => ({
+      matchNumber: firstMatchNumber + i + 1,
+      round: roundNumber,
+      team1: team1.teamId,
+      team2: team2.teamId,
+      winner: null,
+      score: { team1: null, team2: null },
+      status: 'pending',
+      startTime: null,
+      played: false,
+    }));
+
+    if (bye) {
+      matches.push({
+        matchNumber: firstMatchNumber + matches.length + 1,
+        round: roundNumber,
+        team1: bye.teamId,
+        team2: null,
+        winner: bye.teamId,
+        score: { team1: null, team2: null },
+        status: 'bye',
+        startTime: null,
+        played: false,
+      });
+      bye.byes += 1;
+      bye.won += 1;
+      bye.points += 1;
+    }
+
+    bracket.rounds.push({
+      roundNumber,
+      name: `Round ${roundNumber}`,
+      matches,
+      completed: matches.every((m) => m.status === 'bye'),
+    });
+    bracket.currentRound = roundNumber;
+    this.sortSwissStandings(bracket);
+
+    return bracket;
+  }
+
+  /**
+   * Pair ranked teams top down, backtracking when the remaining teams cannot be paired
+   * @param {Array} ranked - Standings entries in ranking order
+   * @param {Function} canMeet - Whether two entries may be paired
+   * @returns {Array|null} Pairs of entries, or null when no pairing exists
+   */
+  static pairSwissTeams(ranked, canMeet) {
+    if (ranked.length === 0) {
+      return [];
+    }
+
+    const [first, ...rest] = ranked;
+    for (let i = 0; i < rest.length; i++) {
+      if (!canMeet(first, rest[i])) continue;
+
+      const pairs = this.pairSwissTeams(
+        rest.filter((_, j) => j !== i),
+        canMeet
+      );
+      if (pairs) {
+        return [[first, rest[i]], ...pairs];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Generate a group stage followed by a knockout stage
+   * Teams are drawn into round-robin groups, taking one team per group from each seeding
+   * pot. Group matches are played on shared matchdays, and the knockout stage is built from
+   * the group tables once every group match has been played.
    * @param {Array} teams - Array of team IDs
+   * @param {Object} tournament - Tournament details, with groupCount, advancePerGroup and
+   *   optional seedingPots
+   * @returns {Object} Groups and knockout bracket structure
+   */
+  static generateGroupsKnockoutBracket(teams, tournament) {
+    const teamCount = teams.length;
+    const { groupCount, advancePerGroup = 2, seedingPots = [] } = tournament;
+
+    if (tournament.minTeams && teamCount < tournament.minTeams) {
+      throw new Error(
+        `Not enough teams. Minimum required: ${tournament.minTeams}, registered: ${teamCount}`
+      );
+    }
+    if (!groupCount || groupCount < 2) {
+      throw new Error('A group stage needs at least 2 groups');
+    }
+
+    // Keeps the knockout stage free of byes
+    const qualifiers = groupCount * advancePerGroup;
+    if (this.getNextPowerOfTwo(qualifiers) !== qualifiers) {
+      throw new Error(
+        `Groups times teams advancing per group must be a power of 2, got ${qualifiers}`
+      );
+    }
+    // Every group needs more teams than advance from it
+    const minTeams = groupCount * (advancePerGroup + 1);
+    if (teamCount < minTeams) {
+      throw new Error(
+        `Not enough teams for ${groupCount} groups. Minimum required: ${minTeams}, registered: ${teamCount}`
+      );
+    }
+
+    // Deal teams to groups in turn, pot by pot, so no group gets two teams from one pot
+    const groups = Array.from({ length: groupCount }, (_, i) => ({
+      name: String.fromCharCode(65 + i),
+      teams: [],
+      standings: [],
+    }));
+    this.drawSeedingPots(teams, groupCount, seedingPots).forEach((teamId, i) => {
+      groups[i % groupCount].teams.push(teamId);
+    });
+
+    const matchdays = [];
+    // Group tables use the organizer's points and tiebreakers
+    const standingsRules = this.getStandingsRules(tournament);
+    for (const group of groups) {
+      const league = this.generateLeagueBracket(group.teams, {
+        pointsPerWin: standingsRules.points.win,
+        pointsPerDraw: standingsRules.points.draw,
+        pointsPerLoss: standingsRules.points.loss,
+        tiebreakers: standingsRules.tiebreakers,
+      });
+      group.standings = league.standings;
+      league.rounds.forEach((round, i) => {
+        matchdays[i] = matchdays[i] || [];
+        matchdays[i].push(...round.matches.map((match) => ({ ...match, group: group.name })));
+      });
+    }
+
+    let matchNumber = 0;
+    const rounds = matchdays.map((matches, i) => ({
+      roundNumber: i + 1,
+      name: `Group Matchday ${i + 1}`,
+      stage: 'groups',
+      matches: matches.map((match) => ({ ...match, matchNumber: ++matchNumber, round: i + 1 })),
+      completed: false,
+    }));
+
+    return {
+      type: 'groups_knockout',
+      stage: 'groups',
+      advancePerGroup,
+      standingsRules,
+      groupRounds: rounds.length,
+      totalRounds: rounds.length + Math.log2(qualifiers),
+      currentRound: 1,
+      groups,
+      rounds,
+      teams: groups.flatMap((group) =>
+        group.teams.map((teamId) => ({ teamId, group: group.name, eliminated: false }))
+      ),
+      winners: {
+        champion: null,
+        runnerUp: null,
+        thirdPlace: null,
+      },
+    };
+  }
+
+  /**
+   * Order teams for the group draw: each pot shuffled in turn, then the unseeded teams
+   * @param {Array} teams - Registered team IDs
+   * @param {number} groupCount - Number of groups
+   * @param {Array} seedingPots - Arrays of team IDs, strongest pot first
+   * @returns {Array} Team IDs in draw order
+   */
+  static drawSeedingPots(teams, groupCount, seedingPots) {
+    const key = (teamId) => teamId.toString();
+    const registered = new Set(teams.map(key));
+    const seeded = new Set();
+
+    for (const pot of seedingPots) {
+      if (pot.length > groupCount) {
+        throw new Error(
+          `A seeding pot cannot hold more teams than there are groups (${groupCount})`
+        );
+      }
+      for (const teamId of pot) {
+        if (!registered.has(key(teamId))) {
+          throw new Error(`Seeded team ${teamId} is not registered in the tournament`);
+        }
+        if (seeded.has(key(teamId))) {
+          throw new Error(`Team ${teamId} is in more than one seeding pot`);
+        }
+        seeded.add(key(teamId));
+      }
+    }
+
+    return [
+      ...seedingPots.flatMap((pot) => this.shuffleArray(pot)),
+      ...this.shuffleArray(teams.filter((teamId) => !seeded.has(key(teamId)))),
+    ];
+  }
+
+  /**
+   * Build the knockout stage from the final group tables
+   * Groups are paired (A with B, C with D) and each group's teams face the paired group's
+   * in reverse order (A1 v B2, B1 v A2). A group's winner and runner-up start in opposite
+   * halves of the bracket.
+   * @param {Object} bracket - Groups and knockout bracket with every group match played
+   * @returns {Object} Updated bracket
+   */
+  static buildGroupsKnockoutStage(bracket) {
+    const { groups, advancePerGroup, groupRounds } = bracket;
+    const qualified = (group, position) => group.standings[position - 1].teamId;
+
+    const topHalf = [];
+    const bottomHalf = [];
+    for (let i = 0; i < groups.length; i += 2) {
+      const [groupX, groupY] = [groups[i], groups[i + 1]];
+      for (let position = 1; position <= Math.ceil(advancePerGroup / 2); position++) {
+        const opponent = advancePerGroup + 1 - position;
+        topHalf.push([qualified(groupX, position), qualified(groupY, opponent)]);
+        if (advancePerGroup > 1) {
+          bottomHalf.push([qualified(groupY, position), qualified(groupX, opponent)]);
+        }
+      }
+    }
+
+    const knockoutRounds = bracket.totalRounds - groupRounds;
+    const firstMatchNumber = bracket.rounds.reduce((count, r) => count + r.matches.length, 0);
+    const pairs = [...topHalf, ...bottomHalf];
+    const firstRound = pairs.map(([team1, team2], i) => ({
+      matchNumber: firstMatchNumber + i + 1,
+      round: 1,
+      team1,
+      team2,
+      winner: null,
+      score: { team1: null, team2: null },
+      status: 'pending',
+      startTime: null,
+      nextMatch:
+        knockoutRounds > 1 ? firstMatchNumber + pairs.length + Math.floor(i / 2) + 1 : null,
+      nextMatchPosition: knockoutRounds > 1 ? (i % 2 === 0 ? 'team1' : 'team2') : null,
+    }));
+
+    const rounds = this.buildKnockoutRounds(firstRound, knockoutRounds);
+    for (const round of rounds) {
+      round.roundNumber += groupRounds;
+      round.stage = 'knockout';
+      round.matches.forEach((match) => {
+        match.round = round.roundNumber;
+      });
+    }
+    bracket.rounds.push(...rounds);
+
+    const through = new Set(pairs.flat().map((teamId) => teamId.toString()));
+    bracket.teams.forEach((team) => {
+      team.eliminated = !through.has(team.teamId.toString());
+    });
+    bracket.stage = 'knockout';
+
+    return bracket;
+  }
+
+  /**
+   * Order teams by seed for an elimination bracket
+   * random shuffles the teams, elo ranks them by team ELO rating, and manual follows the
+   * organizer's seed list, with any teams missing from it seeded after it at random.
+   * @param {Array} teams - Array of team IDs
+   * @param {Object} tournament - Tournament details, with seeding, seeds and teamElo
+   *   (team ID to ELO rating, loaded by the tournament service)
+   * @returns {Array} Team IDs, top seed first
+   */
+  static seedTeams(teams, tournament) {
+    const key = (teamId) => teamId.toString();
+    const seeding = tournament.seeding || 'random';
+
+    if (seeding === 'random') {
+      return this.shuffleArray([...teams]);
+    }
+
+    if (seeding === 'elo') {
+      const elo = tournament.teamElo || {};
+      const rating = (teamId) => elo[key(teamId)] ?? 0;
+      // Shuffled first so that equal ratings are seeded at random
+      return this.shuffleArray([...teams]).sort((a, b) => rating(b) - rating(a));
+    }
+
+    if (seeding === 'manual') {
+      const seeds = tournament.seeds || [];
+      if (seeds.length === 0) {
+        throw new Error('Manual seeding needs a seed list');
+      }
+
+      const registered = new Set(teams.map(key));
+      const seeded = new Set();
+      for (const teamId of seeds) {
+        if (!registered.has(key(teamId))) {
+          throw new Error(`Seeded team ${teamId} is not registered in the tournament`);
+        }
+        if (seeded.has(key(teamId))) {
+          throw new Error(`Team ${teamId} is seeded more than once`);
+        }
+        seeded.add(key(teamId));
+      }
+
+      return [...seeds, ...this.shuffleArray(teams.filter((teamId) => !seeded.has(key(teamId))))];
+    }
+
+    throw new Error(`Unsupported seeding mode: ${seeding}`);
+  }
+
+  /**
+   * Team entries in seed order, with the ELO ratings used when seeding by ELO
+   * @param {Array} seededTeams - Team IDs, top seed first
+   * @param {Object} tournament - Tournament details
+   * @returns {Array} Team entries
+   */
+  static buildSeededTeams(seededTeams, tournament) {
+    return seededTeams.map((teamId, index) => ({
+      teamId,
+      seed: index + 1,
+      ...(tournament.seeding === 'elo' && {
+        elo: tournament.teamElo?.[teamId.toString()] ?? null,
+      }),
+      eliminated: false,
+    }));
+  }
+
+  /**
+   * Seed numbers in bracket order. Each seed faces the lowest seed left, and seeds 1 and 2
+   * start in opposite halves, so they can only meet in the final. For 8 slots: 1 8 4 5 2 7 3 6
+   * @param {number} slots - Total slots in bracket (power of 2)
+   * @returns {Array} Seed numbers
+   */
+  static getSeedPlacement(slots) {
+    let placement = [1];
+    while (placement.length < slots) {
+      const size = placement.length * 2;
+      placement = placement.flatMap((seed) => [seed, size + 1 - seed]);
+    }
+    return placement;
+  }
+
+  /**
+   * Generate first round matches for knockout tournament
+   * Seeds missing from the bracket are byes, so the top seeds get them.
+   * @param {Array} teams - Array of team IDs, top seed first
    * @param {number} slots - Total slots in bracket (power of 2)
    * @returns {Array} First round matches
    */
   static generateFirstRound(teams, slots) {
     const matches = [];
-    // Number of byes needed: slots - teams.length
+    const placement = this.getSeedPlacement(slots);
     
     // Create match pairs
     for (let i = 0; i < slots / 2; i++) {
-      const team1Index = i;
-      const team2Index = slots - 1 - i;
+      const team1Index = placement[2 * i] - 1;
+      const team2Index = placement[2 * i + 1] - 1;
       
       const match = {
         matchNumber: i + 1,
@@ -139,8 +835,9 @@ export class BracketGenerator {
         },
         status: 'pending',
         startTime: null,
-        nextMatch: Math.floor(i / 2) + 1, // Which match in next round
-        nextMatchPosition: i % 2 === 0 ? 'team1' : 'team2', // Position in next match
+        // Match number and position in the next round
+        nextMatch: slots > 2 ? slots / 2 + Math.floor(i / 2) + 1 : null,
+        nextMatchPosition: slots > 2 ? (i % 2 === 0 ? 'team1' : 'team2') : null,
       };
       
       // Handle byes - team automatically advances
@@ -177,7 +874,7 @@ export class BracketGenerator {
     
     // Generate subsequent rounds
     let prevRoundMatchCount = firstRoundMatches.length;
-    let matchNumberOffset = firstRoundMatches.length;
+    let matchNumberOffset = firstRoundMatches[firstRoundMatches.length - 1].matchNumber;
     
     for (let round = 2; round <= totalRounds; round++) {
       const matchCount = Math.floor(prevRoundMatchCount / 2);
@@ -196,7 +893,8 @@ export class BracketGenerator {
           },
           status: 'pending',
           startTime: null,
-          nextMatch: round < totalRounds ? Math.floor(i / 2) + 1 : null,
+          nextMatch:
+            round < totalRounds ? matchNumberOffset + matchCount + Math.floor(i / 2) + 1 : null,
           nextMatchPosition: round < totalRounds ? (i % 2 === 0 ? 'team1' : 'team2') : null,
         });
       }
@@ -329,6 +1027,8 @@ export class BracketGenerator {
 
   /**
    * Update bracket with match result
+   * Results are kept in bracket.results in the order recorded, with the teams they were
+   * recorded between, so they can be replayed to correct one of them.
    * @param {Object} bracket - Current bracket
    * @param {string} matchNumber - Match number
    * @param {Object} result - Match result with winner and scores
@@ -336,14 +1036,127 @@ export class BracketGenerator {
    */
   static updateBracketWithResult(bracket, matchNumber, result) {
     const { type } = bracket;
-    
-    if (type === 'knockout') {
-      return this.updateKnockoutBracket(bracket, matchNumber, result);
-    } else if (type === 'league') {
-      return this.updateLeagueBracket(bracket, matchNumber, result);
+    const updaters = {
+      knockout: this.updateKnockoutBracket,
+      league: this.updateLeagueBracket,
+      double_elimination: this.updateDoubleEliminationBracket,
+      swiss: this.updateSwissBracket,
+      groups_knockout: this.updateGroupsKnockoutBracket,
+    };
+
+    if (!updaters[type]) {
+      throw new Error(`Unsupported tournament type: ${type}`);
     }
-    
-    throw new Error(`Unsupported tournament type: ${type}`);
+
+    const match = this.findBracketMatch(bracket, matchNumber);
+    const teams = { team1: match?.team1 ?? null, team2: match?.team2 ?? null };
+    updaters[type].call(this, bracket, matchNumber, result);
+
+    if (match) {
+      bracket.results = [
+        ...(bracket.results || []),
+        { matchNumber: match.matchNumber, ...teams, result },
+      ];
+    }
+    return bracket;
+  }
+
+  /**
+   * Record results on a bracket as generated, in the order given
+   * A result is only replayed while its fixture is still to be played between the same two
+   * teams. Otherwise it no longer applies, and the fixture is left to be played again.
+   * @param {Object} bracket - Bracket as generated, before any result
+   * @param {Array} results - Results log, as kept in bracket.results
+   * @returns {Array} Match numbers of the results that no longer apply
+   */
+  static replayResults(bracket, results) {
+    const sameTeam = (a, b) => a?.toString() === b?.toString();
+    const invalidated = [];
+    bracket.results = [];
+
+    for (const entry of results) {
+      const match = this.findBracketMatch(bracket, entry.matchNumber);
+      if (
+        match?.status !== 'pending' ||
+        !sameTeam(match.team1, entry.team1) ||
+        !sameTeam(match.team2, entry.team2)
+      ) {
+        invalidated.push(entry.matchNumber);
+        continue;
+      }
+
+      this.updateBracketWithResult(bracket, entry.matchNumber, entry.result);
+
+      // Paired as the tournament service does once the previous round is complete
+      if (
+        bracket.type === 'swiss' &&
+        bracket.rounds.every((r) => r.completed) &&
+        bracket.rounds.length < bracket.totalRounds
+      ) {
+        this.generateSwissRound(bracket);
+      }
+    }
+
+    return invalidated;
+  }
+
+  /**
+   * Correct or undo a recorded result by replaying every result on the bracket as generated
+   * Downstream slots, standings and winners are rebuilt. Later results whose fixture now has
+   * different teams are dropped. Fixtures keep their schedule slot, and keep their match
+   * only while they are still between the same teams.
+   * @param {Object} bracket - Current bracket
+   * @param {Object} initialBracket - The same bracket as generated, which is replayed on
+   * @param {number} matchNumber - Match whose result is corrected
+   * @param {Object|null} result - Corrected result, or null to undo the result
+   * @returns {Object} { bracket, previousResult, changed, invalidated } where changed lists
+   *   every fixture whose teams, result or status changed
+   */
+  static correctResult(bracket, initialBracket, matchNumber, result) {
+    const results = bracket.results || [];
+    const entry = results.find((e) => e.matchNumber === Number(matchNumber));
+    if (!entry) {
+      throw new Error(`Match ${matchNumber} has no recorded result`);
+    }
+
+    const corrected = result
+      ? results.map((e) => (e === entry ? { ...e, result } : e))
+      : results.filter((e) => e !== entry);
+    const invalidated = this.replayResults(initialBracket, corrected);
+
+    const sameTeam = (a, b) => a?.toString() === b?.toString();
+    const fixtures = (b) =>
+      new Map(b.rounds.flatMap((r) => r.matches).map((m) => [m.matchNumber, m]));
+    const [before, after] = [fixtures(bracket), fixtures(initialBracket)];
+    for (const [number, fixture] of after) {
+      const previous = before.get(number);
+      if (!previous) continue;
+
+      for (const field of ['startTime', 'endTime', 'venueId', 'court']) {
+        if (previous[field] !== undefined) {
+          fixture[field] = previous[field];
+        }
+      }
+      if (
+        previous.matchId &&
+        sameTeam(previous.team1, fixture.team1) &&
+        sameTeam(previous.team2, fixture.team2)
+      ) {
+        fixture.matchId = previous.matchId;
+      } else {
+        delete fixture.matchId;
+      }
+    }
+    if (bracket.schedule) {
+      initialBracket.schedule = bracket.schedule;
+    }
+
+    const outcome = (m) => m && JSON.stringify([m.team1, m.team2, m.winner, m.status, m.score]);
+    const changed = [...new Set([...before.keys(), ...after.keys()])]
+      .filter((number) => outcome(before.get(number)) !== outcome(after.get(number)))
+      .sort((a, b) => a - b);
+
+    return { bracket: initialBracket, previousResult: entry.result, changed, invalidated };
   }
 
   /**
@@ -361,6 +1174,10 @@ export class BracketGenerator {
       const match = round.matches.find(m => m.matchNumber === matchNumber);
       
       if (match) {
+        if (match.status !== 'pending') {
+          throw new Error(`Match ${matchNumber} has already been played`);
+        }
+
         // Update match with result
         match.winner = result.winner;
         match.score = result.score;
@@ -381,7 +1198,8 @@ export class BracketGenerator {
         }
         
         // Update eliminated status
-        const loser = match.team1 === result.winner ? match.team2 : match.team1;
+        const loser =
+          match.team1?.toString() === result.winner?.toString() ? match.team2 : match.team1;
         if (loser) {
           const teamEntry = bracket.teams.find(t => t.teamId.toString() === loser.toString());
           if (teamEntry) {
@@ -402,25 +1220,304 @@ export class BracketGenerator {
     return bracket;
   }
 
+  /**
+   * Update double elimination bracket with match result
+   * @param {Object} bracket - Double elimination bracket
+   * @param {number} matchNumber - Match number
+   * @param {Object} result - Match result, the winner must be one of the two teams
+   * @returns {Object} Updated bracket
+   */
+  static updateDoubleEliminationBracket(bracket, matchNumber, result) {
+    const match = this.findBracketMatch(bracket, matchNumber);
+    if (!match) {
+      throw new Error(`Match ${matchNumber} not found in bracket`);
+    }
+    if (match.status !== 'pending' || !match.team1 || !match.team2) {
+      throw new Error(`Match ${matchNumber} is not ready to be played`);
+    }
+
+    const sameTeam = (a, b) => a?.toString() === b?.toString();
+    if (!sameTeam(result.winner, match.team1) && !sameTeam(result.winner, match.team2)) {
+      throw new Error('Winner must be one of the teams in the match');
+    }
+
+    const winner = sameTeam(result.winner, match.team1) ? match.team1 : match.team2;
+    const loser = winner === match.team1 ? match.team2 : match.team1;
+    match.winner = winner;
+    match.loser = loser;
+    match.score = result.score;
+    match.status = 'completed';
+
+    const loserEntry = bracket.teams.find((t) => sameTeam(t.teamId, loser));
+    if (loserEntry) {
+      loserEntry.losses += 1;
+      loserEntry.eliminated = loserEntry.losses >= 2;
+    }
+
+    const [grandFinal, reset] = bracket.rounds
+      .filter((r) => r.bracket === 'grand_final')
+      .map((r) => r.matches[0]);
+
+    if (match === grandFinal) {
+      const losersChampionWon = winner === match.team2;
+      if (losersChampionWon && reset) {
+        // Both teams now have one loss, so the final is replayed
+        reset.team1 = match.team1;
+        reset.team2 = match.team2;
+        reset.feedsPending = 0;
+      } else {
+        if (loserEntry) {
+          loserEntry.eliminated = true;
+        }
+        bracket.winners.champion = winner;
+        bracket.winners.runnerUp = loser;
+        if (reset) {
+          reset.status = 'skipped';
+          reset.feedsPending = 0;
+        }
+      }
+    } else if (match === reset) {
+      bracket.winners.champion = winner;
+      bracket.winners.runnerUp = loser;
+    } else {
+      if (match.bracket === 'losers' && match.winnerTo?.matchNumber === grandFinal.matchNumber) {
+        bracket.winners.thirdPlace = loser;
+      }
+      this.advanceDoubleElimination(bracket, match);
+    }
+
+    this.updateDoubleEliminationRounds(bracket);
+    return bracket;
+  }
+
+  /**
+   * Send a settled match's winner and loser on to their next matches
+   * @param {Object} bracket - Double elimination bracket
+   * @param {Object} match - Completed or bye match
+   */
+  static advanceDoubleElimination(bracket, match) {
+    for (const [team, target] of [
+      [match.winner, match.winnerTo],
+      [match.loser, match.loserTo],
+    ]) {
+      if (!target) continue;
+
+      const next = this.findBracketMatch(bracket, target.matchNumber);
+      if (team) {
+        next[target.position] = team;
+      }
+      next.feedsPending -= 1;
+      this.settleDoubleEliminationBye(bracket, next);
+    }
+  }
+
+  /**
+   * A match that will not receive any more teams but has fewer than two is a bye.
+   * A lone team advances without a loss; an empty match passes nothing on.
+   * @param {Object} bracket - Double elimination bracket
+   * @param {Object} match - Match to check
+   */
+  static settleDoubleEliminationBye(bracket, match) {
+    if (match.status !== 'pending' || match.feedsPending > 0 || (match.team1 && match.team2)) {
+      return;
+    }
+
+    match.winner = match.team1 || match.team2;
+    match.status = 'bye';
+    this.advanceDoubleElimination(bracket, match);
+  }
+
+  /**
+   * A round is completed once none of its matches are left to play
+   * @param {Object} bracket - Double elimination bracket
+   */
+  static updateDoubleEliminationRounds(bracket) {
+    for (const round of bracket.rounds) {
+      round.completed = round.matches.every((m) => m.status !== 'pending');
+    }
+  }
+
+  /**
+   * Find a match anywhere in the bracket
+   * @param {Object} bracket - Tournament bracket
+   * @param {number} matchNumber - Match number
+   * @returns {Object|undefined} The match
+   */
+  static findBracketMatch(bracket, matchNumber) {
+    for (const round of bracket.rounds) {
+      const match = round.matches.find((m) => m.matchNumber === Number(matchNumber));
+      if (match) {
+        return match;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Update groups and knockout bracket with match result
+   * Group matches update the group table the same way as a league, and the knockout stage
+   * is built once the last group match is played.
+   * @param {Object} bracket - Groups and knockout bracket
+   * @param {number} matchNumber - Match number
+   * @param {Object} result - Match result, knockout matches need a winner
+   * @returns {Object} Updated bracket
+   */
+  static updateGroupsKnockoutBracket(bracket, matchNumber, result) {
+    const match = this.findBracketMatch(bracket, matchNumber);
+    if (!match) {
+      throw new Error(`Match ${matchNumber} not found in bracket`);
+    }
+
+    if (match.group) {
+      if (match.played) {
+        throw new Error(`Match ${matchNumber} has already been played`);
+      }
+      if (!result.score) {
+        throw new Error('Group matches need a score');
+      }
+
+      const group = bracket.groups.find((g) => g.name === match.group);
+      this.updateLeagueBracket(
+        {
+          rounds: bracket.rounds.filter((r) => r.stage === 'groups'),
+          standings: group.standings,
+          standingsRules: bracket.standingsRules,
+        },
+        match.matchNumber,
+        result
+      );
+
+      if (bracket.rounds.every((r) => r.stage !== 'groups' || r.completed)) {
+        this.buildGroupsKnockoutStage(bracket);
+      }
+      return bracket;
+    }
+
+    if (match.status !== 'pending' || !match.team1 || !match.team2) {
+      throw new Error(`Match ${matchNumber} is not ready to be played`);
+    }
+    const sameTeam = (a, b) => a?.toString() === b?.toString();
+    if (!sameTeam(result.winner, match.team1) && !sameTeam(result.winner, match.team2)) {
+      throw new Error('Winner must be one of the teams in the match');
+    }
+
+    return this.updateKnockoutBracket(bracket, match.matchNumber, result);
+  }
+
+  /**
+   * Update Swiss bracket with match result
+   * The winner is taken from the result, or from the score when none is given; level
+   * scores without a winner are a draw.
+   * @param {Object} bracket - Swiss bracket
+   * @param {number} matchNumber - Match number
+   * @param {Object} result - Match result with score and optional winner
+   * @returns {Object} Updated bracket
+   */
+  static updateSwissBracket(bracket, matchNumber, result) {
+    const match = this.findBracketMatch(bracket, matchNumber);
+    if (!match) {
+      throw new Error(`Match ${matchNumber} not found in bracket`);
+    }
+    if (match.status !== 'pending') {
+      throw new Error(`Match ${matchNumber} has already been played`);
+    }
+
+    const score = { team1: result.score?.team1 ?? 0, team2: result.score?.team2 ?? 0 };
+    const sameTeam = (a, b) => a?.toString() === b?.toString();
+    let team1Points = 0.5;
+    if (result.winner) {
+      if (!sameTeam(result.winner, match.team1) && !sameTeam(result.winner, match.team2)) {
+        throw new Error('Winner must be one of the teams in the match');
+      }
+      team1Points = sameTeam(result.winner, match.team1) ? 1 : 0;
+    } else if (score.team1 !== score.team2) {
+      team1Points = score.team1 > score.team2 ? 1 : 0;
+    }
+
+    match.score = score;
+    match.winner = team1Points === 0.5 ? null : team1Points === 1 ? match.team1 : match.team2;
+    match.status = 'completed';
+    match.played = true;
+
+    const record = (teamId, opponent, points, goalsFor, goalsAgainst) => {
+      const standing = bracket.standings.find((s) => sameTeam(s.teamId, teamId));
+      standing.played += 1;
+      standing.points += points;
+      standing.goalsFor += goalsFor;
+      standing.goalsAgainst += goalsAgainst;
+      standing.goalDifference = standing.goalsFor - standing.goalsAgainst;
+      if (points === 1) standing.won += 1;
+      else if (points === 0) standing.lost += 1;
+      else standing.drawn += 1;
+      standing.results.push({ opponent, points });
+    };
+    record(match.team1, match.team2, team1Points, score.team1, score.team2);
+    record(match.team2, match.team1, 1 - team1Points, score.team2, score.team1);
+
+    const round = bracket.rounds.find((r) => r.roundNumber === match.round);
+    round.completed = round.matches.every((m) => m.status !== 'pending');
+    this.sortSwissStandings(bracket);
+
+    return bracket;
+  }
+
+  /**
+   * Recompute tiebreaks and rank by points, Buchholz, Sonneborn-Berger, then seed.
+   * Buchholz adds up the points of every opponent played; Sonneborn-Berger adds the
+   * points of beaten opponents and half the points of drawn ones.
+   * @param {Object} bracket - Swiss bracket
+   */
+  static sortSwissStandings(bracket) {
+    const points = new Map(bracket.standings.map((s) => [s.teamId.toString(), s.points]));
+    const opponentPoints = (result) => points.get(result.opponent.toString()) || 0;
+
+    for (const standing of bracket.standings) {
+      standing.buchholz = standing.results.reduce((sum, r) => sum + opponentPoints(r), 0);
+      standing.sonnebornBerger = standing.results.reduce(
+        (sum, r) => sum + r.points * opponentPoints(r),
+        0
+      );
+    }
+
+    bracket.standings.sort(
+      (a, b) =>
+        b.points - a.points ||
+        b.buchholz - a.buchholz ||
+        b.sonnebornBerger - a.sonnebornBerger ||
+        a.seed - b.seed
+    );
+    bracket.standings.forEach((standing, index) => {
+      standing.position = index + 1;
+    });
+  }
+
   /**
    * Update league bracket with match result
    * @param {Object} bracket - League bracket
    * @param {string} matchNumber - Match number
-   * @param {Object} result - Match result
+   * @param {Object} result - Match result, with optional fair play penalty points per team
    * @returns {Object} Updated bracket
    */
   static updateLeagueBracket(bracket, matchNumber, result) {
     const { rounds, standings } = bracket;
+    const { points } = bracket.standingsRules || this.getStandingsRules({});
     
     // Find the match
     for (const round of rounds) {
       const match = round.matches.find(m => m.matchNumber === matchNumber);
       
       if (match) {
+        if (match.played) {
+          throw new Error(`Match ${matchNumber} has already been played`);
+        }
+
         // Update match
         match.score = result.score;
         match.status = 'completed';
         match.played = true;
+        if (result.fairPlay) {
+          match.fairPlay = result.fairPlay;
+        }
         
         // Update standings
         const team1Standing = standings.find(s => s.teamId.toString() === match.team1.toString());
@@ -434,21 +1531,25 @@ export class BracketGenerator {
           team1Standing.goalsAgainst += result.score.team2;
           team2Standing.goalsFor += result.score.team2;
           team2Standing.goalsAgainst += result.score.team1;
+          team1Standing.fairPlay = (team1Standing.fairPlay || 0) + (result.fairPlay?.team1 || 0);
+          team2Standing.fairPlay = (team2Standing.fairPlay || 0) + (result.fairPlay?.team2 || 0);
           
           // Determine winner
           if (result.score.team1 > result.score.team2) {
             team1Standing.won += 1;
-            team1Standing.points += 3;
+            team1Standing.points += points.win;
             team2Standing.lost += 1;
+            team2Standing.points += points.loss;
           } else if (result.score.team2 > result.score.team1) {
             team2Standing.won += 1;
-            team2Standing.points += 3;
+            team2Standing.points += points.win;
             team1Standing.lost += 1;
+            team1Standing.points += points.loss;
           } else {
             team1Standing.drawn += 1;
-            team1Standing.points += 1;
+            team1Standing.points += points.draw;
             team2Standing.drawn += 1;
-            team2Standing.points += 1;
+            team2Standing.points += points.draw;
           }
           
           team1Standing.goalDifference = team1Standing.goalsFor - team1Standing.goalsAgainst;
@@ -462,19 +1563,88 @@ export class BracketGenerator {
       }
     }
     
-    // Sort standings
-    bracket.standings.sort((a, b) => {
-      if (b.points !== a.points) return b.points - a.points;
-      if (b.goalDifference !== a.goalDifference) return b.goalDifference - a.goalDifference;
-      return b.goalsFor - a.goalsFor;
-    });
+    this.sortLeagueStandings(bracket);
     
-    // Update positions
-    bracket.standings.forEach((standing, index) => {
+    return bracket;
+  }
+
+  /**
+   * Sort a league table by points, then by the organizer's tiebreakers in order.
+   * Head-to-head compares the points, then the goal difference, from the matches played
+   * between all the teams level on points. Each team records the tiebreaker that ranked it
+   * above the next team when the two are level on points.
+   * @param {Object} bracket - League bracket, or a group with its rounds and standings
+   */
+  static sortLeagueStandings(bracket) {
+    const { points, tiebreakers } = bracket.standingsRules || this.getStandingsRules({});
+    const { standings } = bracket;
+    const key = (teamId) => teamId.toString();
+
+    const headToHead = new Map();
+    if (tiebreakers.includes('head_to_head')) {
+      const levelOnPoints = new Map();
+      for (const standing of standings) {
+        levelOnPoints.set(standing.points, [
+          ...(levelOnPoints.get(standing.points) || []),
+          key(standing.teamId),
+        ]);
+      }
+
+      const played = bracket.rounds.flatMap((round) => round.matches).filter((m) => m.played);
+      for (const level of levelOnPoints.values()) {
+        if (level.length < 2) continue;
+        level.forEach((teamId) => headToHead.set(teamId, { points: 0, goalDifference: 0 }));
+
+        for (const match of played) {
+          const [team1, team2] = [key(match.team1), key(match.team2)];
+          if (!level.includes(team1) || !level.includes(team2)) continue;
+
+          const [record1, record2] = [headToHead.get(team1), headToHead.get(team2)];
+          const margin = match.score.team1 - match.score.team2;
+          record1.goalDifference += margin;
+          record2.goalDifference -= margin;
+          if (margin > 0) {
+            record1.points += points.win;
+            record2.points += points.loss;
+          } else if (margin < 0) {
+            record1.points += points.loss;
+            record2.points += points.win;
+          } else {
+            record1.points += points.draw;
+            record2.points += points.draw;
+          }
+        }
+      }
+    }
+
+    const compare = {
+      head_to_head: (a, b) => {
+        const [recordA, recordB] = [headToHead.get(key(a.teamId)), headToHead.get(key(b.teamId))];
+        return recordB.points - recordA.points || recordB.goalDifference - recordA.goalDifference;
+      },
+      goal_difference: (a, b) => b.goalDifference - a.goalDifference,
+      goals_scored: (a, b) => b.goalsFor - a.goalsFor,
+      fair_play: (a, b) => (a.fairPlay || 0) - (b.fairPlay || 0),
+      lot: (a, b) => (a.lot ?? 0) - (b.lot ?? 0),
+    };
+    // The first tiebreaker that separates two teams level on points
+    const separate = (a, b) => {
+      for (const rule of tiebreakers) {
+        const difference = compare[rule](a, b);
+        if (difference !== 0) {
+          return { rule, difference };
+        }
+      }
+      return null;
+    };
+
+    standings.sort((a, b) => b.points - a.points || separate(a, b)?.difference || 0);
+    standings.forEach((standing, index) => {
+      const next = standings[index + 1];
       standing.position = index + 1;
+      standing.tiebreaker =
+        next && next.points === standing.points ? separate(standing, next)?.rule || null : null;
     });
-    
-    return bracket;
   }
 }
 
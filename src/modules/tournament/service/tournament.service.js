@@ -2,10 +2,61 @@
  * Tournament Service
  */
 import { BracketGenerator } from './bracketGenerator.service.js';
+import { TournamentScheduler } from './tournamentScheduler.service.js';
+import { TournamentEligibility } from './tournamentEligibility.service.js';
+import { getScoringFormat } from '@/modules/match/scoring/index.js';
+import { MatchRecurrence } from '@/modules/match/service/matchRecurrence.service.js';
+import { ACTIVE_REGISTRATION_STATUSES } from '../model/tournament.model.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fair play penalty points per card, for league and group tiebreakers
+const FAIR_PLAY_POINTS = { yellow_card: 1, red_card: 3 };
+
+// Settings a division starts with from its tournament
+const DIVISION_SETTINGS = [
+  'title',
+  'sport',
+  'sportCategory',
+  'type',
+  'bracketReset',
+  'swissRounds',
+  'groupCount',
+  'advancePerGroup',
+  'seeding',
+  'pointsPerWin',
+  'pointsPerDraw',
+  'pointsPerLoss',
+  'tiebreakers',
+  'doubleRoundRobin',
+  'rules',
+  'registrationWindow',
+  'entryFee',
+  'prizePool',
+  'minTeams',
+  'maxTeams',
+  'minRosterSize',
+  'maxRosterSize',
+  'visibility',
+];
 
 export class TournamentService {
-  constructor(tournamentRepository, eventBus, logger) {
+  constructor(
+    tournamentRepository,
+    teamRepository,
+    userRepository,
+    matchRepository,
+    venueRepository,
+    inviteLinkService,
+    eventBus,
+    logger
+  ) {
     this.tournamentRepository = tournamentRepository;
+    this.teamRepository = teamRepository;
+    this.userRepository = userRepository;
+    this.matchRepository = matchRepository;
+    this.venueRepository = venueRepository;
+    this.inviteLinkService = inviteLinkService;
     this.eventBus = eventBus;
     this.logger = logger.child({ context: 'TournamentService' });
   }
@@ -16,12 +67,86 @@ export class TournamentService {
     return tournament;
   }
 
-  async getTournamentById(id) {
-    return this.tournamentRepository.findById(id);
+  /**
+   * Organizer adds a division, a tournament of its own with its own bracket and
+   * eligibility rules. It starts with the settings of the tournament.
+   */
+  async createDivision(tournamentId, data, userId) {
+    const tournament = await this._getOrganizerTournament(tournamentId, userId, 'add divisions');
+    if (tournament.parentTournamentId) {
+      const error = new Error('Divisions cannot have divisions of their own');
+      error.statusCode = 400;
+      throw error;
+    }
+    const entries = (tournament.registrations || []).filter((r) =>
+      ACTIVE_REGISTRATION_STATUSES.includes(r.status)
+    );
+    if (tournament.status !== 'registration' || tournament.teams.length + entries.length > 0) {
+      const error = new Error('Divisions can only be added before teams register');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const settings = Object.fromEntries(
+      DIVISION_SETTINGS.filter((field) => tournament[field] !== undefined).map((field) => [
+        field,
+        tournament[field],
+      ])
+    );
+    const division = await this.tournamentRepository.create({
+      ...settings,
+      ...data,
+      organizerId: tournament.organizerId,
+      parentTournamentId: tournament._id,
+    });
+    await this.eventBus.publish('tournament.division_created', {
+      tournamentId,
+      divisionId: division._id,
+      division: division.division,
+    });
+    return division;
+  }
+
+  async listDivisions(tournamentId, userId = null, inviteToken = null) {
+    const tournament = await this.getTournamentById(tournamentId, userId, inviteToken);
+    if (!tournament) {
+      const error = new Error('Tournament not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return this.tournamentRepository.find({ parentTournamentId: tournament._id });
+  }
+
+  /**
+   * Private tournaments are only visible to the organizer, members of registered teams
+   * or through an invite link. To everyone else they do not exist.
+   */
+  async getTournamentById(id, userId = null, inviteToken = null) {
+    const tournament = await this.tournamentRepository.findById(id);
+    if (
+      !tournament ||
+      tournament.visibility !== 'private' ||
+      (await this._isMember(tournament, userId))
+    ) {
+      return tournament;
+    }
+
+    if (!inviteToken) {
+      const error = new Error('Tournament not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    await this.inviteLinkService.verifyToken('tournament', tournament._id, inviteToken);
+    return tournament;
   }
 
-  async listTournaments(filters = {}) {
-    return this.tournamentRepository.find(filters);
+  async listTournaments(filters = {}, userId = null) {
+    const visible = [{ visibility: { $ne: 'private' } }];
+    if (userId) {
+      const teams = await this.teamRepository.find({ 'members.userId': userId });
+      visible.push({ organizerId: userId }, { teams: { $in: teams.map((t) => t._id) } });
+    }
+    return this.tournamentRepository.find({ ...filters, $or: visible });
   }
 
   async updateTournament(id, data, userId, userRoles = []) {
@@ -44,7 +169,22 @@ export class TournamentService {
 
     // Prevent updating certain fields after tournament has started
     if (tournament.status === 'ongoing' || tournament.status === 'completed') {
-      const restrictedFields = ['type', 'sport', 'minTeams', 'maxTeams'];
+      const restrictedFields = [
+        'type',
+        'sport',
+        'minTeams',
+        'maxTeams',
+        'groupCount',
+        'advancePerGroup',
+        'seedingPots',
+        'seeding',
+        'seeds',
+        'pointsPerWin',
+        'pointsPerDraw',
+        'pointsPerLoss',
+        'tiebreakers',
+        'doubleRoundRobin',
+      ];
       const hasRestrictedFields = restrictedFields.some((field) => field in data);
       if (hasRestrictedFields) {
         const error = new Error('Cannot modify tournament structure after it has started');
@@ -53,8 +193,20 @@ export class TournamentService {
       }
     }
 
-    const updated = await this.tournamentRepository.update(id, data);
+    // Moving the end of a closed registration window into the future reopens it
+    const reopen =
+      tournament.registrationClosedAt &&
+      data.registrationWindow?.end &&
+      new Date(data.registrationWindow.end) > new Date();
+
+    const updated = await this.tournamentRepository.update(
+      id,
+      reopen ? { ...data, $unset: { registrationClosedAt: 1 } } : data
+    );
     await this.eventBus.publish('tournament.updated', { tournamentId: id, data });
+    if ('maxTeams' in data) {
+      await this._promoteWaitlist(id);
+    }
     return updated;
   }
 
@@ -86,7 +238,12 @@ export class TournamentService {
     await this.eventBus.publish('tournament.cancelled', { tournamentId: id });
   }
 
-  async joinTournament(tournamentId, teamId, userId) {
+  /**
+   * The team's captain enters it with the players of its roster. Entries wait for the
+   * organizer's approval, or on the waitlist once approved and pending entries take all
+   * maxTeams places.
+   */
+  async joinTournament(tournamentId, teamId, roster, userId, inviteToken = null) {
     const tournament = await this.tournamentRepository.findById(tournamentId);
     if (!tournament) {
       const error = new Error('Tournament not found');
@@ -94,44 +251,56 @@ export class TournamentService {
       throw error;
     }
 
-    // Check if tournament is in registration phase
-    if (tournament.status !== 'registration') {
-      const error = new Error('Tournament is not in registration phase');
-      error.statusCode = 400;
-      throw error;
-    }
+    const inviteLink = await this._verifyJoinInvite(tournament, userId, inviteToken);
+    this._assertRegistrationOpen(tournament);
+    await this._assertNoDivisions(tournament, 'Enter one of the divisions of this tournament');
 
-    // Check registration window
-    const now = new Date();
-    if (now < new Date(tournament.registrationWindow.start)) {
-      const error = new Error('Registration has not started yet');
-      error.statusCode = 400;
+    const team = await this.teamRepository.findById(teamId);
+    if (!team) {
+      const error = new Error('Team not found');
+      error.statusCode = 404;
       throw error;
     }
-    if (now > new Date(tournament.registrationWindow.end)) {
-      const error = new Error('Registration has ended');
-      error.statusCode = 400;
+    if (team.captainId.toString() !== userId) {
+      const error = new Error('Only the team captain can register the team');
+      error.statusCode = 403;
       throw error;
     }
 
-    // Check if team is already registered
-    if (tournament.teams.some((t) => t.toString() === teamId)) {
+    if (
+      tournament.teams.some((t) => t.toString() === teamId) ||
+      this._findRegistration(tournament, teamId)
+    ) {
       const error = new Error('Team is already registered for this tournament');
       error.statusCode = 400;
       throw error;
     }
 
-    // Check if tournament is full
-    if (tournament.maxTeams && tournament.teams.length >= tournament.maxTeams) {
-      const error = new Error('Tournament is full');
-      error.statusCode = 400;
-      throw error;
+    const registration = {
+      teamId,
+      roster: await this._checkRoster(tournament, team, roster),
+      status: this._freePlaces(tournament) > 0 ? 'pending' : 'waitlisted',
+      submittedBy: userId,
+      submittedAt: new Date(),
+    };
+
+    if (inviteLink) {
+      await this.inviteLinkService.redeem(inviteLink);
     }
 
-    await this.tournamentRepository.addTeam(tournamentId, teamId);
-    await this.eventBus.publish('tournament.team_joined', { tournamentId, teamId, userId });
+    await this.tournamentRepository.addRegistration(tournamentId, registration);
+    await this.eventBus.publish('tournament.registration_submitted', {
+      tournamentId,
+      teamId,
+      userId,
+      status: registration.status,
+    });
+    return registration;
   }
 
+  /**
+   * The captain withdraws the team's entry, which frees its place for the waitlist
+   */
   async leaveTournament(tournamentId, teamId, userId) {
     const tournament = await this.tournamentRepository.findById(tournamentId);
     if (!tournament) {
@@ -141,7 +310,8 @@ export class TournamentService {
     }
 
     // Check if team is registered
-    if (!tournament.teams.some((t) => t.toString() === teamId)) {
+    const registration = this._findRegistration(tournament, teamId);
+    if (!registration && !tournament.teams.some((t) => t.toString() === teamId)) {
       const error = new Error('Team is not registered for this tournament');
       error.statusCode = 400;
       throw error;
@@ -154,13 +324,270 @@ export class TournamentService {
       throw error;
     }
 
-    await this.tournamentRepository.removeTeam(tournamentId, teamId);
+    const team = await this.teamRepository.findById(teamId);
+    if (!team || team.captainId.toString() !== userId) {
+      const error = new Error('Only the team captain can withdraw the team');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (registration) {
+      await this.tournamentRepository.updateRegistration(
+        tournamentId,
+        teamId,
+        ACTIVE_REGISTRATION_STATUSES,
+        { status: 'withdrawn' },
+        { $pull: { teams: teamId } }
+      );
+    } else {
+      await this.tournamentRepository.removeTeam(tournamentId, teamId);
+    }
     await this.eventBus.publish('tournament.team_left', { tournamentId, teamId, userId });
+    await this._promoteWaitlist(tournamentId);
+  }
+
+  /**
+   * The captain changes the roster of the team's entry until the tournament starts.
+   * The new roster must meet the same rules as at registration.
+   */
+  async updateRoster(tournamentId, teamId, roster, userId) {
+    const tournament = await this.tournamentRepository.findById(tournamentId);
+    if (!tournament) {
+      const error = new Error('Tournament not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    if (tournament.status !== 'registration') {
+      const error = new Error('Rosters cannot be changed after the tournament has started');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!this._findRegistration(tournament, teamId)) {
+      const error = new Error('Team is not registered for this tournament');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const team = await this.teamRepository.findById(teamId);
+    if (!team || team.captainId.toString() !== userId) {
+      const error = new Error('Only the team captain can change the roster');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const players = await this._checkRoster(tournament, team, roster);
+    const updated = await this._reviewRegistration(
+      tournamentId,
+      teamId,
+      ACTIVE_REGISTRATION_STATUSES,
+      { roster: players, rosterUpdatedAt: new Date() }
+    );
+    await this.eventBus.publish('tournament.roster_updated', {
+      tournamentId,
+      teamId,
+      userId,
+      roster: players,
+    });
+    return this._findRegistration(updated, teamId);
   }
 
-  async registerTeam(tournamentId, teamId) {
-    await this.tournamentRepository.addTeam(tournamentId, teamId);
+  /**
+   * Organizer enters a team directly, without a registration to review. The entry is
+   * recorded as approved and must meet the same rules as one submitted by its captain.
+   */
+  async registerTeam(tournamentId, teamId, roster, userId = null) {
+    const tournament = await this._getOrganizerTournament(
+      tournamentId,
+      userId,
+      'register teams directly'
+    );
+    if (tournament.status !== 'registration') {
+      const error = new Error('Teams can only be added before the tournament starts');
+      error.statusCode = 400;
+      throw error;
+    }
+    await this._assertNoDivisions(tournament, 'Add the team to one of the divisions');
+
+    const team = await this.teamRepository.findById(teamId);
+    if (!team) {
+      const error = new Error('Team not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    if (
+      tournament.teams.some((t) => t.toString() === teamId) ||
+      this._findRegistration(tournament, teamId)
+    ) {
+      const error = new Error('Team is already registered for this tournament');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (this._freePlaces(tournament) <= 0) {
+      const error = new Error('Tournament is full');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const now = new Date();
+    const registration = {
+      teamId,
+      roster: await this._checkRoster(tournament, team, roster),
+      status: 'approved',
+      submittedBy: userId,
+      submittedAt: now,
+      reviewedBy: userId,
+      reviewedAt: now,
+    };
+    await this.tournamentRepository.addRegistration(tournamentId, registration, {
+      $addToSet: { teams: teamId },
+    });
     await this.eventBus.publish('tournament.team_registered', { tournamentId, teamId });
+    return registration;
+  }
+
+  async listRegistrations(tournamentId, userId, status = null) {
+    const tournament = await this._getOrganizerTournament(
+      tournamentId,
+      userId,
+      'view registrations'
+    );
+    const registrations = tournament.registrations || [];
+    return status ? registrations.filter((r) => r.status === status) : registrations;
+  }
+
+  /**
+   * Organizer approves a pending or waitlisted entry while places are left,
+   * which adds the team to the tournament
+   */
+  async approveRegistration(tournamentId, teamId, userId) {
+    const tournament = await this._getReviewableTournament(tournamentId, userId);
+    const statuses = ['pending', 'waitlisted'];
+    const registration = this._findRegistration(tournament, teamId, statuses);
+    if (!registration) {
+      const error = new Error('Team has no registration awaiting approval');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // Waitlisted entries cannot take the place held by a pending entry
+    const places =
+      registration.status === 'pending'
+        ? (tournament.maxTeams || Infinity) - tournament.teams.length
+        : this._freePlaces(tournament);
+    if (places <= 0) {
+      const error = new Error('Tournament is full');
+      error.statusCode = 400;
+      throw error;
+    }
+    await this._recheckRoster(tournament, registration);
+
+    const updated = await this._reviewRegistration(
+      tournamentId,
+      teamId,
+      statuses,
+      { status: 'approved', reviewedBy: userId, reviewedAt: new Date() },
+      { $addToSet: { teams: teamId } }
+    );
+    await this.eventBus.publish('tournament.team_joined', {
+      tournamentId,
+      teamId,
+      userId: registration.submittedBy,
+      approvedBy: userId,
+    });
+    return this._findRegistration(updated, teamId, ['approved']);
+  }
+
+  /**
+   * Organizer rejects an entry, or removes an approved team before the start
+   */
+  async rejectRegistration(tournamentId, teamId, userId, reason = null) {
+    const tournament = await this._getReviewableTournament(tournamentId, userId);
+    const registration = this._findRegistration(tournament, teamId);
+    if (!registration) {
+      const error = new Error('Team has no registration to reject');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const updated = await this._reviewRegistration(
+      tournamentId,
+      teamId,
+      ACTIVE_REGISTRATION_STATUSES,
+      {
+        status: 'rejected',
+        reviewedBy: userId,
+        reviewedAt: new Date(),
+        ...(reason && { rejectionReason: reason }),
+      },
+      { $pull: { teams: teamId } }
+    );
+    await this.eventBus.publish('tournament.registration_rejected', {
+      tournamentId,
+      teamId,
+      userId: registration.submittedBy,
+      reason,
+    });
+    await this._promoteWaitlist(tournamentId);
+
+    const rejected = updated.registrations.filter(
+      (r) => r.teamId.toString() === teamId && r.status === 'rejected'
+    );
+    return rejected[rejected.length - 1];
+  }
+
+  /**
+   * Mark registrations whose window has ended as closed. Entries already submitted
+   * can still be reviewed, and waitlisted teams move up until the tournament starts.
+   */
+  async closeExpiredRegistrations(now = new Date()) {
+    const tournaments = await this.tournamentRepository.findRegistrationDueToClose(now);
+    let closed = 0;
+
+    for (const tournament of tournaments) {
+      try {
+        await this.tournamentRepository.update(tournament._id, { registrationClosedAt: now });
+        const count = (status) =>
+          (tournament.registrations || []).filter((r) => r.status === status).length;
+        await this.eventBus.publish('tournament.registration_closed', {
+          tournamentId: tournament._id,
+          teams: tournament.teams.length,
+          pending: count('pending'),
+          waitlisted: count('waitlisted'),
+        });
+        closed += 1;
+      } catch (error) {
+        this.logger.error('Failed to close tournament registration', {
+          tournamentId: tournament._id,
+          error: error.message,
+        });
+      }
+    }
+
+    return { closed };
+  }
+
+  /**
+   * Organizer creates a shareable invite link, typically for a private tournament
+   */
+  async createInviteLink(tournamentId, userId, options = {}) {
+    const tournament = await this._getOrganizerTournament(tournamentId, userId);
+    if (tournament.status === 'completed' || tournament.status === 'cancelled') {
+      const error = new Error(`Cannot create invite links for a ${tournament.status} tournament`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return this.inviteLinkService.createLink('tournament', tournament._id, userId, options);
+  }
+
+  async listInviteLinks(tournamentId, userId) {
+    const tournament = await this._getOrganizerTournament(tournamentId, userId);
+    return this.inviteLinkService.listLinks('tournament', tournament._id);
+  }
+
+  async revokeInviteLink(tournamentId, linkId, userId) {
+    const tournament = await this._getOrganizerTournament(tournamentId, userId);
+    return this.inviteLinkService.revokeLink('tournament', tournament._id, linkId, userId);
   }
 
   async startTournament(tournamentId, userId) {
@@ -169,6 +596,8 @@ export class TournamentService {
       throw new Error('Not authorized');
     }
 
+    await this._assertNoDivisions(tournament, 'Start each division of this tournament');
+
     // Check if tournament has enough teams
     if (!tournament.teams || tournament.teams.length === 0) {
       throw new Error('Cannot start tournament: No teams registered');
@@ -176,14 +605,20 @@ export class TournamentService {
 
     // Generate bracket based on tournament type
     try {
-      const bracket = BracketGenerator.generateBracket(tournament);
+      const bracket = BracketGenerator.generateBracket({
+        ...tournament,
+        teamElo: tournament.seeding === 'elo' ? await this._getTeamElo(tournament.teams) : null,
+      });
 
       // Update tournament with bracket and status
+      const matchIds = await this._materializeMatches(tournament, bracket, 1);
       const updateData = {
         status: 'ongoing',
         currentRound: 1,
         bracket: bracket,
+        initialBracket: bracket,
         rounds: bracket.totalRounds,
+        $addToSet: { matches: { $each: matchIds } },
       };
 
       await this.tournamentRepository.update(tournamentId, updateData);
@@ -207,8 +642,8 @@ export class TournamentService {
     }
   }
 
-  async getBracket(tournamentId) {
-    const tournament = await this.tournamentRepository.findById(tournamentId);
+  async getBracket(tournamentId, userId = null, inviteToken = null) {
+    const tournament = await this.getTournamentById(tournamentId, userId, inviteToken);
     if (!tournament) {
       throw new Error('Tournament not found');
     }
@@ -220,6 +655,131 @@ export class TournamentService {
     return tournament.bracket;
   }
 
+  /**
+   * Assign a time and court to every fixture still to be played, avoiding existing
+   * bookings of the venues. Fixtures without a free court are listed in the conflicts.
+   */
+  async scheduleTournament(tournamentId, options, userId) {
+    const tournament = await this._getOrganizerTournament(
+      tournamentId,
+      userId,
+      'schedule fixtures'
+    );
+    this._assertSchedulable(tournament);
+
+    for (const { venueId } of options.venues || []) {
+      const venue = await this.venueRepository.findById(venueId);
+      if (!venue) {
+        const error = new Error(`Venue ${venueId} not found`);
+        error.statusCode = 404;
+        throw error;
+      }
+      if (venue.status !== 'active') {
+        const error = new Error(`Venue ${venue.name} is not available for booking`);
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    const bookings = await this._getScheduleBookings(options.venues || [], options.days || []);
+    let scheduled;
+    try {
+      scheduled = TournamentScheduler.scheduleBracket(tournament.bracket, options, bookings);
+    } catch (error) {
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { bracket, conflicts } = scheduled;
+    await this._syncFixtureMatches(TournamentScheduler.getFixtures(bracket));
+    await this.tournamentRepository.update(tournamentId, { bracket });
+    await this.eventBus.publish('tournament.scheduled', {
+      tournamentId,
+      conflicts: conflicts.length,
+    });
+    this.logger.info('Tournament fixtures scheduled', {
+      tournamentId,
+      conflicts: conflicts.length,
+    });
+
+    return { bracket, conflicts };
+  }
+
+  /**
+   * Move a single fixture. Fixtures downstream of it that no longer fit are moved to
+   * their earliest free court, and the conflict report is rebuilt.
+   */
+  async rescheduleFixture(tournamentId, matchNumber, slot, userId) {
+    const tournament = await this._getOrganizerTournament(
+      tournamentId,
+      userId,
+      'schedule fixtures'
+    );
+    this._assertSchedulable(tournament);
+    if (!tournament.bracket.schedule) {
+      const error = new Error('Schedule the tournament before moving fixtures');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Bookings on the new day count too when the fixture is moved outside the time windows
+    const { venues, days } = tournament.bracket.schedule;
+    const bookings = await this._getScheduleBookings(venues, [...days, { date: slot.startTime }]);
+    let rescheduled;
+    try {
+      rescheduled = TournamentScheduler.rescheduleFixture(
+        tournament.bracket,
+        matchNumber,
+        slot,
+        bookings
+      );
+    } catch (error) {
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { bracket, conflicts, moved } = rescheduled;
+    const changed = new Set([Number(matchNumber), ...moved]);
+    await this._syncFixtureMatches(
+      TournamentScheduler.getFixtures(bracket).filter((f) => changed.has(f.matchNumber))
+    );
+    await this.tournamentRepository.update(tournamentId, { bracket });
+    await this.eventBus.publish('tournament.fixture_rescheduled', {
+      tournamentId,
+      matchNumber: Number(matchNumber),
+      moved,
+      conflicts: conflicts.length,
+    });
+
+    return { bracket, conflicts, moved };
+  }
+
+  /**
+   * League, Swiss and group tables. League and group standings note the tiebreaker that
+   * ranked each team above the next one when they are level on points.
+   */
+  async getStandings(tournamentId, userId = null, inviteToken = null) {
+    const bracket = await this.getBracket(tournamentId, userId, inviteToken);
+
+    if (bracket.type === 'groups_knockout') {
+      return {
+        type: bracket.type,
+        standingsRules: bracket.standingsRules,
+        groups: bracket.groups.map(({ name, standings }) => ({ name, standings })),
+      };
+    }
+    if (!bracket.standings) {
+      const error = new Error(`Tournaments of type ${bracket.type} have no standings`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return {
+      type: bracket.type,
+      standingsRules: bracket.standingsRules,
+      standings: bracket.standings,
+    };
+  }
+
   async updateMatchResult(tournamentId, matchNumber, result, userId) {
     const tournament = await this.tournamentRepository.findById(tournamentId);
 
@@ -236,48 +796,679 @@ export class TournamentService {
     }
 
     try {
-      // Update bracket with match result
-      const updatedBracket = BracketGenerator.updateBracketWithResult(
+      return await this._recordMatchResult(tournament, matchNumber, result);
+    } catch (error) {
+      this.logger.error(`Failed to update match result:`, error);
+      throw new Error(`Failed to update match result: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace a recorded result. Later results that no longer apply are dropped, see
+   * correctResult in BracketGenerator.
+   */
+  async correctMatchResult(tournamentId, matchNumber, result, userId, reason = null) {
+    return this._editMatchResult(tournamentId, matchNumber, result, userId, reason);
+  }
+
+  /**
+   * Undo a recorded result, leaving the fixture to be played again
+   */
+  async undoMatchResult(tournamentId, matchNumber, userId, reason = null) {
+    return this._editMatchResult(tournamentId, matchNumber, null, userId, reason);
+  }
+
+  /**
+   * Advance the bracket when the result of a match created for one of its fixtures is
+   * confirmed.
+   * Fixtures already recorded by the organizer are left alone, as are draws in
+   * elimination matches, which need the organizer to record the winner.
+   */
+  async handleMatchFinished({ matchId, scores }) {
+    try {
+      const match = await this.matchRepository.findById(matchId);
+      if (!match?.tournamentId) {
+        return;
+      }
+
+      const tournament = await this.tournamentRepository.findById(match.tournamentId);
+      if (!tournament?.bracket || tournament.status !== 'ongoing') {
+        return;
+      }
+
+      const { bracket } = tournament;
+      const fixture = BracketGenerator.findBracketMatch(bracket, match.tournamentMatchNumber);
+      if (!fixture || fixture.status !== 'pending') {
+        return;
+      }
+
+      const format = getScoringFormat(match.sport);
+      const finalScores = scores || match.scores || {};
+      const totals = format.totals(finalScores);
+      const winners = format.winners(finalScores);
+      const [team1, team2] = [fixture.team1.toString(), fixture.team2.toString()];
+      const result = { score: { team1: totals[team1] ?? 0, team2: totals[team2] ?? 0 } };
+
+      const cards = (match.events || []).filter((event) => FAIR_PLAY_POINTS[event.type]);
+      if (cards.length > 0) {
+        const penalty = (teamId) =>
+          cards
+            .filter((event) => event.team === teamId)
+            .reduce((sum, event) => sum + FAIR_PLAY_POINTS[event.type], 0);
+        result.fairPlay = { team1: penalty(team1), team2: penalty(team2) };
+      }
+
+      if (winners.length === 1) {
+        result.winner = winners[0] === team1 ? fixture.team1 : fixture.team2;
+      } else if (
+        ['knockout', 'double_elimination'].includes(bracket.type) ||
+        (bracket.type === 'groups_knockout' && !fixture.group)
+      ) {
+        this.logger.warn('Tournament match ended level, the organizer must record the winner', {
+          tournamentId: tournament._id,
+          matchNumber: fixture.matchNumber,
+        });
+        return;
+      }
+
+      await this._recordMatchResult(tournament, fixture.matchNumber, result);
+    } catch (error) {
+      this.logger.error('Failed to advance tournament bracket', {
+        matchId,
+        error: error.message,
+      });
+    }
+  }
+
+  async _recordMatchResult(tournament, matchNumber, result) {
+    const tournamentId = tournament._id;
+
+    // Update bracket with match result
+    const updatedBracket = BracketGenerator.updateBracketWithResult(
+      tournament.bracket,
+      matchNumber,
+      result
+    );
+
+    // Determine if we should advance to next round
+    const currentRound = updatedBracket.rounds.find(
+      (r) => r.roundNumber === tournament.currentRound
+    );
+    let updateData = { bracket: updatedBracket };
+
+    if (currentRound && currentRound.completed) {
+      // Swiss pairings depend on the standings, so the next round is only paired now
+      if (
+        updatedBracket.type === 'swiss' &&
+        updatedBracket.rounds.length < updatedBracket.totalRounds
+      ) {
+        BracketGenerator.generateSwissRound(updatedBracket);
+      }
+
+      // Double elimination rounds can finish ahead of the current one, and the
+      // bracket reset is skipped when the winners bracket champion takes the grand final
+      const nextRound = updatedBracket.rounds.find(
+        (r) => r.roundNumber > tournament.currentRound && !r.completed
+      );
+      updateData.currentRound = nextRound ? nextRound.roundNumber : tournament.currentRound + 1;
+
+      // Check if tournament is completed
+      if (!nextRound) {
+        updateData.status = 'completed';
+        await this.eventBus.publish('tournament.completed', {
+          tournamentId,
+          winner: updatedBracket.winners?.champion || updatedBracket.standings?.[0]?.teamId,
+        });
+      } else {
+        await this.eventBus.publish('tournament.round_completed', {
+          tournamentId,
+          round: tournament.currentRound,
+        });
+      }
+    }
+
+    // Fixtures of the open rounds are played as matches
+    const matchIds = await this._materializeMatches(
+      tournament,
+      updatedBracket,
+      updateData.currentRound || tournament.currentRound
+    );
+    if (matchIds.length > 0) {
+      updateData.$addToSet = { matches: { $each: matchIds } };
+    }
+
+    await this.tournamentRepository.update(tournamentId, updateData);
+    const fixture = BracketGenerator.findBracketMatch(updatedBracket, matchNumber);
+    await this.eventBus.publish('tournament.match_updated', {
+      tournamentId,
+      matchNumber,
+      team1: fixture?.team1 ?? null,
+      team2: fixture?.team2 ?? null,
+      result,
+    });
+
+    return updatedBracket;
+  }
+
+  /**
+   * Correct or undo a result by replaying the results on the bracket as generated, then
+   * move the tournament to its first round left to play. Every edit is kept in resultEdits.
+   */
+  async _editMatchResult(tournamentId, matchNumber, result, userId, reason) {
+    const tournament = await this._getOrganizerTournament(tournamentId, userId, 'correct results');
+    if (!['ongoing', 'completed'].includes(tournament.status) || !tournament.bracket) {
+      const error = new Error('Only results of ongoing or completed tournaments can be corrected');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const initialBracket = await this.tournamentRepository.getInitialBracket(tournamentId);
+    if (!initialBracket) {
+      const error = new Error('This tournament was started before results could be corrected');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let corrected;
+    try {
+      corrected = BracketGenerator.correctResult(
         tournament.bracket,
-        matchNumber,
+        initialBracket,
+        Number(matchNumber),
         result
       );
+    } catch (error) {
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { bracket, previousResult, changed, invalidated } = corrected;
+    await this._releaseFixtureMatches(tournament.bracket, bracket);
+
+    const rounds = [...bracket.rounds].sort((a, b) => a.roundNumber - b.roundNumber);
+    const nextRound = rounds.find((r) => !r.completed);
+    const currentRound = nextRound ? nextRound.roundNumber : rounds.at(-1).roundNumber + 1;
+    const status = nextRound ? 'ongoing' : 'completed';
+    const winner = nextRound ? null : bracket.winners?.champion || bracket.standings?.[0]?.teamId;
+
+    const edit = {
+      matchNumber: Number(matchNumber),
+      action: result ? 'correct' : 'undo',
+      previousResult,
+      result,
+      reason,
+      changedFixtures: changed,
+      invalidatedFixtures: invalidated,
+      editedBy: userId,
+      editedAt: new Date(),
+    };
+    const updateData = { bracket, status, currentRound, $push: { resultEdits: edit } };
+    const matchIds = await this._materializeMatches(tournament, bracket, currentRound);
+    if (matchIds.length > 0) {
+      updateData.$addToSet = { matches: { $each: matchIds } };
+    }
+
+    await this.tournamentRepository.update(tournamentId, updateData);
+    await this.eventBus.publish('tournament.result_corrected', {
+      tournamentId,
+      matchNumber: edit.matchNumber,
+      action: edit.action,
+      changedFixtures: changed,
+      invalidatedFixtures: invalidated,
+      status,
+      winner,
+    });
+    this.logger.info('Tournament result corrected', {
+      tournamentId,
+      matchNumber: edit.matchNumber,
+      action: edit.action,
+      changed: changed.length,
+      invalidated: invalidated.length,
+    });
+
+    return { bracket, edit };
+  }
+
+  /**
+   * Cancel and unlink the matches of fixtures that lost them in a correction because
+   * their teams changed, so new matches can be created for the fixtures
+   */
+  async _releaseFixtureMatches(previousBracket, bracket) {
+    const linked = new Set(
+      bracket.rounds.flatMap((r) => r.matches).map((f) => f.matchId?.toString())
+    );
+    for (const fixture of previousBracket.rounds.flatMap((r) => r.matches)) {
+      if (!fixture.matchId || linked.has(fixture.matchId.toString())) continue;
 
-      // Determine if we should advance to next round
-      const currentRound = updatedBracket.rounds.find(
-        (r) => r.roundNumber === tournament.currentRound
+      const reason = 'The tournament fixture changed after a result correction';
+      const cancelled = await this.matchRepository.updateIfStatus(fixture.matchId, 'scheduled', {
+        status: 'cancelled',
+        cancelReason: reason,
+      });
+      // Matches that have already started or finished stay as they are, outside the bracket
+      await this.matchRepository.update(fixture.matchId, { $unset: { tournamentMatchNumber: 1 } });
+      if (cancelled) {
+        await this.eventBus.publish('match.cancelled', { matchId: fixture.matchId, reason });
+      }
+    }
+  }
+
+  /**
+   * Create a match for every fixture in the open rounds whose teams are known, and
+   * link it from the fixture. Fixtures that already have a match are skipped.
+   * @returns {Promise<Array>} IDs of the matches created
+   */
+  async _materializeMatches(tournament, bracket, openRound) {
+    const fixtures = bracket.rounds
+      .filter((round) => round.roundNumber <= openRound)
+      .flatMap((round) => round.matches)
+      .filter((f) => f.status === 'pending' && f.team1 && f.team2 && !f.matchId);
+    if (fixtures.length === 0) {
+      return [];
+    }
+
+    const teamIds = fixtures.flatMap((f) => [f.team1, f.team2]);
+    const teams = await this.teamRepository.find({ _id: { $in: teamIds } });
+    const teamsById = new Map(teams.map((team) => [team._id.toString(), team]));
+    const teamName = (teamId) => teamsById.get(teamId.toString())?.name || 'TBD';
+    const rosters = await this._getPlayingRosters(tournament, teamIds, teamsById);
+    const side = (position, teamId) => ({
+      side: position,
+      teamId,
+      players: rosters.get(teamId.toString()),
+    });
+
+    const matchIds = [];
+    for (const fixture of fixtures) {
+      const teamAssignments = [side('team1', fixture.team1), side('team2', fixture.team2)];
+      let match;
+      try {
+        match = await this.matchRepository.create({
+          title: `${tournament.title}: ${teamName(fixture.team1)} vs ${teamName(fixture.team2)}`,
+          sport: tournament.sport,
+          sportCategory: tournament.sportCategory,
+          type: 'competitive',
+          organizerId: tournament.organizerId,
+          startAt: fixture.startTime || new Date(),
+          endAt: fixture.endTime || undefined,
+          venueId: fixture.venueId || undefined,
+          teamBased: true,
+          visibility: tournament.visibility,
+          teams: [fixture.team1, fixture.team2],
+          teamAssignments,
+          participants: teamAssignments.flatMap((assignment) => assignment.players),
+          tournamentId: tournament._id,
+          tournamentMatchNumber: fixture.matchNumber,
+        });
+      } catch (error) {
+        // Created by an earlier attempt that failed before the bracket was saved
+        if (error.code !== 11000) {
+          throw error;
+        }
+        match = await this.matchRepository.findTournamentFixture(
+          tournament._id,
+          fixture.matchNumber
+        );
+      }
+
+      fixture.matchId = match._id;
+      matchIds.push(match._id);
+      await this.eventBus.publish('match.created', {
+        matchId: match._id,
+        organizerId: tournament.organizerId,
+        tournamentId: tournament._id,
+      });
+    }
+
+    this.logger.info('Created tournament matches', {
+      tournamentId: tournament._id,
+      count: matchIds.length,
+    });
+    return matchIds;
+  }
+
+  /**
+   * The players of each team's approved roster who can still play, keyed by team ID.
+   * Players who left the team, or whose profile no longer meets the age and gender
+   * rules, are left out. The average ELO rule is not checked again, as ratings change
+   * with the tournament's own results.
+   */
+  async _getPlayingRosters(tournament, teamIds, teamsById) {
+    const entered = new Map(
+      [...new Set(teamIds.map((id) => id.toString()))].map((teamId) => [
+        teamId,
+        this._findRegistration(tournament, teamId, ['approved'])?.roster || [],
+      ])
+    );
+
+    const rules = { ...tournament.eligibility, maxAverageElo: null };
+    const ineligible = new Set();
+    if (TournamentEligibility.hasRules(rules)) {
+      const users = await this.userRepository.find({ _id: { $in: [...entered.values()].flat() } });
+      const on = tournament.registrationWindow.end;
+      for (const user of users) {
+        if (TournamentEligibility.check(rules, [user], { on }).length > 0) {
+          ineligible.add(user._id.toString());
+        }
+      }
+    }
+
+    const rosters = new Map();
+    for (const [teamId, roster] of entered) {
+      const members = new Set(
+        (teamsById.get(teamId)?.members || []).map((member) => member.userId.toString())
+      );
+      const players = roster.filter(
+        (userId) => members.has(userId.toString()) && !ineligible.has(userId.toString())
       );
-      let updateData = { bracket: updatedBracket };
+      if (players.length < roster.length) {
+        this.logger.warn('Left players who can no longer play out of tournament matches', {
+          tournamentId: tournament._id,
+          teamId,
+          players: roster.filter((userId) => !players.includes(userId)),
+        });
+      }
+      rosters.set(teamId, players);
+    }
+    return rosters;
+  }
 
-      if (currentRound && currentRound.completed) {
-        updateData.currentRound = tournament.currentRound + 1;
+  /**
+   * Check an entered roster again on approval, as players can leave the team or edit
+   * their profile after it was submitted
+   */
+  async _recheckRoster(tournament, registration) {
+    const team = await this.teamRepository.findById(registration.teamId);
+    const members = new Set((team?.members || []).map((member) => member.userId.toString()));
+    const players = registration.roster.map((userId) => userId.toString());
+    const departed = players.filter((userId) => !members.has(userId));
+    if (departed.length > 0) {
+      const error = new Error(`Roster players have left the team: ${departed.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
 
-        // Check if tournament is completed
-        if (tournament.currentRound >= tournament.rounds) {
-          updateData.status = 'completed';
-          await this.eventBus.publish('tournament.completed', {
-            tournamentId,
-            winner: updatedBracket.winners?.champion || updatedBracket.standings?.[0]?.teamId,
-          });
-        } else {
-          await this.eventBus.publish('tournament.round_completed', {
-            tournamentId,
-            round: tournament.currentRound,
+    const reasons = await this._getIneligibility(tournament, players);
+    if (reasons.length > 0) {
+      const error = new Error(`Roster is not eligible: ${reasons.join('; ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  _assertSchedulable(tournament) {
+    if (tournament.status !== 'ongoing' || !tournament.bracket) {
+      const error = new Error('Only ongoing tournaments with a bracket can be scheduled');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Active bookings of the venues on the schedule days, as time ranges. Bookings are
+   * wall-clock times of the venue's time zone, so the venue days either side are read
+   * too in case the zones differ.
+   */
+  async _getScheduleBookings(venues, days) {
+    const dates = new Set();
+    for (const day of days) {
+      const date = MatchRecurrence.startOfDay(day.date).getTime();
+      [date - DAY_MS, date, date + DAY_MS].forEach((d) => dates.add(d));
+    }
+
+    const bookings = [];
+    for (const { venueId } of venues) {
+      const venue = await this.venueRepository.findById(venueId);
+      const timeZone = venue?.timezone || 'UTC';
+      for (const date of dates) {
+        const dayBookings = await this.venueRepository.findBookings(venueId, new Date(date));
+        for (const booking of dayBookings) {
+          if (booking.status !== 'pending' && booking.status !== 'confirmed') continue;
+          const day = MatchRecurrence.startOfDay(booking.date);
+          const at = (time) => {
+            const { hours, minutes } = MatchRecurrence.parseTime(time);
+            return MatchRecurrence.zonedTime(day, hours, minutes, timeZone);
+          };
+          bookings.push({
+            venueId: booking.venueId,
+            start: at(booking.startTime),
+            end: at(booking.endTime),
           });
         }
       }
+    }
+    return bookings;
+  }
 
-      await this.tournamentRepository.update(tournamentId, updateData);
-      await this.eventBus.publish('tournament.match_updated', {
+  /**
+   * Move the matches of scheduled fixtures to their new slot, unless they have started
+   */
+  async _syncFixtureMatches(fixtures) {
+    for (const fixture of fixtures) {
+      if (!fixture.matchId || fixture.status !== 'pending' || !fixture.startTime) continue;
+      await this.matchRepository.updateIfStatus(fixture.matchId, 'scheduled', {
+        startAt: fixture.startTime,
+        endAt: fixture.endTime,
+        venueId: fixture.venueId,
+      });
+    }
+  }
+
+  /**
+   * ELO ratings of the registered teams, keyed by team ID
+   */
+  async _getTeamElo(teamIds) {
+    const teams = await this.teamRepository.find({ _id: { $in: teamIds } });
+    return Object.fromEntries(teams.map((team) => [team._id.toString(), team.stats?.elo ?? 1000]));
+  }
+
+  _assertRegistrationOpen(tournament) {
+    if (tournament.status !== 'registration') {
+      const error = new Error('Tournament is not in registration phase');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const now = new Date();
+    if (now < new Date(tournament.registrationWindow.start)) {
+      const error = new Error('Registration has not started yet');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (tournament.registrationClosedAt || now > new Date(tournament.registrationWindow.end)) {
+      const error = new Error('Registration has ended');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * The roster without duplicates, which must only list members of the team, respect
+   * the tournament's roster size and meet its eligibility rules
+   */
+  async _checkRoster(tournament, team, roster = []) {
+    const players = [...new Set(roster.map((userId) => userId.toString()))];
+    const members = new Set(team.members.map((member) => member.userId.toString()));
+    if (players.some((userId) => !members.has(userId))) {
+      const error = new Error('Roster can only include members of the team');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const min = tournament.minRosterSize || 1;
+    const max = tournament.maxRosterSize;
+    if (players.length < min || (max && players.length > max)) {
+      const size = max ? `between ${min} and ${max}` : `at least ${min}`;
+      const error = new Error(`Roster must have ${size} players`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const reasons = await this._getIneligibility(tournament, players);
+    if (reasons.length > 0) {
+      const error = new Error(`Roster is not eligible: ${reasons.join('; ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return players;
+  }
+
+  /**
+   * Reasons the roster players do not meet the tournament's eligibility rules
+   */
+  async _getIneligibility(tournament, players) {
+    const { eligibility } = tournament;
+    if (!TournamentEligibility.hasRules(eligibility)) {
+      return [];
+    }
+
+    const users = await this.userRepository.find({ _id: { $in: players } });
+    const elo = {};
+    if (eligibility.maxAverageElo != null) {
+      const stats = await this.userRepository.getStatsForUsers(players, tournament.sport);
+      for (const stat of stats) {
+        elo[stat.userId.toString()] = stat.elo;
+      }
+    }
+    return TournamentEligibility.check(eligibility, users, {
+      elo,
+      on: tournament.registrationWindow.end,
+    });
+  }
+
+  /**
+   * Tournaments with divisions are played in their divisions
+   */
+  async _assertNoDivisions(tournament, message) {
+    if (tournament.parentTournamentId) {
+      return;
+    }
+    const divisions = await this.tournamentRepository.find({ parentTournamentId: tournament._id });
+    if (divisions.length > 0) {
+      const names = divisions.map((division) => division.division).join(', ');
+      const error = new Error(`${message}: ${names}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  _findRegistration(tournament, teamId, statuses = ACTIVE_REGISTRATION_STATUSES) {
+    return (tournament.registrations || []).find(
+      (r) => r.teamId.toString() === teamId.toString() && statuses.includes(r.status)
+    );
+  }
+
+  /**
+   * Places left for new entries; approved teams and pending entries hold one each
+   */
+  _freePlaces(tournament) {
+    if (!tournament.maxTeams) {
+      return Infinity;
+    }
+    const pending = (tournament.registrations || []).filter((r) => r.status === 'pending');
+    return tournament.maxTeams - tournament.teams.length - pending.length;
+  }
+
+  /**
+   * Move waitlisted entries, oldest first, to pending while places are free
+   */
+  async _promoteWaitlist(tournamentId) {
+    const tournament = await this.tournamentRepository.findById(tournamentId);
+    if (tournament?.status !== 'registration') {
+      return;
+    }
+
+    const waitlist = (tournament.registrations || []).filter((r) => r.status === 'waitlisted');
+    for (const entry of waitlist.slice(0, Math.max(this._freePlaces(tournament), 0))) {
+      await this.tournamentRepository.updateRegistration(
         tournamentId,
-        matchNumber,
-        result,
+        entry.teamId,
+        ['waitlisted'],
+        { status: 'pending' }
+      );
+      await this.eventBus.publish('tournament.registration_promoted', {
+        tournamentId,
+        teamId: entry.teamId,
+        userId: entry.submittedBy,
       });
+    }
+  }
 
-      return updatedBracket;
-    } catch (error) {
-      this.logger.error(`Failed to update match result:`, error);
-      throw new Error(`Failed to update match result: ${error.message}`);
+  async _getReviewableTournament(tournamentId, userId) {
+    const tournament = await this._getOrganizerTournament(
+      tournamentId,
+      userId,
+      'review registrations'
+    );
+    if (tournament.status !== 'registration') {
+      const error = new Error('Registrations can only be reviewed before the tournament starts');
+      error.statusCode = 400;
+      throw error;
+    }
+    return tournament;
+  }
+
+  async _reviewRegistration(tournamentId, teamId, statuses, changes, update) {
+    const updated = await this.tournamentRepository.updateRegistration(
+      tournamentId,
+      teamId,
+      statuses,
+      changes,
+      update
+    );
+    if (!updated) {
+      const error = new Error('Registration was changed by another request, please retry');
+      error.statusCode = 409;
+      throw error;
     }
+    return updated;
+  }
+
+  async _isMember(tournament, userId) {
+    if (!userId) {
+      return false;
+    }
+    if (tournament.organizerId.toString() === userId) {
+      return true;
+    }
+    if (!tournament.teams || tournament.teams.length === 0) {
+      return false;
+    }
+    const teams = await this.teamRepository.find({
+      _id: { $in: tournament.teams },
+      'members.userId': userId,
+    });
+    return teams.length > 0;
+  }
+
+  /**
+   * Teams can only enter a private tournament through an invite link.
+   * Returns the link to redeem, or null when none is needed.
+   */
+  async _verifyJoinInvite(tournament, userId, inviteToken) {
+    if (tournament.visibility !== 'private' || tournament.organizerId.toString() === userId) {
+      return null;
+    }
+    if (!inviteToken) {
+      const error = new Error('This tournament is private. An invite link is required to join');
+      error.statusCode = 403;
+      throw error;
+    }
+    return this.inviteLinkService.verifyToken('tournament', tournament._id, inviteToken);
+  }
+
+  async _getOrganizerTournament(tournamentId, userId, action = 'manage invite links') {
+    const tournament = await this.tournamentRepository.findById(tournamentId);
+    if (!tournament) {
+      const error = new Error('Tournament not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    if (tournament.organizerId.toString() !== userId) {
+      const error = new Error(`Only the tournament organizer can ${action}`);
+      error.statusCode = 403;
+      throw error;
+    }
+    return tournament;
   }
 }
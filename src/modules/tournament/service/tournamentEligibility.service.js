@@ -0,0 +1,85 @@
+/**
+ * Tournament Eligibility
+ * Checks a roster against the eligibility rules of a tournament or division: the age
+ * range and gender of its players, and their average ELO in the tournament's sport.
+ *
+ * Ages are taken on the day registration ends, so a player stays eligible for the whole
+ * tournament once entered.
+ */
+
+export const DIVISION_GENDERS = ['male', 'female'];
+
+const GENDER_DIVISIONS = { male: "men's", female: "women's" };
+const DEFAULT_ELO = 1000;
+
+export class TournamentEligibility {
+  static hasRules(eligibility) {
+    return Object.values(eligibility || {}).some((rule) => rule !== undefined && rule !== null);
+  }
+
+  /**
+   * Reasons the roster is not eligible, empty when it is
+   * @param {Object} eligibility - { minAge, maxAge, gender, maxAverageElo }
+   * @param {Array} players - Users of the roster, with name, dateOfBirth and gender
+   * @param {Object} options - { elo: ELO per user ID in the tournament sport, on: age date }
+   * @returns {Array<string>}
+   */
+  static check(eligibility = {}, players, { elo = {}, on = new Date() } = {}) {
+    const { minAge, maxAge, gender, maxAverageElo } = eligibility;
+    const reasons = [];
+
+    for (const player of players) {
+      const name = player.name || player._id.toString();
+
+      if (minAge != null || maxAge != null) {
+        if (!player.dateOfBirth) {
+          reasons.push(`${name} has no date of birth on their profile`);
+        } else {
+          const age = this.ageOn(player.dateOfBirth, on);
+          if (minAge != null && age < minAge) {
+            reasons.push(`${name} is under the minimum age of ${minAge}`);
+          }
+          if (maxAge != null && age > maxAge) {
+            reasons.push(`${name} is over the maximum age of ${maxAge}`);
+          }
+        }
+      }
+
+      if (gender) {
+        if (!player.gender) {
+          reasons.push(`${name} has no gender on their profile`);
+        } else if (player.gender !== gender) {
+          reasons.push(`${name} is not eligible for a ${GENDER_DIVISIONS[gender]} division`);
+        }
+      }
+    }
+
+    if (maxAverageElo != null && players.length > 0) {
+      const total = players.reduce(
+        (sum, player) => sum + (elo[player._id.toString()] ?? DEFAULT_ELO),
+        0
+      );
+      const average = Math.round(total / players.length);
+      if (average > maxAverageElo) {
+        reasons.push(`Roster average ELO of ${average} is above the maximum of ${maxAverageElo}`);
+      }
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Age in whole years on the given date
+   */
+  static ageOn(dateOfBirth, date) {
+    const birth = new Date(dateOfBirth);
+    const on = new Date(date);
+    const age = on.getUTCFullYear() - birth.getUTCFullYear();
+    const birthdayPassed =
+      on.getUTCMonth() > birth.getUTCMonth() ||
+      (on.getUTCMonth() === birth.getUTCMonth() && on.getUTCDate() >= birth.getUTCDate());
+    return birthdayPassed ? age : age - 1;
+  }
+}
+
+export default TournamentEligibility;
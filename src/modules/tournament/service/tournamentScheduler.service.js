@@ -0,0 +1,490 @@
+/**
+ * Tournament Scheduler
+ * Assigns a start time, venue and court to the fixtures of a tournament bracket within
+ * the organizer's daily time windows. Days and times of day are wall-clock values in the
+ * schedule time zone (UTC by default).
+ *
+ * A fixture depends on the fixtures that send a team to it and on the earlier fixtures
+ * of its teams, and starts no sooner than the minimum rest after they end.
+ */
+
+import { MatchRecurrence } from '@/modules/match/service/matchRecurrence.service.js';
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_TIME_ZONE = 'UTC';
+
+export class TournamentScheduler {
+  /**
+   * Schedule every pending fixture in play order, each at the earliest free court.
+   * Played fixtures and fixtures that have already started keep their slot.
+   * @param {Object} bracket - Tournament bracket
+   * @param {Object} options - { venues, days, matchDuration, minRest, timezone },
+   *   see normalizeOptions
+   * @param {Array} bookings - Existing venue bookings as [{ venueId, start, end }]
+   * @param {Date} now - Fixtures are not scheduled in the past
+   * @returns {Object} { bracket, conflicts }
+   */
+  static scheduleBracket(bracket, options, bookings = [], now = new Date()) {
+    const schedule = this.normalizeOptions(options);
+    const fixtures = this.getFixtures(bracket);
+    const dependencies = this.getDependencies(bracket);
+
+    const movable = fixtures.filter((fixture) => !this.isFixed(fixture, now));
+    movable.forEach((fixture) => this.clearSlot(fixture));
+    for (const fixture of movable) {
+      this.placeFixture(fixture, fixtures, dependencies, schedule, bookings, now);
+    }
+
+    bracket.schedule = { ...schedule, scheduledAt: now };
+    return { bracket, conflicts: this.recordConflicts(bracket, bookings, now) };
+  }
+
+  /**
+   * Move a single fixture to the organizer's slot and re-validate everything downstream.
+   * Downstream fixtures the move leaves in conflict are moved to their earliest free court.
+   * @param {Object} bracket - Scheduled tournament bracket
+   * @param {number} matchNumber - Fixture to move
+   * @param {Object} slot - { startTime, venueId, court }
+   * @param {Array} bookings - Existing venue bookings as [{ venueId, start, end }]
+   * @param {Date} now - Fixtures cannot be moved into the past
+   * @returns {Object} { bracket, conflicts, moved } where moved lists the downstream fixtures
+   */
+  static rescheduleFixture(bracket, matchNumber, slot, bookings = [], now = new Date()) {
+    const { schedule } = bracket;
+    if (!schedule) {
+      throw new Error('Tournament has not been scheduled yet');
+    }
+
+    const fixtures = this.getFixtures(bracket);
+    const fixture = fixtures.find((f) => f.matchNumber === Number(matchNumber));
+    if (!fixture) {
+      throw new Error(`Match ${matchNumber} not found`);
+    }
+    if (this.isFixed(fixture, now)) {
+      throw new Error(`Match ${matchNumber} has already been played or started`);
+    }
+
+    const start = new Date(slot.startTime);
+    if (Number.isNaN(start.getTime())) {
+      throw new Error('Invalid start time');
+    }
+    if (start <= now) {
+      throw new Error('Cannot move a match into the past');
+    }
+    const venue = schedule.venues.find((v) => v.venueId === slot.venueId?.toString());
+    if (!venue) {
+      throw new Error('Venue is not part of the tournament schedule');
+    }
+    const court = slot.court || venue.courts[0];
+    if (!venue.courts.includes(court)) {
+      throw new Error(`Court ${court} is not part of the tournament schedule`);
+    }
+
+    this.assignSlot(fixture, start.getTime(), venue.venueId, court, schedule);
+
+    const dependencies = this.getDependencies(bracket);
+    const moved = [];
+    for (const next of this.getDownstream(fixture, fixtures, dependencies)) {
+      if (
+        this.isFixed(next, now) ||
+        (next.startTime &&
+          this.getFixtureConflicts(next, fixtures, dependencies, schedule, bookings).length === 0)
+      ) {
+        continue;
+      }
+
+      this.clearSlot(next);
+      if (this.placeFixture(next, fixtures, dependencies, schedule, bookings, now)) {
+        moved.push(next.matchNumber);
+      }
+    }
+
+    return { bracket, conflicts: this.recordConflicts(bracket, bookings, now), moved };
+  }
+
+  /**
+   * Check every pending fixture against the schedule and store the report on the bracket
+   * @param {Object} bracket - Scheduled tournament bracket
+   * @param {Array} bookings - Existing venue bookings as [{ venueId, start, end }]
+   * @param {Date} now - Fixtures that have already started are not checked
+   * @returns {Array} Conflicts as [{ matchNumber, type, message }]
+   */
+  static recordConflicts(bracket, bookings = [], now = new Date()) {
+    const fixtures = this.getFixtures(bracket);
+    const dependencies = this.getDependencies(bracket);
+
+    const conflicts = fixtures
+      .filter((fixture) => !this.isFixed(fixture, now))
+      .flatMap((fixture) =>
+        this.getFixtureConflicts(fixture, fixtures, dependencies, bracket.schedule, bookings)
+      );
+    bracket.schedule.conflicts = conflicts;
+    return conflicts;
+  }
+
+  /**
+   * Conflicts of a single fixture:
+   * unscheduled - no free court within the time windows
+   * outside_window - not within a day's time window or on a court of the schedule
+   * court - overlaps another fixture on the same court
+   * booking - overlaps an existing booking of the venue
+   * dependency - starts before a fixture it depends on ends
+   * rest - starts within the minimum rest after a fixture it depends on
+   * @returns {Array} Conflicts as [{ matchNumber, type, message }]
+   */
+  static getFixtureConflicts(fixture, fixtures, dependencies, schedule, bookings) {
+    const { matchNumber } = fixture;
+    if (!fixture.startTime) {
+      return [
+        {
+          matchNumber,
+          type: 'unscheduled',
+          message: `Match ${matchNumber} has no free court within the time windows`,
+        },
+      ];
+    }
+
+    const conflicts = [];
+    const start = new Date(fixture.startTime).getTime();
+    const end = this.getEnd(fixture, schedule);
+    const venueId = fixture.venueId.toString();
+
+    const venue = schedule.venues.find((v) => v.venueId === venueId);
+    const inWindow = schedule.days.some((day) => {
+      const window = this.getWindow(day, schedule.timezone);
+      return start >= window.start && end <= window.end;
+    });
+    if (!venue || !venue.courts.includes(fixture.court) || !inWindow) {
+      conflicts.push({
+        matchNumber,
+        type: 'outside_window',
+        message: `Match ${matchNumber} is outside the tournament's time windows and courts`,
+      });
+    }
+
+    for (const other of fixtures) {
+      if (
+        other !== fixture &&
+        other.startTime &&
+        other.venueId?.toString() === venueId &&
+        other.court === fixture.court &&
+        this.overlaps(start, end, new Date(other.startTime).getTime(), this.getEnd(other, schedule))
+      ) {
+        conflicts.push({
+          matchNumber,
+          type: 'court',
+          message: `Match ${matchNumber} overlaps match ${other.matchNumber} on ${fixture.court}`,
+        });
+      }
+    }
+
+    if (
+      bookings.some(
+        (booking) =>
+          booking.venueId.toString() === venueId &&
+          this.overlaps(
+            start,
+            end,
+            new Date(booking.start).getTime(),
+            new Date(booking.end).getTime()
+          )
+      )
+    ) {
+      conflicts.push({
+        matchNumber,
+        type: 'booking',
+        message: `Match ${matchNumber} overlaps an existing booking of the venue`,
+      });
+    }
+
+    for (const dependency of dependencies.get(matchNumber)) {
+      if (!dependency.startTime) {
+        continue;
+      }
+      const dependencyEnd = this.getEnd(dependency, schedule);
+      if (start < dependencyEnd) {
+        conflicts.push({
+          matchNumber,
+          type: 'dependency',
+          message: `Match ${matchNumber} starts before match ${dependency.matchNumber} ends`,
+        });
+      } else if (start < dependencyEnd + schedule.minRest * MINUTE_MS) {
+        conflicts.push({
+          matchNumber,
+          type: 'rest',
+          message: `Match ${matchNumber} has too little rest after match ${dependency.matchNumber}`,
+        });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Put a fixture at the earliest free court that respects its dependencies
+   * @returns {boolean} Whether a slot was found
+   */
+  static placeFixture(fixture, fixtures, dependencies, schedule, bookings, now) {
+    let earliest = now.getTime();
+    for (const dependency of dependencies.get(fixture.matchNumber)) {
+      if (dependency.startTime) {
+        earliest = Math.max(
+          earliest,
+          this.getEnd(dependency, schedule) + schedule.minRest * MINUTE_MS
+        );
+      } else if (dependency.status === 'pending') {
+        // Cannot be played before a fixture that has no slot itself
+        return false;
+      }
+    }
+
+    const slot = this.findSlot(earliest, fixture, fixtures, schedule, bookings);
+    if (!slot) {
+      return false;
+    }
+    this.assignSlot(fixture, slot.start, slot.venueId, slot.court, schedule);
+    return true;
+  }
+
+  /**
+   * Earliest start on any court, from the first day with room, that does not overlap
+   * another fixture on the court or a booking of the venue
+   * @returns {Object|null} { start, venueId, court }
+   */
+  static findSlot(earliest, fixture, fixtures, schedule, bookings) {
+    const duration = schedule.matchDuration * MINUTE_MS;
+
+    for (const day of schedule.days) {
+      const window = this.getWindow(day, schedule.timezone);
+      const from = Math.max(window.start, earliest);
+      let best = null;
+
+      for (const { venueId, courts } of schedule.venues) {
+        const venueBookings = bookings
+          .filter((booking) => booking.venueId.toString() === venueId)
+          .map((booking) => ({
+            start: new Date(booking.start).getTime(),
+            end: new Date(booking.end).getTime(),
+          }));
+
+        for (const court of courts) {
+          const busy = fixtures
+            .filter(
+              (other) =>
+                other !== fixture &&
+                other.startTime &&
+                other.venueId?.toString() === venueId &&
+                other.court === court
+            )
+            .map((other) => ({
+              start: new Date(other.startTime).getTime(),
+              end: this.getEnd(other, schedule),
+            }))
+            .concat(venueBookings);
+
+          // A court frees up either at the window start or when something on it ends
+          const candidates = [from, ...busy.map((b) => b.end).filter((end) => end > from)].sort(
+            (a, b) => a - b
+          );
+          for (const start of candidates) {
+            if (start + duration > window.end || (best && start >= best.start)) {
+              break;
+            }
+            if (busy.every((b) => !this.overlaps(start, start + duration, b.start, b.end))) {
+              best = { start, venueId, court };
+              break;
+            }
+          }
+        }
+      }
+
+      if (best) {
+        return best;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Fixtures in play order
+   * @param {Object} bracket - Tournament bracket
+   * @returns {Array} Fixtures
+   */
+  static getFixtures(bracket) {
+    return bracket.rounds.flatMap((round) => round.matches);
+  }
+
+  /**
+   * The fixtures each fixture depends on: those that send it a team (knockout nextMatch,
+   * double elimination winnerTo and loserTo) and the previous fixture of each of its teams.
+   * A fixture with neither, like a grand final reset, waits for the whole previous round.
+   * @param {Object} bracket - Tournament bracket
+   * @returns {Map} Match number to the fixtures it depends on
+   */
+  static getDependencies(bracket) {
+    const fixtures = this.getFixtures(bracket);
+    const dependencies = new Map(fixtures.map((fixture) => [fixture.matchNumber, new Set()]));
+    const lastFixtureOfTeam = new Map();
+
+    bracket.rounds.forEach((round, index) => {
+      for (const fixture of round.matches) {
+        const own = dependencies.get(fixture.matchNumber);
+        for (const team of [fixture.team1, fixture.team2]) {
+          if (!team) continue;
+          const key = team.toString();
+          if (lastFixtureOfTeam.has(key)) {
+            own.add(lastFixtureOfTeam.get(key));
+          }
+          lastFixtureOfTeam.set(key, fixture);
+        }
+        if (own.size === 0 && !fixture.team1 && !fixture.team2 && index > 0) {
+          bracket.rounds[index - 1].matches.forEach((previous) => own.add(previous));
+        }
+
+        // Feeders always come earlier in play order than the fixtures they feed
+        const targets = [
+          fixture.nextMatch,
+          fixture.winnerTo?.matchNumber,
+          fixture.loserTo?.matchNumber,
+        ];
+        for (const target of targets) {
+          dependencies.get(target)?.add(fixture);
+        }
+      }
+    });
+
+    return new Map([...dependencies].map(([matchNumber, set]) => [matchNumber, [...set]]));
+  }
+
+  /**
+   * Fixtures that depend on the given fixture, directly or through other fixtures, in play order
+   */
+  static getDownstream(fixture, fixtures, dependencies) {
+    const downstream = new Set([fixture]);
+    for (const other of fixtures) {
+      if (dependencies.get(other.matchNumber).some((dependency) => downstream.has(dependency))) {
+        downstream.add(other);
+      }
+    }
+    downstream.delete(fixture);
+    return [...downstream];
+  }
+
+  /**
+   * Played fixtures and fixtures that have already started keep their slot
+   */
+  static isFixed(fixture, now) {
+    return (
+      fixture.status !== 'pending' ||
+      (Boolean(fixture.startTime) && new Date(fixture.startTime) <= now)
+    );
+  }
+
+  static assignSlot(fixture, start, venueId, court, schedule) {
+    fixture.startTime = new Date(start);
+    fixture.endTime = new Date(start + schedule.matchDuration * MINUTE_MS);
+    fixture.venueId = venueId;
+    fixture.court = court;
+  }
+
+  static clearSlot(fixture) {
+    fixture.startTime = null;
+    fixture.endTime = null;
+    fixture.venueId = null;
+    fixture.court = null;
+  }
+
+  static getEnd(fixture, schedule) {
+    return fixture.endTime
+      ? new Date(fixture.endTime).getTime()
+      : new Date(fixture.startTime).getTime() + schedule.matchDuration * MINUTE_MS;
+  }
+
+  /**
+   * Start and end of a day's time window in milliseconds
+   * @param {Object} day - { date: YYYY-MM-DD, startTime: HH:MM, endTime: HH:MM }
+   * @param {string} timeZone - Time zone of the date and times, UTC for older schedules
+   */
+  static getWindow(day, timeZone = DEFAULT_TIME_ZONE) {
+    const date = MatchRecurrence.startOfDay(day.date);
+    const at = (time) => {
+      try {
+        const { hours, minutes } = MatchRecurrence.parseTime(time);
+        return MatchRecurrence.zonedTime(date, hours, minutes, timeZone).getTime();
+      } catch {
+        return NaN;
+      }
+    };
+    return { start: at(day.startTime), end: at(day.endTime) };
+  }
+
+  static overlaps(start1, end1, start2, end2) {
+    return start1 < end2 && start2 < end1;
+  }
+
+  /**
+   * Check the organizer's schedule options and fill in the defaults.
+   * Venues without courts get a single court, and days are sorted.
+   * @param {Object} options - { venues: [{ venueId, courts }],
+   *   days: [{ date, startTime, endTime }], matchDuration, minRest, timezone }
+   *   with times of day as HH:MM, durations in minutes and an IANA time zone
+   * @returns {Object} Normalized schedule
+   */
+  static normalizeOptions({
+    venues,
+    days,
+    matchDuration,
+    minRest = 0,
+    timezone = DEFAULT_TIME_ZONE,
+  } = {}) {
+    if (!venues || venues.length === 0) {
+      throw new Error('At least one venue is needed to schedule fixtures');
+    }
+    if (!days || days.length === 0) {
+      throw new Error('At least one day is needed to schedule fixtures');
+    }
+    if (!(Number(matchDuration) > 0)) {
+      throw new Error('Match duration must be a positive number of minutes');
+    }
+    if (!(Number(minRest) >= 0)) {
+      throw new Error('Minimum rest must not be negative');
+    }
+    if (!MatchRecurrence.isValidTimeZone(timezone)) {
+      throw new Error(`Invalid time zone: ${timezone}. Expected an IANA name like Europe/London`);
+    }
+
+    const schedule = {
+      venues: venues.map((venue) => ({
+        venueId: venue.venueId.toString(),
+        courts: venue.courts && venue.courts.length > 0 ? [...new Set(venue.courts)] : ['Court 1'],
+      })),
+      days: days.map((day) => ({
+        date: new Date(day.date).toISOString().slice(0, 10),
+        startTime: day.startTime,
+        endTime: day.endTime,
+      })),
+      matchDuration: Number(matchDuration),
+      minRest: Number(minRest),
+      timezone,
+    };
+
+    for (const day of schedule.days) {
+      const window = this.getWindow(day, schedule.timezone);
+      if (Number.isNaN(window.start) || Number.isNaN(window.end)) {
+        throw new Error(`Invalid time window on ${day.date}. Expected HH:MM`);
+      }
+      if (window.end - window.start < schedule.matchDuration * MINUTE_MS) {
+        throw new Error(`The time window on ${day.date} is shorter than a match`);
+      }
+    }
+    schedule.days.sort(
+      (a, b) =>
+        this.getWindow(a, schedule.timezone).start - this.getWindow(b, schedule.timezone).start
+    );
+
+    return schedule;
+  }
+}
+
+export default TournamentScheduler;
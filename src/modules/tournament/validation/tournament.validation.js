@@ -2,7 +2,40 @@
  * Tournament Validation Schemas
  * Validation rules for tournament endpoints
  */
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
+import { REGISTRATION_STATUSES } from '../model/tournament.model.js';
+import { LEAGUE_TIEBREAKERS } from '../service/bracketGenerator.service.js';
+import { DIVISION_GENDERS } from '../service/tournamentEligibility.service.js';
+import { MatchRecurrence } from '@/modules/match/service/matchRecurrence.service.js';
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Eligibility rules of a tournament or division
+ */
+const eligibilityValidation = [
+  body(['eligibility.minAge', 'eligibility.maxAge'])
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Eligibility ages must be between 0 and 100')
+    .toInt(),
+  body('eligibility.maxAge').custom((maxAge, { req }) => {
+    const minAge = req.body.eligibility?.minAge;
+    if (maxAge !== undefined && minAge !== undefined && maxAge < minAge) {
+      throw new Error('Maximum age must be greater than or equal to minimum age');
+    }
+    return true;
+  }),
+  body('eligibility.gender')
+    .optional()
+    .isIn(DIVISION_GENDERS)
+    .withMessage(`Eligibility gender must be one of: ${DIVISION_GENDERS.join(', ')}`),
+  body('eligibility.maxAverageElo')
+    .optional()
+    .isInt({ min: 0, max: 5000 })
+    .withMessage('Maximum average ELO must be between 0 and 5000')
+    .toInt(),
+];
 
 /**
  * Validation for creating a tournament
@@ -22,8 +55,68 @@ export const createTournamentValidation = [
   body('type')
     .notEmpty()
     .withMessage('Tournament type is required')
-    .isIn(['knockout', 'league'])
-    .withMessage('Invalid tournament type. Must be knockout or league'),
+    .isIn(['knockout', 'league', 'double_elimination', 'swiss', 'groups_knockout'])
+    .withMessage(
+      'Invalid tournament type. Must be knockout, league, double_elimination, swiss or groups_knockout'
+    ),
+  body('bracketReset')
+    .optional()
+    .isBoolean()
+    .withMessage('bracketReset must be a boolean')
+    .toBoolean(),
+  body('swissRounds')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('swissRounds must be between 1 and 20')
+    .toInt(),
+  body('groupCount')
+    .if(body('type').equals('groups_knockout'))
+    .notEmpty()
+    .withMessage('groupCount is required for groups_knockout tournaments'),
+  body('groupCount')
+    .optional()
+    .isInt({ min: 2, max: 16 })
+    .withMessage('groupCount must be between 2 and 16')
+    .toInt(),
+  body('advancePerGroup')
+    .optional()
+    .isInt({ min: 1, max: 8 })
+    .withMessage('advancePerGroup must be between 1 and 8')
+    .toInt(),
+  body('seedingPots')
+    .optional()
+    .isArray({ max: 8 })
+    .withMessage('seedingPots must be an array of at most 8 pots'),
+  body('seedingPots.*')
+    .isArray({ min: 1, max: 16 })
+    .withMessage('Each seeding pot must list between 1 and 16 teams'),
+  body('seedingPots.*.*').isMongoId().withMessage('Invalid team ID in seeding pot'),
+  body('seeding')
+    .optional()
+    .isIn(['random', 'elo', 'manual'])
+    .withMessage('Seeding must be random, elo or manual'),
+  body('seeds')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('seeds must be an array of at most 100 team IDs'),
+  body('seeds.*').isMongoId().withMessage('Invalid team ID in seeds'),
+  body(['pointsPerWin', 'pointsPerDraw', 'pointsPerLoss'])
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Points per result must be between 0 and 10')
+    .toInt(),
+  body('tiebreakers')
+    .optional()
+    .isArray({ max: LEAGUE_TIEBREAKERS.length })
+    .withMessage('Tiebreakers must be an array'),
+  body('tiebreakers.*')
+    .isIn(LEAGUE_TIEBREAKERS)
+    .withMessage(`Tiebreakers must be one of: ${LEAGUE_TIEBREAKERS.join(', ')}`),
+  body('doubleRoundRobin')
+    .optional()
+    .isBoolean()
+    .withMessage('Double round-robin must be a boolean')
+    .toBoolean(),
   body('registrationWindow.start')
     .notEmpty()
     .withMessage('Registration start date is required')
@@ -56,6 +149,22 @@ export const createTournamentValidation = [
       }
       return true;
     }),
+  body('minRosterSize')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Minimum roster size must be between 1 and 50')
+    .toInt(),
+  body('maxRosterSize')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Maximum roster size must be between 1 and 50')
+    .toInt()
+    .custom((maxRosterSize, { req }) => {
+      if (req.body.minRosterSize && maxRosterSize < req.body.minRosterSize) {
+        throw new Error('Maximum roster size must be greater than or equal to minimum roster size');
+      }
+      return true;
+    }),
   body('entryFee')
     .optional()
     .isFloat({ min: 0 })
@@ -75,6 +184,7 @@ export const createTournamentValidation = [
     .optional()
     .isIn(['public', 'private'])
     .withMessage('Visibility must be either public or private'),
+  ...eligibilityValidation,
 ];
 
 /**
@@ -91,7 +201,64 @@ export const updateTournamentValidation = [
     .optional()
     .isIn(['football', 'basketball', 'volleyball', 'tennis', 'badminton', 'cricket', 'other'])
     .withMessage('Invalid sport type'),
-  body('type').optional().isIn(['knockout', 'league']).withMessage('Invalid tournament type'),
+  body('type')
+    .optional()
+    .isIn(['knockout', 'league', 'double_elimination', 'swiss', 'groups_knockout'])
+    .withMessage('Invalid tournament type'),
+  body('bracketReset')
+    .optional()
+    .isBoolean()
+    .withMessage('bracketReset must be a boolean')
+    .toBoolean(),
+  body('swissRounds')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('swissRounds must be between 1 and 20')
+    .toInt(),
+  body('groupCount')
+    .optional()
+    .isInt({ min: 2, max: 16 })
+    .withMessage('groupCount must be between 2 and 16')
+    .toInt(),
+  body('advancePerGroup')
+    .optional()
+    .isInt({ min: 1, max: 8 })
+    .withMessage('advancePerGroup must be between 1 and 8')
+    .toInt(),
+  body('seedingPots')
+    .optional()
+    .isArray({ max: 8 })
+    .withMessage('seedingPots must be an array of at most 8 pots'),
+  body('seedingPots.*')
+    .isArray({ min: 1, max: 16 })
+    .withMessage('Each seeding pot must list between 1 and 16 teams'),
+  body('seedingPots.*.*').isMongoId().withMessage('Invalid team ID in seeding pot'),
+  body('seeding')
+    .optional()
+    .isIn(['random', 'elo', 'manual'])
+    .withMessage('Seeding must be random, elo or manual'),
+  body('seeds')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('seeds must be an array of at most 100 team IDs'),
+  body('seeds.*').isMongoId().withMessage('Invalid team ID in seeds'),
+  body(['pointsPerWin', 'pointsPerDraw', 'pointsPerLoss'])
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Points per result must be between 0 and 10')
+    .toInt(),
+  body('tiebreakers')
+    .optional()
+    .isArray({ max: LEAGUE_TIEBREAKERS.length })
+    .withMessage('Tiebreakers must be an array'),
+  body('tiebreakers.*')
+    .isIn(LEAGUE_TIEBREAKERS)
+    .withMessage(`Tiebreakers must be one of: ${LEAGUE_TIEBREAKERS.join(', ')}`),
+  body('doubleRoundRobin')
+    .optional()
+    .isBoolean()
+    .withMessage('Double round-robin must be a boolean')
+    .toBoolean(),
   body('registrationWindow.start')
     .optional()
     .isISO8601()
@@ -110,6 +277,11 @@ export const updateTournamentValidation = [
     .isInt({ min: 2, max: 100 })
     .withMessage('Maximum teams must be between 2 and 100')
     .toInt(),
+  body(['minRosterSize', 'maxRosterSize'])
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Roster size must be between 1 and 50')
+    .toInt(),
   body('entryFee')
     .optional()
     .isFloat({ min: 0 })
@@ -129,6 +301,7 @@ export const updateTournamentValidation = [
     .optional()
     .isIn(['public', 'private'])
     .withMessage('Visibility must be either public or private'),
+  ...eligibilityValidation,
   body('status')
     .optional()
     .isIn(['registration', 'ongoing', 'completed', 'cancelled'])
@@ -152,6 +325,108 @@ export const joinTournamentValidation = [
     .withMessage('Team ID is required')
     .isMongoId()
     .withMessage('Invalid team ID'),
+  body('roster')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Roster must be an array of 1 to 50 player IDs'),
+  body('roster.*').isMongoId().withMessage('Invalid player ID in roster'),
+  body('inviteToken').optional().isString().withMessage('Invalid invite token'),
+];
+
+/**
+ * Validation for withdrawing a team from a tournament
+ */
+export const leaveTournamentValidation = [
+  param('id').isMongoId().withMessage('Invalid tournament ID'),
+  body('teamId')
+    .notEmpty()
+    .withMessage('Team ID is required')
+    .isMongoId()
+    .withMessage('Invalid team ID'),
+];
+
+/**
+ * Validation for changing the roster of a registration
+ */
+export const updateRosterValidation = [
+  param('id').isMongoId().withMessage('Invalid tournament ID'),
+  param('teamId').isMongoId().withMessage('Invalid team ID'),
+  body('roster')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Roster must be an array of 1 to 50 player IDs'),
+  body('roster.*').isMongoId().withMessage('Invalid player ID in roster'),
+];
+
+/**
+ * Validation for adding a division to a tournament
+ */
+export const createDivisionValidation = [
+  param('id').isMongoId().withMessage('Invalid tournament ID'),
+  body('division')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Division name must be between 1 and 50 characters'),
+  body('title')
+    .optional()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters')
+    .trim(),
+  body('type')
+    .optional()
+    .isIn(['knockout', 'league', 'double_elimination', 'swiss', 'groups_knockout'])
+    .withMessage('Invalid tournament type'),
+  body(['minTeams', 'maxTeams'])
+    .optional()
+    .isInt({ min: 2, max: 100 })
+    .withMessage('Teams must be between 2 and 100')
+    .toInt(),
+  body(['minRosterSize', 'maxRosterSize'])
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Roster size must be between 1 and 50')
+    .toInt(),
+  ...eligibilityValidation,
+];
+
+/**
+ * Validation for listing tournament registrations
+ */
+export const listRegistrationsValidation = [
+  param('id').isMongoId().withMessage('Invalid tournament ID'),
+  query('status')
+    .optional()
+    .isIn(REGISTRATION_STATUSES)
+    .withMessage(`Status must be one of: ${REGISTRATION_STATUSES.join(', ')}`),
+];
+
+/**
+ * Validation for approving or rejecting a registration
+ */
+export const reviewRegistrationValidation = [
+  param('id').isMongoId().withMessage('Invalid tournament ID'),
+  param('teamId').isMongoId().withMessage('Invalid team ID'),
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+];
+
+/**
+ * Validation for registering a team directly (organizer only)
+ */
+export const registerTeamValidation = [
+  param('id').isMongoId().withMessage('Invalid tournament ID'),
+  body('teamId')
+    .notEmpty()
+    .withMessage('Team ID is required')
+    .isMongoId()
+    .withMessage('Invalid team ID'),
+  body('roster')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Roster must be an array of 1 to 50 player IDs'),
+  body('roster.*').isMongoId().withMessage('Invalid player ID in roster'),
 ];
 
 /**
@@ -160,3 +435,125 @@ export const joinTournamentValidation = [
 export const startTournamentValidation = [
   param('id').isMongoId().withMessage('Invalid tournament ID'),
 ];
+
+/**
+ * Validation for creating a tournament invite link
+ */
+export const createInviteLinkValidation = [
+  param('id').isMongoId().withMessage('Invalid tournament ID'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO 8601 date')
+    .toDate(),
+  body('maxUses')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Max uses must be between 1 and 1000')
+    .toInt(),
+];
+
+/**
+ * Validation for revoking a tournament invite link
+ */
+export const inviteLinkIdValidation = [
+  param('id').isMongoId().withMessage('Invalid tournament ID'),
+  param('linkId').isMongoId().withMessage('Invalid invite link ID'),
+];
+
+/**
+ * Validation for scheduling tournament fixtures
+ */
+export const scheduleTournamentValidation = [
+  param('id').isMongoId().withMessage('Invalid tournament ID'),
+  body('venues')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Venues must be an array of 1 to 10 venues'),
+  body('venues.*.venueId').isMongoId().withMessage('Invalid venue ID'),
+  body('venues.*.courts')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Courts must be an array of 1 to 20 court names'),
+  body('venues.*.courts.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Court names must be between 1 and 50 characters'),
+  body('days').isArray({ min: 1, max: 60 }).withMessage('Days must be an array of 1 to 60 days'),
+  body('days.*.date')
+    .isISO8601({ strict: true })
+    .withMessage('Day date must be a valid ISO 8601 date'),
+  body('days.*.startTime')
+    .matches(TIME_OF_DAY)
+    .withMessage('Day start time must be in HH:MM format'),
+  body('days.*.endTime').matches(TIME_OF_DAY).withMessage('Day end time must be in HH:MM format'),
+  body('timezone')
+    .optional()
+    .custom((value) => MatchRecurrence.isValidTimeZone(value))
+    .withMessage('Time zone must be an IANA time zone such as Europe/London'),
+  body('matchDuration')
+    .isInt({ min: 5, max: 600 })
+    .withMessage('Match duration must be between 5 and 600 minutes')
+    .toInt(),
+  body('minRest')
+    .optional()
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Minimum rest must be between 0 and 1440 minutes')
+    .toInt(),
+];
+
+/**
+ * Validation for moving a single tournament fixture
+ */
+export const rescheduleFixtureValidation = [
+  param('id').isMongoId().withMessage('Invalid tournament ID'),
+  param('matchNumber').isInt({ min: 1 }).withMessage('Invalid match number').toInt(),
+  body('startTime').isISO8601().withMessage('Start time must be a valid ISO 8601 date'),
+  body('venueId').isMongoId().withMessage('Invalid venue ID'),
+  body('court')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Court name must be between 1 and 50 characters'),
+];
+
+/**
+ * Validation for correcting a recorded tournament result
+ */
+export const correctMatchResultValidation = [
+  param('id').isMongoId().withMessage('Invalid tournament ID'),
+  param('matchNumber').isInt({ min: 1 }).withMessage('Invalid match number').toInt(),
+  body('result').isObject().withMessage('Result is required'),
+  body('result.winner').optional({ values: 'null' }).isMongoId().withMessage('Invalid winner ID'),
+  body(['result.score.team1', 'result.score.team2'])
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Scores must be non-negative integers')
+    .toInt(),
+  body(['result.fairPlay.team1', 'result.fairPlay.team2'])
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Fair play points must be non-negative integers')
+    .toInt(),
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+];
+
+/**
+ * Validation for undoing a recorded tournament result
+ */
+export const undoMatchResultValidation = [
+  param('id').isMongoId().withMessage('Invalid tournament ID'),
+  param('matchNumber').isInt({ min: 1 }).withMessage('Invalid match number').toInt(),
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+];
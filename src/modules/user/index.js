@@ -79,8 +79,8 @@ export function initializeUserModule(container) {
   const statsUpdateHandler = container.resolve('statsUpdateHandler');
   const achievementEvaluator = container.resolve('achievementEvaluator');
 
-  // Subscribe to match.finished event
-  eventBus.subscribe('match.finished', async (data) => {
+  // Stats count confirmed match results only
+  eventBus.subscribe('match.result_confirmed', async (data) => {
     // Resolve match repository at runtime to avoid circular dependency
     if (!statsUpdateHandler.matchRepository) {
       statsUpdateHandler.matchRepository = container.resolve('matchRepository');
@@ -88,6 +88,36 @@ export function initializeUserModule(container) {
     await statsUpdateHandler.handleMatchFinished(data);
   });
 
+  // Keep reliability scores in step with match attendance
+  const userService = container.resolve('userService');
+
+  eventBus.subscribe('match.player_checked_in', async (data) => {
+    await userService.recordAttendance(data.userId, true);
+  });
+
+  eventBus.subscribe('match.no_show_marked', async (data) => {
+    await userService.recordAttendance(data.userId, false);
+  });
+
+  // Post-match MVP awards and peer ratings feed into player stats
+  eventBus.subscribe('match.voting_closed', async (data) => {
+    const mvpIds = new Set(data.mvpIds.map((id) => id.toString()));
+    for (const player of data.players) {
+      try {
+        await userService.recordPeerVotes(player.userId, data.sport, {
+          ...player,
+          mvp: mvpIds.has(player.userId.toString()),
+        });
+      } catch (error) {
+        logger.error('Error recording peer votes', {
+          userId: player.userId,
+          matchId: data.matchId,
+          error: error.message,
+        });
+      }
+    }
+  });
+
   // Subscribe to user.stats_updated event for achievement evaluation
   eventBus.subscribe('user.stats_updated', async (data) => {
     try {
@@ -25,7 +25,14 @@ const userStatSchema = new mongoose.Schema(
     goalsScored: { type: Number, default: 0 },
     assists: { type: Number, default: 0 },
     fouls: { type: Number, default: 0 },
-    rating: { type: Number, default: 0 },
+    runsScored: { type: Number, default: 0 }, // cricket
+    wicketsTaken: { type: Number, default: 0 }, // cricket
+    setsWon: { type: Number, default: 0 }, // tennis, badminton, volleyball
+    setsLost: { type: Number, default: 0 }, // tennis, badminton, volleyball
+    rating: { type: Number, default: 0 }, // average peer skill rating (1-5)
+    sportsmanship: { type: Number, default: 0 }, // average peer sportsmanship rating (1-5)
+    peerRatings: { type: Number, default: 0 }, // number of peer ratings received
+    mvpAwards: { type: Number, default: 0 },
     elo: { type: Number, default: 1000 },
     streak: { type: Number, default: 0 },
     rank: Number,
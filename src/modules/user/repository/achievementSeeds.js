@@ -422,6 +422,64 @@ export const achievementSeeds = [
     points: 200,
   },
 
+  // ============================================================
+  // SOCIAL ACHIEVEMENTS - Post-match MVP votes and peer ratings
+  // ============================================================
+  {
+    name: 'Player of the Match',
+    description: 'Get voted MVP of a match by the other players',
+    category: 'social',
+    sport: 'all',
+    criteria: {
+      type: 'stat_total',
+      field: 'mvpAwards',
+      operator: '>=',
+      value: 1,
+    },
+    rarity: 'common',
+    points: 20,
+  },
+  {
+    name: 'Crowd Favourite',
+    description: 'Get voted MVP 5 times',
+    category: 'social',
+    sport: 'all',
+    criteria: {
+      type: 'stat_total',
+      field: 'mvpAwards',
+      operator: '>=',
+      value: 5,
+    },
+    rarity: 'rare',
+    points: 75,
+  },
+  {
+    name: 'Fair Play',
+    description: 'Keep an average sportsmanship rating of 4.5 or more over 10 peer ratings',
+    category: 'social',
+    sport: 'all',
+    criteria: {
+      type: 'composite',
+      logic: 'AND',
+      conditions: [
+        {
+          type: 'stat_threshold',
+          field: 'sportsmanship',
+          operator: '>=',
+          value: 4.5,
+        },
+        {
+          type: 'stat_threshold',
+          field: 'peerRatings',
+          operator: '>=',
+          value: 10,
+        },
+      ],
+    },
+    rarity: 'rare',
+    points: 50,
+  },
+
   // ============================================================
   // SPECIAL ACHIEVEMENTS - Resilience
   // ============================================================
@@ -450,14 +508,17 @@ export async function seedAchievements(achievementRepository, logger) {
   try {
     logger.info('Starting achievement seeding');
 
-    const existingCount = await achievementRepository.AchievementModel.countDocuments();
+    // Only insert seeds missing by name so new achievements reach existing databases
+    const existing = await achievementRepository.AchievementModel.find({}, 'name').lean();
+    const existingNames = new Set(existing.map((a) => a.name));
+    const missing = achievementSeeds.filter((a) => !existingNames.has(a.name));
 
-    if (existingCount > 0) {
-      logger.info('Achievements already exist, skipping seed', { count: existingCount });
-      return { success: true, message: 'Achievements already seeded', count: existingCount };
+    if (missing.length === 0) {
+      logger.info('Achievements already exist, skipping seed', { count: existing.length });
+      return { success: true, message: 'Achievements already seeded', count: existing.length };
     }
 
-    const result = await achievementRepository.bulkCreate(achievementSeeds);
+    const result = await achievementRepository.bulkCreate(missing);
 
     logger.info('Achievement seeding completed', {
       seeded: result.length,
@@ -33,10 +33,51 @@ class UserRepository {
     return this.UserModel.findByIdAndUpdate(id, data, { new: true }).lean();
   }
 
+  /**
+   * Count an attended match or a no-show and recompute the reliability score
+   * in the same update so concurrent events cannot skew it
+   */
+  async recordAttendance(userId, attended) {
+    const attendedCount = { $add: [{ $ifNull: ['$reliability.attended', 0] }, attended ? 1 : 0] };
+    const noShowCount = { $add: [{ $ifNull: ['$reliability.noShows', 0] }, attended ? 0 : 1] };
+
+    return this.UserModel.findByIdAndUpdate(
+      userId,
+      [
+        { $set: { 'reliability.attended': attendedCount, 'reliability.noShows': noShowCount } },
+        {
+          $set: {
+            'reliability.score': {
+              $round: [
+                {
+                  $multiply: [
+                    {
+                      $divide: [
+                        '$reliability.attended',
+                        { $add: ['$reliability.attended', '$reliability.noShows'] },
+                      ],
+                    },
+                    100,
+                  ],
+                },
+                0,
+              ],
+            },
+          },
+        },
+      ],
+      { new: true }
+    ).lean();
+  }
+
   async getUserStats(userId) {
     return UserStatModel.find({ userId }).lean();
   }
 
+  async getStatsForUsers(userIds, sport) {
+    return UserStatModel.find({ userId: { $in: userIds }, sport }).lean();
+  }
+
   async updateStats(userId, sport, stats) {
     // Handle streak separately as it has special logic
     const { streak, ...incrementStats } = stats;
@@ -81,6 +122,45 @@ class UserRepository {
     ).lean();
   }
 
+  /**
+   * Fold a match's peer ratings into the running skill and sportsmanship averages.
+   * The averages are recomputed in the same update so concurrent matches cannot skew them.
+   */
+  async applyPeerVotes(userId, sport, votes) {
+    const { skillTotal = 0, sportsmanshipTotal = 0, ratingCount = 0, mvp = false } = votes;
+
+    // Make sure the stats document exists with its defaults before the pipeline update
+    await UserStatModel.updateOne(
+      { userId, sport },
+      { $setOnInsert: { userId, sport } },
+      { upsert: true }
+    );
+
+    const count = { $ifNull: ['$peerRatings', 0] };
+    const runningAverage = (field, total) => ({
+      $round: [
+        {
+          $divide: [
+            { $add: [{ $multiply: [{ $ifNull: [field, 0] }, count] }, total] },
+            { $add: [count, ratingCount] },
+          ],
+        },
+        2,
+      ],
+    });
+
+    const update = { mvpAwards: { $add: [{ $ifNull: ['$mvpAwards', 0] }, mvp ? 1 : 0] } };
+    if (ratingCount > 0) {
+      update.rating = runningAverage('$rating', skillTotal);
+      update.sportsmanship = runningAverage('$sportsmanship', sportsmanshipTotal);
+      update.peerRatings = { $add: [count, ratingCount] };
+    }
+
+    return UserStatModel.findOneAndUpdate({ userId, sport }, [{ $set: update }], {
+      new: true,
+    }).lean();
+  }
+
   async getAchievements(userId) {
     const user = await this.UserModel.findById(userId).populate('achievements').lean();
     return user?.achievements || [];
@@ -2,6 +2,8 @@
  * Stats Update Handler
  * Handles automatic stats updates when matches finish
  */
+import { getScoringFormat } from '@/modules/match/scoring/index.js';
+
 class StatsUpdateHandler {
   constructor(userRepository, matchRepository, logger) {
     this.userRepository = userRepository;
@@ -10,7 +12,7 @@ class StatsUpdateHandler {
   }
 
   /**
-   * Handle match.finished event
+   * Handle match.result_confirmed event
    * Updates stats for all participants based on match results
    */
   async handleMatchFinished({ matchId, result }) {
@@ -84,90 +86,86 @@ class StatsUpdateHandler {
 
   /**
    * Determine match outcome for a participant (win/loss/draw)
+   * The winner is decided by the scoring format of the match's sport
    */
   determineOutcome(match, participantId, scores) {
+    const format = getScoringFormat(match.sport);
+
     // Handle team-based matches
-    if (match.teamBased && match.teams && match.teams.length > 0) {
-      return this.determineTeamOutcome(match, participantId, scores);
+    if (this.hasSides(match)) {
+      return this.determineTeamOutcome(match, participantId, scores, format);
     }
 
     // Handle individual matches
-    return this.determineIndividualOutcome(participantId, scores);
+    return this.determineIndividualOutcome(participantId, scores, format);
   }
 
   /**
    * Determine outcome for team-based matches
+   * Uses the match's team assignments to find the participant's side
    */
-  determineTeamOutcome(match, participantId, scores) {
-    // Find which team the participant belongs to
-    // Note: This is a simplified implementation
-    // In a real scenario, you'd need to check team membership
-    const teamIds = match.teams.map((t) => t.toString());
-    const scoresArray = Object.entries(scores).map(([teamId, score]) => ({
-      teamId,
-      score: parseInt(score, 10) || 0,
-    }));
-
-    if (scoresArray.length < 2) {
+  determineTeamOutcome(match, participantId, scores, format = getScoringFormat(match.sport)) {
+    if (Object.keys(scores).length < 2) {
       return 'draw'; // Not enough data
     }
 
-    // Sort by score
-    scoresArray.sort((a, b) => b.score - a.score);
-
-    // Check for draw
-    if (scoresArray[0].score === scoresArray[1].score) {
+    // More than one side with the best result is a draw
+    const winners = format.winners(scores);
+    if (winners.length !== 1) {
       return 'draw';
     }
 
-    // For simplicity, assume participant is on first team if they're organizer
-    // In production, you'd lookup actual team membership
-    const participantTeamIndex = participantId === match.organizerId.toString() ? 0 : 1;
-    const participantTeamId = teamIds[participantTeamIndex] || teamIds[0];
+    const participantTeamId = this.findParticipantSide(match, participantId);
+    if (!participantTeamId) {
+      return 'draw'; // Participant was not assigned to a side
+    }
 
-    return scoresArray[0].teamId === participantTeamId ? 'win' : 'loss';
+    return winners[0] === participantTeamId ? 'win' : 'loss';
   }
 
   /**
-   * Determine outcome for individual matches
+   * Whether the match was played between sides rather than individual players
    */
-  determineIndividualOutcome(participantId, scores) {
-    const scoresArray = Object.entries(scores).map(([playerId, score]) => ({
-      playerId,
-      score: parseInt(score, 10) || 0,
-    }));
-
-    if (scoresArray.length === 0) {
-      return 'draw';
-    }
-
-    // Sort by score descending
-    scoresArray.sort((a, b) => b.score - a.score);
+  hasSides(match) {
+    const hasSides = match.teamAssignments?.length > 0 || match.teams?.length > 0;
+    return Boolean(match.teamBased && hasSides);
+  }
 
-    // Find participant's score
-    const participantScore = scoresArray.find((s) => s.playerId === participantId);
-    if (!participantScore) {
-      return 'draw'; // Participant not found in scores
+  /**
+   * Find the scores key of the side a participant played on, or null when the match
+   * does not assign the participant to a side
+   */
+  findParticipantSide(match, participantId) {
+    const assignment = (match.teamAssignments || []).find((a) =>
+      a.players.some((p) => p.toString() === participantId)
+    );
+    if (!assignment) {
+      return null;
     }
+    return assignment.teamId ? assignment.teamId.toString() : assignment.side;
+  }
 
-    const highestScore = scoresArray[0].score;
-
-    // Check for draw (multiple players with highest score)
-    const winnersCount = scoresArray.filter((s) => s.score === highestScore).length;
-    if (winnersCount > 1 && participantScore.score === highestScore) {
+  /**
+   * Determine outcome for individual matches
+   */
+  determineIndividualOutcome(participantId, scores, format = getScoringFormat()) {
+    // Participant not found in scores
+    if (scores[participantId] === undefined) {
       return 'draw';
     }
 
-    // Check for win
-    if (participantScore.score === highestScore) {
-      return 'win';
+    const winners = format.winners(scores);
+    if (winners.includes(participantId)) {
+      // Check for draw (multiple players with the best result)
+      return winners.length > 1 ? 'draw' : 'win';
     }
 
-    return 'loss';
+    return winners.length > 0 ? 'loss' : 'draw';
   }
 
   /**
    * Calculate stats increment based on match outcome
+   * Per-player stat fields come from the scoring format of the match's sport
    */
   calculateStatsIncrement(outcome, scores, participantId, match) {
     const increment = {
@@ -175,9 +173,6 @@ class StatsUpdateHandler {
       wins: 0,
       losses: 0,
       draws: 0,
-      goalsScored: 0,
-      assists: 0,
-      fouls: 0,
     };
 
     // Update win/loss/draw
@@ -192,18 +187,14 @@ class StatsUpdateHandler {
       // Draws don't affect streak in this implementation
     }
 
-    // Extract participant-specific stats from scores if available
-    const participantScore = scores[participantId];
-    if (participantScore) {
-      if (typeof participantScore === 'number') {
-        increment.goalsScored = participantScore;
-      } else if (typeof participantScore === 'object') {
-        // Handle detailed score object
-        increment.goalsScored = participantScore.goals || 0;
-        increment.assists = participantScore.assists || 0;
-        increment.fouls = participantScore.fouls || 0;
-      }
-    }
+    const format = getScoringFormat(match.sport);
+    const side = this.hasSides(match)
+      ? this.findParticipantSide(match, participantId)
+      : participantId;
+    format.statFields.forEach((field) => {
+      increment[field] = 0;
+    });
+    Object.assign(increment, format.playerStats({ scores, participantId, side, match }));
 
     // Calculate ELO rating change (simplified)
     const eloChange = this.calculateEloChange(outcome, match.type);
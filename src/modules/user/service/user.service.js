@@ -17,8 +17,15 @@ class UserService {
   }
 
   async updateProfile(userId, data) {
-    const user = await this.userRepository.update(userId, data);
-    await this.eventBus.publish('user.profile_updated', { userId, data });
+    // Reliability is derived from attendance history and cannot be set directly, whether
+    // as a whole, through a dotted path such as reliability.score or an update operator
+    const profile = Object.fromEntries(
+      Object.entries(data).filter(
+        ([key]) => !key.startsWith('$') && key.split('.')[0] !== 'reliability'
+      )
+    );
+    const user = await this.userRepository.update(userId, profile);
+    await this.eventBus.publish('user.profile_updated', { userId, data: profile });
     return user;
   }
 
@@ -32,6 +39,32 @@ class UserService {
     return updatedStats;
   }
 
+  /**
+   * Update a player's reliability score after a match check-in or no-show
+   */
+  async recordAttendance(userId, attended) {
+    const user = await this.userRepository.recordAttendance(userId, attended);
+    if (!user) {
+      this.logger.warn('Attendance recorded for unknown user', { userId });
+      return null;
+    }
+
+    await this.eventBus.publish('user.reliability_updated', {
+      userId,
+      reliability: user.reliability,
+    });
+    return user.reliability;
+  }
+
+  /**
+   * Apply the MVP award and peer ratings a player received once a match's voting closes
+   */
+  async recordPeerVotes(userId, sport, votes) {
+    const updatedStats = await this.userRepository.applyPeerVotes(userId, sport, votes);
+    await this.eventBus.publish('user.stats_updated', { userId, sport, stats: updatedStats });
+    return updatedStats;
+  }
+
   async getUserAchievements(userId) {
     return this.userRepository.getAchievements(userId);
   }
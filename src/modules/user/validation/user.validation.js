@@ -36,6 +36,20 @@ export const updateUserValidation = [
     .withMessage('Location must not exceed 100 characters')
     .trim(),
   body('favoriteVenue').optional().isMongoId().withMessage('Invalid venue ID'),
+  body('dateOfBirth')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Date of birth must be a valid ISO 8601 date')
+    .custom((dateOfBirth) => {
+      if (new Date(dateOfBirth) >= new Date()) {
+        throw new Error('Date of birth must be in the past');
+      }
+      return true;
+    }),
+  body('gender')
+    .optional()
+    .isIn(['male', 'female', 'other'])
+    .withMessage('Gender must be male, female or other'),
 ];
 
 /**
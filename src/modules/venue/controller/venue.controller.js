@@ -124,6 +124,15 @@ class VenueController {
       res.status(HTTP_STATUS.OK).json(booking);
     });
   }
+
+  cancelBooking() {
+    return asyncHandler(async (req, res) => {
+      const userId = req.session?.userId;
+      const { reason } = req.body;
+      const booking = await this.venueService.cancelBooking(req.params.bookingId, userId, reason);
+      res.status(HTTP_STATUS.OK).json(booking);
+    });
+  }
 }
 
 export default VenueController;
@@ -22,6 +22,7 @@ const venueSchema = new mongoose.Schema(
       email: String,
     },
     images: [String],
+    timezone: { type: String, default: 'UTC' }, // IANA time zone of booking dates and times
     rating: { type: Number, default: 0 },
     verified: { type: Boolean, default: false },
     status: { type: String, enum: ['active', 'inactive', 'pending', 'banned'], default: 'pending' },
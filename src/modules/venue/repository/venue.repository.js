@@ -55,7 +55,14 @@ class VenueRepository {
   /**
    * Check for booking conflicts with time overlap
    */
-  async findConflictingBookings(venueId, date, startTime, endTime, excludeBookingId = null) {
+  async findConflictingBookings(
+    venueId,
+    date,
+    startTime,
+    endTime,
+    excludeBookingId = null,
+    session = null
+  ) {
     const query = {
       venueId,
       date: {
@@ -74,34 +81,42 @@ class VenueRepository {
       query._id = { $ne: excludeBookingId };
     }
 
-    return BookingModel.find(query).lean();
+    return BookingModel.find(query).session(session).lean();
   }
 
   /**
-   * Create a booking with atomic conflict check using MongoDB transaction
+   * Create a booking with atomic conflict check using MongoDB transaction.
+   * When a session is passed the booking joins the caller's transaction and the
+   * caller is responsible for committing or aborting it.
    */
-  async createBookingAtomic(data) {
-    const session = await mongoose.startSession();
+  async createBookingAtomic(data, externalSession = null) {
+    const session = externalSession || (await mongoose.startSession());
+    const ownsTransaction = !externalSession;
 
     try {
-      session.startTransaction();
+      if (ownsTransaction) {
+        session.startTransaction();
+      }
 
       const conflicts = await this.findConflictingBookings(
         data.venueId,
         new Date(data.date),
         data.startTime,
-        data.endTime
+        data.endTime,
+        null,
+        session
       );
 
       if (conflicts.length > 0) {
-        await session.abortTransaction();
         throw new BookingConflictError('This time slot is already booked', conflicts);
       }
 
       const booking = new BookingModel(data);
       await booking.save({ session });
 
-      await session.commitTransaction();
+      if (ownsTransaction) {
+        await session.commitTransaction();
+      }
 
       this.logger.info('Booking created successfully', {
         bookingId: booking._id,
@@ -110,10 +125,14 @@ class VenueRepository {
 
       return booking.toObject();
     } catch (error) {
-      await session.abortTransaction();
+      if (ownsTransaction && session.inTransaction()) {
+        await session.abortTransaction();
+      }
       throw error;
     } finally {
-      session.endSession();
+      if (ownsTransaction) {
+        session.endSession();
+      }
     }
   }
 
@@ -187,6 +206,10 @@ class VenueRepository {
     }
   }
 
+  async findBookingById(id) {
+    return BookingModel.findById(id).lean();
+  }
+
   async createBooking(data) {
     return this.createBookingAtomic(data);
   }
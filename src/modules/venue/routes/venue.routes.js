@@ -13,6 +13,7 @@ export function createVenueRoutes(venueController) {
   router.get('/:venueId', venueController.getById());
   router.get('/:venueId/availability', venueController.checkAvailability());
   router.post('/:venueId/book', venueController.bookVenue());
+  router.post('/bookings/:bookingId/cancel', venueController.cancelBooking());
 
   return router;
 }
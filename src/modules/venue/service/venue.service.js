@@ -240,6 +240,35 @@ class VenueService {
     await this.eventBus.publish('booking.rejected', { bookingId, userId, reason });
     return booking;
   }
+
+  /**
+   * Cancel a booking as the user who made it or the venue owner
+   */
+  async cancelBooking(bookingId, userId, reason) {
+    const booking = await this.venueRepository.findBookingById(bookingId);
+    if (!booking) {
+      const error = new Error('Booking not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (booking.userId.toString() !== userId) {
+      const venue = await this.venueRepository.findById(booking.venueId);
+      if (!venue || venue.ownerId.toString() !== userId) {
+        throw new Error('Not authorized');
+      }
+    }
+
+    if (booking.status === 'cancelled') {
+      const error = new Error('Booking is already cancelled');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const cancelled = await this.venueRepository.cancelBooking(bookingId, reason);
+    await this.eventBus.publish('booking.cancelled', { bookingId, userId, reason });
+    return cancelled;
+  }
 }
 
 export default VenueService;
@@ -10,7 +10,7 @@ import { setupWebSocket } from './core/websocket/index.js';
 async function startServer() {
   try {
     // Bootstrap the application
-    const { config, logger, container, dbConnection, eventBus } = await bootstrap();
+    const { config, logger, container, dbConnection, eventBus, queueManager } = await bootstrap();
 
     // Create Express app
     const app = await createApp(config, logger, container);
@@ -57,7 +57,7 @@ async function startServer() {
         logger.info('HTTP server closed');
 
         // Shutdown application
-        await shutdown({ logger, dbConnection, eventBus });
+        await shutdown({ logger, dbConnection, eventBus, queueManager });
 
         process.exit(0);
       });
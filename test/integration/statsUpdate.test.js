@@ -55,11 +55,19 @@ describe('Stats Auto-Update Integration', () => {
     userRepository = new UserRepository(mockLogger, UserModel);
 
     // Initialize services
-    matchService = new MatchService(matchRepository, eventBus, mockLogger);
+    matchService = new MatchService(
+      matchRepository,
+      userRepository,
+      null,
+      null,
+      null,
+      eventBus,
+      mockLogger
+    );
     statsUpdateHandler = new StatsUpdateHandler(userRepository, matchRepository, mockLogger);
 
-    // Subscribe to match.finished event
-    eventBus.subscribe('match.finished', async (data) => {
+    // Stats count confirmed results only, as in the user module
+    eventBus.subscribe('match.result_confirmed', async (data) => {
       await statsUpdateHandler.handleMatchFinished(data);
     });
   });
@@ -98,6 +106,12 @@ describe('Stats Auto-Update Integration', () => {
         },
       });
 
+      // The submitted result does not count until the other side confirms it
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(await UserStatModel.findOne({ userId: user1._id, sport: 'football' })).to.equal(null);
+
+      await matchService.confirmResult(match._id.toString(), user2._id.toString());
+
       // Wait for event processing
       await new Promise((resolve) => setTimeout(resolve, 100));
 
@@ -162,6 +176,7 @@ describe('Stats Auto-Update Integration', () => {
           [user2._id.toString()]: 2,
         },
       });
+      await matchService.confirmResult(match._id.toString(), user2._id.toString());
 
       // Wait for event processing
       await new Promise((resolve) => setTimeout(resolve, 100));
@@ -211,6 +226,7 @@ describe('Stats Auto-Update Integration', () => {
           [opponent._id.toString()]: 5,
         },
       });
+      await matchService.confirmResult(match1._id.toString(), opponent._id.toString());
 
       await new Promise((resolve) => setTimeout(resolve, 100));
 
@@ -235,6 +251,7 @@ describe('Stats Auto-Update Integration', () => {
           [opponent._id.toString()]: 7,
         },
       });
+      await matchService.confirmResult(match2._id.toString(), opponent._id.toString());
 
       await new Promise((resolve) => setTimeout(resolve, 100));
 
@@ -259,6 +276,7 @@ describe('Stats Auto-Update Integration', () => {
           [opponent._id.toString()]: 10,
         },
       });
+      await matchService.confirmResult(match3._id.toString(), opponent._id.toString());
 
       await new Promise((resolve) => setTimeout(resolve, 100));
 
@@ -310,6 +328,7 @@ describe('Stats Auto-Update Integration', () => {
           },
         },
       });
+      await matchService.confirmResult(match._id.toString(), user2._id.toString());
 
       // Wait for event processing
       await new Promise((resolve) => setTimeout(resolve, 100));
@@ -358,6 +377,7 @@ describe('Stats Auto-Update Integration', () => {
           [opponent._id.toString()]: 3,
         },
       });
+      await matchService.confirmResult(footballMatch._id.toString(), opponent._id.toString());
 
       await new Promise((resolve) => setTimeout(resolve, 100));
 
@@ -378,6 +398,7 @@ describe('Stats Auto-Update Integration', () => {
           [opponent._id.toString()]: 10,
         },
       });
+      await matchService.confirmResult(basketballMatch._id.toString(), opponent._id.toString());
 
       await new Promise((resolve) => setTimeout(resolve, 100));
 
@@ -4,6 +4,7 @@
 import { describe, it, beforeEach } from 'mocha';
 import assert from 'node:assert';
 import AchievementEvaluator from '@/modules/user/service/achievementEvaluator.service.js';
+import { achievementSeeds } from '@/modules/user/repository/achievementSeeds.js';
 
 describe('AchievementEvaluator', () => {
   let evaluator;
@@ -444,6 +445,29 @@ describe('AchievementEvaluator', () => {
         assert.strictEqual(result, true);
       });
     });
+
+    describe('peer vote achievements', () => {
+      const seed = (name) => achievementSeeds.find((a) => a.name === name);
+
+      it('should award 5x MVP across sports', () => {
+        const userStats = [
+          { sport: 'football', mvpAwards: 3 },
+          { sport: 'basketball', mvpAwards: 2 },
+        ];
+
+        assert.strictEqual(evaluator.evaluateCriteria(seed('Crowd Favourite'), userStats), true);
+        userStats[1].mvpAwards = 1;
+        assert.strictEqual(evaluator.evaluateCriteria(seed('Crowd Favourite'), userStats), false);
+      });
+
+      it('should require enough peer ratings for fair play', () => {
+        const userStats = [{ sport: 'football', sportsmanship: 4.8, peerRatings: 4 }];
+
+        assert.strictEqual(evaluator.evaluateCriteria(seed('Fair Play'), userStats), false);
+        userStats[0].peerRatings = 12;
+        assert.strictEqual(evaluator.evaluateCriteria(seed('Fair Play'), userStats), true);
+      });
+    });
   });
 
   describe('compareValues', () => {
@@ -118,6 +118,71 @@ describe('BracketGenerator', () => {
     });
   });
 
+  describe('Seeding', () => {
+    const teams = ['t1', 't2', 't3', 't4', 't5', 't6'];
+    const teamElo = { t1: 1000, t2: 1500, t3: 1200, t4: 1300, t5: 900, t6: 1100 };
+
+    it('should place seeds so the top two can only meet in the final', () => {
+      expect(BracketGenerator.getSeedPlacement(8)).to.deep.equal([1, 8, 4, 5, 2, 7, 3, 6]);
+    });
+
+    it('should seed by ELO and give the byes to the top seeds', () => {
+      const bracket = BracketGenerator.generateBracket({
+        type: 'knockout',
+        teams,
+        seeding: 'elo',
+        teamElo,
+      });
+
+      expect(bracket.seeding).to.equal('elo');
+      const byRating = ['t2', 't4', 't3', 't6', 't1', 't5'];
+      expect(bracket.teams.map((t) => t.teamId)).to.deep.equal(byRating);
+      expect(bracket.teams[0].elo).to.equal(1500);
+
+      const [first, second, third, fourth] = bracket.rounds[0].matches;
+      expect(first).to.include({ team1: 't2', team2: null, status: 'bye' });
+      expect(second).to.include({ team1: 't6', team2: 't1' });
+      expect(third).to.include({ team1: 't4', team2: null, status: 'bye' });
+      expect(fourth).to.include({ team1: 't3', team2: 't5' });
+    });
+
+    it('should move teams with a bye into the second round', () => {
+      const bracket = BracketGenerator.generateBracket({
+        type: 'knockout',
+        teams,
+        seeding: 'elo',
+        teamElo,
+      });
+
+      const semiFinals = bracket.rounds[1].matches;
+      expect(semiFinals[0]).to.include({ team1: 't2', team2: null });
+      expect(semiFinals[1]).to.include({ team1: 't4', team2: null });
+    });
+
+    it('should follow the manual seed list, seeding unlisted teams after it', () => {
+      const bracket = BracketGenerator.generateBracket({
+        type: 'double_elimination',
+        teams,
+        seeding: 'manual',
+        seeds: ['t5', 't3'],
+      });
+
+      expect(bracket.seeding).to.equal('manual');
+      expect(bracket.teams.slice(0, 2).map((t) => t.teamId)).to.deep.equal(['t5', 't3']);
+      expect(bracket.teams.map((t) => t.teamId)).to.have.members(teams);
+      expect(bracket.rounds[0].matches[0]).to.include({ team1: 't5', team2: null });
+    });
+
+    it('should reject seeds that are not registered or listed twice', () => {
+      const generate = (seeds) =>
+        BracketGenerator.generateBracket({ type: 'knockout', teams, seeding: 'manual', seeds });
+
+      expect(() => generate(['t1', 't9'])).to.throw('not registered');
+      expect(() => generate(['t1', 't1'])).to.throw('seeded more than once');
+      expect(() => generate([])).to.throw('needs a seed list');
+    });
+  });
+
   describe('League Tournament', () => {
     it('should generate round-robin fixtures for 4 teams', () => {
       const tournament = {
@@ -431,6 +496,667 @@ describe('BracketGenerator', () => {
     });
   });
 
+  describe('League Standings Rules', () => {
+    const league = (teams, options = {}) =>
+      BracketGenerator.generateBracket({ type: 'league', teams, ...options });
+    // Record a result between two teams whichever way round the fixture lists them
+    const play = (bracket, teamA, teamB, goalsA, goalsB, fairPlay) => {
+      const match = bracket.rounds
+        .flatMap((r) => r.matches)
+        .find(
+          (m) => !m.played && [m.team1, m.team2].sort().join() === [teamA, teamB].sort().join()
+        );
+      const home = match.team1 === teamA;
+      return BracketGenerator.updateBracketWithResult(bracket, match.matchNumber, {
+        score: home ? { team1: goalsA, team2: goalsB } : { team1: goalsB, team2: goalsA },
+        fairPlay,
+      });
+    };
+    // a and b finish level on points, a won their meeting, b has the better goal difference
+    const playLevelTable = (bracket) => {
+      play(bracket, 'a', 'b', 1, 0);
+      play(bracket, 'b', 'c', 6, 0);
+      play(bracket, 'a', 'd', 1, 0);
+      play(bracket, 'b', 'd', 1, 0);
+      play(bracket, 'a', 'c', 0, 1);
+      play(bracket, 'c', 'd', 0, 0);
+      return bracket;
+    };
+
+    it('should award the configured points per result', () => {
+      const bracket = league(['a', 'b', 'c'], {
+        pointsPerWin: 2,
+        pointsPerDraw: 1,
+        pointsPerLoss: 1,
+      });
+
+      play(bracket, 'a', 'b', 2, 0);
+      play(bracket, 'a', 'c', 1, 1);
+
+      const points = Object.fromEntries(bracket.standings.map((s) => [s.teamId, s.points]));
+      expect(points).to.deep.equal({ a: 3, b: 1, c: 1 });
+      expect(bracket.standingsRules.points).to.deep.equal({ win: 2, draw: 1, loss: 1 });
+    });
+
+    it('should explain the tiebreaker that separated teams level on points', () => {
+      const byGoalDifference = playLevelTable(league(['a', 'b', 'c', 'd']));
+      expect(byGoalDifference.standings.map((s) => s.teamId)).to.deep.equal(['b', 'a', 'c', 'd']);
+      expect(byGoalDifference.standings[0].tiebreaker).to.equal('goal_difference');
+      expect(byGoalDifference.standings[1].tiebreaker).to.be.null;
+
+      const byHeadToHead = playLevelTable(
+        league(['a', 'b', 'c', 'd'], { tiebreakers: ['head_to_head', 'goal_difference'] })
+      );
+      expect(byHeadToHead.standings.map((s) => s.teamId)).to.deep.equal(['a', 'b', 'c', 'd']);
+      expect(byHeadToHead.standings[0].tiebreaker).to.equal('head_to_head');
+    });
+
+    it('should fall back to fair play, then a drawing of lots', () => {
+      const tiebreakers = ['goal_difference', 'fair_play', 'lot'];
+
+      const fairPlay = play(league(['a', 'b'], { tiebreakers }), 'a', 'b', 1, 1, {
+        team1: 3,
+        team2: 1,
+      });
+      const cleaner = fairPlay.rounds[0].matches[0].team2;
+      expect(fairPlay.standings[0]).to.include({ teamId: cleaner, tiebreaker: 'fair_play' });
+
+      const lots = league(['a', 'b'], { tiebreakers });
+      lots.standings.find((s) => s.teamId === 'b').lot = 1;
+      lots.standings.find((s) => s.teamId === 'a').lot = 2;
+      play(lots, 'a', 'b', 1, 1);
+      expect(lots.standings[0]).to.include({ teamId: 'b', tiebreaker: 'lot' });
+    });
+
+    it('should play home and away in a double round-robin', () => {
+      const bracket = league(['a', 'b', 'c', 'd'], { doubleRoundRobin: true });
+      const matches = bracket.rounds.flatMap((r) => r.matches);
+
+      expect(bracket.totalRounds).to.equal(6);
+      expect(matches).to.have.lengthOf(12);
+      expect(new Set(matches.map((m) => `${m.team1}-${m.team2}`)).size).to.equal(12);
+      expect(new Set(matches.map((m) => m.matchNumber)).size).to.equal(12);
+      expect(bracket.rounds[3].matches[0]).to.include({
+        team1: bracket.rounds[0].matches[0].team2,
+        team2: bracket.rounds[0].matches[0].team1,
+        leg: 2,
+      });
+    });
+
+    it('should reject unknown tiebreakers and a win worth less than a draw', () => {
+      expect(() => league(['a', 'b'], { tiebreakers: ['coin_toss'] })).to.throw(
+        'Unknown tiebreaker: coin_toss'
+      );
+      expect(() => league(['a', 'b'], { pointsPerWin: 1, pointsPerDraw: 2 })).to.throw(
+        'at least a draw'
+      );
+    });
+
+    it('should rank group tables with the same rules', () => {
+      const bracket = BracketGenerator.generateBracket({
+        type: 'groups_knockout',
+        teams: ['a', 'b', 'c', 'd', 'e', 'f'],
+        groupCount: 2,
+        advancePerGroup: 1,
+        pointsPerWin: 2,
+        tiebreakers: ['head_to_head'],
+      });
+
+      const [match] = bracket.rounds[0].matches;
+      BracketGenerator.updateBracketWithResult(bracket, match.matchNumber, {
+        score: { team1: 1, team2: 0 },
+      });
+
+      const group = bracket.groups.find((g) => g.name === match.group);
+      expect(group.standings[0]).to.include({ teamId: match.team1, points: 2 });
+      expect(bracket.standingsRules.tiebreakers).to.deep.equal(['head_to_head']);
+    });
+  });
+
+  describe('Result Corrections', () => {
+    const fixture = (bracket, matchNumber) =>
+      BracketGenerator.findBracketMatch(bracket, matchNumber);
+    const knockout = () =>
+      BracketGenerator.generateBracket({
+        type: 'knockout',
+        teams: ['t1', 't2', 't3', 't4'],
+        seeding: 'manual',
+        seeds: ['t1', 't2', 't3', 't4'],
+      });
+    // Semi-finals t1 v t4 and t2 v t3, then the final
+    const playKnockout = (bracket) => {
+      BracketGenerator.updateBracketWithResult(bracket, 1, {
+        winner: 't1',
+        score: { team1: 2, team2: 0 },
+      });
+      BracketGenerator.updateBracketWithResult(bracket, 2, {
+        winner: 't2',
+        score: { team1: 1, team2: 0 },
+      });
+      return BracketGenerator.updateBracketWithResult(bracket, 3, {
+        winner: 't1',
+        score: { team1: 3, team2: 1 },
+      });
+    };
+
+    it('should keep every recorded result with the teams it was recorded between', () => {
+      const bracket = playKnockout(knockout());
+
+      expect(bracket.results.map((r) => [r.matchNumber, r.team1, r.team2])).to.deep.equal([
+        [1, 't1', 't4'],
+        [2, 't2', 't3'],
+        [3, 't1', 't2'],
+      ]);
+      expect(() =>
+        BracketGenerator.updateBracketWithResult(bracket, 1, {
+          winner: 't4',
+          score: { team1: 0, team2: 1 },
+        })
+      ).to.throw('Match 1 has already been played');
+    });
+
+    it('should move the corrected winner on and drop later results it invalidates', () => {
+      const initial = knockout();
+      const bracket = playKnockout(structuredClone(initial));
+      fixture(bracket, 3).matchId = 'final';
+      fixture(bracket, 3).court = 'Court 1';
+
+      const {
+        bracket: corrected,
+        previousResult,
+        changed,
+        invalidated,
+      } = BracketGenerator.correctResult(bracket, initial, 2, {
+        winner: 't3',
+        score: { team1: 0, team2: 1 },
+      });
+
+      expect(previousResult.winner).to.equal('t2');
+      expect(fixture(corrected, 3)).to.include({ team1: 't1', team2: 't3', status: 'pending' });
+      expect(fixture(corrected, 3)).to.include({ court: 'Court 1' });
+      expect(fixture(corrected, 3)).to.not.have.property('matchId');
+      expect(changed).to.deep.equal([2, 3]);
+      expect(invalidated).to.deep.equal([3]);
+      expect(corrected.winners.champion).to.equal(null);
+      expect(corrected.teams.find((t) => t.teamId === 't2').eliminated).to.equal(true);
+      expect(corrected.teams.find((t) => t.teamId === 't3').eliminated).to.equal(false);
+      expect(corrected.results.map((r) => r.matchNumber)).to.deep.equal([1, 2]);
+    });
+
+    it('should keep later results whose teams did not change', () => {
+      const initial = knockout();
+      const bracket = playKnockout(structuredClone(initial));
+
+      const {
+        bracket: corrected,
+        changed,
+        invalidated,
+      } = BracketGenerator.correctResult(bracket, initial, 1, {
+        winner: 't1',
+        score: { team1: 5, team2: 0 },
+      });
+
+      expect(fixture(corrected, 1).score).to.deep.equal({ team1: 5, team2: 0 });
+      expect(corrected.winners.champion).to.equal('t1');
+      expect(changed).to.deep.equal([1]);
+      expect(invalidated).to.deep.equal([]);
+    });
+
+    it('should undo a league result and rebuild the table', () => {
+      const initial = BracketGenerator.generateBracket({ type: 'league', teams: ['a', 'b', 'c'] });
+      const bracket = structuredClone(initial);
+      const [first, second] = bracket.rounds.flatMap((r) => r.matches).filter((m) => m.team2);
+      BracketGenerator.updateBracketWithResult(bracket, first.matchNumber, {
+        score: { team1: 2, team2: 0 },
+      });
+      BracketGenerator.updateBracketWithResult(bracket, second.matchNumber, {
+        score: { team1: 1, team2: 1 },
+      });
+
+      const { bracket: corrected, changed } = BracketGenerator.correctResult(
+        bracket,
+        initial,
+        first.matchNumber,
+        null
+      );
+
+      expect(fixture(corrected, first.matchNumber)).to.include({
+        status: 'pending',
+        played: false,
+      });
+      expect(corrected.standings.reduce((sum, s) => sum + s.points, 0)).to.equal(2);
+      expect(corrected.standings.every((s) => s.goalsFor <= 1)).to.equal(true);
+      expect(changed).to.deep.equal([first.matchNumber]);
+    });
+
+    it('should move the corrected loser into the losers bracket', () => {
+      const teams = ['t1', 't2', 't3', 't4'];
+      const initial = BracketGenerator.generateBracket({ type: 'double_elimination', teams });
+      const bracket = structuredClone(initial);
+      const [semi1, semi2] = bracket.rounds[0].matches;
+      for (const match of [semi1, semi2]) {
+        BracketGenerator.updateBracketWithResult(bracket, match.matchNumber, {
+          winner: match.team1,
+          score: { team1: 2, team2: 0 },
+        });
+      }
+
+      const { bracket: corrected, changed } = BracketGenerator.correctResult(bracket, initial, 1, {
+        winner: semi1.team2,
+        score: { team1: 0, team2: 2 },
+      });
+
+      const losersRound1 = corrected.rounds.find((r) => r.bracket === 'losers').matches[0];
+      expect(losersRound1.team1).to.equal(semi1.team1);
+      expect(fixture(corrected, 3).team1).to.equal(semi1.team2);
+      expect(changed).to.include.members([1, 3, losersRound1.matchNumber]);
+    });
+
+    it('should pair the next Swiss round again from the corrected standings', () => {
+      const initial = BracketGenerator.generateBracket({
+        type: 'swiss',
+        teams: ['t1', 't2', 't3', 't4'],
+        swissRounds: 2,
+      });
+      const bracket = structuredClone(initial);
+      for (const match of bracket.rounds[0].matches) {
+        BracketGenerator.updateBracketWithResult(bracket, match.matchNumber, {
+          score: { team1: 1, team2: 0 },
+        });
+      }
+      BracketGenerator.generateSwissRound(bracket);
+      const [firstMatch] = bracket.rounds[0].matches;
+
+      const { bracket: corrected, changed } = BracketGenerator.correctResult(
+        bracket,
+        initial,
+        firstMatch.matchNumber,
+        { score: { team1: 0, team2: 1 } }
+      );
+
+      const leader = corrected.standings[0].teamId;
+      expect(corrected.rounds).to.have.lengthOf(2);
+      expect([fixture(corrected, 3).team1, fixture(corrected, 3).team2]).to.include(leader);
+      expect(changed).to.include.members([firstMatch.matchNumber, 3, 4]);
+    });
+
+    it('should only correct recorded results', () => {
+      const initial = knockout();
+
+      expect(() =>
+        BracketGenerator.correctResult(structuredClone(initial), initial, 1, null)
+      ).to.throw('Match 1 has no recorded result');
+    });
+  });
+
+  describe('Double Elimination Tournament', () => {
+    const teams = ['t1', 't2', 't3', 't4'];
+    const matchByNumber = (bracket, matchNumber) =>
+      bracket.rounds.flatMap((r) => r.matches).find((m) => m.matchNumber === matchNumber);
+    const play = (bracket, matchNumber, team = 'team1') =>
+      BracketGenerator.updateBracketWithResult(bracket, matchNumber, {
+        winner: matchByNumber(bracket, matchNumber)[team],
+        score: { team1: 2, team2: 1 },
+      });
+
+    it('should lay out winners, losers and grand final rounds in play order', () => {
+      const bracket = BracketGenerator.generateBracket({ type: 'double_elimination', teams });
+
+      expect(bracket.rounds.map((r) => r.name)).to.deep.equal([
+        'Winners Semi-Final',
+        'Winners Final',
+        'Losers Round 1',
+        'Losers Final',
+        'Grand Final',
+        'Grand Final Reset',
+      ]);
+      expect(bracket.teams.every((t) => t.losses === 0)).to.equal(true);
+    });
+
+    it('should drop losers into the losers bracket', () => {
+      let bracket = BracketGenerator.generateBracket({ type: 'double_elimination', teams });
+      const [semi1, semi2] = bracket.rounds[0].matches;
+
+      bracket = play(bracket, 1);
+      bracket = play(bracket, 2, 'team2');
+      bracket = play(bracket, 3);
+
+      const losersRound1 = bracket.rounds[2].matches[0];
+      expect([losersRound1.team1, losersRound1.team2]).to.deep.equal([semi1.team2, semi2.team1]);
+      expect(bracket.rounds[3].matches[0].team2).to.equal(matchByNumber(bracket, 3).loser);
+      expect(bracket.teams.find((t) => t.teamId === semi1.team2).eliminated).to.equal(false);
+
+      bracket = play(bracket, 4);
+      expect(bracket.teams.find((t) => t.teamId === semi2.team1).eliminated).to.equal(true);
+    });
+
+    it('should skip the reset when the winners bracket champion wins the grand final', () => {
+      let bracket = BracketGenerator.generateBracket({ type: 'double_elimination', teams });
+      [1, 2, 3, 4, 5].forEach((matchNumber) => {
+        bracket = play(bracket, matchNumber);
+      });
+      const grandFinal = matchByNumber(bracket, 6);
+
+      bracket = play(bracket, 6);
+
+      expect(bracket.winners.champion).to.equal(grandFinal.team1);
+      expect(bracket.winners.thirdPlace).to.equal(matchByNumber(bracket, 5).loser);
+      expect(matchByNumber(bracket, 7).status).to.equal('skipped');
+      expect(bracket.rounds.every((r) => r.completed)).to.equal(true);
+    });
+
+    it('should play the bracket reset when the losers bracket champion wins', () => {
+      let bracket = BracketGenerator.generateBracket({ type: 'double_elimination', teams });
+      [1, 2, 3, 4, 5].forEach((matchNumber) => {
+        bracket = play(bracket, matchNumber);
+      });
+
+      bracket = play(bracket, 6, 'team2');
+      expect(bracket.winners.champion).to.equal(null);
+      expect(matchByNumber(bracket, 7).status).to.equal('pending');
+
+      const reset = matchByNumber(bracket, 7);
+      bracket = play(bracket, 7, 'team2');
+      expect(bracket.winners.champion).to.equal(reset.team2);
+    });
+
+    it('should crown the losers bracket champion without a reset when disabled', () => {
+      let bracket = BracketGenerator.generateBracket({
+        type: 'double_elimination',
+        teams,
+        bracketReset: false,
+      });
+      [1, 2, 3, 4, 5].forEach((matchNumber) => {
+        bracket = play(bracket, matchNumber);
+      });
+      const grandFinal = matchByNumber(bracket, 6);
+
+      bracket = play(bracket, 6, 'team2');
+
+      expect(bracket.rounds).to.have.lengthOf(5);
+      expect(bracket.winners.champion).to.equal(grandFinal.team2);
+    });
+
+    it('should pass byes through both brackets', () => {
+      const bracket = BracketGenerator.generateBracket({
+        type: 'double_elimination',
+        teams: ['t1', 't2', 't3', 't4', 't5'],
+      });
+
+      const byes = bracket.rounds[0].matches.filter((m) => m.status === 'bye');
+      expect(byes).to.have.lengthOf(3);
+      // Byes advance straight into the winners semi-finals
+      const semiTeams = bracket.rounds[1].matches.flatMap((m) => [m.team1, m.team2]);
+      byes.forEach((m) => expect(semiTeams).to.include(m.winner));
+      // The losers round fed only by byes has nobody to play
+      expect(bracket.rounds[2].matches.map((m) => m.status)).to.include('bye');
+    });
+
+    it('should reject a winner who is not in the match', () => {
+      const bracket = BracketGenerator.generateBracket({ type: 'double_elimination', teams });
+
+      expect(() =>
+        BracketGenerator.updateBracketWithResult(bracket, 1, { winner: 'someone', score: {} })
+      ).to.throw('Winner must be one of the teams in the match');
+      expect(() =>
+        BracketGenerator.updateBracketWithResult(bracket, 3, { winner: 't1', score: {} })
+      ).to.throw('is not ready to be played');
+    });
+  });
+
+  describe('Swiss Tournament', () => {
+    const teams = ['t1', 't2', 't3', 't4', 't5', 't6'];
+    const playRound = (bracket, scoreFor) => {
+      bracket.rounds
+        .at(-1)
+        .matches.filter((m) => m.status === 'pending')
+        .forEach((m) => {
+          BracketGenerator.updateBracketWithResult(bracket, m.matchNumber, {
+            score: scoreFor(m),
+          });
+        });
+      return bracket;
+    };
+
+    it('should only pair the first round', () => {
+      const bracket = BracketGenerator.generateBracket({ type: 'swiss', teams, swissRounds: 4 });
+
+      expect(bracket.type).to.equal('swiss');
+      expect(bracket.totalRounds).to.equal(4);
+      expect(bracket.rounds).to.have.lengthOf(1);
+      expect(bracket.rounds[0].matches).to.have.lengthOf(3);
+    });
+
+    it('should default to log2 of the team count rounds', () => {
+      const bracket = BracketGenerator.generateBracket({ type: 'swiss', teams });
+      expect(bracket.totalRounds).to.equal(3);
+    });
+
+    it('should reject more rounds than teams can play without rematches', () => {
+      expect(() =>
+        BracketGenerator.generateBracket({ type: 'swiss', teams, swissRounds: 6 })
+      ).to.throw('at most 5 rounds');
+    });
+
+    it('should pair teams on equal scores without rematches', () => {
+      const bracket = BracketGenerator.generateBracket({ type: 'swiss', teams, swissRounds: 3 });
+      playRound(bracket, () => ({ team1: 2, team2: 0 }));
+
+      BracketGenerator.generateSwissRound(bracket);
+
+      const points = new Map(bracket.standings.map((s) => [s.teamId, s.points]));
+      const roundOne = bracket.rounds[0].matches.map((m) => [m.team1, m.team2].sort().join());
+      bracket.rounds[1].matches.forEach((m) => {
+        expect([m.team1, m.team2].sort().join()).to.not.be.oneOf(roundOne);
+      });
+      // The three winners cannot all meet each other, so exactly one pairing mixes scores
+      const mixed = bracket.rounds[1].matches.filter(
+        (m) => points.get(m.team1) !== points.get(m.team2)
+      );
+      expect(mixed).to.have.lengthOf(1);
+    });
+
+    it('should give the bye to the lowest ranked team once', () => {
+      let bracket = BracketGenerator.generateBracket({
+        type: 'swiss',
+        teams: ['t1', 't2', 't3'],
+        swissRounds: 3,
+      });
+      const byes = [];
+
+      for (let round = 1; round <= 3; round++) {
+        const bye = bracket.rounds.at(-1).matches.find((m) => m.status === 'bye');
+        byes.push(bye.team1);
+        bracket = playRound(bracket, () => ({ team1: 1, team2: 0 }));
+        if (round < 3) {
+          BracketGenerator.generateSwissRound(bracket);
+        }
+      }
+
+      expect(new Set(byes).size).to.equal(3);
+      expect(bracket.standings.every((s) => s.played === 2 && s.byes === 1)).to.equal(true);
+    });
+
+    it('should break ties with Buchholz, then Sonneborn-Berger', () => {
+      const standing = (teamId, points, results) => ({
+        teamId,
+        seed: 1,
+        points,
+        results: results.map(([opponent, earned]) => ({ opponent, points: earned })),
+      });
+      const bracket = {
+        standings: [
+          standing('a', 1, [
+            ['c', 1],
+            ['b', 0],
+          ]),
+          standing('b', 1.5, [
+            ['d', 0.5],
+            ['a', 1],
+          ]),
+          standing('c', 1, [
+            ['a', 0],
+            ['d', 1],
+          ]),
+          standing('d', 0.5, [
+            ['b', 0.5],
+            ['c', 0],
+          ]),
+        ],
+      };
+
+      BracketGenerator.sortSwissStandings(bracket);
+
+      expect(bracket.standings.map((s) => s.teamId)).to.deep.equal(['b', 'a', 'c', 'd']);
+      expect(bracket.standings[1]).to.include({ buchholz: 2.5, sonnebornBerger: 1 });
+      expect(bracket.standings[2]).to.include({ buchholz: 1.5, sonnebornBerger: 0.5 });
+
+      // Same points and Buchholz: beating the stronger opponent ranks higher
+      const tied = {
+        standings: [
+          standing('a', 1, [
+            ['x', 1],
+            ['y', 0],
+          ]),
+          standing('c', 1, [
+            ['x', 0],
+            ['y', 1],
+          ]),
+          standing('x', 0.5, []),
+          standing('y', 2, []),
+        ],
+      };
+
+      BracketGenerator.sortSwissStandings(tied);
+
+      expect(tied.standings.map((s) => s.teamId)).to.deep.equal(['y', 'c', 'a', 'x']);
+      expect(tied.standings[1]).to.include({ buchholz: 2.5, sonnebornBerger: 2 });
+    });
+
+    it('should record draws as half a point', () => {
+      const bracket = BracketGenerator.generateBracket({
+        type: 'swiss',
+        teams: ['t1', 't2'],
+        swissRounds: 1,
+      });
+
+      BracketGenerator.updateBracketWithResult(bracket, 1, { score: { team1: 1, team2: 1 } });
+
+      expect(bracket.standings.map((s) => s.points)).to.deep.equal([0.5, 0.5]);
+      expect(bracket.rounds[0].completed).to.equal(true);
+    });
+  });
+
+  describe('Groups and Knockout Tournament', () => {
+    const teams = Array.from({ length: 12 }, (_, i) => `t${i + 1}`);
+    const generate = (options = {}) =>
+      BracketGenerator.generateBracket({
+        type: 'groups_knockout',
+        teams,
+        groupCount: 4,
+        advancePerGroup: 2,
+        ...options,
+      });
+    const playGroups = (bracket) => {
+      bracket.rounds
+        .filter((r) => r.stage === 'groups')
+        .flatMap((r) => r.matches)
+        .forEach((m) => {
+          // Lower team numbers always win
+          const team1Wins = Number(m.team1.slice(1)) < Number(m.team2.slice(1));
+          BracketGenerator.updateBracketWithResult(bracket, m.matchNumber, {
+            score: team1Wins ? { team1: 2, team2: 0 } : { team1: 0, team2: 2 },
+          });
+        });
+      return bracket;
+    };
+
+    it('should draw one team per group from each seeding pot', () => {
+      const bracket = generate({ seedingPots: [['t1', 't2', 't3', 't4']] });
+
+      expect(bracket.groups.map((g) => g.name)).to.deep.equal(['A', 'B', 'C', 'D']);
+      bracket.groups.forEach((group) => {
+        expect(group.teams).to.have.lengthOf(3);
+        const seeded = group.teams.filter((t) => ['t1', 't2', 't3', 't4'].includes(t));
+        expect(seeded).to.have.lengthOf(1);
+        expect(group.standings).to.have.lengthOf(3);
+      });
+    });
+
+    it('should play every group fixture on shared matchdays', () => {
+      const bracket = generate();
+
+      expect(bracket.stage).to.equal('groups');
+      expect(bracket.groupRounds).to.equal(3);
+      expect(bracket.totalRounds).to.equal(6);
+      expect(bracket.rounds).to.have.lengthOf(3);
+      expect(bracket.rounds.flatMap((r) => r.matches)).to.have.lengthOf(12);
+      expect(bracket.rounds[0].matches.map((m) => m.group)).to.have.members(['A', 'B', 'C', 'D']);
+    });
+
+    it('should reject a knockout stage that is not a power of 2', () => {
+      expect(() => generate({ groupCount: 3 })).to.throw('must be a power of 2');
+    });
+
+    it('should reject groups too small for the teams advancing', () => {
+      expect(() => generate({ advancePerGroup: 4 })).to.throw('Not enough teams');
+    });
+
+    it('should reject seeding pots with more teams than groups', () => {
+      expect(() => generate({ seedingPots: [['t1', 't2', 't3', 't4', 't5']] })).to.throw(
+        'more teams than there are groups'
+      );
+    });
+
+    it('should build the knockout stage with cross-group pairings', () => {
+      const bracket = generate();
+      const lastGroupMatch = bracket.rounds[2].matches.at(-1);
+      playGroups(bracket);
+
+      expect(bracket.stage).to.equal('knockout');
+      const top = (name, position) =>
+        bracket.groups.find((g) => g.name === name).standings[position - 1].teamId;
+      const quarterFinals = bracket.rounds[3];
+      expect(quarterFinals.name).to.equal('Quarter-Final');
+      expect(quarterFinals.matches.map((m) => [m.team1, m.team2])).to.deep.equal([
+        [top('A', 1), top('B', 2)],
+        [top('C', 1), top('D', 2)],
+        [top('B', 1), top('A', 2)],
+        [top('D', 1), top('C', 2)],
+      ]);
+      expect(quarterFinals.matches[0].matchNumber).to.equal(lastGroupMatch.matchNumber + 1);
+      expect(bracket.teams.filter((t) => !t.eliminated)).to.have.lengthOf(8);
+    });
+
+    it('should play the knockout stage through to a champion', () => {
+      const bracket = playGroups(generate());
+
+      for (const round of bracket.rounds.slice(3)) {
+        round.matches.forEach((m) => {
+          BracketGenerator.updateBracketWithResult(bracket, m.matchNumber, {
+            winner: m.team1,
+            score: { team1: 1, team2: 0 },
+          });
+        });
+      }
+
+      const final = bracket.rounds[5].matches[0];
+      expect(bracket.winners.champion).to.equal(final.team1);
+      expect(bracket.winners.runnerUp).to.equal(final.team2);
+      expect(bracket.teams.filter((t) => !t.eliminated)).to.have.lengthOf(1);
+    });
+
+    it('should not accept a group result twice', () => {
+      const bracket = generate();
+      const result = { score: { team1: 1, team2: 0 } };
+      BracketGenerator.updateBracketWithResult(bracket, 1, result);
+
+      expect(() => BracketGenerator.updateBracketWithResult(bracket, 1, result)).to.throw(
+        'already been played'
+      );
+    });
+  });
+
   describe('Utility Functions', () => {
     it('should calculate next power of two', () => {
       expect(BracketGenerator.getNextPowerOfTwo(1)).toBe(1);
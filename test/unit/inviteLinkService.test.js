@@ -0,0 +1,150 @@
+/**
+ * Invite Link Service Tests
+ * Tests for revocable invite links to private matches and tournaments
+ */
+import { describe, it, beforeEach } from 'mocha';
+import '../helpers/setup.js';
+import InviteLinkService from '@/modules/invitation/service/inviteLink.service.js';
+
+describe('InviteLinkService', () => {
+  let service;
+  let mockRepository;
+  let mockEventBus;
+  let links;
+
+  const matchId = '64b000000000000000000001';
+  const otherMatchId = '64b000000000000000000002';
+
+  beforeEach(() => {
+    links = new Map();
+
+    mockRepository = {
+      create: sinon.stub().callsFake(async (data) => {
+        const link = {
+          _id: `link${links.size + 1}`,
+          uses: 0,
+          createdAt: new Date(),
+          ...data,
+        };
+        links.set(link._id, link);
+        return link;
+      }),
+      findById: sinon.stub().callsFake(async (id) => links.get(id) || null),
+      findByToken: sinon
+        .stub()
+        .callsFake(async (token) => [...links.values()].find((l) => l.token === token) || null),
+      findByEntity: sinon.stub().callsFake(async () => [...links.values()]),
+      revoke: sinon.stub().callsFake(async (id) => {
+        const link = links.get(id);
+        if (!link || link.revokedAt) return null;
+        link.revokedAt = new Date();
+        return link;
+      }),
+      redeem: sinon.stub().callsFake(async (id) => {
+        const link = links.get(id);
+        link.uses += 1;
+        return link;
+      }),
+    };
+
+    mockEventBus = {
+      publish: sinon.stub().resolves(),
+    };
+
+    const mockLogger = {
+      child: () => mockLogger,
+      info: sinon.stub(),
+      debug: sinon.stub(),
+      warn: sinon.stub(),
+      error: sinon.stub(),
+    };
+
+    service = new InviteLinkService(mockRepository, mockEventBus, mockLogger);
+  });
+
+  it('should create a link whose token verifies for its match', async () => {
+    const link = await service.createLink('match', matchId, 'organizer', { maxUses: 3 });
+
+    expect(link.token).to.be.a('string').with.length.of.at.least(43);
+    expect(link.active).to.be.true;
+    expect(mockEventBus.publish.calledWith('invite_link.created')).to.be.true;
+
+    const verified = await service.verifyToken('match', matchId, link.token);
+    expect(verified._id).to.equal(link._id);
+  });
+
+  it('should give every link its own token', async () => {
+    const first = await service.createLink('match', matchId, 'organizer');
+    const second = await service.createLink('match', matchId, 'organizer');
+
+    expect(first.token).to.not.equal(second.token);
+  });
+
+  it('should give the same token back when listing links', async () => {
+    const link = await service.createLink('match', matchId, 'organizer');
+
+    const [listed] = await service.listLinks('match', matchId);
+
+    expect(listed.token).to.equal(link.token);
+  });
+
+  it('should reject tokens for another match or a tampered token', async () => {
+    const link = await service.createLink('match', matchId, 'organizer');
+
+    for (const [id, token] of [
+      [otherMatchId, link.token],
+      [matchId, `${link.token}x`],
+    ]) {
+      try {
+        await service.verifyToken('match', id, token);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+    }
+  });
+
+  it('should reject revoked, expired and used up links', async () => {
+    const revoked = await service.createLink('match', matchId, 'organizer');
+    await service.revokeLink('match', matchId, revoked._id, 'organizer');
+
+    const expired = await service.createLink('match', matchId, 'organizer', {
+      expiresAt: new Date(Date.now() + 60 * 1000),
+    });
+    links.get(expired._id).expiresAt = new Date(Date.now() - 1000);
+
+    const usedUp = await service.createLink('match', matchId, 'organizer', { maxUses: 1 });
+    await service.redeem(await service.verifyToken('match', matchId, usedUp.token));
+
+    for (const token of [revoked.token, expired.token, usedUp.token]) {
+      try {
+        await service.verifyToken('match', matchId, token);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+    }
+  });
+
+  it('should not create links that are already expired', async () => {
+    try {
+      await service.createLink('match', matchId, 'organizer', {
+        expiresAt: new Date(Date.now() - 1000),
+      });
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.statusCode).to.equal(400);
+    }
+  });
+
+  it('should fail to redeem a link used up in the meantime', async () => {
+    mockRepository.redeem.resolves(null);
+
+    try {
+      await service.redeem({ _id: 'link1' });
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.statusCode).to.equal(403);
+    }
+  });
+});
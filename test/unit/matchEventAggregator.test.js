@@ -0,0 +1,105 @@
+/**
+ * Match Event Aggregator Tests
+ * Tests for deriving scores and per-player stats from the match timeline
+ */
+import { describe, it } from 'mocha';
+import '../helpers/setup.js';
+import MatchEventAggregator from '@/modules/match/service/matchEventAggregator.service.js';
+
+describe('MatchEventAggregator', () => {
+  describe('individual matches', () => {
+    const match = { teamBased: false, participants: ['user1', 'user2'] };
+
+    it('should start every participant at zero', () => {
+      const { scores, playerStats } = MatchEventAggregator.aggregate([], match);
+
+      expect(scores).to.deep.equal({ user1: 0, user2: 0 });
+      expect(playerStats).to.deep.equal({});
+    });
+
+    it('should count goals towards the scorer', () => {
+      const events = [
+        { type: 'goal', playerId: 'user1', minute: 10 },
+        { type: 'goal', playerId: 'user1', minute: 30 },
+        { type: 'goal', playerId: 'user2', minute: 55 },
+      ];
+
+      const { scores, playerStats } = MatchEventAggregator.aggregate(events, match);
+
+      expect(scores).to.deep.equal({ user1: 2, user2: 1 });
+      expect(playerStats.user1.goals).to.equal(2);
+      expect(playerStats.user2.goals).to.equal(1);
+    });
+  });
+
+  describe('team-based matches', () => {
+    const match = { teamBased: true, teams: ['teamA', 'teamB'], participants: ['p1', 'p2'] };
+
+    it('should count goals towards the event team', () => {
+      const events = [
+        { type: 'goal', playerId: 'p1', team: 'teamA' },
+        { type: 'assist', playerId: 'p2' },
+        { type: 'goal', playerId: 'p1', team: 'teamA' },
+      ];
+
+      const { scores, playerStats } = MatchEventAggregator.aggregate(events, match);
+
+      expect(scores).to.deep.equal({ teamA: 2, teamB: 0 });
+      expect(playerStats.p1.goals).to.equal(2);
+      expect(playerStats.p2.assists).to.equal(1);
+    });
+
+    it('should start assigned pickup sides at zero', () => {
+      const pickup = {
+        teamBased: true,
+        teams: [],
+        participants: ['p1', 'p2'],
+        teamAssignments: [
+          { side: 'A', players: ['p1'] },
+          { side: 'B', players: ['p2'] },
+        ],
+      };
+
+      const { scores } = MatchEventAggregator.aggregate(
+        [{ type: 'goal', playerId: 'p2', team: 'B' }],
+        pickup
+      );
+
+      expect(scores).to.deep.equal({ A: 0, B: 1 });
+    });
+  });
+
+  describe('sideKeys', () => {
+    it('should prefer assigned sides over the match teams', () => {
+      const match = { teamBased: true, teams: ['teamA', 'teamB'], participants: ['p1'] };
+
+      expect(MatchEventAggregator.sideKeys(match)).to.deep.equal(['teamA', 'teamB']);
+      expect(
+        MatchEventAggregator.sideKeys({
+          ...match,
+          teamAssignments: [
+            { side: 'A', teamId: 'teamA', players: ['p1'] },
+            { side: 'B', players: [] },
+          ],
+        })
+      ).to.deep.equal(['teamA', 'B']);
+      expect(MatchEventAggregator.sideKeys({ ...match, teamBased: false })).to.deep.equal(['p1']);
+    });
+  });
+
+  describe('disciplinary events', () => {
+    it('should count cards as fouls', () => {
+      const events = [
+        { type: 'foul', playerId: 'user1' },
+        { type: 'yellow_card', playerId: 'user1' },
+        { type: 'red_card', playerId: 'user1' },
+      ];
+
+      const { playerStats } = MatchEventAggregator.aggregate(events, { participants: ['user1'] });
+
+      expect(playerStats.user1.fouls).to.equal(3);
+      expect(playerStats.user1.yellowCards).to.equal(1);
+      expect(playerStats.user1.redCards).to.equal(1);
+    });
+  });
+});
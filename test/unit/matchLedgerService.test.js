@@ -0,0 +1,273 @@
+/**
+ * Match Ledger Service Tests
+ * Tests for per-participant cost splitting, payment recording and reminders
+ */
+import { describe, it, beforeEach } from 'mocha';
+import '../helpers/setup.js';
+import MatchLedgerService from '@/modules/match/service/matchLedger.service.js';
+
+describe('MatchLedgerService', () => {
+  let service;
+  let mockPaymentRepository;
+  let mockMatchRepository;
+  let mockVenueRepository;
+  let mockEventBus;
+
+  const match = {
+    _id: 'match1',
+    title: 'Thursday 5-a-side',
+    organizerId: 'organizer',
+    participants: ['organizer', 'user1', 'user2'],
+    entryFee: 5,
+    bookingId: 'booking1',
+  };
+
+  beforeEach(() => {
+    mockPaymentRepository = {
+      findByMatch: sinon.stub().resolves([]),
+      findOne: sinon.stub(),
+      setAmounts: sinon.stub().resolves(),
+      removeUnpaidExcept: sinon.stub().resolves(),
+      update: sinon
+        .stub()
+        .callsFake(async (matchId, userId, data) => ({ userId, amount: 5, ...data })),
+      markReminded: sinon.stub().resolves(),
+    };
+
+    mockMatchRepository = {
+      findById: sinon.stub().resolves(match),
+    };
+
+    mockVenueRepository = {
+      findBookingById: sinon.stub().resolves({ _id: 'booking1', totalPrice: 100 }),
+    };
+
+    mockEventBus = {
+      publish: sinon.stub().resolves(),
+    };
+
+    const mockLogger = {
+      child: () => mockLogger,
+      info: sinon.stub(),
+      debug: sinon.stub(),
+      warn: sinon.stub(),
+      error: sinon.stub(),
+    };
+
+    service = new MatchLedgerService(
+      mockPaymentRepository,
+      mockMatchRepository,
+      mockVenueRepository,
+      mockEventBus,
+      mockLogger
+    );
+  });
+
+  describe('splitCosts', () => {
+    it('should charge every participant the entry fee by default', async () => {
+      await service.splitCosts('match1', 'organizer');
+
+      expect(mockPaymentRepository.setAmounts.firstCall.args[1]).to.deep.equal([
+        { userId: 'organizer', amount: 5 },
+        { userId: 'user1', amount: 5 },
+        { userId: 'user2', amount: 5 },
+      ]);
+      expect(mockEventBus.publish.calledWith('match.costs_split')).to.be.true;
+    });
+
+    it('should split the venue booking price evenly down to the cent', async () => {
+      await service.splitCosts('match1', 'organizer', { mode: 'even' });
+
+      const amounts = mockPaymentRepository.setAmounts.firstCall.args[1].map((l) => l.amount);
+      expect(amounts).to.deep.equal([33.34, 33.33, 33.33]);
+    });
+
+    it('should prefer an explicit total over the booking price', async () => {
+      await service.splitCosts('match1', 'organizer', { mode: 'even', total: 30 });
+
+      const amounts = mockPaymentRepository.setAmounts.firstCall.args[1].map((l) => l.amount);
+      expect(amounts).to.deep.equal([10, 10, 10]);
+      expect(mockVenueRepository.findBookingById.called).to.be.false;
+    });
+
+    it('should require a total when there is no priced booking', async () => {
+      mockMatchRepository.findById.resolves({ ...match, bookingId: undefined });
+
+      try {
+        await service.splitCosts('match1', 'organizer', { mode: 'even' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+
+    it('should accept custom shares covering every participant', async () => {
+      const shares = [
+        { userId: 'organizer', amount: 0 },
+        { userId: 'user1', amount: 12.5 },
+        { userId: 'user2', amount: 7.5 },
+      ];
+
+      await service.splitCosts('match1', 'organizer', { mode: 'custom', shares, total: 20 });
+
+      expect(mockPaymentRepository.setAmounts.firstCall.args[1]).to.deep.equal(shares);
+      expect(
+        mockPaymentRepository.removeUnpaidExcept.calledWith('match1', [
+          'organizer',
+          'user1',
+          'user2',
+        ])
+      ).to.be.true;
+    });
+
+    it('should reject custom shares that miss a participant or the total', async () => {
+      const shares = [
+        { userId: 'organizer', amount: 5 },
+        { userId: 'user1', amount: 5 },
+      ];
+
+      for (const options of [
+        { mode: 'custom', shares },
+        { mode: 'custom', shares: [...shares, { userId: 'user2', amount: 5 }], total: 20 },
+      ]) {
+        try {
+          await service.splitCosts('match1', 'organizer', options);
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.statusCode).to.equal(400);
+        }
+      }
+      expect(mockPaymentRepository.setAmounts.called).to.be.false;
+    });
+
+    it('should not re-split once payments have been recorded', async () => {
+      mockPaymentRepository.findByMatch.resolves([{ userId: 'user1', amount: 5, status: 'paid' }]);
+
+      try {
+        await service.splitCosts('match1', 'organizer', { mode: 'even', total: 30 });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(409);
+      }
+    });
+
+    it('should only let the organizer split costs', async () => {
+      try {
+        await service.splitCosts('match1', 'user1');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+    });
+  });
+
+  describe('recordPayment', () => {
+    it('should record a payment with its method', async () => {
+      mockPaymentRepository.findOne.resolves({ userId: 'user1', amount: 5, status: 'unpaid' });
+
+      const entry = await service.recordPayment('match1', 'user1', 'organizer', {
+        status: 'paid',
+        method: 'cash',
+      });
+
+      expect(entry.status).to.equal('paid');
+      expect(entry.method).to.equal('cash');
+      expect(entry.paidAt).to.be.instanceOf(Date);
+      expect(mockEventBus.publish.calledWith('match.payment_recorded')).to.be.true;
+    });
+
+    it('should require a payment method for paid entries', async () => {
+      mockPaymentRepository.findOne.resolves({ userId: 'user1', amount: 5, status: 'unpaid' });
+
+      try {
+        await service.recordPayment('match1', 'user1', 'organizer', { status: 'paid' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+
+    it('should clear the payment details when reverting to unpaid', async () => {
+      mockPaymentRepository.findOne.resolves({ userId: 'user1', amount: 5, status: 'paid' });
+
+      await service.recordPayment('match1', 'user1', 'organizer', { status: 'unpaid' });
+
+      expect(mockPaymentRepository.update.firstCall.args[2].$unset).to.deep.equal({
+        method: 1,
+        paidAt: 1,
+      });
+    });
+
+    it('should return 404 for users without a ledger entry', async () => {
+      mockPaymentRepository.findOne.resolves(null);
+
+      try {
+        await service.recordPayment('match1', 'user9', 'organizer', { status: 'waived' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(404);
+      }
+    });
+  });
+
+  describe('sendReminders', () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+
+    it('should remind unpaid participants not reminded recently', async () => {
+      mockPaymentRepository.findByMatch.resolves([
+        { _id: 'p1', userId: 'user1', amount: 5, status: 'unpaid' },
+        { _id: 'p2', userId: 'user2', amount: 5, status: 'unpaid', remindedAt: now },
+        { _id: 'p3', userId: 'organizer', amount: 5, status: 'paid', method: 'cash' },
+      ]);
+
+      const result = await service.sendReminders('match1', 'organizer', now);
+
+      expect(result).to.deep.equal({ reminded: 1, skipped: 2 });
+      expect(mockEventBus.publish.calledOnce).to.be.true;
+      expect(mockEventBus.publish.firstCall.args[0]).to.equal('match.payment_reminder');
+      expect(mockEventBus.publish.firstCall.args[1]).to.include({ userId: 'user1', amount: 5 });
+      expect(mockPaymentRepository.markReminded.calledWith(['p1'], now)).to.be.true;
+    });
+  });
+
+  describe('getLedger', () => {
+    const entries = [
+      { userId: 'organizer', amount: 10, status: 'paid', method: 'cash' },
+      { userId: 'user1', amount: 10, status: 'paid', method: 'in_app' },
+      { userId: 'user2', amount: 10, status: 'unpaid' },
+    ];
+
+    it('should give the organizer every entry and a summary', async () => {
+      mockPaymentRepository.findByMatch.resolves(entries);
+
+      const ledger = await service.getLedger('match1', 'organizer');
+
+      expect(ledger.entries).to.have.lengthOf(3);
+      expect(ledger.summary).to.deep.equal({
+        totalDue: 30,
+        totalPaid: 20,
+        totalWaived: 0,
+        outstanding: 10,
+        counts: { paid: 2, unpaid: 1, waived: 0 },
+        byMethod: { cash: 10, in_app: 10 },
+      });
+    });
+
+    it('should only show participants their own entry', async () => {
+      mockPaymentRepository.findByMatch.resolves(entries);
+
+      const ledger = await service.getLedger('match1', 'user2');
+
+      expect(ledger).to.deep.equal({ entries: [entries[2]] });
+    });
+
+    it('should hide the ledger from non-participants', async () => {
+      try {
+        await service.getLedger('match1', 'stranger');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Match Recurrence Tests
+ * Tests for expanding match series recurrence rules into occurrences
+ */
+import { describe, it } from 'mocha';
+import '../helpers/setup.js';
+import MatchRecurrence from '@/modules/match/service/matchRecurrence.service.js';
+
+describe('MatchRecurrence', () => {
+  // 2026-01-06 is a Tuesday
+  const tuesdayGame = {
+    frequency: 'weekly',
+    daysOfWeek: [2],
+    startTime: '19:00',
+    startDate: new Date('2026-01-06T00:00:00Z'),
+  };
+
+  const toIso = (occurrences) => occurrences.map((o) => o.startAt.toISOString());
+
+  it('should generate a weekly occurrence at the start time', () => {
+    const occurrences = MatchRecurrence.getOccurrences(
+      tuesdayGame,
+      new Date('2026-01-01T00:00:00Z'),
+      new Date('2026-01-31T00:00:00Z')
+    );
+
+    expect(toIso(occurrences)).to.deep.equal([
+      '2026-01-06T19:00:00.000Z',
+      '2026-01-13T19:00:00.000Z',
+      '2026-01-20T19:00:00.000Z',
+      '2026-01-27T19:00:00.000Z',
+    ]);
+    expect(occurrences[0].day.toISOString()).to.equal('2026-01-06T00:00:00.000Z');
+  });
+
+  it('should skip every other week for biweekly series', () => {
+    const occurrences = MatchRecurrence.getOccurrences(
+      { ...tuesdayGame, frequency: 'biweekly' },
+      new Date('2026-01-01T00:00:00Z'),
+      new Date('2026-02-28T00:00:00Z')
+    );
+
+    expect(toIso(occurrences)).to.deep.equal([
+      '2026-01-06T19:00:00.000Z',
+      '2026-01-20T19:00:00.000Z',
+      '2026-02-03T19:00:00.000Z',
+      '2026-02-17T19:00:00.000Z',
+    ]);
+  });
+
+  it('should keep the biweekly cadence anchored to the start date', () => {
+    const occurrences = MatchRecurrence.getOccurrences(
+      { ...tuesdayGame, frequency: 'biweekly' },
+      new Date('2026-01-10T00:00:00Z'),
+      new Date('2026-01-31T00:00:00Z')
+    );
+
+    expect(toIso(occurrences)).to.deep.equal(['2026-01-20T19:00:00.000Z']);
+  });
+
+  it('should support several days per week', () => {
+    const occurrences = MatchRecurrence.getOccurrences(
+      { ...tuesdayGame, daysOfWeek: [2, 4] },
+      new Date('2026-01-05T00:00:00Z'),
+      new Date('2026-01-11T00:00:00Z')
+    );
+
+    expect(toIso(occurrences)).to.deep.equal([
+      '2026-01-06T19:00:00.000Z',
+      '2026-01-08T19:00:00.000Z',
+    ]);
+  });
+
+  it('should default to the weekday of the start date', () => {
+    const occurrences = MatchRecurrence.getOccurrences(
+      { ...tuesdayGame, daysOfWeek: [] },
+      new Date('2026-01-01T00:00:00Z'),
+      new Date('2026-01-12T00:00:00Z')
+    );
+
+    expect(toIso(occurrences)).to.deep.equal(['2026-01-06T19:00:00.000Z']);
+  });
+
+  it('should skip exception dates', () => {
+    const occurrences = MatchRecurrence.getOccurrences(
+      { ...tuesdayGame, exceptions: [new Date('2026-01-13T00:00:00Z')] },
+      new Date('2026-01-01T00:00:00Z'),
+      new Date('2026-01-21T00:00:00Z')
+    );
+
+    expect(toIso(occurrences)).to.deep.equal([
+      '2026-01-06T19:00:00.000Z',
+      '2026-01-20T19:00:00.000Z',
+    ]);
+  });
+
+  it('should stop at the end date', () => {
+    const occurrences = MatchRecurrence.getOccurrences(
+      { ...tuesdayGame, endDate: new Date('2026-01-13T00:00:00Z') },
+      new Date('2026-01-01T00:00:00Z'),
+      new Date('2026-02-28T00:00:00Z')
+    );
+
+    expect(toIso(occurrences)).to.deep.equal([
+      '2026-01-06T19:00:00.000Z',
+      '2026-01-13T19:00:00.000Z',
+    ]);
+  });
+
+  it('should exclude an occurrence that already started before the window', () => {
+    const occurrences = MatchRecurrence.getOccurrences(
+      tuesdayGame,
+      new Date('2026-01-06T20:00:00Z'),
+      new Date('2026-01-14T00:00:00Z')
+    );
+
+    expect(toIso(occurrences)).to.deep.equal(['2026-01-13T19:00:00.000Z']);
+  });
+
+  it('should reject an invalid start time', () => {
+    expect(() =>
+      MatchRecurrence.getOccurrences(
+        { ...tuesdayGame, startTime: '7pm' },
+        new Date('2026-01-01T00:00:00Z'),
+        new Date('2026-01-31T00:00:00Z')
+      )
+    ).to.throw('Invalid start time');
+  });
+
+  describe('time zones', () => {
+    it('should keep the local start time across daylight saving changes', () => {
+      // British Summer Time starts on 2026-03-29
+      const occurrences = MatchRecurrence.getOccurrences(
+        { ...tuesdayGame, timezone: 'Europe/London' },
+        new Date('2026-03-20T00:00:00Z'),
+        new Date('2026-04-01T00:00:00Z')
+      );
+
+      expect(toIso(occurrences)).to.deep.equal([
+        '2026-03-24T19:00:00.000Z',
+        '2026-03-31T18:00:00.000Z',
+      ]);
+    });
+
+    it('should take days in the series time zone', () => {
+      const occurrences = MatchRecurrence.getOccurrences(
+        { ...tuesdayGame, timezone: 'America/Los_Angeles' },
+        new Date('2026-01-07T00:00:00Z'),
+        new Date('2026-01-08T00:00:00Z')
+      );
+
+      expect(toIso(occurrences)).to.deep.equal(['2026-01-07T03:00:00.000Z']);
+      expect(MatchRecurrence.toDayKey(occurrences[0].day)).to.equal('2026-01-06');
+      expect(
+        MatchRecurrence.getOccurrenceOn(
+          { ...tuesdayGame, timezone: 'America/Los_Angeles' },
+          '2026-01-13'
+        ).startAt.toISOString()
+      ).to.equal('2026-01-14T03:00:00.000Z');
+    });
+
+    it('should reject unknown time zones', () => {
+      expect(MatchRecurrence.isValidTimeZone('Europe/Atlantis')).to.be.false;
+      expect(() =>
+        MatchRecurrence.getOccurrences(
+          { ...tuesdayGame, timezone: 'Europe/Atlantis' },
+          new Date('2026-01-01T00:00:00Z'),
+          new Date('2026-01-31T00:00:00Z')
+        )
+      ).to.throw('Invalid time zone');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Match Rooms Tests
+ * Tests for live match subscriptions and event bus relaying over Socket.IO
+ */
+import { describe, it, beforeEach } from 'mocha';
+import '../helpers/setup.js';
+import InMemoryEventBus from '../../src/core/events/inMemoryBus.js';
+import {
+  relayMatchEvents,
+  registerMatchRoomHandlers,
+} from '../../src/core/websocket/matchRooms.js';
+
+describe('Match rooms', () => {
+  let mockLogger;
+
+  const match = {
+    _id: 'match1',
+    status: 'live',
+    scores: { user1: 2, user2: 1 },
+    events: [
+      { type: 'goal', minute: 30, playerId: 'user1' },
+      { type: 'goal', minute: 12, playerId: 'user2' },
+    ],
+  };
+
+  beforeEach(() => {
+    mockLogger = {
+      child: () => mockLogger,
+      info: sinon.stub(),
+      debug: sinon.stub(),
+      warn: sinon.stub(),
+      error: sinon.stub(),
+    };
+  });
+
+  describe('relayMatchEvents', () => {
+    it('should emit match events to the match room', async () => {
+      const emit = sinon.stub();
+      const io = { to: sinon.stub().returns({ emit }) };
+      const eventBus = new InMemoryEventBus(mockLogger);
+
+      relayMatchEvents(io, eventBus, mockLogger);
+      await eventBus.publish('match.score_updated', { matchId: 'match1', scores: { user1: 3 } });
+      await eventBus.publish('match.participant_joined', { matchId: 'match1', userId: 'user3' });
+
+      expect(io.to.calledOnceWith('match:match1')).to.be.true;
+      expect(
+        emit.calledOnceWith('match.score_updated', { matchId: 'match1', scores: { user1: 3 } })
+      ).to.be.true;
+    });
+  });
+
+  describe('registerMatchRoomHandlers', () => {
+    let handlers;
+    let socket;
+    let matchService;
+
+    beforeEach(() => {
+      handlers = {};
+      socket = {
+        userId: 'user1',
+        on: (event, handler) => {
+          handlers[event] = handler;
+        },
+        join: sinon.stub(),
+        leave: sinon.stub(),
+        emit: sinon.stub(),
+      };
+      matchService = { getMatchById: sinon.stub().resolves(match) };
+
+      registerMatchRoomHandlers(socket, matchService, mockLogger);
+    });
+
+    it('should join the room and send a snapshot to late joiners', async () => {
+      const ack = sinon.stub();
+
+      await handlers['match:subscribe']({ matchId: 'match1', inviteToken: 'token' }, ack);
+
+      expect(matchService.getMatchById.calledWith('match1', 'user1', 'token')).to.be.true;
+      expect(socket.join.calledWith('match:match1')).to.be.true;
+      const [event, snapshot] = socket.emit.firstCall.args;
+      expect(event).to.equal('match:snapshot');
+      expect(snapshot).to.include({ matchId: 'match1', status: 'live' });
+      expect(snapshot.events.map((e) => e.minute)).to.deep.equal([12, 30]);
+      expect(ack.firstCall.args[0].status).to.equal('success');
+    });
+
+    it('should not join rooms of matches the user cannot see', async () => {
+      const ack = sinon.stub();
+      matchService.getMatchById.rejects(
+        Object.assign(new Error('Match not found'), { statusCode: 404 })
+      );
+
+      await handlers['match:subscribe']('match1', ack);
+
+      expect(socket.join.called).to.be.false;
+      expect(ack.firstCall.args[0]).to.deep.equal({ status: 'error', message: 'Match not found' });
+    });
+
+    it('should leave the room on unsubscribe', () => {
+      handlers['match:unsubscribe']('match1');
+
+      expect(socket.leave.calledWith('match:match1')).to.be.true;
+    });
+  });
+});
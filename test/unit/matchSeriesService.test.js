@@ -0,0 +1,291 @@
+/**
+ * Match Series Service Tests
+ * Tests for recurring match series generation and propagation
+ */
+import { describe, it, beforeEach } from 'mocha';
+import '../helpers/setup.js';
+import MatchSeriesService from '@/modules/match/service/matchSeries.service.js';
+
+describe('MatchSeriesService', () => {
+  let service;
+  let mockSeriesRepository;
+  let mockMatchRepository;
+  let mockMatchService;
+  let mockEventBus;
+
+  // Tuesday 7pm weekly game, 2026-01-06 is a Tuesday
+  const series = {
+    _id: 'series1',
+    title: 'Tuesday 5-a-side',
+    sport: 'football',
+    organizerId: 'organizer',
+    maxPlayers: 10,
+    durationMinutes: 90,
+    generateAheadDays: 14,
+    coreParticipants: ['core1', 'core2'],
+    status: 'active',
+    recurrence: {
+      frequency: 'weekly',
+      daysOfWeek: [2],
+      startTime: '19:00',
+      startDate: new Date('2026-01-06T00:00:00Z'),
+      exceptions: [],
+    },
+  };
+  const now = new Date('2026-01-05T12:00:00Z');
+
+  beforeEach(() => {
+    mockSeriesRepository = {
+      create: sinon.stub(),
+      findById: sinon.stub().resolves(series),
+      findActive: sinon.stub().resolves([series]),
+      update: sinon.stub().callsFake(async (id, data) => ({ ...series, ...data })),
+      addException: sinon.stub().resolves(series),
+    };
+
+    mockMatchRepository = {
+      create: sinon
+        .stub()
+        .callsFake(async (data) => ({ _id: `match-${data.startAt.toISOString()}`, ...data })),
+      findBySeries: sinon.stub().resolves([]),
+      findSeriesOccurrence: sinon.stub().resolves(null),
+      addParticipant: sinon.stub().resolves({}),
+      removeFromWaitlist: sinon.stub().resolves({}),
+    };
+
+    mockMatchService = {
+      updateMatch: sinon.stub().resolves({}),
+      cancelMatch: sinon.stub().resolves(),
+    };
+
+    mockEventBus = {
+      publish: sinon.stub().resolves(),
+    };
+
+    const mockLogger = {
+      child: () => mockLogger,
+      info: sinon.stub(),
+      debug: sinon.stub(),
+      warn: sinon.stub(),
+      error: sinon.stub(),
+    };
+
+    service = new MatchSeriesService(
+      mockSeriesRepository,
+      mockMatchRepository,
+      mockMatchService,
+      mockEventBus,
+      mockLogger
+    );
+  });
+
+  describe('generateOccurrences', () => {
+    it('should create a match with core participants for each occurrence in the window', async () => {
+      const created = await service.generateOccurrences(series, now);
+
+      expect(created).to.have.length(2);
+      const first = mockMatchRepository.create.firstCall.args[0];
+      expect(first.title).to.equal('Tuesday 5-a-side');
+      expect(first.startAt.toISOString()).to.equal('2026-01-06T19:00:00.000Z');
+      expect(first.endAt.toISOString()).to.equal('2026-01-06T20:30:00.000Z');
+      expect(first.participants).to.deep.equal(['organizer', 'core1', 'core2']);
+      expect(first.seriesId).to.equal('series1');
+      expect(first.seriesOccurrence.toISOString()).to.equal('2026-01-06T00:00:00.000Z');
+      expect(mockEventBus.publish.calledWith('match.created')).to.be.true;
+    });
+
+    it('should not recreate occurrences that already have a match', async () => {
+      mockMatchRepository.findSeriesOccurrence
+        .onFirstCall()
+        .resolves({ _id: 'existing', status: 'cancelled' });
+
+      const created = await service.generateOccurrences(series, now);
+
+      expect(created).to.have.length(1);
+      expect(mockMatchRepository.create.calledOnce).to.be.true;
+    });
+
+    it('should skip occurrences generated concurrently', async () => {
+      const duplicate = new Error('E11000 duplicate key');
+      duplicate.code = 11000;
+      mockMatchRepository.create.onFirstCall().rejects(duplicate);
+
+      const created = await service.generateOccurrences(series, now);
+
+      expect(created).to.have.length(1);
+    });
+
+    it('should not generate matches for an ended series', async () => {
+      const created = await service.generateOccurrences({ ...series, status: 'ended' }, now);
+
+      expect(created).to.be.empty;
+      expect(mockMatchRepository.create.called).to.be.false;
+    });
+  });
+
+  describe('generateAllUpcoming', () => {
+    it('should end series past their end date', async () => {
+      mockSeriesRepository.findActive.resolves([
+        { ...series, recurrence: { ...series.recurrence, endDate: new Date('2026-01-01') } },
+      ]);
+
+      const result = await service.generateAllUpcoming(now);
+
+      expect(result.seriesEnded).to.equal(1);
+      expect(mockSeriesRepository.update.calledWith('series1', { status: 'ended' })).to.be.true;
+      expect(mockMatchRepository.create.called).to.be.false;
+    });
+  });
+
+  describe('updateSeries', () => {
+    it('should reject updates from anyone but the organizer', async () => {
+      try {
+        await service.updateSeries('series1', { title: 'New title' }, 'someone');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+    });
+
+    it('should apply the template to future matches and cancel dropped occurrences', async () => {
+      const clock = sinon.useFakeTimers(now);
+      try {
+        mockMatchRepository.findBySeries.resolves([
+          {
+            _id: 'tuesday',
+            seriesOccurrence: new Date('2026-01-06T00:00:00Z'),
+            participants: ['organizer'],
+          },
+          {
+            _id: 'next-tuesday',
+            seriesOccurrence: new Date('2026-01-13T00:00:00Z'),
+            participants: ['organizer', 'core1', 'core2'],
+          },
+        ]);
+        mockMatchRepository.findSeriesOccurrence.resolves({ _id: 'existing' });
+
+        await service.updateSeries(
+          'series1',
+          {
+            title: 'Tuesday 7-a-side',
+            recurrence: { startTime: '20:00', endDate: new Date('2026-01-10T00:00:00Z') },
+          },
+          'organizer'
+        );
+      } finally {
+        clock.restore();
+      }
+
+      const [matchId, fields] = mockMatchService.updateMatch.firstCall.args;
+      expect(matchId).to.equal('tuesday');
+      expect(fields.title).to.equal('Tuesday 7-a-side');
+      expect(fields.startAt.toISOString()).to.equal('2026-01-06T20:00:00.000Z');
+
+      // Core participants are restored on the remaining occurrence
+      expect(mockMatchRepository.addParticipant.calledWith('tuesday', 'core1')).to.be.true;
+      expect(mockMatchRepository.addParticipant.calledWith('tuesday', 'core2')).to.be.true;
+
+      // The occurrence after the new end date is cancelled
+      expect(mockMatchService.cancelMatch.calledOnce).to.be.true;
+      expect(mockMatchService.cancelMatch.firstCall.args[0]).to.equal('next-tuesday');
+      expect(mockEventBus.publish.calledWith('match_series.updated')).to.be.true;
+    });
+
+    it('should keep existing exceptions when the recurrence changes', async () => {
+      mockSeriesRepository.findById.resolves({
+        ...series,
+        recurrence: { ...series.recurrence, exceptions: [new Date('2026-01-13T00:00:00Z')] },
+      });
+
+      await service.updateSeries('series1', { recurrence: { startTime: '20:00' } }, 'organizer');
+
+      const updates = mockSeriesRepository.update.firstCall.args[1];
+      expect(updates.recurrence.startTime).to.equal('20:00');
+      expect(updates.recurrence.exceptions).to.have.length(1);
+    });
+  });
+
+  describe('cancelOccurrence', () => {
+    it('should add an exception and cancel only that occurrence', async () => {
+      mockMatchRepository.findSeriesOccurrence.resolves({ _id: 'tuesday', status: 'scheduled' });
+
+      const result = await service.cancelOccurrence(
+        'series1',
+        '2026-01-13',
+        'organizer',
+        'Pitch closed'
+      );
+
+      const [, day] = mockSeriesRepository.addException.firstCall.args;
+      expect(day.toISOString()).to.equal('2026-01-13T00:00:00.000Z');
+      expect(mockMatchService.cancelMatch.calledOnceWith('tuesday', 'organizer', 'Pitch closed')).to
+        .be.true;
+      expect(result.matchId).to.equal('tuesday');
+    });
+
+    it('should reject dates that are not part of the series', async () => {
+      try {
+        await service.cancelOccurrence('series1', '2026-01-14', 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(mockSeriesRepository.addException.called).to.be.false;
+      }
+    });
+  });
+
+  describe('createSeries', () => {
+    it('should reject more core participants than the match can hold', async () => {
+      try {
+        await service.createSeries(
+          { ...series, maxPlayers: 2, coreParticipants: ['core1', 'core2'] },
+          'organizer'
+        );
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(mockSeriesRepository.create.called).to.be.false;
+      }
+    });
+  });
+
+  describe('private series', () => {
+    beforeEach(() => {
+      mockSeriesRepository.find = sinon.stub().resolves([]);
+      mockSeriesRepository.findById.resolves({ ...series, visibility: 'private' });
+    });
+
+    it('should only list private series to their organizer and core participants', async () => {
+      await service.listSeries({ status: 'active' });
+      expect(mockSeriesRepository.find.firstCall.args[0]).to.deep.equal({
+        status: 'active',
+        $or: [{ visibility: { $ne: 'private' } }],
+      });
+
+      await service.listSeries({ status: 'active' }, 'core1');
+      expect(mockSeriesRepository.find.secondCall.args[0].$or).to.deep.include.members([
+        { organizerId: 'core1' },
+        { coreParticipants: 'core1' },
+      ]);
+    });
+
+    it('should hide private series and their matches from other users', async () => {
+      for (const read of [
+        () => service.getSeries('series1', 'stranger'),
+        () => service.getSeriesMatches('series1', {}, null),
+      ]) {
+        try {
+          await read();
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.statusCode).to.equal(404);
+        }
+      }
+      expect(mockMatchRepository.findBySeries.called).to.be.false;
+
+      expect((await service.getSeries('series1', 'core2'))._id).to.equal('series1');
+      await service.getSeriesMatches('series1', {}, 'organizer');
+      expect(mockMatchRepository.findBySeries.calledOnce).to.be.true;
+    });
+  });
+});
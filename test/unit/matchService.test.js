@@ -0,0 +1,1274 @@
+/**
+ * Match Service Tests
+ */
+import { describe, it, beforeEach } from 'mocha';
+import '../helpers/setup.js';
+import MatchService from '@/modules/match/service/match.service.js';
+import VenueService from '@/modules/venue/service/venue.service.js';
+
+describe('MatchService', () => {
+  let service;
+  let mockMatchRepository;
+  let mockUserRepository;
+  let mockVenueRepository;
+  let mockInviteLinkService;
+  let mockEventBus;
+
+  beforeEach(() => {
+    mockMatchRepository = {
+      findById: sinon.stub(),
+      update: sinon.stub(),
+      addParticipant: sinon.stub().resolves({}),
+      removeParticipant: sinon.stub(),
+      addToWaitlist: sinon.stub(),
+      removeFromWaitlist: sinon.stub().resolves({}),
+      setWaitlist: sinon.stub(),
+      promoteFromWaitlist: sinon.stub(),
+      updateResultIfStatus: sinon.stub(),
+      findResultsAwaitingConfirmation: sinon.stub().resolves([]),
+      discover: sinon.stub().resolves([]),
+      recordAttendance: sinon.stub(),
+      create: sinon.stub(),
+      findByBookingId: sinon.stub(),
+      updateIfStatus: sinon
+        .stub()
+        .callsFake(async (id, status, data) => ({ _id: id, participants: [], ...data })),
+      findDueToStart: sinon.stub().resolves([]),
+      findUnderfilled: sinon.stub().resolves([]),
+      findLiveStartedBefore: sinon.stub().resolves([]),
+      withTransaction: sinon.stub().callsFake((work) => work('session')),
+    };
+
+    mockUserRepository = {
+      findById: sinon.stub().resolves(null),
+      getStatsForUsers: sinon.stub().resolves([]),
+    };
+
+    mockVenueRepository = {
+      findById: sinon.stub(),
+      createBookingAtomic: sinon.stub(),
+      cancelBooking: sinon.stub(),
+    };
+
+    mockInviteLinkService = {
+      verifyToken: sinon.stub().resolves({ _id: 'link1' }),
+      redeem: sinon.stub().resolves({ _id: 'link1', uses: 1 }),
+      createLink: sinon.stub().resolves({ _id: 'link1', token: 'token' }),
+    };
+
+    mockEventBus = {
+      publish: sinon.stub().resolves(),
+    };
+
+    const mockLogger = {
+      child: () => mockLogger,
+      info: sinon.stub(),
+      debug: sinon.stub(),
+      warn: sinon.stub(),
+      error: sinon.stub(),
+    };
+
+    service = new MatchService(
+      mockMatchRepository,
+      mockUserRepository,
+      mockVenueRepository,
+      new VenueService(mockVenueRepository, mockEventBus, mockLogger),
+      mockInviteLinkService,
+      mockEventBus,
+      mockLogger
+    );
+  });
+
+  describe('private matches', () => {
+    const privateMatch = {
+      _id: 'match1',
+      organizerId: 'organizer',
+      status: 'scheduled',
+      visibility: 'private',
+      participants: ['organizer', 'user1'],
+      waitlist: [],
+    };
+
+    beforeEach(() => {
+      mockMatchRepository.findById.resolves(privateMatch);
+    });
+
+    it('should hide private matches from users without an invite', async () => {
+      try {
+        await service.getMatchById('match1', 'stranger');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(404);
+      }
+    });
+
+    it('should show private matches to players and invite holders', async () => {
+      expect(await service.getMatchById('match1', 'user1')).to.equal(privateMatch);
+      expect(mockInviteLinkService.verifyToken.called).to.be.false;
+
+      expect(await service.getMatchById('match1', null, 'token')).to.equal(privateMatch);
+      expect(mockInviteLinkService.verifyToken.calledWith('match', 'match1', 'token')).to.be.true;
+    });
+
+    it('should hide the attendance and events of private matches', async () => {
+      for (const read of [
+        () => service.getAttendance('match1', 'stranger'),
+        () => service.getMatchEvents('match1', 'stranger'),
+      ]) {
+        try {
+          await read();
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.statusCode).to.equal(404);
+        }
+      }
+
+      expect(await service.getMatchEvents('match1', 'user1')).to.deep.equal([]);
+      expect(await service.getAttendance('match1', null, 'token')).to.deep.equal([]);
+    });
+
+    it('should only list private matches the user plays in', async () => {
+      mockMatchRepository.find = sinon.stub().resolves([]);
+
+      await service.listMatches({ sport: 'football' }, 'user1');
+
+      expect(mockMatchRepository.find.firstCall.args[0]).to.deep.equal({
+        sport: 'football',
+        $or: [
+          { visibility: { $ne: 'private' } },
+          { organizerId: 'user1' },
+          { participants: 'user1' },
+        ],
+      });
+    });
+
+    it('should require an invite link to join', async () => {
+      try {
+        await service.joinMatch('match1', 'user2');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+      expect(mockMatchRepository.addParticipant.called).to.be.false;
+    });
+
+    it('should join through an invite link and count its use', async () => {
+      const result = await service.joinMatch('match1', 'user2', 'token');
+
+      expect(result).to.deep.equal({ waitlisted: false });
+      expect(mockInviteLinkService.redeem.calledWith({ _id: 'link1' })).to.be.true;
+      expect(mockMatchRepository.addParticipant.calledWith('match1', 'user2')).to.be.true;
+    });
+
+    it('should not join with a revoked or used up link', async () => {
+      const revoked = new Error('This invite link has been revoked');
+      revoked.statusCode = 403;
+      mockInviteLinkService.verifyToken.rejects(revoked);
+
+      try {
+        await service.joinMatch('match1', 'user2', 'token');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+      expect(mockMatchRepository.addParticipant.called).to.be.false;
+    });
+
+    it('should only let the organizer create invite links', async () => {
+      await service.createInviteLink('match1', 'organizer', { maxUses: 5 });
+      expect(
+        mockInviteLinkService.createLink.calledWith('match', 'match1', 'organizer', { maxUses: 5 })
+      ).to.be.true;
+
+      try {
+        await service.createInviteLink('match1', 'user1');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+    });
+  });
+
+  describe('waitlist', () => {
+    const baseMatch = {
+      _id: 'match1',
+      title: 'Tuesday 5-a-side',
+      organizerId: 'organizer',
+      status: 'scheduled',
+      maxPlayers: 2,
+      participants: ['organizer', 'user1'],
+      waitlist: [],
+    };
+
+    it('should waitlist users when the match is full', async () => {
+      mockMatchRepository.findById.resolves(baseMatch);
+      mockMatchRepository.addToWaitlist.resolves({
+        ...baseMatch,
+        waitlist: [{ userId: 'user2' }],
+      });
+
+      const result = await service.joinMatch('match1', 'user2');
+
+      expect(result).to.deep.equal({ waitlisted: true, position: 1 });
+      expect(mockMatchRepository.addParticipant.called).to.be.false;
+      expect(mockEventBus.publish.calledWith('match.waitlist_joined')).to.be.true;
+    });
+
+    it('should waitlist users who lose the last spot to a concurrent join', async () => {
+      mockMatchRepository.findById.resolves({ ...baseMatch, participants: ['organizer'] });
+      mockMatchRepository.addParticipant.resolves(null);
+      mockMatchRepository.addToWaitlist.resolves({
+        ...baseMatch,
+        waitlist: [{ userId: 'user2' }],
+      });
+
+      const result = await service.joinMatch('match1', 'user2');
+
+      expect(result).to.deep.equal({ waitlisted: true, position: 1 });
+      expect(mockEventBus.publish.calledWith('match.participant_joined')).to.be.false;
+      expect(mockEventBus.publish.calledWith('match.waitlist_joined')).to.be.true;
+    });
+
+    it('should reject users already on the waitlist', async () => {
+      mockMatchRepository.findById.resolves({ ...baseMatch, waitlist: [{ userId: 'user2' }] });
+
+      try {
+        await service.joinMatch('match1', 'user2');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+
+    it('should promote the next waitlisted user when a participant leaves', async () => {
+      const waitlisted = [{ userId: 'user2' }, { userId: 'user3' }];
+      mockMatchRepository.findById.resolves({ ...baseMatch, waitlist: waitlisted });
+      mockMatchRepository.removeParticipant.resolves({
+        ...baseMatch,
+        participants: ['organizer'],
+        waitlist: waitlisted,
+      });
+      mockMatchRepository.promoteFromWaitlist.resolves({
+        ...baseMatch,
+        participants: ['organizer', 'user2'],
+        waitlist: [{ userId: 'user3' }],
+      });
+
+      await service.leaveMatch('match1', 'user1');
+
+      expect(mockMatchRepository.promoteFromWaitlist.calledOnceWith('match1', 'user2')).to.be.true;
+      expect(
+        mockEventBus.publish.calledWith(
+          'match.waitlist_promoted',
+          sinon.match({ matchId: 'match1', userId: 'user2' })
+        )
+      ).to.be.true;
+    });
+
+    it('should let waitlisted users leave the waitlist', async () => {
+      mockMatchRepository.findById.resolves({ ...baseMatch, waitlist: [{ userId: 'user2' }] });
+
+      await service.leaveMatch('match1', 'user2');
+
+      expect(mockMatchRepository.removeFromWaitlist.calledOnceWith('match1', 'user2')).to.be.true;
+      expect(mockMatchRepository.removeParticipant.called).to.be.false;
+    });
+
+    it('should only accept a reorder containing exactly the waitlisted users', async () => {
+      mockMatchRepository.findById.resolves({
+        ...baseMatch,
+        waitlist: [{ userId: 'user2' }, { userId: 'user3' }],
+      });
+
+      try {
+        await service.reorderWaitlist('match1', ['user3', 'user4'], 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+
+    it('should only allow the organizer to reorder the waitlist', async () => {
+      mockMatchRepository.findById.resolves({ ...baseMatch, waitlist: [{ userId: 'user2' }] });
+
+      try {
+        await service.reorderWaitlist('match1', ['user2'], 'user1');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+    });
+  });
+
+  describe('venue booking', () => {
+    const startAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    startAt.setUTCHours(18, 0, 0, 0);
+    const endAt = new Date(startAt.getTime() + 90 * 60 * 1000);
+    const matchData = {
+      title: 'Thursday 5-a-side',
+      sport: 'football',
+      venueId: 'venue1',
+      startAt: startAt.toISOString(),
+      endAt: endAt.toISOString(),
+      maxPlayers: 10,
+    };
+
+    it('should book the venue slot and create the match in one transaction', async () => {
+      mockVenueRepository.findById.resolves({ _id: 'venue1', status: 'active' });
+      mockVenueRepository.createBookingAtomic.resolves({ _id: 'booking1' });
+      mockMatchRepository.create.callsFake(async (data) => ({ _id: 'match1', ...data }));
+
+      const match = await service.createMatchWithBooking(matchData, 'organizer');
+
+      const [slot, bookingSession] = mockVenueRepository.createBookingAtomic.firstCall.args;
+      expect(slot).to.include({ venueId: 'venue1', startTime: '18:00', endTime: '19:30' });
+      expect(bookingSession).to.equal('session');
+      expect(mockMatchRepository.create.firstCall.args[1]).to.equal('session');
+      expect(match.bookingId).to.equal('booking1');
+      expect(match.participants).to.deep.equal(['organizer']);
+      expect(mockEventBus.publish.calledWith('venue.booked')).to.be.true;
+      expect(mockEventBus.publish.calledWith('match.created')).to.be.true;
+    });
+
+    it('should book the slot in the venue time zone', async () => {
+      mockVenueRepository.findById.resolves({
+        _id: 'venue1',
+        status: 'active',
+        timezone: 'Asia/Kolkata',
+      });
+      mockVenueRepository.createBookingAtomic.resolves({ _id: 'booking1' });
+      mockMatchRepository.create.callsFake(async (data) => ({ _id: 'match1', ...data }));
+      const morning = new Date(startAt);
+      morning.setUTCHours(4, 30, 0, 0);
+
+      await service.createMatchWithBooking(
+        {
+          ...matchData,
+          startAt: morning.toISOString(),
+          endAt: new Date(morning.getTime() + 90 * 60 * 1000).toISOString(),
+        },
+        'organizer'
+      );
+
+      const [slot] = mockVenueRepository.createBookingAtomic.firstCall.args;
+      expect(slot).to.include({ startTime: '10:00', endTime: '11:30' });
+      expect(slot.date.toISOString().slice(0, 10)).to.equal(morning.toISOString().slice(0, 10));
+    });
+
+    it('should reject bookings longer than the venue allows', async () => {
+      mockVenueRepository.findById.resolves({ _id: 'venue1', status: 'active' });
+      const morning = new Date(startAt);
+      morning.setUTCHours(8, 0, 0, 0);
+
+      try {
+        await service.createMatchWithBooking(
+          {
+            ...matchData,
+            startAt: morning.toISOString(),
+            endAt: new Date(morning.getTime() + 9 * 60 * 60 * 1000).toISOString(),
+          },
+          'organizer'
+        );
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(error.message).to.equal('Maximum booking duration is 8 hours');
+      }
+      expect(mockVenueRepository.createBookingAtomic.called).to.be.false;
+    });
+
+    it('should not create the match when the slot is taken', async () => {
+      mockVenueRepository.findById.resolves({ _id: 'venue1', status: 'active' });
+      const conflict = new Error('This time slot is already booked');
+      conflict.statusCode = 409;
+      mockVenueRepository.createBookingAtomic.rejects(conflict);
+
+      try {
+        await service.createMatchWithBooking(matchData, 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(409);
+      }
+      expect(mockMatchRepository.create.called).to.be.false;
+      expect(mockEventBus.publish.called).to.be.false;
+    });
+
+    it('should reject bookings at inactive venues', async () => {
+      mockVenueRepository.findById.resolves({ _id: 'venue1', status: 'inactive' });
+
+      try {
+        await service.createMatchWithBooking(matchData, 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+      expect(mockMatchRepository.withTransaction.called).to.be.false;
+    });
+
+    it('should require an end time after the start time', async () => {
+      mockVenueRepository.findById.resolves({ _id: 'venue1', status: 'active' });
+
+      try {
+        await service.createMatchWithBooking({ ...matchData, endAt: undefined }, 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+
+    it('should cancel the match when its booking is released', async () => {
+      mockMatchRepository.findByBookingId.resolves({ _id: 'match1', status: 'scheduled' });
+
+      await service.handleBookingReleased('booking1', 'Venue booking rejected');
+
+      expect(
+        mockMatchRepository.update.calledWith('match1', {
+          status: 'cancelled',
+          cancelReason: 'Venue booking rejected',
+        })
+      ).to.be.true;
+      expect(mockEventBus.publish.calledWith('match.cancelled')).to.be.true;
+    });
+
+    it('should leave matches that are no longer scheduled alone', async () => {
+      mockMatchRepository.findByBookingId.resolves({ _id: 'match1', status: 'finished' });
+
+      await service.handleBookingReleased('booking1', 'Venue booking cancelled');
+
+      expect(mockMatchRepository.update.called).to.be.false;
+    });
+
+    it('should release the booking when the match is cancelled', async () => {
+      mockMatchRepository.findById.resolves({
+        _id: 'match1',
+        organizerId: 'organizer',
+        status: 'scheduled',
+        bookingId: 'booking1',
+      });
+      mockVenueRepository.cancelBooking.resolves({ _id: 'booking1', status: 'cancelled' });
+
+      await service.cancelMatch('match1', 'organizer', 'Rained off');
+
+      expect(mockVenueRepository.cancelBooking.calledWith('booking1', 'Rained off')).to.be.true;
+      expect(
+        mockEventBus.publish.calledWith('booking.cancelled', {
+          bookingId: 'booking1',
+          userId: 'organizer',
+          reason: 'Rained off',
+        })
+      ).to.be.true;
+    });
+
+    it('should not move a booked match to another time', async () => {
+      mockMatchRepository.findById.resolves({
+        _id: 'match1',
+        organizerId: 'organizer',
+        bookingId: 'booking1',
+      });
+
+      try {
+        await service.updateMatch('match1', { startAt: endAt.toISOString() }, 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+      expect(mockMatchRepository.update.called).to.be.false;
+    });
+  });
+
+  describe('lifecycle sweep', () => {
+    const now = new Date('2026-03-10T18:00:00Z');
+    const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60000);
+
+    it('should start scheduled matches once their start time has passed', async () => {
+      mockMatchRepository.findDueToStart.resolves([
+        { _id: 'match1', organizerId: 'organizer', status: 'scheduled', startAt: minutesAgo(1) },
+      ]);
+
+      const summary = await service.runLifecycleSweep(now);
+
+      expect(summary.started).to.equal(1);
+      expect(
+        mockMatchRepository.updateIfStatus.calledWith('match1', 'scheduled', { status: 'live' })
+      ).to.be.true;
+      expect(mockEventBus.publish.calledWith('match.status_updated')).to.be.true;
+      expect(mockEventBus.publish.calledWith('match.started', { matchId: 'match1' })).to.be.true;
+    });
+
+    it('should cancel matches short of their minimum players before kickoff', async () => {
+      mockMatchRepository.findUnderfilled.resolves([
+        {
+          _id: 'match1',
+          organizerId: 'organizer',
+          status: 'scheduled',
+          minPlayers: 6,
+          participants: ['organizer', 'user1'],
+        },
+      ]);
+
+      const summary = await service.runLifecycleSweep(now);
+
+      expect(summary.cancelled).to.equal(1);
+      const cutoff = mockMatchRepository.findUnderfilled.firstCall.args[0];
+      expect(cutoff.getTime() - now.getTime()).to.equal(60 * 60 * 1000);
+      expect(mockMatchRepository.updateIfStatus.firstCall.args[2]).to.deep.equal({
+        status: 'cancelled',
+        cancelReason: 'Not enough players (2/6)',
+      });
+      expect(mockEventBus.publish.calledWith('match.cancelled')).to.be.true;
+    });
+
+    it('should finish overdue live matches that have a score', async () => {
+      const match = {
+        _id: 'match1',
+        organizerId: 'organizer',
+        status: 'live',
+        startAt: minutesAgo(180),
+        endAt: minutesAgo(60),
+        participants: ['organizer', 'user1'],
+        scores: { organizer: 2, user1: 1 },
+      };
+      mockMatchRepository.findLiveStartedBefore.resolves([match]);
+      mockMatchRepository.updateResultIfStatus.resolves({ ...match, result: {} });
+      mockMatchRepository.findById.resolves(match);
+
+      const summary = await service.runLifecycleSweep(now);
+
+      expect(summary.finished).to.equal(1);
+      expect(
+        mockMatchRepository.updateResultIfStatus.firstCall.args[2].result.scores
+      ).to.deep.equal(match.scores);
+      expect(mockEventBus.publish.calledWith('match.result_submitted')).to.be.true;
+      expect(mockEventBus.publish.calledWith('match.finished')).to.be.false;
+    });
+
+    it('should flag overdue live matches without a score once', async () => {
+      const match = {
+        _id: 'match1',
+        organizerId: 'organizer',
+        title: 'Tuesday 5-a-side',
+        status: 'live',
+        startAt: minutesAgo(240),
+        participants: ['organizer', 'user1'],
+      };
+      mockMatchRepository.findLiveStartedBefore.resolves([match]);
+
+      const summary = await service.runLifecycleSweep(now);
+
+      expect(summary.flagged).to.equal(1);
+      expect(mockMatchRepository.updateIfStatus.calledWith('match1', 'live', { overdueAt: now })).to
+        .be.true;
+      expect(mockEventBus.publish.calledWith('match.overdue')).to.be.true;
+
+      mockMatchRepository.findLiveStartedBefore.resolves([{ ...match, overdueAt: now }]);
+      const again = await service.runLifecycleSweep(now);
+      expect(again.flagged).to.equal(0);
+    });
+
+    it('should leave live matches alone within the grace period', async () => {
+      mockMatchRepository.findLiveStartedBefore.resolves([
+        {
+          _id: 'match1',
+          organizerId: 'organizer',
+          status: 'live',
+          startAt: minutesAgo(100),
+          endAt: minutesAgo(10),
+        },
+      ]);
+
+      const summary = await service.runLifecycleSweep(now);
+
+      expect(summary).to.deep.equal({ cancelled: 0, started: 0, finished: 0, flagged: 0 });
+      expect(mockMatchRepository.updateIfStatus.called).to.be.false;
+    });
+
+    it('should close matches a day overdue without a result', async () => {
+      mockMatchRepository.findLiveStartedBefore.resolves([
+        {
+          _id: 'match1',
+          organizerId: 'organizer',
+          status: 'live',
+          startAt: minutesAgo(26 * 60),
+          endAt: minutesAgo(25 * 60),
+          overdueAt: minutesAgo(24 * 60),
+        },
+      ]);
+
+      const summary = await service.runLifecycleSweep(now);
+
+      expect(summary.finished).to.equal(1);
+      expect(
+        mockMatchRepository.updateIfStatus.calledWith('match1', 'live', { status: 'finished' })
+      ).to.be.true;
+      expect(mockMatchRepository.updateResultIfStatus.called).to.be.false;
+      expect(mockEventBus.publish.calledWith('match.finished')).to.be.false;
+    });
+
+    it('should skip matches whose status changed in the meantime', async () => {
+      mockMatchRepository.findDueToStart.resolves([
+        { _id: 'match1', organizerId: 'organizer', status: 'scheduled', startAt: minutesAgo(1) },
+      ]);
+      mockMatchRepository.updateIfStatus.resolves(null);
+
+      const summary = await service.runLifecycleSweep(now);
+
+      expect(summary.started).to.equal(0);
+      expect(mockEventBus.publish.called).to.be.false;
+    });
+  });
+
+  describe('attendance', () => {
+    const startAt = new Date('2026-03-10T18:00:00Z');
+    const baseMatch = {
+      _id: 'match1',
+      organizerId: 'organizer',
+      status: 'scheduled',
+      startAt,
+      participants: ['organizer', 'user1', 'user2'],
+      location: { geo: { type: 'Point', coordinates: [-0.1276, 51.5072] } },
+      attendance: [],
+    };
+    const minutesFromStart = (minutes) => new Date(startAt.getTime() + minutes * 60000);
+
+    it('should check in a participant within range of the venue as verified', async () => {
+      mockMatchRepository.findById.resolves(baseMatch);
+      mockMatchRepository.recordAttendance.resolves({ ...baseMatch });
+
+      const entry = await service.checkIn(
+        'match1',
+        'user1',
+        { latitude: 51.508, longitude: -0.128 },
+        minutesFromStart(-10)
+      );
+
+      expect(entry.verified).to.be.true;
+      expect(entry.distance).to.be.below(500);
+      expect(mockMatchRepository.recordAttendance.firstCall.args[1].status).to.equal('checked_in');
+      expect(
+        mockEventBus.publish.calledWith('match.player_checked_in', {
+          matchId: 'match1',
+          userId: 'user1',
+          verified: true,
+        })
+      ).to.be.true;
+    });
+
+    it('should accept an unverified check-in without a location', async () => {
+      mockMatchRepository.findById.resolves(baseMatch);
+      mockMatchRepository.recordAttendance.resolves({ ...baseMatch });
+
+      const entry = await service.checkIn('match1', 'user1', {}, minutesFromStart(5));
+
+      expect(entry.verified).to.be.false;
+      expect(entry.distance).to.be.undefined;
+    });
+
+    it('should reject check-ins too far from the venue', async () => {
+      mockMatchRepository.findById.resolves(baseMatch);
+
+      try {
+        await service.checkIn(
+          'match1',
+          'user1',
+          { latitude: 51.52, longitude: -0.1276 },
+          minutesFromStart(0)
+        );
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(error.message).to.include('500m');
+      }
+      expect(mockMatchRepository.recordAttendance.called).to.be.false;
+    });
+
+    it('should reject check-ins outside the check-in window', async () => {
+      mockMatchRepository.findById.resolves(baseMatch);
+
+      for (const minutes of [-31, 31]) {
+        try {
+          await service.checkIn('match1', 'user1', {}, minutesFromStart(minutes));
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.statusCode).to.equal(400);
+        }
+      }
+    });
+
+    it('should reject check-ins from non-participants', async () => {
+      mockMatchRepository.findById.resolves(baseMatch);
+
+      try {
+        await service.checkIn('match1', 'stranger', {}, minutesFromStart(0));
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+    });
+
+    it('should reject a second check-in', async () => {
+      mockMatchRepository.findById.resolves(baseMatch);
+      mockMatchRepository.recordAttendance.resolves(null);
+
+      try {
+        await service.checkIn('match1', 'user1', {}, minutesFromStart(0));
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(409);
+      }
+      expect(mockEventBus.publish.called).to.be.false;
+    });
+
+    it('should mark no-shows once check-in has closed', async () => {
+      mockMatchRepository.findById.resolves(baseMatch);
+      mockMatchRepository.recordAttendance.resolves({
+        ...baseMatch,
+        attendance: [{ userId: 'user2', status: 'no_show', markedBy: 'organizer' }],
+      });
+
+      const attendance = await service.markNoShows(
+        'match1',
+        ['user2'],
+        'organizer',
+        minutesFromStart(45)
+      );
+
+      expect(attendance).to.have.lengthOf(1);
+      expect(mockMatchRepository.recordAttendance.firstCall.args[1]).to.deep.equal({
+        userId: 'user2',
+        status: 'no_show',
+        markedBy: 'organizer',
+      });
+      expect(
+        mockEventBus.publish.calledWith('match.no_show_marked', {
+          matchId: 'match1',
+          userId: 'user2',
+        })
+      ).to.be.true;
+    });
+
+    it('should not mark no-shows before check-in has closed', async () => {
+      mockMatchRepository.findById.resolves(baseMatch);
+
+      try {
+        await service.markNoShows('match1', ['user2'], 'organizer', minutesFromStart(10));
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+
+    it('should not mark checked-in players as no-shows', async () => {
+      mockMatchRepository.findById.resolves({
+        ...baseMatch,
+        attendance: [{ userId: 'user1', status: 'checked_in' }],
+      });
+
+      try {
+        await service.markNoShows('match1', ['user1'], 'organizer', minutesFromStart(45));
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+      expect(mockMatchRepository.recordAttendance.called).to.be.false;
+    });
+
+    it('should only let the organizer mark no-shows', async () => {
+      mockMatchRepository.findById.resolves(baseMatch);
+
+      try {
+        await service.markNoShows('match1', ['user2'], 'user1', minutesFromStart(45));
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+    });
+  });
+
+  describe('reliability requirement', () => {
+    const baseMatch = {
+      _id: 'match1',
+      organizerId: 'organizer',
+      status: 'scheduled',
+      minReliability: 80,
+      participants: ['organizer'],
+      waitlist: [],
+    };
+
+    it('should reject players below the minimum reliability', async () => {
+      mockMatchRepository.findById.resolves(baseMatch);
+      mockUserRepository.findById.resolves({ reliability: { score: 60 } });
+
+      try {
+        await service.joinMatch('match1', 'user1');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+      expect(mockMatchRepository.addParticipant.called).to.be.false;
+    });
+
+    it('should admit players meeting the minimum reliability', async () => {
+      mockMatchRepository.findById.resolves(baseMatch);
+      mockUserRepository.findById.resolves({ reliability: { score: 80 } });
+
+      const result = await service.joinMatch('match1', 'user1');
+
+      expect(result).to.deep.equal({ waitlisted: false });
+    });
+
+    it('should admit players without attendance history', async () => {
+      mockMatchRepository.findById.resolves(baseMatch);
+      mockUserRepository.findById.resolves({ reliability: { score: null } });
+
+      const result = await service.joinMatch('match1', 'user1');
+
+      expect(result).to.deep.equal({ waitlisted: false });
+    });
+  });
+
+  describe('balanceTeams', () => {
+    const teamMatch = {
+      _id: 'match1',
+      sport: 'football',
+      organizerId: 'organizer',
+      status: 'scheduled',
+      teamBased: true,
+      teams: [],
+      participants: ['organizer', 'user1', 'user2', 'user3'],
+    };
+
+    it('should persist balanced sides as team assignments', async () => {
+      mockMatchRepository.findById.resolves(teamMatch);
+      mockUserRepository.getStatsForUsers.resolves([
+        { userId: 'organizer', elo: 1400 },
+        { userId: 'user1', elo: 1300 },
+        { userId: 'user2', elo: 1100 },
+      ]);
+
+      const result = await service.balanceTeams('match1', {}, 'organizer');
+
+      // user3 has no stats and is rated at the default 1000
+      expect(result.spread).to.equal(0);
+      expect(result.sides.map((s) => s.side)).to.deep.equal(['A', 'B']);
+      expect(mockUserRepository.getStatsForUsers.calledWith(teamMatch.participants, 'football')).to
+        .be.true;
+      const [, update] = mockMatchRepository.update.firstCall.args;
+      expect(update.teamAssignments).to.deep.equal(result.sides);
+      expect(mockEventBus.publish.calledWith('match.teams_balanced')).to.be.true;
+    });
+
+    it('should assign sides to the match teams', async () => {
+      mockMatchRepository.findById.resolves({ ...teamMatch, teams: ['team1', 'team2'] });
+
+      const result = await service.balanceTeams('match1', {}, 'organizer');
+
+      expect(result.sides.map((s) => s.teamId)).to.deep.equal(['team1', 'team2']);
+    });
+
+    it('should reject constraints on users outside the match', async () => {
+      mockMatchRepository.findById.resolves(teamMatch);
+
+      try {
+        await service.balanceTeams('match1', { keepApart: [['user1', 'stranger']] }, 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+
+    it('should surface unsatisfiable constraints as a bad request', async () => {
+      mockMatchRepository.findById.resolves(teamMatch);
+
+      try {
+        await service.balanceTeams(
+          'match1',
+          { keepApart: [['organizer', 'user1', 'user2']] },
+          'organizer'
+        );
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(mockMatchRepository.update.called).to.be.false;
+      }
+    });
+
+    it('should reject matches with fewer players than sides', async () => {
+      mockMatchRepository.findById.resolves({ ...teamMatch, participants: ['organizer', 'user1'] });
+
+      try {
+        await service.balanceTeams('match1', { sides: 3 }, 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(error.message).to.equal('At least 3 players are needed to form 3 sides');
+      }
+      expect(mockMatchRepository.update.called).to.be.false;
+    });
+
+    it('should only balance team-based matches', async () => {
+      mockMatchRepository.findById.resolves({ ...teamMatch, teamBased: false });
+
+      try {
+        await service.balanceTeams('match1', {}, 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+  });
+
+  describe('match events', () => {
+    const teamMatch = {
+      _id: 'match1',
+      organizerId: 'organizer',
+      status: 'live',
+      sport: 'football',
+      teamBased: true,
+      teams: ['team1', 'team2'],
+      participants: ['organizer', 'user1'],
+      events: [],
+    };
+
+    it('should reject goals for a team that is not playing the match', async () => {
+      mockMatchRepository.findById.resolves(teamMatch);
+      mockMatchRepository.addEvent = sinon.stub();
+
+      try {
+        await service.recordMatchEvent(
+          'match1',
+          { type: 'goal', playerId: 'user1', team: 'team3' },
+          'organizer'
+        );
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(error.message).to.equal('Team must be one of the match sides: team1, team2');
+      }
+      expect(mockMatchRepository.addEvent.called).to.be.false;
+    });
+
+    it('should keep the score from events once any are recorded', async () => {
+      const goal = { type: 'goal', playerId: 'user1', team: 'team2' };
+      mockMatchRepository.findById.resolves({ ...teamMatch, events: [goal] });
+
+      try {
+        await service.updateScore('match1', { team1: 3, team2: 0 }, 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+      expect(mockMatchRepository.update.called).to.be.false;
+
+      // Sports scored in runs keep their manual score alongside the events
+      mockMatchRepository.findById.resolves({ ...teamMatch, sport: 'cricket', events: [goal] });
+      const innings = { runs: 120, wickets: 4, overs: 20 };
+      await service.updateScore('match1', { team1: innings, team2: innings }, 'organizer');
+      expect(mockMatchRepository.update.calledOnce).to.be.true;
+    });
+  });
+
+  describe('result confirmation', () => {
+    const finishedMatch = {
+      _id: 'match1',
+      organizerId: 'user1',
+      status: 'live',
+      teamBased: false,
+      participants: ['user1', 'user2'],
+    };
+    const scores = { user1: 3, user2: 1 };
+    const pendingResult = {
+      status: 'pending',
+      scores,
+      submittedBy: 'user1',
+      submittedSide: 'user1',
+      confirmBy: new Date(Date.now() + 60 * 60 * 1000),
+    };
+
+    it('should record a pending result without finishing the match for stats', async () => {
+      mockMatchRepository.findById.resolves(finishedMatch);
+      mockMatchRepository.updateResultIfStatus.callsFake(async (id, statuses, data) => ({
+        ...finishedMatch,
+        ...data,
+      }));
+
+      const result = await service.submitResult('match1', scores, 'user1');
+
+      expect(result.status).to.equal('pending');
+      expect(result.submittedSide).to.equal('user1');
+      expect(result.confirmBy).to.be.instanceOf(Date);
+      expect(mockMatchRepository.updateResultIfStatus.firstCall.args[1]).to.deep.equal([null]);
+      expect(mockEventBus.publish.calledWith('match.result_submitted')).to.be.true;
+      expect(mockEventBus.publish.calledWith('match.finished')).to.be.false;
+      expect(mockEventBus.publish.calledWith('match.result_confirmed')).to.be.false;
+    });
+
+    it('should reject a second submission', async () => {
+      mockMatchRepository.findById.resolves(finishedMatch);
+      mockMatchRepository.updateResultIfStatus.resolves(null);
+
+      try {
+        await service.submitResult('match1', scores, 'user2');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(409);
+      }
+    });
+
+    it('should publish match.finished once the opposing side confirms', async () => {
+      mockMatchRepository.findById.resolves({ ...finishedMatch, result: pendingResult });
+      mockMatchRepository.updateResultIfStatus.resolves({
+        ...finishedMatch,
+        result: { ...pendingResult, status: 'confirmed', confirmedBy: 'user2' },
+      });
+
+      const result = await service.confirmResult('match1', 'user2');
+
+      expect(result.status).to.equal('confirmed');
+      const [, statuses, update] = mockMatchRepository.updateResultIfStatus.firstCall.args;
+      expect(statuses).to.deep.equal(['pending']);
+      expect(update.scores).to.deep.equal(scores);
+      expect(
+        mockEventBus.publish.calledWith(
+          'match.result_confirmed',
+          sinon.match({ matchId: 'match1', scores })
+        )
+      ).to.be.true;
+      expect(mockEventBus.publish.calledWith('match.finished', { matchId: 'match1', scores })).to.be
+        .true;
+    });
+
+    it('should not let the submitting side confirm its own result', async () => {
+      mockMatchRepository.findById.resolves({ ...finishedMatch, result: pendingResult });
+
+      try {
+        await service.confirmResult('match1', 'user1');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+        expect(mockEventBus.publish.called).to.be.false;
+      }
+    });
+
+    it('should treat teammates as the same side', async () => {
+      mockMatchRepository.findById.resolves({
+        ...finishedMatch,
+        teamBased: true,
+        participants: ['user1', 'user2', 'user3'],
+        teamAssignments: [
+          { side: 'A', players: ['user1', 'user2'] },
+          { side: 'B', players: ['user3'] },
+        ],
+        result: { ...pendingResult, submittedSide: 'A' },
+      });
+
+      try {
+        await service.confirmResult('match1', 'user2');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+    });
+
+    it('should reject results of team matches without side assignments', async () => {
+      const teamMatch = { ...finishedMatch, teamBased: true, teams: ['team1', 'team2'] };
+      mockMatchRepository.findById.resolves(teamMatch);
+
+      try {
+        await service.submitResult('match1', { team1: 2, team2: 1 }, 'user1');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+      expect(mockMatchRepository.updateResultIfStatus.called).to.be.false;
+      expect(service._getResultSide(teamMatch, 'user2')).to.be.null;
+    });
+
+    it('should send a disputed result to moderation instead of finishing it', async () => {
+      mockMatchRepository.findById.resolves({ ...finishedMatch, result: pendingResult });
+      mockMatchRepository.updateResultIfStatus.callsFake(async (id, statuses, data) => ({
+        ...finishedMatch,
+        result: { ...pendingResult, status: data['result.status'] },
+      }));
+
+      const result = await service.disputeResult('match1', 'user2', { reason: 'It was 2-2' });
+
+      expect(result.status).to.equal('disputed');
+      expect(mockEventBus.publish.calledWith('match.result_disputed')).to.be.true;
+      expect(mockEventBus.publish.calledWith('match.result_confirmed')).to.be.false;
+      expect(mockEventBus.publish.calledWith('match.finished')).to.be.false;
+    });
+
+    it('should not accept disputes after the confirmation window', async () => {
+      mockMatchRepository.findById.resolves({
+        ...finishedMatch,
+        result: { ...pendingResult, confirmBy: new Date(Date.now() - 1000) },
+      });
+
+      try {
+        await service.disputeResult('match1', 'user2', { reason: 'Too late' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+
+    it('should confirm a disputed result with the moderator scores', async () => {
+      mockMatchRepository.findById.resolves({
+        ...finishedMatch,
+        result: { ...pendingResult, status: 'disputed' },
+      });
+      mockMatchRepository.updateResultIfStatus.resolves({
+        ...finishedMatch,
+        result: { ...pendingResult, status: 'confirmed' },
+      });
+
+      await service.resolveDispute('match1', 'moderator', {
+        scores: { user1: 2, user2: 2 },
+        resolution: 'Video shows a draw',
+      });
+
+      const [, statuses, update] = mockMatchRepository.updateResultIfStatus.firstCall.args;
+      expect(statuses).to.deep.equal(['disputed']);
+      expect(update.scores).to.deep.equal({ user1: 2, user2: 2 });
+      expect(update['result.dispute.resolvedBy']).to.equal('moderator');
+      expect(mockEventBus.publish.calledWith('match.result_confirmed')).to.be.true;
+    });
+
+    it('should auto-confirm results whose window has closed', async () => {
+      mockMatchRepository.findResultsAwaitingConfirmation.resolves([
+        { ...finishedMatch, _id: 'match1', result: pendingResult },
+        { ...finishedMatch, _id: 'match2', result: pendingResult },
+      ]);
+      mockMatchRepository.updateResultIfStatus
+        .onFirstCall()
+        .resolves({ ...finishedMatch, result: { ...pendingResult, status: 'confirmed' } })
+        .onSecondCall()
+        .resolves(null); // disputed in the meantime
+
+      const summary = await service.autoConfirmResults();
+
+      expect(summary).to.deep.equal({ pending: 2, confirmed: 1 });
+      expect(mockMatchRepository.updateResultIfStatus.firstCall.args[2]['result.autoConfirmed']).to
+        .be.true;
+      expect(mockEventBus.publish.withArgs('match.result_confirmed').callCount).to.equal(1);
+      expect(mockEventBus.publish.withArgs('match.finished').callCount).to.equal(1);
+    });
+
+    it('should lock scores once a result has been submitted', async () => {
+      mockMatchRepository.findById.resolves({ ...finishedMatch, result: pendingResult });
+
+      try {
+        await service.updateScore('match1', { user1: 5 }, 'user1');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(mockMatchRepository.update.called).to.be.false;
+      }
+    });
+
+    it('should reject scores that do not fit the sport', async () => {
+      mockMatchRepository.findById.resolves({ ...finishedMatch, sport: 'tennis' });
+
+      try {
+        await service.submitResult('match1', scores, 'user1');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(error.message).to.match(/Invalid tennis scores/);
+        expect(mockMatchRepository.updateResultIfStatus.called).to.be.false;
+      }
+    });
+  });
+
+  describe('discoverMatches', () => {
+    const matchAt = (id, distance) => ({
+      _id: id,
+      distance,
+      startAt: new Date('2026-01-06T19:00:00Z'),
+    });
+
+    it('should search around a point sorted by distance by default', async () => {
+      await service.discoverMatches({ latitude: 12.97, longitude: 77.59, sport: 'football' });
+
+      const options = mockMatchRepository.discover.firstCall.args[0];
+      expect(options.near).to.deep.equal({ lng: 77.59, lat: 12.97, maxDistance: 10000 });
+      expect(options.sortBy).to.equal('distance');
+      expect(options.limit).to.equal(21);
+      expect(options.filter).to.include({
+        status: 'scheduled',
+        visibility: 'public',
+        sport: 'football',
+      });
+      expect(options.filter.startAt.$gte).to.be.instanceOf(Date);
+    });
+
+    it('should combine date, skill, open spot and fee filters', async () => {
+      await service.discoverMatches({
+        from: '2026-01-01T00:00:00Z',
+        to: '2026-01-31T00:00:00Z',
+        skillLevel: 'intermediate',
+        minOpenSpots: 2,
+        maxFee: 10,
+      });
+
+      const options = mockMatchRepository.discover.firstCall.args[0];
+      expect(options.near).to.be.null;
+      expect(options.sortBy).to.equal('startAt');
+      expect(options.minOpenSpots).to.equal(2);
+      expect(options.filter.skillLevel).to.equal('intermediate');
+      expect(options.filter.startAt.$lte.toISOString()).to.equal('2026-01-31T00:00:00.000Z');
+      // Free matches have no entry fee set
+      expect(options.filter.$or).to.deep.equal([{ entryFee: { $lte: 10 } }, { entryFee: null }]);
+    });
+
+    it('should return a cursor that continues after the last match', async () => {
+      mockMatchRepository.discover.resolves([
+        matchAt('m1', 100),
+        matchAt('m2', 250),
+        matchAt('m3', 400),
+      ]);
+
+      const page = await service.discoverMatches({ latitude: 1, longitude: 2, limit: 2 });
+
+      expect(page.matches.map((m) => m._id)).to.deep.equal(['m1', 'm2']);
+      expect(page.hasMore).to.be.true;
+
+      mockMatchRepository.discover.resetHistory();
+      mockMatchRepository.discover.resolves([matchAt('m3', 400)]);
+      const next = await service.discoverMatches({
+        latitude: 1,
+        longitude: 2,
+        limit: 2,
+        cursor: page.nextCursor,
+      });
+
+      expect(mockMatchRepository.discover.firstCall.args[0].after).to.deep.equal({
+        value: 250,
+        id: 'm2',
+      });
+      expect(next.hasMore).to.be.false;
+      expect(next.nextCursor).to.be.null;
+    });
+
+    it('should reject a cursor issued for a different sort order', async () => {
+      mockMatchRepository.discover.resolves([matchAt('m1', 100), matchAt('m2', 250)]);
+      const page = await service.discoverMatches({ latitude: 1, longitude: 2, limit: 1 });
+
+      try {
+        await service.discoverMatches({ sort: 'startAt', cursor: page.nextCursor });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+
+    it('should require a point to sort by distance', async () => {
+      try {
+        await service.discoverMatches({ sort: 'distance' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+  });
+});
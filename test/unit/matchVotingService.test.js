@@ -0,0 +1,233 @@
+/**
+ * Match Voting Service Tests
+ * Tests for post-match MVP voting and anonymous peer ratings
+ */
+import { describe, it, beforeEach } from 'mocha';
+import '../helpers/setup.js';
+import MatchVotingService from '@/modules/match/service/matchVoting.service.js';
+
+describe('MatchVotingService', () => {
+  let service;
+  let mockVoteRepository;
+  let mockMatchRepository;
+  let mockEventBus;
+
+  const now = new Date('2026-03-10T12:00:00Z');
+  const openMatch = {
+    _id: 'match1',
+    title: 'Thursday 5-a-side',
+    sport: 'football',
+    organizerId: 'user1',
+    participants: ['user1', 'user2', 'user3'],
+    voting: { status: 'open', closesAt: new Date('2026-03-11T12:00:00Z'), voteCount: 0 },
+  };
+
+  beforeEach(() => {
+    mockVoteRepository = {
+      create: sinon.stub().resolves(),
+      findByMatch: sinon.stub().resolves([]),
+      hasVoted: sinon.stub().resolves(true),
+    };
+
+    mockMatchRepository = {
+      findById: sinon.stub().resolves(openMatch),
+      updateVotingIfStatus: sinon
+        .stub()
+        .callsFake(async (matchId, status, data) => ({ ...openMatch, voting: data.voting || {} })),
+      incrementVoteCount: sinon.stub().resolves({ ...openMatch, voting: { voteCount: 1 } }),
+      findVotingDueToClose: sinon.stub().resolves([]),
+    };
+
+    mockEventBus = {
+      publish: sinon.stub().resolves(),
+    };
+
+    const mockLogger = {
+      child: () => mockLogger,
+      info: sinon.stub(),
+      debug: sinon.stub(),
+      warn: sinon.stub(),
+      error: sinon.stub(),
+    };
+
+    service = new MatchVotingService(
+      mockVoteRepository,
+      mockMatchRepository,
+      mockEventBus,
+      mockLogger
+    );
+  });
+
+  describe('openVoting', () => {
+    it('should open a 48 hour voting window', async () => {
+      mockMatchRepository.findById.resolves({ ...openMatch, voting: undefined });
+
+      const voting = await service.openVoting('match1', now);
+
+      expect(mockMatchRepository.updateVotingIfStatus.firstCall.args[1]).to.be.null;
+      expect(voting.status).to.equal('open');
+      expect(voting.closesAt).to.deep.equal(new Date('2026-03-12T12:00:00Z'));
+      expect(mockEventBus.publish.calledWith('match.voting_opened')).to.be.true;
+    });
+
+    it('should not reopen voting', async () => {
+      mockMatchRepository.updateVotingIfStatus.resolves(null);
+
+      const voting = await service.openVoting('match1', now);
+
+      expect(voting).to.be.null;
+      expect(mockEventBus.publish.called).to.be.false;
+    });
+  });
+
+  describe('castVote', () => {
+    const ballot = {
+      mvpId: 'user2',
+      ratings: [
+        { userId: 'user2', skill: 5, sportsmanship: 4 },
+        { userId: 'user3', skill: 3, sportsmanship: 5 },
+      ],
+    };
+
+    it('should record a ballot', async () => {
+      const voting = await service.castVote('match1', 'user1', ballot, now);
+
+      expect(mockVoteRepository.create.firstCall.args[0]).to.deep.equal({
+        matchId: 'match1',
+        voterId: 'user1',
+        ...ballot,
+      });
+      expect(voting).to.include({ status: 'open', hasVoted: true });
+      expect(voting).to.not.have.property('results');
+    });
+
+    it('should only let participants vote', async () => {
+      try {
+        await service.castVote('match1', 'stranger', ballot, now);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+    });
+
+    it('should reject voting for or rating yourself', async () => {
+      for (const own of [
+        { mvpId: 'user1' },
+        { mvpId: 'user2', ratings: [{ userId: 'user1', skill: 5, sportsmanship: 5 }] },
+      ]) {
+        try {
+          await service.castVote('match1', 'user1', own, now);
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.statusCode).to.equal(400);
+        }
+      }
+      expect(mockVoteRepository.create.called).to.be.false;
+    });
+
+    it('should reject rating the same player twice', async () => {
+      const ratings = [
+        { userId: 'user2', skill: 5, sportsmanship: 4 },
+        { userId: 'user2', skill: 1, sportsmanship: 1 },
+      ];
+
+      try {
+        await service.castVote('match1', 'user1', { mvpId: 'user2', ratings }, now);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+
+    it('should allow a single vote per player', async () => {
+      mockVoteRepository.create.rejects(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      try {
+        await service.castVote('match1', 'user1', ballot, now);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(409);
+      }
+    });
+
+    it('should reject votes once the window has passed', async () => {
+      try {
+        await service.castVote('match1', 'user1', ballot, new Date('2026-03-11T12:00:00Z'));
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+
+    it('should close voting once every participant has voted', async () => {
+      mockMatchRepository.incrementVoteCount.resolves({ ...openMatch, voting: { voteCount: 3 } });
+
+      await service.castVote('match1', 'user1', ballot, now);
+
+      expect(mockMatchRepository.updateVotingIfStatus.calledWith('match1', 'open')).to.be.true;
+      expect(mockEventBus.publish.calledWith('match.voting_closed')).to.be.true;
+    });
+  });
+
+  describe('closeVoting', () => {
+    it('should share the MVP on a tie and publish rating totals', async () => {
+      mockVoteRepository.findByMatch.resolves([
+        { mvpId: 'user2', ratings: [{ userId: 'user2', skill: 5, sportsmanship: 4 }] },
+        { mvpId: 'user3', ratings: [{ userId: 'user2', skill: 4, sportsmanship: 5 }] },
+      ]);
+
+      await service.closeVoting('match1', now);
+
+      const update = mockMatchRepository.updateVotingIfStatus.firstCall.args[2];
+      expect(update['voting.mvpIds']).to.deep.equal(['user2', 'user3']);
+      expect(update['voting.results'][0]).to.deep.equal({
+        userId: 'user2',
+        mvpVotes: 1,
+        skill: 4.5,
+        sportsmanship: 4.5,
+        ratingCount: 2,
+      });
+
+      const [event, data] = mockEventBus.publish.firstCall.args;
+      expect(event).to.equal('match.voting_closed');
+      expect(data.sport).to.equal('football');
+      expect(data.players).to.deep.include({
+        userId: 'user2',
+        skillTotal: 9,
+        sportsmanshipTotal: 9,
+        ratingCount: 2,
+      });
+    });
+
+    it('should not publish twice when voting already closed', async () => {
+      mockMatchRepository.updateVotingIfStatus.resolves(null);
+
+      const voting = await service.closeVoting('match1', now);
+
+      expect(voting).to.be.null;
+      expect(mockEventBus.publish.called).to.be.false;
+    });
+  });
+
+  describe('getVoting', () => {
+    it('should reveal results once voting has closed', async () => {
+      mockMatchRepository.findById.resolves({
+        ...openMatch,
+        voting: {
+          status: 'closed',
+          closesAt: now,
+          closedAt: now,
+          voteCount: 2,
+          mvpIds: ['user2'],
+          results: [{ userId: 'user2', mvpVotes: 2 }],
+        },
+      });
+
+      const voting = await service.getVoting('match1', 'stranger');
+
+      expect(voting.mvpIds).to.deep.equal(['user2']);
+      expect(voting).to.not.have.property('hasVoted');
+      expect(mockVoteRepository.hasVoted.called).to.be.false;
+    });
+  });
+});
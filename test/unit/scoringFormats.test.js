@@ -0,0 +1,141 @@
+/**
+ * Scoring Format Tests
+ * Tests for sport-specific score validation and winner decisions
+ */
+import { describe, it } from 'mocha';
+import '../helpers/setup.js';
+import {
+  getScoringFormat,
+  validateScores,
+  fitsAnyScoringFormat,
+} from '@/modules/match/scoring/index.js';
+
+describe('Scoring formats', () => {
+  describe('getScoringFormat', () => {
+    it('should pick the format of the sport', () => {
+      expect(getScoringFormat('cricket').name).to.equal('cricket');
+      expect(getScoringFormat('volleyball').bestOf).to.equal(5);
+      expect(getScoringFormat('badminton').bestOf).to.equal(3);
+    });
+
+    it('should fall back to a running total for other sports', () => {
+      expect(getScoringFormat('other').name).to.equal('goals');
+      expect(getScoringFormat(undefined).name).to.equal('goals');
+    });
+  });
+
+  describe('goals', () => {
+    const format = getScoringFormat('football');
+
+    it('should accept totals and detailed score lines', () => {
+      expect(validateScores('football', { a: 2, b: { goals: 1, assists: 1 } })).to.be.null;
+      expect(validateScores('football', { a: -1, b: 0 })).to.match(/non-negative/);
+      expect(validateScores('football', { a: { assists: 2 } })).to.match(/goals/);
+    });
+
+    it('should share the win between every top scorer', () => {
+      expect(format.winners({ a: 2, b: 2, c: 1 })).to.deep.equal(['a', 'b']);
+      expect(format.winners({ a: { goals: 3 }, b: 1 })).to.deep.equal(['a']);
+    });
+  });
+
+  describe('cricket', () => {
+    const format = getScoringFormat('cricket');
+    const scores = {
+      teamA: { runs: 182, wickets: 6, overs: 20 },
+      teamB: { runs: 176, wickets: 10, overs: 19.4 },
+    };
+
+    it('should validate runs, wickets and overs', () => {
+      expect(validateScores('cricket', scores)).to.be.null;
+      expect(validateScores('cricket', { teamA: { ...scores.teamA, wickets: 11 } })).to.match(
+        /Wickets/
+      );
+      expect(validateScores('cricket', { teamA: { ...scores.teamA, overs: 19.6 } })).to.match(
+        /overs\.balls/
+      );
+      expect(validateScores('cricket', { teamA: 182 })).to.match(/runs, wickets and overs/);
+    });
+
+    it('should decide the winner on runs', () => {
+      expect(format.winners(scores)).to.deep.equal(['teamA']);
+      expect(format.winners({ ...scores, teamB: { ...scores.teamB, runs: 182 } })).to.have.lengthOf(
+        2
+      );
+    });
+
+    it('should credit players from the scorecard', () => {
+      const withCard = {
+        ...scores,
+        teamA: { ...scores.teamA, players: { user1: { runs: 64, wickets: 2 } } },
+      };
+
+      expect(
+        format.playerStats({ scores: withCard, participantId: 'user1', side: 'teamA' })
+      ).to.deep.equal({ runsScored: 64, wicketsTaken: 2 });
+      expect(
+        format.playerStats({ scores: withCard, participantId: 'user2', side: 'teamA' })
+      ).to.deep.equal({ runsScored: 0, wicketsTaken: 0 });
+    });
+  });
+
+  describe('sets', () => {
+    const format = getScoringFormat('tennis');
+
+    it('should decide the winner on sets, not games', () => {
+      const scores = { user1: { sets: [6, 3, 6] }, user2: { sets: [4, 6, 0] } };
+
+      expect(validateScores('tennis', scores)).to.be.null;
+      expect(format.winners({ user1: { sets: [7, 6] }, user2: { sets: [6, 7] } })).to.have.lengthOf(
+        2
+      );
+      expect(format.winners(scores)).to.deep.equal(['user1']);
+      expect(format.playerStats({ scores, side: 'user2' })).to.deep.equal({
+        setsWon: 1,
+        setsLost: 2,
+      });
+    });
+
+    it('should reject impossible set scores', () => {
+      expect(
+        validateScores('badminton', { a: { sets: [21, 21, 21] }, b: { sets: [0, 0, 0] } })
+      ).to.match(/decided after 2 sets/);
+      expect(
+        validateScores('badminton', { a: { sets: [21, 15] }, b: { sets: [21, 21] } })
+      ).to.match(/cannot end level/);
+      expect(validateScores('volleyball', { a: { sets: [25] }, b: { sets: [20, 25] } })).to.match(
+        /every set/
+      );
+      expect(validateScores('tennis', { a: { sets: [6] } })).to.match(/two sides/);
+    });
+
+    it('should allow the set in play to be level', () => {
+      expect(validateScores('tennis', { a: { sets: [6, 3] }, b: { sets: [4, 3] } })).to.be.null;
+    });
+  });
+
+  describe('totals', () => {
+    it('should sum each side up as goals, runs or sets won', () => {
+      expect(getScoringFormat('football').totals({ a: 2, b: { goals: 1 } })).to.deep.equal({
+        a: 2,
+        b: 1,
+      });
+      expect(
+        getScoringFormat('cricket').totals({
+          a: { runs: 150, wickets: 3, overs: 18 },
+          b: { runs: 149, wickets: 10, overs: 20 },
+        })
+      ).to.deep.equal({ a: 150, b: 149 });
+      expect(
+        getScoringFormat('tennis').totals({ a: { sets: [6, 3, 6] }, b: { sets: [4, 6, 0] } })
+      ).to.deep.equal({ a: 2, b: 1 });
+    });
+  });
+
+  describe('fitsAnyScoringFormat', () => {
+    it('should accept scores of any sport and reject malformed ones', () => {
+      expect(fitsAnyScoringFormat({ a: { sets: [25, 20] }, b: { sets: [20, 25] } })).to.be.true;
+      expect(fitsAnyScoringFormat({ a: 'lots' })).to.be.false;
+    });
+  });
+});
@@ -190,6 +190,24 @@ describe('StatsUpdateHandler', () => {
       expect(increment.fouls).to.equal(2);
     });
 
+    it('should prefer player stats aggregated from match events', () => {
+      const matchWithEvents = {
+        ...match,
+        playerStats: { user1: { goals: 2, assists: 1, fouls: 3 } },
+      };
+
+      const increment = handler.calculateStatsIncrement(
+        'win',
+        { user1: 7 },
+        'user1',
+        matchWithEvents
+      );
+
+      expect(increment.goalsScored).to.equal(2);
+      expect(increment.assists).to.equal(1);
+      expect(increment.fouls).to.equal(3);
+    });
+
     it('should use lower ELO change for friendly matches', () => {
       const friendlyMatch = { ...match, type: 'friendly' };
       const increment = handler.calculateStatsIncrement('win', { user1: 5 }, 'user1', friendlyMatch);
@@ -306,6 +324,10 @@ describe('StatsUpdateHandler', () => {
         teamBased: true,
         teams: ['team1', 'team2'],
         organizerId: 'user1',
+        teamAssignments: [
+          { side: 'A', teamId: 'team1', players: ['user1'] },
+          { side: 'B', teamId: 'team2', players: ['user2'] },
+        ],
       };
 
       const scores = {
@@ -332,5 +354,106 @@ describe('StatsUpdateHandler', () => {
       const outcome = handler.determineTeamOutcome(match, 'user1', scores);
       expect(outcome).to.equal('draw');
     });
+
+    it('should use team assignments to find the participant side', () => {
+      const match = {
+        teamBased: true,
+        teams: [],
+        organizerId: 'user1',
+        teamAssignments: [
+          { side: 'A', players: ['user1', 'user2'] },
+          { side: 'B', players: ['user3', 'user4'] },
+        ],
+      };
+
+      const scores = { A: 1, B: 4 };
+
+      expect(handler.determineOutcome(match, 'user1', scores)).to.equal('loss');
+      expect(handler.determineOutcome(match, 'user3', scores)).to.equal('win');
+    });
+
+    it('should key assigned sides by team ID when the match has teams', () => {
+      const match = {
+        teamBased: true,
+        teams: ['team1', 'team2'],
+        organizerId: 'user1',
+        teamAssignments: [
+          { side: 'A', teamId: 'team1', players: ['user2'] },
+          { side: 'B', teamId: 'team2', players: ['user1'] },
+        ],
+      };
+
+      const outcome = handler.determineTeamOutcome(match, 'user1', { team1: 0, team2: 2 });
+      expect(outcome).to.equal('win');
+    });
+
+    it('should not guess an outcome for unassigned participants', () => {
+      const match = {
+        teamBased: true,
+        organizerId: 'user1',
+        teamAssignments: [
+          { side: 'A', players: ['user2'] },
+          { side: 'B', players: ['user3'] },
+        ],
+      };
+
+      const outcome = handler.determineTeamOutcome(match, 'user1', { A: 3, B: 1 });
+      expect(outcome).to.equal('draw');
+    });
+
+    it('should treat everyone as unassigned in matches without team assignments', () => {
+      const match = {
+        teamBased: true,
+        teams: ['team1', 'team2'],
+        organizerId: 'user1',
+      };
+
+      expect(handler.findParticipantSide(match, 'user1')).to.be.null;
+      expect(handler.determineTeamOutcome(match, 'user1', { team1: 3, team2: 1 })).to.equal(
+        'draw'
+      );
+    });
+  });
+
+  describe('sport scoring formats', () => {
+    it('should decide tennis matches on sets won', () => {
+      const match = { sport: 'tennis', participants: ['user1', 'user2'] };
+      const scores = { user1: { sets: [6, 6] }, user2: { sets: [7, 7] } };
+
+      expect(handler.determineOutcome(match, 'user2', scores)).to.equal('win');
+      expect(handler.determineOutcome(match, 'user1', scores)).to.equal('loss');
+    });
+
+    it('should only track the stat fields of the sport', () => {
+      const match = {
+        sport: 'volleyball',
+        type: 'friendly',
+        teamBased: true,
+        teamAssignments: [
+          { side: 'A', players: ['user1'] },
+          { side: 'B', players: ['user2'] },
+        ],
+      };
+      const scores = { A: { sets: [25, 20, 25, 25] }, B: { sets: [20, 25, 22, 18] } };
+
+      const increment = handler.calculateStatsIncrement('win', scores, 'user1', match);
+
+      expect(increment).to.include({ setsWon: 3, setsLost: 1 });
+      expect(increment).to.not.have.property('goalsScored');
+    });
+
+    it('should credit cricket runs and wickets from the scorecard', () => {
+      const match = { sport: 'cricket', type: 'friendly', participants: ['user1', 'user2'] };
+      const scores = {
+        user1: { runs: 45, wickets: 3, overs: 6 },
+        user2: { runs: 38, wickets: 5, overs: 6 },
+      };
+
+      expect(handler.determineOutcome(match, 'user1', scores)).to.equal('win');
+      expect(handler.calculateStatsIncrement('win', scores, 'user1', match)).to.include({
+        runsScored: 45,
+        wicketsTaken: 0,
+      });
+    });
   });
 });
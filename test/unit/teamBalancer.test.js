@@ -0,0 +1,96 @@
+/**
+ * Team Balancer Tests
+ * Tests for splitting players into rating-balanced sides
+ */
+import { describe, it } from 'mocha';
+import '../helpers/setup.js';
+import TeamBalancer from '@/modules/match/service/teamBalancer.service.js';
+
+describe('TeamBalancer', () => {
+  const players = [
+    { userId: 'p1', elo: 1400 },
+    { userId: 'p2', elo: 1300 },
+    { userId: 'p3', elo: 1200 },
+    { userId: 'p4', elo: 1100 },
+    { userId: 'p5', elo: 1000 },
+    { userId: 'p6', elo: 900 },
+  ];
+
+  const sideOf = (result, userId) => result.sides.findIndex((s) => s.players.includes(userId));
+
+  it('should split players into equally sized sides with a small spread', () => {
+    const result = TeamBalancer.balance(players);
+
+    expect(result.sides).to.have.length(2);
+    expect(result.sides[0].players).to.have.length(3);
+    expect(result.sides[1].players).to.have.length(3);
+    expect(result.spread).to.be.at.most(34);
+  });
+
+  it('should report the average rating of each side', () => {
+    const result = TeamBalancer.balance([
+      { userId: 'p1', elo: 1200 },
+      { userId: 'p2', elo: 1000 },
+    ]);
+
+    const ratings = result.sides.map((s) => s.rating).sort();
+    expect(ratings).to.deep.equal([1000, 1200]);
+    expect(result.spread).to.equal(200);
+  });
+
+  it('should support more than two sides', () => {
+    const result = TeamBalancer.balance(players, { sides: 3 });
+
+    expect(result.sides).to.have.length(3);
+    result.sides.forEach((side) => expect(side.players).to.have.length(2));
+    expect(result.spread).to.equal(0);
+  });
+
+  it('should keep players together', () => {
+    const result = TeamBalancer.balance(players, { keepTogether: [['p1', 'p2']] });
+
+    expect(sideOf(result, 'p1')).to.equal(sideOf(result, 'p2'));
+  });
+
+  it('should keep players apart', () => {
+    const result = TeamBalancer.balance(players, { keepApart: [['p1', 'p6']] });
+
+    expect(sideOf(result, 'p1')).to.not.equal(sideOf(result, 'p6'));
+  });
+
+  it('should honour constraints while swapping for balance', () => {
+    const result = TeamBalancer.balance(players, {
+      keepTogether: [['p5', 'p6']],
+      keepApart: [['p1', 'p2']],
+    });
+
+    expect(sideOf(result, 'p5')).to.equal(sideOf(result, 'p6'));
+    expect(sideOf(result, 'p1')).to.not.equal(sideOf(result, 'p2'));
+  });
+
+  it('should reject conflicting constraints', () => {
+    expect(() =>
+      TeamBalancer.balance(players, { keepTogether: [['p1', 'p2']], keepApart: [['p1', 'p2']] })
+    ).to.throw('conflict');
+  });
+
+  it('should reject keep apart groups larger than the number of sides', () => {
+    expect(() => TeamBalancer.balance(players, { keepApart: [['p1', 'p2', 'p3']] })).to.throw(
+      'keep apart'
+    );
+  });
+
+  it('should require at least one player per side', () => {
+    expect(() => TeamBalancer.balance(players.slice(0, 2), { sides: 3 })).to.throw(
+      'Not enough players'
+    );
+  });
+
+  it('should not leave a side empty when players are kept together', () => {
+    const keepTogether = [['p1', 'p2', 'p3']];
+
+    expect(() => TeamBalancer.balance(players.slice(0, 4), { sides: 3, keepTogether })).to.throw(
+      'too few players to form 3 sides'
+    );
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Team Stats Handler Tests
+ * Tests for team records and ELO ratings from match and tournament results
+ */
+import { describe, it, beforeEach } from 'mocha';
+import '../helpers/setup.js';
+import TeamStatsHandler from '@/modules/team/service/teamStatsHandler.service.js';
+
+describe('TeamStatsHandler', () => {
+  let handler;
+  let mockTeamRepository;
+  let mockTeamRatingRepository;
+  let mockMatchRepository;
+  let mockTournamentRepository;
+  let mockEventBus;
+  let teams;
+
+  beforeEach(() => {
+    teams = {
+      teamA: { _id: 'teamA', stats: { elo: 1000 } },
+      teamB: { _id: 'teamB', stats: { elo: 1000 } },
+    };
+
+    mockTeamRepository = {
+      find: sinon.stub().callsFake(async () => Object.values(teams)),
+      incrementStats: sinon.stub().callsFake(async (teamId, increment) => {
+        teams[teamId].stats.elo += increment.elo;
+        return teams[teamId];
+      }),
+    };
+
+    mockTeamRatingRepository = {
+      createForResult: sinon.stub().resolves(true),
+      findActive: sinon.stub().resolves([]),
+      markReverted: sinon.stub().resolves(),
+    };
+
+    mockMatchRepository = {
+      findById: sinon.stub(),
+    };
+
+    mockTournamentRepository = {
+      findById: sinon.stub(),
+    };
+
+    mockEventBus = {
+      publish: sinon.stub().resolves(),
+    };
+
+    const mockLogger = {
+      child: () => mockLogger,
+      info: sinon.stub(),
+      debug: sinon.stub(),
+      warn: sinon.stub(),
+      error: sinon.stub(),
+    };
+
+    handler = new TeamStatsHandler(
+      mockTeamRepository,
+      mockTeamRatingRepository,
+      mockMatchRepository,
+      mockTournamentRepository,
+      mockEventBus,
+      mockLogger
+    );
+  });
+
+  describe('handleMatchFinished', () => {
+    const teamMatch = (overrides = {}) => ({
+      _id: 'match1',
+      sport: 'football',
+      status: 'finished',
+      type: 'competitive',
+      teamBased: true,
+      teamAssignments: [
+        { side: 'team1', teamId: 'teamA', players: ['u1'] },
+        { side: 'team2', teamId: 'teamB', players: ['u2'] },
+      ],
+      scores: { teamA: 2, teamB: 1 },
+      ...overrides,
+    });
+
+    it('should update both records and ELO ratings and keep the rating history', async () => {
+      mockMatchRepository.findById.resolves(teamMatch());
+
+      await handler.handleMatchFinished({ matchId: 'match1' });
+
+      expect(mockTeamRepository.incrementStats.firstCall.args).to.deep.equal([
+        'teamA',
+        { matchesPlayed: 1, wins: 1, losses: 0, draws: 0, elo: 16 },
+      ]);
+      expect(mockTeamRepository.incrementStats.secondCall.args[1]).to.include({
+        losses: 1,
+        elo: -16,
+      });
+      const [entries] = mockTeamRatingRepository.createForResult.firstCall.args;
+      expect(entries[0]).to.include({
+        teamId: 'teamA',
+        opponentId: 'teamB',
+        outcome: 'win',
+        kFactor: 32,
+        previousElo: 1000,
+        change: 16,
+        elo: 1016,
+        matchId: 'match1',
+      });
+      expect(mockEventBus.publish.calledWith('team.stats_updated')).to.be.true;
+    });
+
+    it('should gain less for beating a weaker team', async () => {
+      teams.teamA.stats.elo = 1200;
+      mockMatchRepository.findById.resolves(teamMatch({ type: 'friendly' }));
+
+      await handler.handleMatchFinished({ matchId: 'match1' });
+
+      expect(mockTeamRepository.incrementStats.firstCall.args[1].elo).to.equal(4);
+      expect(mockTeamRepository.incrementStats.secondCall.args[1].elo).to.equal(-4);
+    });
+
+    it('should skip tournament matches, pickup sides and results already rated', async () => {
+      const pickup = teamMatch({
+        teamAssignments: [
+          { side: 'team1', players: ['u1'] },
+          { side: 'team2', players: ['u2'] },
+        ],
+      });
+      for (const match of [teamMatch({ tournamentId: 'tournament1' }), pickup]) {
+        mockMatchRepository.findById.resolves(match);
+        await handler.handleMatchFinished({ matchId: 'match1' });
+      }
+
+      mockMatchRepository.findById.resolves(teamMatch());
+      mockTeamRatingRepository.findActive.resolves([{ _id: 'rating1' }]);
+      await handler.handleMatchFinished({ matchId: 'match1' });
+
+      expect(mockTeamRepository.incrementStats.called).to.be.false;
+    });
+
+    it('should not touch the stats when another delivery claimed the result first', async () => {
+      mockMatchRepository.findById.resolves(teamMatch());
+      mockTeamRatingRepository.createForResult.resolves(false);
+
+      await handler.handleMatchFinished({ matchId: 'match1' });
+
+      expect(mockTeamRatingRepository.createForResult.calledOnce).to.be.true;
+      expect(mockTeamRepository.incrementStats.called).to.be.false;
+      expect(mockEventBus.publish.called).to.be.false;
+    });
+  });
+
+  describe('tournament results', () => {
+    it('should rate tournament fixtures with the tournament K-factor', async () => {
+      await handler.handleTournamentResult({
+        tournamentId: 'tournament1',
+        matchNumber: 3,
+        team1: 'teamA',
+        team2: 'teamB',
+        result: { score: { team1: 1, team2: 1 } },
+      });
+
+      const [entries] = mockTeamRatingRepository.createForResult.firstCall.args;
+      expect(entries.map((e) => [e.outcome, e.kFactor, e.change])).to.deep.equal([
+        ['draw', 40, 0],
+        ['draw', 40, 0],
+      ]);
+      expect(entries[0]).to.include({ tournamentId: 'tournament1', tournamentMatchNumber: 3 });
+    });
+
+    it('should revert the ratings of corrected fixtures and rate their new result', async () => {
+      const source = { tournamentId: 'tournament1', tournamentMatchNumber: 1 };
+      mockTeamRatingRepository.findActive.onFirstCall().resolves([
+        { _id: 'rating1', teamId: 'teamA', outcome: 'win', change: 20, ...source },
+        { _id: 'rating2', teamId: 'teamB', outcome: 'loss', change: -20, ...source },
+      ]);
+      mockTournamentRepository.findById.resolves({
+        _id: 'tournament1',
+        bracket: {
+          results: [
+            {
+              matchNumber: 1,
+              team1: 'teamA',
+              team2: 'teamB',
+              result: { winner: 'teamB', score: { team1: 0, team2: 1 } },
+            },
+          ],
+        },
+      });
+
+      await handler.handleResultCorrected({ tournamentId: 'tournament1', changedFixtures: [1] });
+
+      expect(mockTeamRepository.incrementStats.firstCall.args).to.deep.equal([
+        'teamA',
+        { matchesPlayed: -1, wins: -1, losses: 0, draws: 0, elo: -20 },
+      ]);
+      expect(mockTeamRatingRepository.markReverted.calledWith(['rating1', 'rating2'])).to.be.true;
+      const [entries] = mockTeamRatingRepository.createForResult.firstCall.args;
+      expect(entries.map((e) => [e.teamId, e.outcome])).to.deep.equal([
+        ['teamA', 'loss'],
+        ['teamB', 'win'],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tournament Eligibility Tests
+ * Tests for checking rosters against division eligibility rules
+ */
+import { describe, it } from 'mocha';
+import '../helpers/setup.js';
+import TournamentEligibility from '@/modules/tournament/service/tournamentEligibility.service.js';
+
+describe('TournamentEligibility', () => {
+  const on = new Date('2026-06-01T00:00:00Z');
+  const player = (name, overrides = {}) => ({
+    _id: name.toLowerCase(),
+    name,
+    dateOfBirth: new Date('2000-01-01T00:00:00Z'),
+    gender: 'female',
+    ...overrides,
+  });
+
+  describe('check', () => {
+    it('should accept rosters within the rules', () => {
+      const eligibility = { minAge: 18, gender: 'female', maxAverageElo: 1000 };
+      const players = [player('Ana'), player('Bea')];
+
+      expect(TournamentEligibility.check(eligibility, players, { on })).to.deep.equal([]);
+    });
+
+    it('should take ages on the reference date', () => {
+      const eligibility = { maxAge: 15 };
+      const turnsSixteen = (date) => player('Ana', { dateOfBirth: new Date(date) });
+
+      expect(
+        TournamentEligibility.check(eligibility, [turnsSixteen('2010-06-02T00:00:00Z')], { on })
+      ).to.deep.equal([]);
+      expect(
+        TournamentEligibility.check(eligibility, [turnsSixteen('2010-06-01T00:00:00Z')], { on })
+      ).to.deep.equal(['Ana is over the maximum age of 15']);
+      expect(TournamentEligibility.check({ minAge: 30 }, [player('Bea')], { on })).to.deep.equal([
+        'Bea is under the minimum age of 30',
+      ]);
+    });
+
+    it('should name players missing the profile details a rule needs', () => {
+      const players = [player('Ana', { dateOfBirth: undefined, gender: undefined })];
+
+      expect(
+        TournamentEligibility.check({ minAge: 18, gender: 'female' }, players, { on })
+      ).to.deep.equal([
+        'Ana has no date of birth on their profile',
+        'Ana has no gender on their profile',
+      ]);
+    });
+
+    it('should only admit players of the division gender', () => {
+      const players = [player('Ana'), player('Ben', { gender: 'male' })];
+
+      expect(TournamentEligibility.check({ gender: 'female' }, players, { on })).to.deep.equal([
+        "Ben is not eligible for a women's division",
+      ]);
+    });
+
+    it('should cap the average ELO of the roster, counting players without one at 1000', () => {
+      const players = [player('Ana'), player('Bea'), player('Cat')];
+      const elo = { ana: 1400, bea: 1300 };
+
+      expect(
+        TournamentEligibility.check({ maxAverageElo: 1200 }, players, { elo, on })
+      ).to.deep.equal(['Roster average ELO of 1233 is above the maximum of 1200']);
+      expect(TournamentEligibility.check({ maxAverageElo: 1250 }, players, { elo, on })).to.be
+        .empty;
+    });
+  });
+
+  describe('hasRules', () => {
+    it('should only report rules that are set', () => {
+      expect(TournamentEligibility.hasRules(undefined)).to.be.false;
+      expect(TournamentEligibility.hasRules({ minAge: null })).to.be.false;
+      expect(TournamentEligibility.hasRules({ maxAge: 0 })).to.be.true;
+    });
+  });
+});
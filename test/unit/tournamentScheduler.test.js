@@ -0,0 +1,239 @@
+/**
+ * Tournament Scheduler Tests
+ * Tests for assigning times and courts to bracket fixtures
+ */
+import { describe, it } from 'mocha';
+import '../helpers/setup.js';
+import BracketGenerator from '@/modules/tournament/service/bracketGenerator.service.js';
+import TournamentScheduler from '@/modules/tournament/service/tournamentScheduler.service.js';
+
+describe('TournamentScheduler', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+  const knockout = () =>
+    BracketGenerator.generateBracket({
+      type: 'knockout',
+      teams: ['t1', 't2', 't3', 't4'],
+      seeding: 'manual',
+      seeds: ['t1', 't2', 't3', 't4'],
+    });
+  const options = (overrides = {}) => ({
+    venues: [{ venueId: 'venue1', courts: ['Court 1', 'Court 2'] }],
+    days: [{ date: '2026-06-06', startTime: '09:00', endTime: '18:00' }],
+    matchDuration: 60,
+    minRest: 30,
+    ...overrides,
+  });
+  const slots = (bracket) =>
+    TournamentScheduler.getFixtures(bracket).map((f) =>
+      f.startTime ? `${f.startTime.toISOString().slice(5, 16)} ${f.court}` : null
+    );
+
+  describe('scheduleBracket', () => {
+    it('should play a round in parallel and the next round after the minimum rest', () => {
+      const { bracket, conflicts } = TournamentScheduler.scheduleBracket(
+        knockout(),
+        options(),
+        [],
+        now
+      );
+
+      expect(slots(bracket)).to.deep.equal([
+        '06-06T09:00 Court 1',
+        '06-06T09:00 Court 2',
+        '06-06T10:30 Court 1',
+      ]);
+      expect(bracket.rounds[0].matches[0]).to.include({ venueId: 'venue1', court: 'Court 1' });
+      expect(bracket.rounds[0].matches[0].endTime.toISOString()).to.equal(
+        '2026-06-06T10:00:00.000Z'
+      );
+      expect(conflicts).to.deep.equal([]);
+      expect(bracket.schedule.conflicts).to.deep.equal([]);
+    });
+
+    it('should avoid existing bookings of the venue', () => {
+      const bookings = [
+        {
+          venueId: 'venue1',
+          start: new Date('2026-06-06T09:00:00Z'),
+          end: new Date('2026-06-06T10:00:00Z'),
+        },
+      ];
+
+      const { bracket } = TournamentScheduler.scheduleBracket(
+        knockout(),
+        options({ venues: [{ venueId: 'venue1' }] }),
+        bookings,
+        now
+      );
+
+      expect(slots(bracket)).to.deep.equal([
+        '06-06T10:00 Court 1',
+        '06-06T11:00 Court 1',
+        '06-06T12:30 Court 1',
+      ]);
+    });
+
+    it('should move on to the next day and report fixtures without a free court', () => {
+      const days = [
+        { date: '2026-06-07', startTime: '09:00', endTime: '10:00' },
+        { date: '2026-06-06', startTime: '09:00', endTime: '11:00' },
+      ];
+      const single = [{ venueId: 'venue1', courts: ['Court 1'] }];
+
+      const { bracket } = TournamentScheduler.scheduleBracket(
+        knockout(),
+        options({ venues: single, days }),
+        [],
+        now
+      );
+      expect(slots(bracket)[2]).to.equal('06-07T09:00 Court 1');
+
+      const { conflicts } = TournamentScheduler.scheduleBracket(
+        knockout(),
+        options({ venues: single, days: [days[1]] }),
+        [],
+        now
+      );
+      expect(conflicts).to.deep.equal([
+        {
+          matchNumber: 3,
+          type: 'unscheduled',
+          message: 'Match 3 has no free court within the time windows',
+        },
+      ]);
+    });
+
+    it('should give teams the minimum rest between their league games', () => {
+      const bracket = BracketGenerator.generateBracket({
+        type: 'league',
+        teams: ['t1', 't2', 't3', 't4'],
+      });
+
+      TournamentScheduler.scheduleBracket(bracket, options({ minRest: 60 }), [], now);
+
+      const [first, second] = bracket.rounds;
+      for (const fixture of second.matches) {
+        const previous = first.matches.filter((f) =>
+          [f.team1, f.team2].some((team) => team === fixture.team1 || team === fixture.team2)
+        );
+        for (const earlier of previous) {
+          expect(fixture.startTime - earlier.endTime).to.be.at.least(60 * 60 * 1000);
+        }
+      }
+    });
+
+    it('should schedule a grand final reset after the grand final', () => {
+      const bracket = BracketGenerator.generateBracket({
+        type: 'double_elimination',
+        teams: ['t1', 't2'],
+      });
+
+      TournamentScheduler.scheduleBracket(bracket, options(), [], now);
+
+      const [grandFinal, reset] = bracket.rounds.slice(-2).map((round) => round.matches[0]);
+      expect(reset.startTime - grandFinal.endTime).to.equal(30 * 60 * 1000);
+    });
+
+    it('should keep the slot of played fixtures', () => {
+      const bracket = knockout();
+      const played = bracket.rounds[0].matches[0];
+      Object.assign(played, {
+        status: 'completed',
+        startTime: new Date('2026-05-30T09:00:00Z'),
+        endTime: new Date('2026-05-30T10:00:00Z'),
+        venueId: 'venue2',
+        court: 'Pitch A',
+      });
+
+      const { conflicts } = TournamentScheduler.scheduleBracket(bracket, options(), [], now);
+
+      expect(played.court).to.equal('Pitch A');
+      expect(slots(bracket)[1]).to.equal('06-06T09:00 Court 1');
+      expect(conflicts).to.deep.equal([]);
+    });
+
+    it('should read the time windows in the schedule time zone', () => {
+      const { bracket } = TournamentScheduler.scheduleBracket(
+        knockout(),
+        options({ timezone: 'Asia/Kolkata' }),
+        [],
+        now
+      );
+
+      // 09:00 in India is 03:30 UTC
+      expect(slots(bracket)[0]).to.equal('06-06T03:30 Court 1');
+      expect(bracket.schedule.timezone).to.equal('Asia/Kolkata');
+    });
+
+    it('should reject an unknown time zone', () => {
+      expect(() =>
+        TournamentScheduler.scheduleBracket(knockout(), options({ timezone: 'Mars/Olympus' }))
+      ).to.throw('Invalid time zone');
+    });
+
+    it('should reject a time window shorter than a match', () => {
+      const days = [{ date: '2026-06-06', startTime: '09:00', endTime: '09:30' }];
+
+      expect(() => TournamentScheduler.scheduleBracket(knockout(), options({ days }))).to.throw(
+        'shorter than a match'
+      );
+    });
+  });
+
+  describe('rescheduleFixture', () => {
+    const scheduled = () => TournamentScheduler.scheduleBracket(knockout(), options(), [], now);
+
+    it('should move downstream fixtures that no longer fit', () => {
+      const { bracket } = scheduled();
+
+      const { conflicts, moved } = TournamentScheduler.rescheduleFixture(
+        bracket,
+        2,
+        { startTime: '2026-06-06T15:00:00Z', venueId: 'venue1', court: 'Court 2' },
+        [],
+        now
+      );
+
+      expect(slots(bracket)).to.deep.equal([
+        '06-06T09:00 Court 1',
+        '06-06T15:00 Court 2',
+        '06-06T16:30 Court 1',
+      ]);
+      expect(moved).to.deep.equal([3]);
+      expect(conflicts).to.deep.equal([]);
+    });
+
+    it("should keep the organizer's slot and report its conflicts", () => {
+      const { bracket } = scheduled();
+
+      const { conflicts, moved } = TournamentScheduler.rescheduleFixture(
+        bracket,
+        2,
+        { startTime: '2026-06-06T09:30:00Z', venueId: 'venue1', court: 'Court 1' },
+        [],
+        now
+      );
+
+      expect(slots(bracket)[1]).to.equal('06-06T09:30 Court 1');
+      expect(moved).to.deep.equal([3]);
+      expect(conflicts.map((c) => [c.matchNumber, c.type])).to.deep.equal([
+        [1, 'court'],
+        [2, 'court'],
+      ]);
+    });
+
+    it('should only move pending fixtures to a court of the schedule', () => {
+      const { bracket } = scheduled();
+      const slot = { startTime: '2026-06-06T15:00:00Z', venueId: 'venue1', court: 'Court 9' };
+
+      expect(() => TournamentScheduler.rescheduleFixture(bracket, 2, slot, [], now)).to.throw(
+        'Court 9 is not part of the tournament schedule'
+      );
+
+      bracket.rounds[0].matches[1].status = 'completed';
+      expect(() =>
+        TournamentScheduler.rescheduleFixture(bracket, 2, { ...slot, court: 'Court 1' }, [], now)
+      ).to.throw('already been played');
+    });
+  });
+});
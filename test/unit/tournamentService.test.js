@@ -0,0 +1,1144 @@
+/**
+ * Tournament Service Tests
+ */
+import { describe, it, beforeEach } from 'mocha';
+import '../helpers/setup.js';
+import { TournamentService } from '@/modules/tournament/service/tournament.service.js';
+import { BracketGenerator } from '@/modules/tournament/service/bracketGenerator.service.js';
+
+describe('TournamentService', () => {
+  let service;
+  let mockTournamentRepository;
+  let mockTeamRepository;
+  let mockUserRepository;
+  let mockMatchRepository;
+  let mockVenueRepository;
+  let mockInviteLinkService;
+  let mockEventBus;
+
+  beforeEach(() => {
+    mockTournamentRepository = {
+      findById: sinon.stub(),
+      find: sinon.stub().resolves([]),
+      create: sinon.stub().callsFake(async (data) => ({ _id: 'division1', ...data })),
+      addTeam: sinon.stub().resolves({}),
+      addRegistration: sinon.stub().resolves({}),
+      updateRegistration: sinon.stub().resolves({ registrations: [] }),
+      findRegistrationDueToClose: sinon.stub().resolves([]),
+      update: sinon.stub().resolves({}),
+      getInitialBracket: sinon.stub().resolves(null),
+    };
+
+    mockTeamRepository = {
+      find: sinon.stub().resolves([]),
+      findById: sinon.stub().resolves({
+        _id: 'team2',
+        captainId: 'captain',
+        members: [{ userId: 'captain' }, { userId: 'player' }, { userId: 'sub' }],
+      }),
+    };
+
+    mockUserRepository = {
+      find: sinon.stub().resolves([]),
+      getStatsForUsers: sinon.stub().resolves([]),
+    };
+
+    let createdMatches = 0;
+    mockMatchRepository = {
+      findById: sinon.stub(),
+      create: sinon
+        .stub()
+        .callsFake(async (data) => ({ _id: `match${++createdMatches}`, ...data })),
+      findTournamentFixture: sinon.stub(),
+      updateIfStatus: sinon.stub().resolves({}),
+      update: sinon.stub().resolves({}),
+    };
+
+    mockVenueRepository = {
+      findById: sinon.stub().resolves({ _id: 'venue1', name: 'City Arena', status: 'active' }),
+      findBookings: sinon.stub().resolves([]),
+    };
+
+    mockInviteLinkService = {
+      verifyToken: sinon.stub().resolves({ _id: 'link1' }),
+      redeem: sinon.stub().resolves({ _id: 'link1', uses: 1 }),
+      createLink: sinon.stub().resolves({ _id: 'link1', token: 'token' }),
+    };
+
+    mockEventBus = {
+      publish: sinon.stub().resolves(),
+    };
+
+    const mockLogger = {
+      child: () => mockLogger,
+      info: sinon.stub(),
+      debug: sinon.stub(),
+      warn: sinon.stub(),
+      error: sinon.stub(),
+    };
+
+    service = new TournamentService(
+      mockTournamentRepository,
+      mockTeamRepository,
+      mockUserRepository,
+      mockMatchRepository,
+      mockVenueRepository,
+      mockInviteLinkService,
+      mockEventBus,
+      mockLogger
+    );
+  });
+
+  describe('private tournaments', () => {
+    const privateTournament = {
+      _id: 'tournament1',
+      organizerId: 'organizer',
+      visibility: 'private',
+      status: 'registration',
+      registrationWindow: {
+        start: new Date(Date.now() - 24 * 60 * 60 * 1000),
+        end: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      },
+      teams: ['team1'],
+    };
+
+    beforeEach(() => {
+      mockTournamentRepository.findById.resolves(privateTournament);
+    });
+
+    it('should hide private tournaments from users without an invite', async () => {
+      try {
+        await service.getTournamentById('tournament1', 'stranger');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(404);
+      }
+    });
+
+    it('should show private tournaments to members of registered teams', async () => {
+      mockTeamRepository.find.resolves([{ _id: 'team1' }]);
+
+      const tournament = await service.getTournamentById('tournament1', 'player');
+
+      expect(tournament).to.equal(privateTournament);
+      expect(mockTeamRepository.find.firstCall.args[0]).to.deep.equal({
+        _id: { $in: ['team1'] },
+        'members.userId': 'player',
+      });
+    });
+
+    it('should show private tournaments through an invite link', async () => {
+      const tournament = await service.getTournamentById('tournament1', null, 'token');
+
+      expect(tournament).to.equal(privateTournament);
+      expect(mockInviteLinkService.verifyToken.calledWith('tournament', 'tournament1', 'token')).to
+        .be.true;
+    });
+
+    it('should hide the bracket and standings of private tournaments', async () => {
+      const bracket = { type: 'league', standings: [] };
+      mockTournamentRepository.findById.resolves({ ...privateTournament, bracket });
+
+      for (const read of [
+        () => service.getBracket('tournament1', 'stranger'),
+        () => service.getStandings('tournament1'),
+      ]) {
+        try {
+          await read();
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.statusCode).to.equal(404);
+        }
+      }
+      expect(await service.getBracket('tournament1', 'organizer')).to.equal(bracket);
+      expect((await service.getStandings('tournament1', null, 'token')).type).to.equal('league');
+    });
+
+    it('should list private tournaments of the user and their teams only', async () => {
+      mockTeamRepository.find.resolves([{ _id: 'team1' }]);
+
+      await service.listTournaments({ sport: 'football' }, 'player');
+
+      expect(mockTournamentRepository.find.firstCall.args[0]).to.deep.equal({
+        sport: 'football',
+        $or: [
+          { visibility: { $ne: 'private' } },
+          { organizerId: 'player' },
+          { teams: { $in: ['team1'] } },
+        ],
+      });
+    });
+
+    it('should require an invite link to join', async () => {
+      try {
+        await service.joinTournament('tournament1', 'team2', ['captain'], 'captain');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+      expect(mockTournamentRepository.addRegistration.called).to.be.false;
+    });
+
+    it('should join through an invite link and count its use', async () => {
+      await service.joinTournament('tournament1', 'team2', ['captain'], 'captain', 'token');
+
+      expect(mockInviteLinkService.redeem.calledWith({ _id: 'link1' })).to.be.true;
+      expect(mockTournamentRepository.addRegistration.firstCall.args[1]).to.include({
+        teamId: 'team2',
+        status: 'pending',
+      });
+    });
+
+    it('should only let the organizer manage invite links', async () => {
+      try {
+        await service.createInviteLink('tournament1', 'captain');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+
+      await service.createInviteLink('tournament1', 'organizer', { maxUses: 8 });
+      expect(mockInviteLinkService.createLink.calledOnce).to.be.true;
+    });
+  });
+
+  describe('registrations', () => {
+    let tournament;
+
+    const registration = (teamId, status) => ({
+      teamId,
+      status,
+      roster: ['player'],
+      submittedBy: `${teamId}-captain`,
+    });
+
+    beforeEach(() => {
+      tournament = {
+        _id: 'tournament1',
+        organizerId: 'organizer',
+        status: 'registration',
+        registrationWindow: {
+          start: new Date(Date.now() - 24 * 60 * 60 * 1000),
+          end: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        },
+        maxTeams: 2,
+        minRosterSize: 2,
+        maxRosterSize: 3,
+        teams: ['team1'],
+        registrations: [registration('team1', 'approved')],
+      };
+      mockTournamentRepository.findById.callsFake(async () => tournament);
+    });
+
+    it('should only let the captain enter the team with a roster of its members', async () => {
+      const attempts = [
+        [['captain', 'player'], 'player', 'Only the team captain can register the team'],
+        [['captain', 'stranger'], 'captain', 'Roster can only include members of the team'],
+        [['captain', 'captain'], 'captain', 'Roster must have between 2 and 3 players'],
+      ];
+      for (const [roster, userId, message] of attempts) {
+        try {
+          await service.joinTournament('tournament1', 'team2', roster, userId);
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.message).to.equal(message);
+        }
+      }
+
+      const entry = await service.joinTournament(
+        'tournament1',
+        'team2',
+        ['captain', 'player'],
+        'captain'
+      );
+      expect(entry).to.include({ teamId: 'team2', status: 'pending', submittedBy: 'captain' });
+      expect(mockTournamentRepository.addTeam.called).to.be.false;
+    });
+
+    it('should waitlist entries once approved and pending entries take all places', async () => {
+      tournament.registrations.push(registration('team3', 'pending'));
+
+      const entry = await service.joinTournament(
+        'tournament1',
+        'team2',
+        ['captain', 'player'],
+        'captain'
+      );
+
+      expect(entry.status).to.equal('waitlisted');
+      expect(
+        mockEventBus.publish.calledWith('tournament.registration_submitted', {
+          tournamentId: 'tournament1',
+          teamId: 'team2',
+          userId: 'captain',
+          status: 'waitlisted',
+        })
+      ).to.be.true;
+    });
+
+    it('should add approved teams, but not past maxTeams', async () => {
+      tournament.registrations.push(registration('team3', 'pending'));
+      tournament.registrations.push(registration('team4', 'waitlisted'));
+      mockTournamentRepository.updateRegistration.resolves({
+        registrations: [{ ...registration('team3', 'approved'), reviewedBy: 'organizer' }],
+      });
+
+      try {
+        await service.approveRegistration('tournament1', 'team4', 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Tournament is full');
+      }
+
+      const approved = await service.approveRegistration('tournament1', 'team3', 'organizer');
+
+      expect(approved).to.include({ teamId: 'team3', status: 'approved' });
+      const [, teamId, statuses, changes, update] =
+        mockTournamentRepository.updateRegistration.firstCall.args;
+      expect([teamId, statuses, changes.status]).to.deep.equal([
+        'team3',
+        ['pending', 'waitlisted'],
+        'approved',
+      ]);
+      expect(update).to.deep.equal({ $addToSet: { teams: 'team3' } });
+    });
+
+    it('should check the roster again on approval', async () => {
+      tournament.registrations.push(registration('team3', 'pending'));
+      tournament.eligibility = { gender: 'female' };
+      mockUserRepository.find.resolves([{ _id: 'player', name: 'Ben', gender: 'male' }]);
+
+      try {
+        await service.approveRegistration('tournament1', 'team3', 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(error.message).to.equal(
+          "Roster is not eligible: Ben is not eligible for a women's division"
+        );
+      }
+
+      mockTeamRepository.findById.resolves({ _id: 'team3', members: [{ userId: 'captain' }] });
+      try {
+        await service.approveRegistration('tournament1', 'team3', 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Roster players have left the team: player');
+      }
+      expect(mockTournamentRepository.updateRegistration.called).to.be.false;
+    });
+
+    it('should move the oldest waitlisted entry up when a place is freed', async () => {
+      tournament.registrations.push(registration('team3', 'pending'));
+      tournament.registrations.push(registration('team4', 'waitlisted'));
+      tournament.registrations.push(registration('team5', 'waitlisted'));
+      mockTournamentRepository.updateRegistration.callsFake(async () => {
+        tournament = {
+          ...tournament,
+          registrations: tournament.registrations.map((r) =>
+            r.teamId === 'team3' ? { ...r, status: 'rejected' } : r
+          ),
+        };
+        return tournament;
+      });
+
+      const rejected = await service.rejectRegistration(
+        'tournament1',
+        'team3',
+        'organizer',
+        'Roster is not eligible'
+      );
+
+      expect(rejected).to.include({ teamId: 'team3', status: 'rejected' });
+      expect(mockTournamentRepository.updateRegistration.firstCall.args[3]).to.include({
+        status: 'rejected',
+        rejectionReason: 'Roster is not eligible',
+      });
+      const promotions = mockTournamentRepository.updateRegistration.getCalls().slice(1);
+      expect(promotions.map((call) => [call.args[1], call.args[3].status])).to.deep.equal([
+        ['team4', 'pending'],
+      ]);
+      expect(
+        mockEventBus.publish.calledWith('tournament.registration_promoted', {
+          tournamentId: 'tournament1',
+          teamId: 'team4',
+          userId: 'team4-captain',
+        })
+      ).to.be.true;
+    });
+
+    it('should hold teams the organizer adds directly to the same rules', async () => {
+      const attempts = [
+        [['captain', 'stranger'], 'Roster can only include members of the team'],
+        [['captain'], 'Roster must have between 2 and 3 players'],
+      ];
+      for (const [roster, message] of attempts) {
+        try {
+          await service.registerTeam('tournament1', 'team2', roster, 'organizer');
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.message).to.equal(message);
+        }
+      }
+
+      tournament.registrations.push(registration('team3', 'pending'));
+      try {
+        await service.registerTeam('tournament1', 'team2', ['captain', 'player'], 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Tournament is full');
+      }
+
+      mockTournamentRepository.find.resolves([{ _id: 'division1', division: 'Open' }]);
+      try {
+        await service.registerTeam('tournament1', 'team2', ['captain', 'player'], 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Add the team to one of the divisions: Open');
+      }
+      expect(mockTournamentRepository.addRegistration.called).to.be.false;
+    });
+
+    it('should record teams the organizer adds directly as approved entries', async () => {
+      const result = await service.registerTeam(
+        'tournament1',
+        'team2',
+        ['captain', 'player'],
+        'organizer'
+      );
+
+      expect(result).to.include({ teamId: 'team2', status: 'approved', reviewedBy: 'organizer' });
+      const [, entry, update] = mockTournamentRepository.addRegistration.firstCall.args;
+      expect(entry.roster).to.deep.equal(['captain', 'player']);
+      expect(update).to.deep.equal({ $addToSet: { teams: 'team2' } });
+      expect(mockEventBus.publish.calledWith('tournament.team_registered')).to.be.true;
+    });
+
+    it('should close registrations whose window has ended', async () => {
+      const now = new Date();
+      mockTournamentRepository.findRegistrationDueToClose.resolves([tournament]);
+
+      const result = await service.closeExpiredRegistrations(now);
+
+      expect(result).to.deep.equal({ closed: 1 });
+      expect(
+        mockTournamentRepository.update.calledWith('tournament1', { registrationClosedAt: now })
+      ).to.be.true;
+
+      tournament.registrationClosedAt = now;
+      try {
+        await service.joinTournament('tournament1', 'team2', ['captain', 'player'], 'captain');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Registration has ended');
+      }
+    });
+  });
+
+  describe('divisions', () => {
+    let tournament;
+
+    beforeEach(() => {
+      tournament = {
+        _id: 'tournament1',
+        title: 'Spring League',
+        sport: 'football',
+        type: 'league',
+        organizerId: 'organizer',
+        status: 'registration',
+        registrationWindow: {
+          start: new Date(Date.now() - 24 * 60 * 60 * 1000),
+          end: new Date('2030-06-01T00:00:00Z'),
+        },
+        maxTeams: 8,
+        teams: [],
+        registrations: [],
+      };
+      mockTournamentRepository.findById.callsFake(async () => tournament);
+    });
+
+    it('should create divisions with the settings of the tournament', async () => {
+      await service.createDivision(
+        'tournament1',
+        { division: 'U16', eligibility: { maxAge: 15 }, maxTeams: 4 },
+        'organizer'
+      );
+
+      const [data] = mockTournamentRepository.create.firstCall.args;
+      expect(data).to.include({
+        title: 'Spring League',
+        sport: 'football',
+        type: 'league',
+        division: 'U16',
+        maxTeams: 4,
+        organizerId: 'organizer',
+        parentTournamentId: 'tournament1',
+      });
+      expect(data.eligibility).to.deep.equal({ maxAge: 15 });
+      expect(data).to.not.have.property('registrations');
+    });
+
+    it('should have teams enter and play in the divisions', async () => {
+      mockTournamentRepository.find.resolves([{ _id: 'division1', division: 'U16' }]);
+
+      try {
+        await service.joinTournament('tournament1', 'team2', ['captain'], 'captain');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Enter one of the divisions of this tournament: U16');
+      }
+      try {
+        await service.startTournament('tournament1', 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Start each division of this tournament: U16');
+      }
+    });
+
+    it('should reject rosters that break the eligibility rules with every reason', async () => {
+      Object.assign(tournament, {
+        parentTournamentId: 'parent1',
+        eligibility: { maxAge: 15, gender: 'female', maxAverageElo: 1100 },
+      });
+      mockUserRepository.find.resolves([
+        { _id: 'captain', name: 'Ana', dateOfBirth: new Date('2015-03-01'), gender: 'female' },
+        { _id: 'player', name: 'Ben', dateOfBirth: new Date('2014-01-15'), gender: 'male' },
+      ]);
+      mockUserRepository.getStatsForUsers.resolves([
+        { userId: 'captain', elo: 1150 },
+        { userId: 'player', elo: 1250 },
+      ]);
+
+      try {
+        await service.joinTournament('tournament1', 'team2', ['captain', 'player'], 'captain');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(error.message).to.equal(
+          'Roster is not eligible: Ben is over the maximum age of 15; ' +
+            "Ben is not eligible for a women's division; " +
+            'Roster average ELO of 1200 is above the maximum of 1100'
+        );
+      }
+      expect(mockUserRepository.getStatsForUsers.calledWith(['captain', 'player'], 'football')).to
+        .be.true;
+      expect(mockTournamentRepository.addRegistration.called).to.be.false;
+    });
+
+    it('should check roster changes against the same rules', async () => {
+      Object.assign(tournament, {
+        parentTournamentId: 'parent1',
+        eligibility: { gender: 'female' },
+        registrations: [{ teamId: 'team2', status: 'approved', roster: ['captain'] }],
+      });
+      mockUserRepository.find.callsFake(async ({ _id }) =>
+        _id.$in.map((userId) => ({
+          _id: userId,
+          name: userId,
+          gender: userId === 'sub' ? undefined : 'female',
+        }))
+      );
+      mockTournamentRepository.updateRegistration.callsFake(
+        async (id, teamId, statuses, changes) => ({
+          registrations: [{ teamId, status: 'approved', ...changes }],
+        })
+      );
+
+      try {
+        await service.updateRoster('tournament1', 'team2', ['captain', 'sub'], 'captain');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal(
+          'Roster is not eligible: sub has no gender on their profile'
+        );
+      }
+
+      const registration = await service.updateRoster(
+        'tournament1',
+        'team2',
+        ['captain', 'player'],
+        'captain'
+      );
+      expect(registration.roster).to.deep.equal(['captain', 'player']);
+      expect(mockEventBus.publish.calledWith('tournament.roster_updated')).to.be.true;
+    });
+  });
+
+  describe('startTournament', () => {
+    it('should seed by the ELO ratings of the registered teams', async () => {
+      mockTournamentRepository.findById.resolves({
+        _id: 'tournament1',
+        organizerId: 'organizer',
+        type: 'knockout',
+        seeding: 'elo',
+        teams: ['t1', 't2', 't3'],
+      });
+      mockTeamRepository.find.resolves([
+        { _id: 't1', stats: { elo: 1100 } },
+        { _id: 't2', stats: { elo: 1400 } },
+        { _id: 't3', stats: { elo: 1250 } },
+      ]);
+
+      const { bracket } = await service.startTournament('tournament1', 'organizer');
+
+      expect(mockTeamRepository.find.firstCall.args[0]).to.deep.equal({
+        _id: { $in: ['t1', 't2', 't3'] },
+      });
+      expect(bracket.seeding).to.equal('elo');
+      expect(bracket.teams.map((t) => [t.teamId, t.elo])).to.deep.equal([
+        ['t2', 1400],
+        ['t3', 1250],
+        ['t1', 1100],
+      ]);
+    });
+  });
+
+  describe('tournament matches', () => {
+    const tournament = {
+      _id: 'tournament1',
+      title: 'Summer Cup',
+      sport: 'football',
+      organizerId: 'organizer',
+      status: 'ongoing',
+      type: 'knockout',
+      seeding: 'manual',
+      seeds: ['t1', 't2', 't3', 't4'],
+      teams: ['t1', 't2', 't3', 't4'],
+      registrations: ['t1', 't2', 't3', 't4'].map((id) => ({
+        teamId: id,
+        status: 'approved',
+        roster: [`${id}-player`],
+      })),
+    };
+
+    beforeEach(() => {
+      // Members off the approved roster do not play
+      mockTeamRepository.find.resolves(
+        ['t1', 't2', 't3', 't4'].map((id) => ({
+          _id: id,
+          name: `Team ${id}`,
+          members: [{ userId: `${id}-player` }, { userId: `${id}-reserve` }],
+        }))
+      );
+    });
+
+    it('should create a match for each fixture of the first round', async () => {
+      mockTournamentRepository.findById.resolves(tournament);
+
+      const { bracket } = await service.startTournament('tournament1', 'organizer');
+
+      expect(mockMatchRepository.create.callCount).to.equal(2);
+      const match = mockMatchRepository.create.firstCall.args[0];
+      expect(match).to.include({
+        title: 'Summer Cup: Team t1 vs Team t4',
+        sport: 'football',
+        teamBased: true,
+        tournamentId: 'tournament1',
+        tournamentMatchNumber: 1,
+      });
+      expect(match.participants).to.deep.equal(['t1-player', 't4-player']);
+      expect(match.teamAssignments[0]).to.deep.equal({
+        side: 'team1',
+        teamId: 't1',
+        players: ['t1-player'],
+      });
+      expect(bracket.rounds[0].matches.map((m) => m.matchId)).to.deep.equal(['match1', 'match2']);
+      expect(bracket.rounds[1].matches[0].matchId).to.be.undefined;
+      expect(mockTournamentRepository.update.firstCall.args[1].$addToSet).to.deep.equal({
+        matches: { $each: ['match1', 'match2'] },
+      });
+    });
+
+    it('should leave players who can no longer play out of the matches', async () => {
+      mockTournamentRepository.findById.resolves({
+        ...tournament,
+        registrationWindow: { end: new Date('2030-06-01T00:00:00Z') },
+        eligibility: { gender: 'female' },
+        registrations: tournament.registrations.map((r) =>
+          r.teamId === 't1' ? { ...r, roster: ['t1-player', 't1-left', 't1-changed'] } : r
+        ),
+      });
+      mockUserRepository.find.callsFake(async ({ _id }) =>
+        _id.$in.map((userId) => ({
+          _id: userId,
+          gender: userId === 't1-changed' ? 'male' : 'female',
+        }))
+      );
+      mockTeamRepository.find.resolves(
+        ['t1', 't2', 't3', 't4'].map((id) => ({
+          _id: id,
+          name: `Team ${id}`,
+          members: [{ userId: `${id}-player` }, { userId: `${id}-changed` }],
+        }))
+      );
+
+      await service.startTournament('tournament1', 'organizer');
+
+      const match = mockMatchRepository.create.firstCall.args[0];
+      expect(match.teamAssignments[0].players).to.deep.equal(['t1-player']);
+      expect(match.participants).to.deep.equal(['t1-player', 't4-player']);
+    });
+
+    it('should advance the bracket when a tournament match finishes', async () => {
+      const bracket = BracketGenerator.generateBracket(tournament);
+      bracket.rounds[0].matches[0].matchId = 'semi1';
+      bracket.rounds[0].matches[1].matchId = 'semi2';
+      bracket.rounds[0].matches[0].status = 'completed';
+      bracket.rounds[0].matches[0].winner = 't1';
+      bracket.rounds[1].matches[0].team1 = 't1';
+      mockTournamentRepository.findById.resolves({ ...tournament, bracket, currentRound: 1 });
+      mockMatchRepository.findById.resolves({
+        _id: 'semi2',
+        sport: 'football',
+        tournamentId: 'tournament1',
+        tournamentMatchNumber: 2,
+      });
+
+      await service.handleMatchFinished({ matchId: 'semi2', scores: { t2: 1, t3: 3 } });
+
+      const update = mockTournamentRepository.update.firstCall.args[1];
+      const [, final] = update.bracket.rounds;
+      expect(update.bracket.rounds[0].matches[1]).to.include({ winner: 't3', status: 'completed' });
+      expect(update.bracket.rounds[0].matches[1].score).to.deep.equal({ team1: 1, team2: 3 });
+      expect(update.currentRound).to.equal(2);
+      // The final is created as a match once both finalists are known
+      expect(mockMatchRepository.create.callCount).to.equal(1);
+      expect(mockMatchRepository.create.firstCall.args[0].tournamentMatchNumber).to.equal(3);
+      expect(final.matches[0]).to.include({ team1: 't1', team2: 't3', matchId: 'match1' });
+    });
+
+    it('should leave level knockout matches for the organizer', async () => {
+      const bracket = BracketGenerator.generateBracket(tournament);
+      mockTournamentRepository.findById.resolves({ ...tournament, bracket, currentRound: 1 });
+      mockMatchRepository.findById.resolves({
+        _id: 'match1',
+        sport: 'football',
+        tournamentId: 'tournament1',
+        tournamentMatchNumber: 1,
+      });
+
+      await service.handleMatchFinished({ matchId: 'match1', scores: { t1: 2, t4: 2 } });
+
+      expect(mockTournamentRepository.update.called).to.be.false;
+      expect(bracket.rounds[0].matches[0].status).to.equal('pending');
+    });
+
+    it('should count cards as fair play points in league tables', async () => {
+      const bracket = BracketGenerator.generateBracket({
+        type: 'league',
+        teams: ['t1', 't2'],
+        tiebreakers: ['fair_play'],
+      });
+      const [fixture] = bracket.rounds[0].matches;
+      mockTournamentRepository.findById.resolves({ ...tournament, bracket, currentRound: 1 });
+      mockMatchRepository.findById.resolves({
+        _id: 'match1',
+        sport: 'football',
+        tournamentId: 'tournament1',
+        tournamentMatchNumber: fixture.matchNumber,
+        events: [
+          { type: 'yellow_card', team: fixture.team1 },
+          { type: 'red_card', team: fixture.team1 },
+          { type: 'goal', team: fixture.team2 },
+          { type: 'yellow_card', team: fixture.team2 },
+        ],
+      });
+
+      await service.handleMatchFinished({ matchId: 'match1', scores: { t1: 1, t2: 1 } });
+
+      const { standings } = mockTournamentRepository.update.firstCall.args[1].bracket;
+      expect(standings[0]).to.include({ teamId: fixture.team2, fairPlay: 1 });
+      expect(standings[0].tiebreaker).to.equal('fair_play');
+      expect(standings[1]).to.include({ teamId: fixture.team1, fairPlay: 4 });
+    });
+
+    it('should ignore matches outside tournaments', async () => {
+      mockMatchRepository.findById.resolves({ _id: 'match9', sport: 'football' });
+
+      await service.handleMatchFinished({ matchId: 'match9', scores: {} });
+
+      expect(mockTournamentRepository.findById.called).to.be.false;
+    });
+  });
+
+  describe('updateMatchResult', () => {
+    const playUntilGrandFinal = () => {
+      let bracket = BracketGenerator.generateBracket({
+        type: 'double_elimination',
+        teams: ['t1', 't2', 't3', 't4'],
+      });
+      for (const matchNumber of [1, 2, 3, 4, 5]) {
+        const match = BracketGenerator.findBracketMatch(bracket, matchNumber);
+        bracket = BracketGenerator.updateBracketWithResult(bracket, matchNumber, {
+          winner: match.team1,
+          score: { team1: 2, team2: 0 },
+        });
+      }
+      return bracket;
+    };
+
+    it('should complete a double elimination tournament without the unneeded reset', async () => {
+      const bracket = playUntilGrandFinal();
+      const grandFinal = BracketGenerator.findBracketMatch(bracket, 6);
+      mockTournamentRepository.findById.resolves({
+        _id: 'tournament1',
+        organizerId: 'organizer',
+        bracket,
+        currentRound: 5,
+        rounds: bracket.totalRounds,
+      });
+
+      await service.updateMatchResult(
+        'tournament1',
+        6,
+        { winner: grandFinal.team1, score: { team1: 3, team2: 1 } },
+        'organizer'
+      );
+
+      expect(mockTournamentRepository.update.firstCall.args[1].status).to.equal('completed');
+      expect(
+        mockEventBus.publish.calledWith('tournament.completed', {
+          tournamentId: 'tournament1',
+          winner: grandFinal.team1,
+        })
+      ).to.be.true;
+    });
+
+    it('should move on to the bracket reset when the losers bracket champion wins', async () => {
+      const bracket = playUntilGrandFinal();
+      const grandFinal = BracketGenerator.findBracketMatch(bracket, 6);
+      mockTournamentRepository.findById.resolves({
+        _id: 'tournament1',
+        organizerId: 'organizer',
+        bracket,
+        currentRound: 5,
+        rounds: bracket.totalRounds,
+      });
+
+      await service.updateMatchResult(
+        'tournament1',
+        6,
+        { winner: grandFinal.team2, score: { team1: 1, team2: 3 } },
+        'organizer'
+      );
+
+      const update = mockTournamentRepository.update.firstCall.args[1];
+      expect(update.currentRound).to.equal(6);
+      expect(update).to.not.have.property('status');
+    });
+
+    it('should pair the next Swiss round only once the current round is complete', async () => {
+      const bracket = BracketGenerator.generateBracket({
+        type: 'swiss',
+        teams: ['t1', 't2', 't3', 't4'],
+        swissRounds: 2,
+      });
+      const tournament = {
+        _id: 'tournament1',
+        organizerId: 'organizer',
+        bracket,
+        currentRound: 1,
+        rounds: 2,
+      };
+      mockTournamentRepository.findById.resolves(tournament);
+
+      await service.updateMatchResult(
+        'tournament1',
+        1,
+        { score: { team1: 2, team2: 0 } },
+        'organizer'
+      );
+
+      expect(bracket.rounds).to.have.lengthOf(1);
+      expect(mockTournamentRepository.update.firstCall.args[1]).to.not.have.property(
+        'currentRound'
+      );
+
+      await service.updateMatchResult(
+        'tournament1',
+        2,
+        { score: { team1: 1, team2: 0 } },
+        'organizer'
+      );
+
+      const update = mockTournamentRepository.update.secondCall.args[1];
+      expect(update.currentRound).to.equal(2);
+      expect(update.bracket.rounds[1].matches).to.have.lengthOf(2);
+      expect(update.bracket.rounds[1].matches[0].team1).to.equal(
+        update.bracket.standings[0].teamId
+      );
+      expect(mockEventBus.publish.calledWith('tournament.round_completed')).to.be.true;
+    });
+
+    it('should move on to the knockout stage once the group stage is complete', async () => {
+      const bracket = BracketGenerator.generateBracket({
+        type: 'groups_knockout',
+        teams: ['t1', 't2', 't3', 't4', 't5', 't6'],
+        groupCount: 2,
+        advancePerGroup: 1,
+      });
+      const groupMatches = bracket.rounds.flatMap((r) => r.matches);
+      groupMatches.slice(0, -1).forEach((m) => {
+        BracketGenerator.updateBracketWithResult(bracket, m.matchNumber, {
+          score: { team1: 1, team2: 0 },
+        });
+      });
+      mockTournamentRepository.findById.resolves({
+        _id: 'tournament1',
+        organizerId: 'organizer',
+        bracket,
+        currentRound: 3,
+        rounds: bracket.totalRounds,
+      });
+
+      await service.updateMatchResult(
+        'tournament1',
+        groupMatches.at(-1).matchNumber,
+        { score: { team1: 0, team2: 0 } },
+        'organizer'
+      );
+
+      const update = mockTournamentRepository.update.firstCall.args[1];
+      expect(update.currentRound).to.equal(4);
+      expect(update.bracket.stage).to.equal('knockout');
+      expect(update.bracket.rounds[3].name).to.equal('Final');
+      expect(update).to.not.have.property('status');
+    });
+  });
+
+  describe('scheduling', () => {
+    const options = {
+      venues: [{ venueId: 'venue1', courts: ['Court 1'] }],
+      days: [{ date: '2099-06-06', startTime: '09:00', endTime: '18:00' }],
+      matchDuration: 60,
+      minRest: 30,
+    };
+    let tournament;
+
+    beforeEach(() => {
+      const bracket = BracketGenerator.generateBracket({
+        type: 'knockout',
+        teams: ['t1', 't2', 't3', 't4'],
+        seeding: 'manual',
+        seeds: ['t1', 't2', 't3', 't4'],
+      });
+      bracket.rounds[0].matches[0].matchId = 'semi1';
+      tournament = {
+        _id: 'tournament1',
+        organizerId: 'organizer',
+        status: 'ongoing',
+        bracket,
+      };
+      mockTournamentRepository.findById.resolves(tournament);
+    });
+
+    it('should schedule around venue bookings and move the fixture matches', async () => {
+      mockVenueRepository.findBookings.resolves([
+        {
+          venueId: 'venue1',
+          date: new Date('2099-06-06T00:00:00Z'),
+          startTime: '09:00',
+          endTime: '10:00',
+          status: 'confirmed',
+        },
+        {
+          venueId: 'venue1',
+          date: new Date('2099-06-06T00:00:00Z'),
+          startTime: '10:00',
+          endTime: '11:00',
+          status: 'cancelled',
+        },
+      ]);
+
+      const { bracket, conflicts } = await service.scheduleTournament(
+        'tournament1',
+        options,
+        'organizer'
+      );
+
+      expect(conflicts).to.deep.equal([]);
+      expect(bracket.rounds[0].matches[0].startTime.toISOString()).to.equal(
+        '2099-06-06T10:00:00.000Z'
+      );
+      expect(mockMatchRepository.updateIfStatus.calledOnce).to.be.true;
+      expect(mockMatchRepository.updateIfStatus.firstCall.args.slice(0, 2)).to.deep.equal([
+        'semi1',
+        'scheduled',
+      ]);
+      expect(mockTournamentRepository.update.firstCall.args[1].bracket.schedule).to.exist;
+      expect(mockEventBus.publish.calledWith('tournament.scheduled')).to.be.true;
+    });
+
+    it('should read venue bookings in the venue time zone', async () => {
+      mockVenueRepository.findById.resolves({
+        _id: 'venue1',
+        name: 'City Arena',
+        status: 'active',
+        timezone: 'Europe/London',
+      });
+      mockVenueRepository.findBookings.resolves([
+        {
+          venueId: 'venue1',
+          date: new Date('2099-06-06T00:00:00Z'),
+          startTime: '09:00',
+          endTime: '10:00',
+          status: 'confirmed',
+        },
+      ]);
+
+      // 09:00-10:00 in London is 08:00-09:00 UTC in summer, leaving 09:00 UTC free
+      const { bracket } = await service.scheduleTournament('tournament1', options, 'organizer');
+
+      expect(bracket.rounds[0].matches[0].startTime.toISOString()).to.equal(
+        '2099-06-06T09:00:00.000Z'
+      );
+    });
+
+    it('should only let the organizer schedule fixtures of an ongoing tournament', async () => {
+      for (const [userId, status, statusCode] of [
+        ['stranger', 'ongoing', 403],
+        ['organizer', 'registration', 400],
+      ]) {
+        tournament.status = status;
+        try {
+          await service.scheduleTournament('tournament1', options, userId);
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.statusCode).to.equal(statusCode);
+        }
+      }
+    });
+
+    it('should need a schedule before moving a fixture', async () => {
+      const slot = { startTime: '2099-06-06T15:00:00Z', venueId: 'venue1' };
+
+      try {
+        await service.rescheduleFixture('tournament1', 2, slot, 'organizer');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+
+      await service.scheduleTournament('tournament1', options, 'organizer');
+      const { moved } = await service.rescheduleFixture('tournament1', 2, slot, 'organizer');
+
+      expect(moved).to.deep.equal([3]);
+      expect(mockEventBus.publish.calledWith('tournament.fixture_rescheduled')).to.be.true;
+    });
+  });
+
+  describe('result corrections', () => {
+    let tournament;
+    let initialBracket;
+
+    beforeEach(() => {
+      initialBracket = BracketGenerator.generateBracket({
+        type: 'knockout',
+        teams: ['t1', 't2', 't3', 't4'],
+        seeding: 'manual',
+        seeds: ['t1', 't2', 't3', 't4'],
+      });
+      const bracket = structuredClone(initialBracket);
+      for (const [matchNumber, winner] of [
+        [1, 't1'],
+        [2, 't2'],
+        [3, 't1'],
+      ]) {
+        BracketGenerator.updateBracketWithResult(bracket, matchNumber, {
+          winner,
+          score: { team1: 1, team2: 0 },
+        });
+      }
+      const fixtures = bracket.rounds.flatMap((r) => r.matches);
+      ['semi1', 'semi2', 'final'].forEach((matchId, i) => {
+        fixtures[i].matchId = matchId;
+      });
+      tournament = {
+        _id: 'tournament1',
+        title: 'Summer Cup',
+        organizerId: 'organizer',
+        status: 'completed',
+        currentRound: 3,
+        bracket,
+      };
+      mockTournamentRepository.findById.resolves(tournament);
+      mockTournamentRepository.getInitialBracket.resolves(initialBracket);
+    });
+
+    it('should reopen the tournament and replace the match of a fixture whose teams changed', async () => {
+      mockMatchRepository.updateIfStatus.resolves(null);
+
+      const { bracket, edit } = await service.correctMatchResult(
+        'tournament1',
+        2,
+        { winner: 't3', score: { team1: 0, team2: 1 } },
+        'organizer',
+        'Wrong winner entered'
+      );
+
+      const final = BracketGenerator.findBracketMatch(bracket, 3);
+      expect(final).to.include({ team1: 't1', team2: 't3', status: 'pending', matchId: 'match1' });
+      expect(
+        mockMatchRepository.update.calledWith('final', {
+          $unset: { tournamentMatchNumber: 1 },
+        })
+      ).to.be.true;
+      expect(mockMatchRepository.create.firstCall.args[0].tournamentMatchNumber).to.equal(3);
+
+      const update = mockTournamentRepository.update.firstCall.args[1];
+      expect(update).to.include({ status: 'ongoing', currentRound: 2 });
+      expect(update.$push.resultEdits).to.equal(edit);
+      expect(edit).to.include({
+        matchNumber: 2,
+        action: 'correct',
+        reason: 'Wrong winner entered',
+      });
+      expect(edit.previousResult.winner).to.equal('t2');
+      expect(
+        mockEventBus.publish.calledWith('tournament.result_corrected', {
+          tournamentId: 'tournament1',
+          matchNumber: 2,
+          action: 'correct',
+          changedFixtures: [2, 3],
+          invalidatedFixtures: [3],
+          status: 'ongoing',
+          winner: null,
+        })
+      ).to.be.true;
+    });
+
+    it('should cancel the scheduled match of a fixture emptied by an undo', async () => {
+      tournament.bracket.results.pop();
+      Object.assign(BracketGenerator.findBracketMatch(tournament.bracket, 3), {
+        status: 'pending',
+        winner: null,
+      });
+      tournament.status = 'ongoing';
+
+      await service.undoMatchResult('tournament1', 1, 'organizer');
+
+      expect(mockMatchRepository.updateIfStatus.firstCall.args[0]).to.equal('final');
+      expect(mockMatchRepository.updateIfStatus.firstCall.args[2].status).to.equal('cancelled');
+      expect(mockEventBus.publish.calledWith('match.cancelled')).to.be.true;
+      expect(mockMatchRepository.create.called).to.be.false;
+      const update = mockTournamentRepository.update.firstCall.args[1];
+      expect(update.$push.resultEdits).to.include({ action: 'undo', result: null });
+      expect(update.currentRound).to.equal(1);
+    });
+
+    it('should only let the organizer correct results it can replay', async () => {
+      for (const [userId, initial, statusCode] of [
+        ['stranger', initialBracket, 403],
+        ['organizer', null, 400],
+      ]) {
+        mockTournamentRepository.getInitialBracket.resolves(initial);
+        try {
+          await service.undoMatchResult('tournament1', 1, userId);
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.statusCode).to.equal(statusCode);
+        }
+      }
+    });
+  });
+});
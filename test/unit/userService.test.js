@@ -0,0 +1,46 @@
+/**
+ * User Service Tests
+ */
+import { describe, it, beforeEach } from 'mocha';
+import '../helpers/setup.js';
+import UserService from '@/modules/user/service/user.service.js';
+
+describe('UserService', () => {
+  let service;
+  let mockUserRepository;
+  let mockEventBus;
+
+  beforeEach(() => {
+    mockUserRepository = {
+      update: sinon.stub().callsFake(async (id, data) => ({ _id: id, ...data })),
+    };
+    mockEventBus = { publish: sinon.stub().resolves() };
+    const mockLogger = { child: () => mockLogger, info: sinon.stub(), warn: sinon.stub() };
+
+    service = new UserService(mockUserRepository, mockEventBus, mockLogger);
+  });
+
+  describe('updateProfile', () => {
+    it('should update the profile fields', async () => {
+      await service.updateProfile('user1', { bio: 'Midfielder', location: 'Pune' });
+
+      expect(mockUserRepository.update.firstCall.args).to.deep.equal([
+        'user1',
+        { bio: 'Midfielder', location: 'Pune' },
+      ]);
+    });
+
+    it('should not let players set their own reliability', async () => {
+      await service.updateProfile('user1', {
+        bio: 'Always on time',
+        reliability: { score: 100 },
+        'reliability.score': 100,
+        $set: { 'reliability.score': 100 },
+      });
+
+      const [, profile] = mockUserRepository.update.firstCall.args;
+      expect(profile).to.deep.equal({ bio: 'Always on time' });
+      expect(mockEventBus.publish.firstCall.args[1].data).to.deep.equal(profile);
+    });
+  });
+});